@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+import { safeEqual } from '@/lib/access-tokens';
+import { getClientIp, getLoginThrottle } from '@/lib/rate-limit';
+import { AUDIT_QUERY_MAX_LIMIT, queryAuditEntries } from '@/lib/audit-log';
+// 审计日志保存在文件系统中
+export const runtime = 'nodejs';
+
+/**
+ * GET /api/admin/audit
+ * 只读查询最近的审计记录（按时间倒序），需要设置 ADMIN_TOKEN 并通过请求头 x-admin-token 传入
+ *
+ * 查询参数（均可选）：
+ *   limit      返回条数，默认 100，最多 500
+ *   since      起始时间（ISO 8601）
+ *   until      截止时间（ISO 8601）
+ *   principal  访问凭证 id 或名称（如 token:alice）
+ *   model      模型名
+ *   status     ok / error / aborted
+ *
+ * 错误的管理令牌与访问密码共用登录失败节流
+ */
+export async function GET(request) {
+  try {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (!adminToken) {
+      return NextResponse.json(
+        { error: '服务器未配置 ADMIN_TOKEN，管理接口未启用' },
+        { status: 404 },
+      );
+    }
+
+    const ip = getClientIp(request);
+    const throttle = getLoginThrottle();
+    const decision = await throttle.check(ip);
+    if (!decision.allowed) {
+      return NextResponse.json(
+        { error: decision.message, code: decision.code, retryAfter: decision.retryAfter },
+        { status: 429, headers: { 'Retry-After': String(decision.retryAfter) } },
+      );
+    }
+
+    const provided = request.headers.get('x-admin-token') || '';
+    if (!provided || !safeEqual(provided, adminToken)) {
+      await throttle.recordFailure(ip);
+      return NextResponse.json({ error: '管理令牌错误' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const since = parseTime(searchParams.get('since'));
+    const until = parseTime(searchParams.get('until'));
+    if (since === null || until === null) {
+      return NextResponse.json(
+        { error: 'since / until 需要是合法的时间（ISO 8601）' },
+        { status: 400 },
+      );
+    }
+
+    const limit = Number.parseInt(searchParams.get('limit') || '100', 10);
+    const entries = await queryAuditEntries({
+      since,
+      until,
+      principal: searchParams.get('principal') || undefined,
+      model: searchParams.get('model') || undefined,
+      status: searchParams.get('status') || undefined,
+      limit: Number.isFinite(limit) ? limit : 100,
+    });
+
+    if (!entries) {
+      return NextResponse.json(
+        { error: '审计日志未开启，或当前写入目标不支持查询（需要 AUDIT_LOG=file）' },
+        { status: 404 },
+      );
+    }
+
+    return NextResponse.json(
+      { entries, count: entries.length, maxLimit: AUDIT_QUERY_MAX_LIMIT },
+      { headers: { 'Cache-Control': 'no-store' } },
+    );
+  } catch (error) {
+    console.error('Error in /api/admin/audit:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to query audit log' },
+      { status: 500 },
+    );
+  }
+}
+
+/**
+ * 解析查询时间：未提供时返回 undefined，无法解析时返回 null
+ */
+function parseTime(value) {
+  if (!value) return undefined;
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
@@ -1,69 +1,99 @@
 import { NextResponse } from 'next/server';
-export const runtime = 'edge';
+import { getServerLLMConfigs, toPublicServerConfig } from '@/lib/server-config';
+import { filterAllowedConfigs } from '@/lib/access-tokens';
+import {
+  SESSION_COOKIE_NAME,
+  authenticateRequest,
+  authenticateSession,
+  createSession,
+  getSessionCookieOptions,
+  revokeSession,
+} from '@/lib/session';
+// SERVER_LLM_CONFIG_FILE / ACCESS_TOKENS_FILE 需要读取文件系统
+export const runtime = 'nodejs';
 
 /**
  * POST /api/llm/config
- * Validate access password and return **sanitized** server-side LLM configuration
- * - 前端只需要类型 / 基础 URL / 模型等非敏感信息
+ * 登录 / 刷新会话，并返回 **sanitized** list of server-side LLM configurations
+ * - 登录：请求头 x-access-password 携带访问密码或个人令牌，失败次数按 IP 节流
+ * - 刷新：不带密码、携带有效会话（Cookie 或 Bearer）时签发新的会话，不超过 SESSION_MAX_AGE_SECONDS
+ * - 会话默认写入 HttpOnly Cookie；请求头 x-session-transport: bearer 时改为在响应体中返回令牌
+ * - 个人令牌设置了模型白名单时只返回允许的配置
+ * - 前端只需要 id / 名称 / 类型 / 模型等非敏感信息，请求时通过 configId 选择
  * - apiKey 仅在服务端使用，不会返回给前端
+ * - config 字段为默认配置，兼容只读取单一配置的旧版前端
  */
 export async function POST(request) {
   try {
-    const accessPassword = request.headers.get('x-access-password');
-
-    // 1. Check if access password is configured on server
-    const envPassword = process.env.ACCESS_PASSWORD;
-    if (!envPassword) {
+    // 1-2. Validate access password / personal token or existing session（未配置任何凭证时返回 400）
+    const auth = await authenticateRequest(request);
+    if (!auth.ok) {
       return NextResponse.json(
         {
           success: false,
-          error: '服务器未配置访问密码'
+          error: auth.error,
+          code: auth.code,
         },
-        { status: 400 }
+        {
+          status: auth.status,
+          headers: auth.retryAfter ? { 'Retry-After': String(auth.retryAfter) } : undefined,
+        }
       );
     }
 
-    // 2. Validate access password
-    if (!accessPassword || accessPassword !== envPassword) {
+    // 3. Build server-side LLM configurations（包含敏感字段，仅供服务端内部使用；不完整的配置已被过滤）
+    const serverConfigs = await getServerLLMConfigs();
+
+    // 4. 至少需要一个完整的配置
+    if (serverConfigs.configs.length === 0) {
       return NextResponse.json(
         {
           success: false,
-          error: '访问密码错误'
+          error: 'LLM配置不完整'
         },
-        { status: 401 }
+        { status: 500 }
       );
     }
 
-    // 3. Build server-side LLM configuration（包含敏感字段，仅供服务端内部使用）
-    const serverConfig = {
-      type: process.env.SERVER_LLM_TYPE,
-      baseUrl: process.env.SERVER_LLM_BASE_URL,
-      apiKey: process.env.SERVER_LLM_API_KEY,
-      model: process.env.SERVER_LLM_MODEL,
-    };
-
-    // 4. Validate configuration completeness（至少保证类型与密钥存在）
-    if (!serverConfig.type || !serverConfig.apiKey) {
+    const { configs, defaultId } = filterAllowedConfigs(auth.principal, serverConfigs);
+    if (configs.length === 0) {
       return NextResponse.json(
         {
           success: false,
-          error: 'LLM配置不完整'
+          error: '当前访问令牌没有可用的模型配置'
         },
-        { status: 500 }
+        { status: 403 }
       );
     }
 
-    // 5. 返回脱敏后的配置给前端（不包含 apiKey）
-    const publicConfig = {
-      type: serverConfig.type,
-      baseUrl: serverConfig.baseUrl,
-      model: serverConfig.model,
-    };
+    // 5. 返回脱敏后的配置列表给前端（不包含 apiKey）
+    const publicConfigs = configs.map(toPublicServerConfig);
+
+    // 6. 签发会话（刷新时同样重新签发，旧会话自然过期；沿用最初登录时间与登记表中最新的白名单）
+    const session = await createSession(auth.principal);
+    const useBearer = request.headers.get('x-session-transport') === 'bearer';
 
-    return NextResponse.json({
+    const response = NextResponse.json({
       success: true,
-      config: publicConfig,
+      configs: publicConfigs,
+      defaultId,
+      config: publicConfigs.find((config) => config.id === defaultId),
+      // 当前凭证的身份信息，用于在设置中展示
+      principal: {
+        name: auth.principal.name,
+        kind: auth.principal.kind,
+        expiresAt: auth.principal.expiresAt,
+      },
+      session: {
+        expiresAt: session.expiresAt,
+        ...(useBearer ? { token: session.token } : {}),
+      },
     });
+
+    if (!useBearer) {
+      response.cookies.set(SESSION_COOKIE_NAME, session.token, getSessionCookieOptions(request, session.maxAge));
+    }
+    return response;
   } catch (error) {
     console.error('Error in /api/llm/config:', error);
     return NextResponse.json(
@@ -75,3 +105,29 @@ export async function POST(request) {
     );
   }
 }
+
+/**
+ * DELETE /api/llm/config
+ * 登出：吊销当前会话并清除 Cookie（会话无效时同样清除 Cookie）
+ */
+export async function DELETE(request) {
+  try {
+    const session = await authenticateSession(request);
+    if (session) {
+      await revokeSession(session.payload);
+    }
+
+    const response = NextResponse.json({ success: true });
+    response.cookies.set(SESSION_COOKIE_NAME, '', getSessionCookieOptions(request, 0));
+    return response;
+  } catch (error) {
+    console.error('Error in DELETE /api/llm/config:', error);
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message || 'Failed to log out'
+      },
+      { status: 500 }
+    );
+  }
+}
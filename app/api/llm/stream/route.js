@@ -1,6 +1,24 @@
 import { NextResponse } from 'next/server';
 import { callLLM } from '@/lib/llm-client';
-export const runtime = 'edge';
+import { requiresApiKey } from '@/lib/constants';
+import { getServerLLMConfigs } from '@/lib/server-config';
+import { filterAllowedConfigs } from '@/lib/access-tokens';
+import { authenticateRequest, getSessionToken } from '@/lib/session';
+import {
+  SSE_EVENTS,
+  SSE_PROTOCOL_HEADER,
+  createSSEEncoder,
+  resolveProtocolVersion,
+} from '@/lib/sse-protocol';
+import {
+  estimateMessageTokens,
+  estimateTokens,
+  getClientIp,
+  getRateLimiter,
+} from '@/lib/rate-limit';
+import { AUDIT_STATUS, recordAuditEntry } from '@/lib/audit-log';
+// 限流计数需要常驻进程（file 存储与审计日志还依赖文件系统），因此使用 Node.js runtime
+export const runtime = 'nodejs';
 
 /**
  * POST /api/llm/stream
@@ -8,13 +26,24 @@ export const runtime = 'edge';
  *
  * 两种模式：
  * - 本地配置模式：前端提供完整 config（包含 apiKey），不带访问密码
- * - 访问密码模式：前端通过请求头 x-access-password 证明身份，服务端读取环境变量中的 LLM 配置并自动注入 apiKey
+ * - 访问密码模式：不传 config，通过 /api/llm/config 登录得到的会话（Cookie 或 Bearer，见 lib/session.js）证明身份，
+ *   兼容直接携带 x-access-password（访问密码或个人令牌，失败次数同样受登录节流限制），
+ *   并用 configId 选择服务端配置（缺省为默认配置），服务端读取对应的 LLM 配置并自动注入 apiKey
+ *   该模式消耗的是服务端密钥，按 lib/rate-limit.js 的配置执行限流与每日额度，超限返回 429
+ *
+ * 开启审计（见 lib/audit-log.js）时，每个转发到上游的请求结束后写入一条审计记录
+ *
+ * 响应事件格式见 lib/sse-protocol.js：请求头 x-sse-protocol 声明版本时使用类型化事件，
+ * 未声明时回退为旧版 data-only 格式
  */
 export async function POST(request) {
+  const startedAt = Date.now();
   try {
-    const { config, messages } = await request.json();
+    const { config, configId, messages } = await request.json();
     const accessPassword = request.headers.get('x-access-password') || '';
-    const usingPassword = !!accessPassword;
+    // 本地配置模式总是携带 config；残留的会话 Cookie 不应把本地请求当成访问密码模式
+    const usingPassword = !config || !!accessPassword || !!getSessionToken(request, { allowCookie: false });
+    const protocolVersion = resolveProtocolVersion(request.headers.get(SSE_PROTOCOL_HEADER));
 
     // 基本参数校验（messages 必须存在且为数组）
     if (!messages || !Array.isArray(messages)) {
@@ -25,49 +54,69 @@ export async function POST(request) {
     }
 
     let finalConfig = null;
+    // 访问密码模式下的身份，用于审计记录
+    let principal = null;
+    // 访问密码模式下的限流身份，请求结束后据此累加 token 用量
+    let rateLimitIdentity = null;
 
     if (usingPassword) {
-      // 访问密码模式：优先使用服务端 LLM 配置，并校验访问密码
-      const envPassword = process.env.ACCESS_PASSWORD;
-      if (!envPassword) {
-        return NextResponse.json(
-          { error: '服务器未配置访问密码' },
-          { status: 400 },
-        );
-      }
-
-      if (accessPassword !== envPassword) {
+      // 访问密码模式：优先使用服务端 LLM 配置，并校验会话或访问密码 / 个人令牌
+      const auth = await authenticateRequest(request, { allowCookie: !config });
+      if (!auth.ok) {
         return NextResponse.json(
-          { error: '访问密码错误' },
-          { status: 401 },
+          { error: auth.error, code: auth.code, retryAfter: auth.retryAfter },
+          {
+            status: auth.status,
+            headers: auth.retryAfter ? { 'Retry-After': String(auth.retryAfter) } : undefined,
+          },
         );
       }
 
-      const serverConfig = {
-        type: process.env.SERVER_LLM_TYPE,
-        baseUrl: process.env.SERVER_LLM_BASE_URL,
-        apiKey: process.env.SERVER_LLM_API_KEY,
-        model: process.env.SERVER_LLM_MODEL,
-      };
+      // 按 configId 选择服务端配置（仅限令牌白名单内的配置），生成参数使用服务端配置中的值
+      const serverConfigs = await getServerLLMConfigs();
+      const allowed = filterAllowedConfigs(auth.principal, serverConfigs);
+      const targetId = configId || allowed.defaultId;
+      const serverConfig = allowed.configs.find((item) => item.id === targetId);
 
-      if (!serverConfig.type || !serverConfig.apiKey) {
+      if (!serverConfig) {
+        if (serverConfigs.configs.some((item) => item.id === targetId)) {
+          return NextResponse.json(
+            { error: '当前访问令牌无权使用该模型配置' },
+            { status: 403 },
+          );
+        }
+        if (configId) {
+          return NextResponse.json(
+            { error: `服务器配置不存在：${configId}，请在设置中重新验证访问密码` },
+            { status: 400 },
+          );
+        }
         return NextResponse.json(
           { error: '服务器端 LLM 配置不完整' },
           { status: 500 },
         );
       }
 
+      const limiter = getRateLimiter();
+      if (limiter.enabled) {
+        rateLimitIdentity = {
+          ip: getClientIp(request),
+          credential: auth.principal.id,
+        };
+        const decision = await limiter.consume(rateLimitIdentity);
+        if (!decision.allowed) {
+          return NextResponse.json(
+            { error: decision.message, code: decision.code, retryAfter: decision.retryAfter },
+            { status: 429, headers: { 'Retry-After': String(decision.retryAfter) } },
+          );
+        }
+      }
+
       finalConfig = serverConfig;
+      principal = auth.principal;
     } else {
       // 本地配置模式：必须由前端提供完整 config，包括 apiKey
-      if (!config) {
-        return NextResponse.json(
-          { error: 'Missing required parameter: config' },
-          { status: 400 },
-        );
-      }
-
-      if (!config.type || !config.apiKey) {
+      if (!config.type || (!config.apiKey && requiresApiKey(config.type))) {
         return NextResponse.json(
           { error: 'Invalid config: missing type or apiKey' },
           { status: 400 },
@@ -77,27 +126,116 @@ export async function POST(request) {
       finalConfig = config;
     }
 
+    // 上游请求的中止控制器：客户端断开或主动取消读取时，立即停止向上游拉取
+    const upstreamController = new AbortController();
+    const abortUpstream = () => {
+      if (!upstreamController.signal.aborted) {
+        upstreamController.abort();
+      }
+    };
+    request.signal?.addEventListener('abort', abortUpstream);
+
     // Create SSE stream for transparent forwarding
     const encoder = new TextEncoder();
+    const encodeEvent = createSSEEncoder(protocolVersion);
+    let streamClosed = false;
     const stream = new ReadableStream({
       async start(controller) {
+        const send = (event, payload) => {
+          if (streamClosed) return;
+          const data = encodeEvent(event, payload);
+          // 旧版格式不支持的事件（如 meta）直接跳过
+          if (data === null) return;
+          controller.enqueue(encoder.encode(data));
+        };
+        const close = () => {
+          if (streamClosed) return;
+          streamClosed = true;
+          controller.close();
+        };
+
+        const requestId = crypto.randomUUID();
+        let finishReason;
+        let reportedUsage = null;
+        let streamedText = '';
+        let audit = { status: AUDIT_STATUS.OK };
+
         try {
+          send(SSE_EVENTS.META, {
+            version: protocolVersion,
+            requestId,
+            provider: finalConfig.type,
+            model: finalConfig.model || finalConfig.deployment,
+          });
+
           await callLLM(finalConfig, messages, (chunk) => {
-            // Send each chunk as SSE
-            const data = `data: ${JSON.stringify({ content: chunk })}\n\n`;
-            controller.enqueue(encoder.encode(data));
+            streamedText += chunk;
+            send(SSE_EVENTS.DELTA, { content: chunk });
+          }, {
+            signal: upstreamController.signal,
+            // token 用量作为单独的事件发送，不混入内容
+            onUsage: (usage) => {
+              reportedUsage = usage;
+              send(SSE_EVENTS.USAGE, usage);
+            },
+            // 模型思考过程走单独的 reasoning 事件，避免混入图表代码
+            onReasoning: (reasoning) => {
+              streamedText += reasoning;
+              send(SSE_EVENTS.REASONING, { content: reasoning });
+            },
+            onFinish: (reason) => {
+              finishReason = reason;
+            },
           });
 
-          // Send done signal
-          controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-          controller.close();
+          send(SSE_EVENTS.DONE, finishReason ? { finishReason } : {});
+          close();
         } catch (error) {
+          if (upstreamController.signal.aborted) {
+            // 客户端已取消，无需再回写错误
+            audit = { status: AUDIT_STATUS.ABORTED };
+            close();
+            return;
+          }
+          audit = { status: AUDIT_STATUS.ERROR, httpStatus: error.status, error: error.message };
           console.error('Error in stream:', error);
-          const errorData = `data: ${JSON.stringify({ error: error.message })}\n\n`;
-          controller.enqueue(encoder.encode(errorData));
-          controller.close();
+          // 透传上游 HTTP 状态码，前端据此判断是否重试或切换备用配置
+          send(SSE_EVENTS.ERROR, { message: error.message, status: error.status });
+          close();
+        } finally {
+          request.signal?.removeEventListener('abort', abortUpstream);
+          // 上游未返回用量（或中途取消）时按字符数估算，避免绕过 token 额度
+          const usage = reportedUsage
+            ? { ...reportedUsage, estimated: false }
+            : {
+              inputTokens: estimateMessageTokens(messages),
+              outputTokens: estimateTokens(streamedText),
+              estimated: true,
+            };
+          if (rateLimitIdentity) {
+            getRateLimiter()
+              .recordTokens(rateLimitIdentity, usage.inputTokens + usage.outputTokens)
+              .catch((error) => console.error('Failed to record token usage:', error));
+          }
+          recordAuditEntry({
+            ...audit,
+            requestId,
+            mode: usingPassword ? 'password' : 'local',
+            principal,
+            ip: getClientIp(request),
+            config: finalConfig,
+            messages,
+            finishReason,
+            usage,
+            startedAt,
+          });
         }
       },
+      cancel() {
+        // 客户端停止读取（如点击“停止生成”或关闭页面）
+        streamClosed = true;
+        abortUpstream();
+      },
     });
 
     return new Response(stream, {
@@ -105,6 +243,7 @@ export async function POST(request) {
         'Content-Type': 'text/event-stream',
         'Cache-Control': 'no-cache',
         'Connection': 'keep-alive',
+        [SSE_PROTOCOL_HEADER]: String(protocolVersion),
       },
     });
   } catch (error) {
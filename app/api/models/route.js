@@ -1,26 +1,59 @@
 import { NextResponse } from 'next/server';
 import { fetchModels } from '@/lib/llm-client';
+import { requiresApiKey } from '@/lib/constants';
+import { pickCustomRequest, validateCustomRequest } from '@/lib/custom-request';
 export const runtime = 'edge';
 
+// 模型列表缓存：同一服务商地址与密钥在有效期内不重复请求上游
+const MODELS_CACHE_TTL_MS = 10 * 60 * 1000;
+const MODELS_CACHE_MAX_ENTRIES = 100;
+const modelsCache = new Map();
+
 /**
  * GET /api/models
  * Fetch available models from the configured provider
+ * 每个模型附带能力信息 capabilities（vision / contextWindow / maxOutputTokens / reasoning，见 lib/model-capabilities.js），
+ * 结果按服务商地址与密钥缓存 10 分钟，refresh=1 时强制刷新
+ * 自定义请求头与查询参数以 JSON 形式通过 headers / queryParams 传入，allowAuthHeaderOverride=1 时允许覆盖认证请求头
  */
 export async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const type = searchParams.get('type');
     const baseUrl = searchParams.get('baseUrl');
-    const apiKey = searchParams.get('apiKey');
+    const apiKey = searchParams.get('apiKey') || '';
+    const apiVersion = searchParams.get('apiVersion') || undefined;
+    const refresh = searchParams.get('refresh') === '1';
+    let custom;
+    try {
+      custom = {
+        headers: parseJsonParam(searchParams.get('headers')),
+        queryParams: parseJsonParam(searchParams.get('queryParams')),
+        allowAuthHeaderOverride: searchParams.get('allowAuthHeaderOverride') === '1',
+      };
+    } catch {
+      return NextResponse.json({ error: 'Invalid headers or queryParams' }, { status: 400 });
+    }
+    const customErrors = validateCustomRequest(custom);
+    if (customErrors.length > 0) {
+      return NextResponse.json({ error: customErrors[0] }, { status: 400 });
+    }
 
-    if (!type || !baseUrl || !apiKey) {
+    if (!type || !baseUrl || (!apiKey && requiresApiKey(type))) {
       return NextResponse.json(
         { error: 'Missing required parameters: type, baseUrl, apiKey' },
         { status: 400 }
       );
     }
 
-    const models = await fetchModels(type, baseUrl, apiKey);
+    const cacheKey = await buildCacheKey(type, baseUrl, apiKey, apiVersion, custom);
+    const cached = modelsCache.get(cacheKey);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return NextResponse.json({ models: cached.models, cached: true });
+    }
+
+    const models = await fetchModels(type, baseUrl, apiKey, { apiVersion, request: pickCustomRequest(custom) });
+    setCache(cacheKey, models);
 
     return NextResponse.json({ models });
   } catch (error) {
@@ -32,3 +65,27 @@ export async function GET(request) {
   }
 }
 
+function parseJsonParam(value) {
+  return value ? JSON.parse(value) : undefined;
+}
+
+/**
+ * 缓存键只保存密钥与自定义请求字段的哈希，避免明文密钥常驻内存
+ */
+async function buildCacheKey(type, baseUrl, apiKey, apiVersion, custom) {
+  const secret = JSON.stringify([apiKey, custom.headers || null, custom.queryParams || null, custom.allowAuthHeaderOverride]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  const keyHash = Array.from(new Uint8Array(digest).slice(0, 12))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+  return [type, baseUrl.replace(/\/+$/, ''), apiVersion || '', keyHash].join('|');
+}
+
+function setCache(key, models) {
+  modelsCache.delete(key);
+  modelsCache.set(key, { models, expiresAt: Date.now() + MODELS_CACHE_TTL_MS });
+  // Map 保持插入顺序，超出上限时淘汰最早的条目
+  while (modelsCache.size > MODELS_CACHE_MAX_ENTRIES) {
+    modelsCache.delete(modelsCache.keys().next().value);
+  }
+}
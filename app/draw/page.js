@@ -1,6 +1,6 @@
 'use client';
 
-import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import AppHeader from '@/components/AppHeader';
 import dynamic from 'next/dynamic';
 import FloatingChat from '@/components/FloatingChat';
@@ -11,6 +11,7 @@ import HistoryModal from '@/components/HistoryModal';
 import CombinedSettingsModal from '@/components/CombinedSettingsModal';
 import Notification from '@/components/Notification';
 import ConfirmDialog from '@/components/ConfirmDialog';
+import RelayoutButton from '@/components/RelayoutButton';
 import {
   Dialog,
   DialogContent,
@@ -20,8 +21,10 @@ import {
   DialogFooter,
 } from '@/components/ui/dialog';
 import { configService } from '@/lib/config-service';
+import { getConfigCapabilities } from '@/lib/model-capabilities';
 import { useEngine } from '@/hooks/useEngine';
 import { drawioProcessor, excalidrawProcessor } from '@/lib/code-processor';
+import { layoutExcalidrawCode, layoutMxGraphXml } from '@/lib/auto-layout';
 
 // Dynamically import Canvas components to avoid SSR issues
 const DrawioCanvas = dynamic(() => import('@/components/DrawioCanvas'), {
@@ -42,6 +45,11 @@ export default function DrawPage() {
   // 配置状态
   const [config, setConfig] = useState(null);
   const [usePassword, setUsePassword] = useState(false);
+  // 当前模型能力（用于发送图片前的提示）
+  const modelCapabilities = useMemo(
+    () => (config ? getConfigCapabilities(config) : null),
+    [config],
+  );
 
   // 模态框状态
   const [isConfigManagerOpen, setIsConfigManagerOpen] = useState(false);
@@ -153,6 +161,7 @@ export default function DrawPage() {
         'smart-diagram-local-configs',
         'smart-diagram-active-local-config',
         'smart-diagram-remote-config',
+        'smart-diagram-remote-config-id',
         'smart-diagram-use-password',
       ];
 
@@ -222,17 +231,18 @@ export default function DrawPage() {
   /**
    * 发送消息处理
    * 调用引擎的handleSendMessage
+   * options 为本次生成的选项（如 Excalidraw 的 routeArrows）
    */
-  const handleSendMessage = useCallback(async (input, attachments, chartType) => {
-    await engine.handleSendMessage(input, attachments, chartType, config, showNotification);
+  const handleSendMessage = useCallback(async (input, attachments, chartType, options) => {
+    await engine.handleSendMessage(input, attachments, chartType, config, showNotification, options);
   }, [engine, config, showNotification]);
 
   /**
    * 针对指定的 AI 消息执行重试
    */
-  const handleRetryMessage = useCallback(async (messageIndex) => {
+  const handleRetryMessage = useCallback(async (messageIndex, options) => {
     if (!engine || typeof engine.handleRetryMessage !== 'function') return;
-    await engine.handleRetryMessage(messageIndex, showNotification);
+    await engine.handleRetryMessage(messageIndex, showNotification, options);
   }, [engine, showNotification]);
 
   /**
@@ -269,13 +279,13 @@ export default function DrawPage() {
   /**
    * 代码处理函数
    * 根据引擎类型调用相应的代码处理管道
-   * 流程：代码检测修复 -> 返回修复后的代码
+   * 流程：代码检测修复 -> 返回修复后的代码及校验发现的问题
    */
   const processCode = useCallback((code) => {
     if (engineType === 'excalidraw') {
-      return excalidrawProcessor.process(code);
+      return excalidrawProcessor.processWithIssues(code);
     }
-    return drawioProcessor.process(code);
+    return drawioProcessor.processWithIssues(code);
   }, [engineType]);
 
   /**
@@ -330,15 +340,56 @@ export default function DrawPage() {
     showNotification({ title: '已恢复', message: '历史记录已恢复', type: 'success' });
   }, [engineType, engine, showNotification, clearFloatingCodeCache]);
 
+  /**
+   * 画布显示的代码：流式生成中显示已完整输出的部分（预览），否则显示已应用的代码
+   * 预览期间画布的变更不回写到代码编辑器
+   */
+  const isPreviewing = typeof engine.previewCode === 'string';
+  const canvasCode = isPreviewing ? engine.previewCode : engine.usedCode;
+
+  /**
+   * 画布上的最新代码（包含用户在画布中的手动调整），应用新代码后重置
+   */
+  const latestCanvasCodeRef = useRef(null);
+  useEffect(() => {
+    latestCanvasCodeRef.current = null;
+  }, [engine.usedCode]);
+
+  /**
+   * 重新布局：按连线关系自动分层排列画布上的节点，结果作为新代码应用
+   * Excalidraw 的箭头同时做避障路由；Draw.io 的连线由画布重新走线
+   */
+  const handleRelayout = useCallback(async (direction) => {
+    const latest = latestCanvasCodeRef.current;
+    // Draw.io 保存的内容可能是压缩格式，无法解析时退回已应用的代码
+    const code = latest && (engineType === 'excalidraw' || latest.includes('<mxGraphModel'))
+      ? latest
+      : engine.usedCode;
+    if (!code) return;
+
+    const result = engineType === 'excalidraw'
+      ? layoutExcalidrawCode(code, { direction, routeArrows: true })
+      : layoutMxGraphXml(code, { direction });
+    if (!result.changed) {
+      showNotification({
+        title: '无需重新布局',
+        message: '画布中没有通过连线相连、需要移动的节点',
+        type: 'info',
+      });
+      return;
+    }
+    await handleChatApplyCode(result.code);
+  }, [engineType, engine.usedCode, showNotification, handleChatApplyCode]);
+
   /**
    * 缓存 Excalidraw elements 解析结果
-   * 只有当 usedCode 真正改变时才重新解析，避免流式更新时频繁重新渲染
+   * 只有当画布代码真正改变时才重新解析，避免流式更新时频繁重新渲染
    */
   const excalidrawElements = useMemo(() => {
-    if (engineType !== 'excalidraw' || !engine.usedCode) return [];
+    if (engineType !== 'excalidraw' || !canvasCode) return [];
 
     try {
-      const parsed = JSON.parse(engine.usedCode);
+      const parsed = JSON.parse(canvasCode);
       if (Array.isArray(parsed)) return parsed;
       if (parsed && Array.isArray(parsed.elements)) return parsed.elements;
       if (parsed && Array.isArray(parsed.items)) return parsed.items;
@@ -346,7 +397,7 @@ export default function DrawPage() {
     } catch (e) {
       return [];
     }
-  }, [engineType, engine.usedCode]);
+  }, [engineType, canvasCode]);
 
   /**
    * 渲染画布组件
@@ -358,10 +409,12 @@ export default function DrawPage() {
       return (
         <ExcalidrawCanvas
           elements={excalidrawElements}
+          isStreaming={isPreviewing}
           showNotification={showNotification}
           onChange={(newElements) => {
             try {
               const code = JSON.stringify(newElements || [], null, 2);
+              latestCanvasCodeRef.current = code;
               window.dispatchEvent(
                 new CustomEvent('canvas-code-changed', {
                   detail: {
@@ -381,12 +434,13 @@ export default function DrawPage() {
     // Draw.io直接使用XML
     return (
       <DrawioCanvas
-        xml={engine.usedCode}
+        xml={canvasCode}
         autosave
         onSave={(xmlOrData) => {
           // 提取XML并通过事件通知代码编辑器
           const xml = typeof xmlOrData === 'string' ? xmlOrData : (xmlOrData?.data || '');
-          if (!xml) return;
+          if (!xml || isPreviewing) return;
+          latestCanvasCodeRef.current = xml;
 
           window.dispatchEvent(
             new CustomEvent('canvas-code-changed', {
@@ -413,19 +467,30 @@ export default function DrawPage() {
         {renderCanvas()}
       </div>
 
+      {/* Re-layout */}
+      {(engine.usedCode || isPreviewing) && (
+        <RelayoutButton
+          onRelayout={handleRelayout}
+          disabled={isPreviewing || engine.isGenerating}
+        />
+      )}
+
       {/* Floating Chat */}
       <FloatingChat
         engineType={engineType}
         onEngineSwitch={handleEngineSwitch}
         onSendMessage={handleSendMessage}
         onRetryMessage={handleRetryMessage}
+        onStopGenerating={engine.handleStopGenerating}
         onApplyCode={handleChatApplyCode}
         isGenerating={engine.isGenerating}
         messages={engine.messages}
         streamingContent={engine.streamingContent} // ✨ 传递流式内容
+        streamingReasoning={engine.streamingReasoning}
         onNewChat={handleNewChat}
         conversationId={engine.conversationId}
         onOpenHistory={() => setIsHistoryModalOpen(true)}
+        modelCapabilities={modelCapabilities}
       />
 
       {/* Floating Code Editor */}
@@ -1,16 +1,31 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { Settings, KeyRound, Server, Laptop, X, CheckCircle2, AlertCircle, Loader2, ShieldCheck, Save } from 'lucide-react';
+import { Settings, KeyRound, Server, Laptop, X, CheckCircle2, AlertCircle, Loader2, ShieldCheck, Save, LogOut } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import ConfigManager from './ConfigManager';
+import { configService } from '@/lib/config-service';
+import { DEFAULT_HISTORY_BUDGET } from '@/lib/context-budget';
 
 /**
  * 组合设置弹窗：
  * - 左侧：展示当前模式（本地配置 / 访问密码）
- * - 访问密码模式：验证密码，从服务端获取远程 LLM 配置并写入 smart-diagram-remote-config
- * - "保存"按钮：持久化访问密码与模式开关 smart-diagram-use-password
+ * - 访问密码模式：用共享密码或个人令牌登录，服务端签发会话（HttpOnly Cookie）并返回远程 LLM 配置列表，
+ *   服务端提供多个配置时可选择其一；密码本身不保存在浏览器中
+ * - 对话历史：历史预算与预留输出 token（两种模式通用，留空为自动）
+ * - "保存"按钮：持久化所选服务端配置、模式开关 smart-diagram-use-password 与对话历史设置
  */
+/**
+ * 验证成功后的身份说明：个人令牌显示名称与到期时间
+ */
+function describePrincipal(principal) {
+  if (principal?.kind !== 'token') return '';
+  const expiry = principal.expiresAt
+    ? `，有效期至 ${new Date(principal.expiresAt).toLocaleDateString()}`
+    : '';
+  return `（令牌：${principal.name}${expiry}）`;
+}
+
 export default function CombinedSettingsModal({
   isOpen,
   onClose,
@@ -24,30 +39,41 @@ export default function CombinedSettingsModal({
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState(''); // 'success' | 'error'
   const [isConfigManagerOpen, setIsConfigManagerOpen] = useState(false);
+  const [remoteConfigs, setRemoteConfigs] = useState([]);
+  const [selectedRemoteId, setSelectedRemoteId] = useState(null);
+  const [session, setSession] = useState(null);
+  // 对话历史设置以字符串编辑，保存时再转换为数字
+  const [historyInput, setHistoryInput] = useState({ budgetTokens: '', reserveOutputTokens: '' });
 
   useEffect(() => {
     if (!isOpen) return;
     if (typeof window !== 'undefined') {
-      const savedPassword =
-        localStorage.getItem('smart-diagram-access-password') || '';
       const savedUsePassword =
         localStorage.getItem('smart-diagram-use-password') === 'true';
-      setPassword(savedPassword);
+      setPassword('');
+      setSession(configService.getSession());
       setUsePassword(
         savedUsePassword !== null
           ? savedUsePassword
           : !!initialUsePassword,
       );
+      setRemoteConfigs(configService.listRemoteConfigs());
+      setSelectedRemoteId(configService.getSelectedRemoteConfigId());
+      const historySettings = configService.getHistorySettings();
+      setHistoryInput({
+        budgetTokens: historySettings.budgetTokens ?? '',
+        reserveOutputTokens: historySettings.reserveOutputTokens ?? '',
+      });
       setMessage('');
     }
   }, [isOpen, initialUsePassword]);
 
   /**
-   * 验证访问密码并从服务端获取远程 LLM 配置
+   * 用访问密码登录，建立会话并从服务端获取远程 LLM 配置
    */
   const handleValidate = async () => {
     if (!password) {
-      setMessage('请先输入访问密码');
+      setMessage('请先输入访问密码或个人令牌');
       setMessageType('error');
       return;
     }
@@ -56,55 +82,70 @@ export default function CombinedSettingsModal({
     setMessage('');
 
     try {
-      const response = await fetch('/api/llm/config', {
-        method: 'POST',
-        headers: { 'x-access-password': password },
-      });
+      const data = await configService.login(password);
+      const { configs } = data;
 
-      const data = await response.json();
+      // 保留仍然存在的选择，否则使用服务端默认配置
+      const nextSelectedId = configs.some((config) => config.id === selectedRemoteId)
+        ? selectedRemoteId
+        : data.defaultId || configs[0].id || null;
+      setRemoteConfigs(configService.listRemoteConfigs());
+      setSelectedRemoteId(nextSelectedId);
+      setSession(configService.getSession());
+      setPassword('');
 
-      if (data.success && data.config) {
-        const remoteConfig = {
-          name: '服务器配置（访问密码）',
-          type: data.config.type,
-          baseUrl: data.config.baseUrl,
-          model: data.config.model,
-        };
-
-        if (typeof window !== 'undefined') {
-          localStorage.setItem(
-            'smart-diagram-remote-config',
-            JSON.stringify(remoteConfig),
-          );
-        }
-
-        setMessage('验证成功，已获取服务器配置');
-        setMessageType('success');
-
-      } else {
-        setMessage(data.error || '远程配置验证失败');
-        setMessageType('error');
-      }
+      const summary = configs.length > 1
+        ? `服务器提供 ${configs.length} 个模型配置`
+        : '已获取服务器配置';
+      setMessage(`验证成功${describePrincipal(data.principal)}，${summary}`);
+      setMessageType('success');
     } catch (error) {
-      setMessage('验证请求失败：' + error.message);
+      // 带状态码的是服务端返回的错误（密码错误、尝试过多等），其余为网络错误
+      setMessage(error.status ? error.message : '验证请求失败：' + error.message);
       setMessageType('error');
     } finally {
       setIsValidating(false);
     }
   };
 
+  /**
+   * 退出登录：吊销服务端会话
+   */
+  const handleLogout = async () => {
+    try {
+      await configService.logout();
+      setMessage('已退出登录');
+      setMessageType('success');
+    } catch (error) {
+      setMessage('退出登录失败：' + error.message);
+      setMessageType('error');
+    } finally {
+      setSession(configService.getSession());
+    }
+  };
+
   /**
    * 保存配置
    */
   const handleSave = () => {
+    const historySettings = {};
+    for (const key of ['budgetTokens', 'reserveOutputTokens']) {
+      const raw = String(historyInput[key]).trim();
+      if (!raw) continue;
+      const value = Number(raw);
+      if (!Number.isInteger(value) || value <= 0) {
+        setMessage('历史预算与预留输出必须为正整数，留空表示自动');
+        setMessageType('error');
+        return;
+      }
+      historySettings[key] = value;
+    }
+
     if (typeof window !== 'undefined') {
-      // 只有在“访问密码”模式下才更新访问密码本身，
-      // 切换到“本地配置”模式时保留之前保存的访问密码
-      if (usePassword) {
-        localStorage.setItem(
-          'smart-diagram-access-password',
-          password,
-        );
+      configService.setHistorySettings(historySettings);
+      // 访问密码只在登录时发送，不再保存；切换到“本地配置”模式时保留会话
+      if (usePassword && selectedRemoteId) {
+        configService.setSelectedRemoteConfig(selectedRemoteId);
       }
       localStorage.setItem(
         'smart-diagram-use-password',
@@ -182,8 +223,11 @@ export default function CombinedSettingsModal({
                   </span>
                 </div>
               </div>
-              {!usePassword && currentConfig && (
-                <div className="text-xs px-2.5 py-1 rounded-md bg-white/60 border border-blue-200 text-blue-800 font-medium">
+              {currentConfig && (
+                <div className={cn(
+                  "text-xs px-2.5 py-1 rounded-md bg-white/60 border font-medium",
+                  usePassword ? "border-emerald-200 text-emerald-800" : "border-blue-200 text-blue-800"
+                )}>
                   {currentConfig.name || currentConfig.type}
                 </div>
               )}
@@ -239,7 +283,7 @@ export default function CombinedSettingsModal({
                 // 访问密码模式内容
                 <div className="animate-in fade-in slide-in-from-right-2 duration-300 space-y-4">
                   <div className="text-sm text-zinc-600 leading-relaxed">
-                    输入访问密码以使用服务器预设的 AI 能力。无需配置 API Key。
+                    输入访问密码或管理员分配的个人令牌，以使用服务器预设的 AI 能力。无需配置 API Key。
                   </div>
                   <div className="flex gap-2">
                     <div className="relative flex-1 group">
@@ -249,7 +293,7 @@ export default function CombinedSettingsModal({
                         value={password}
                         autoComplete="new-password"
                         onChange={(e) => setPassword(e.target.value)}
-                        placeholder="输入访问密码"
+                        placeholder="输入访问密码或个人令牌"
                         className="w-full pl-9 pr-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white"
                         onKeyDown={(e) => e.key === 'Enter' && handleValidate()}
                       />
@@ -262,10 +306,94 @@ export default function CombinedSettingsModal({
                       {isValidating ? <Loader2 className="w-4 h-4 animate-spin" /> : '验证'}
                     </button>
                   </div>
+
+                  {session && (
+                    <div className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-zinc-50 border border-zinc-100 text-xs text-zinc-600">
+                      <span className="truncate">
+                        已登录{session.principal?.kind === 'token' ? `（${session.principal.name}）` : ''}，
+                        会话有效期至 {new Date(session.expiresAt).toLocaleString()}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={handleLogout}
+                        className="flex items-center gap-1 text-zinc-500 hover:text-red-600 transition-colors shrink-0"
+                      >
+                        <LogOut className="w-3.5 h-3.5" />
+                        退出登录
+                      </button>
+                    </div>
+                  )}
+
+                  {/* 服务端提供的模型配置 */}
+                  {remoteConfigs.length > 0 && (
+                    <div className="space-y-2">
+                      <div className="text-xs font-medium text-zinc-500">服务器模型</div>
+                      <div className="space-y-1.5 max-h-48 overflow-y-auto">
+                        {remoteConfigs.map((config) => {
+                          const selected = config.id
+                            ? config.id === selectedRemoteId
+                            : remoteConfigs.length === 1;
+                          return (
+                            <button
+                              key={config.id || config.name}
+                              type="button"
+                              onClick={() => setSelectedRemoteId(config.id || null)}
+                              className={cn(
+                                "w-full flex items-start gap-3 px-3 py-2 rounded-lg border text-left transition-colors",
+                                selected
+                                  ? "border-emerald-300 bg-emerald-50/60"
+                                  : "border-zinc-200 bg-white hover:border-zinc-300"
+                              )}
+                            >
+                              <span className={cn(
+                                "mt-1 w-3 h-3 rounded-full border shrink-0",
+                                selected ? "border-emerald-500 bg-emerald-500" : "border-zinc-300"
+                              )} />
+                              <span className="flex flex-col min-w-0">
+                                <span className="text-sm font-medium text-zinc-800 truncate">{config.name}</span>
+                                <span className="text-xs text-zinc-500 truncate">
+                                  {config.description || `${config.type} · ${config.model || config.deployment || ''}`}
+                                </span>
+                              </span>
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
                 </div>
               )}
             </div>
 
+            {/* 4. 对话历史（两种模式通用） */}
+            <div className="space-y-2 border-t border-zinc-100 pt-4">
+              <div className="text-xs font-medium text-zinc-500">对话历史</div>
+              <div className="grid grid-cols-2 gap-3">
+                {[
+                  { key: 'budgetTokens', label: '历史预算', placeholder: `自动（最多 ${DEFAULT_HISTORY_BUDGET}）` },
+                  { key: 'reserveOutputTokens', label: '预留输出', placeholder: '自动（取 Max Tokens）' },
+                ].map((field) => (
+                  <div key={field.key}>
+                    <label className="block text-xs text-zinc-500 mb-1.5">
+                      {field.label} <span className="text-zinc-400">（tokens）</span>
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={historyInput[field.key]}
+                      onChange={(e) => setHistoryInput({ ...historyInput, [field.key]: e.target.value })}
+                      placeholder={field.placeholder}
+                      className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white font-mono"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-[11px] text-zinc-400 leading-relaxed">
+                发送时按模型上下文窗口扣除预留输出后选取历史：始终保留最新的图表代码，更早的代码省略，放不下的较早需求压缩为摘要。
+              </p>
+            </div>
+
             {/* 反馈消息 */}
             {message && (
               <div className={cn(
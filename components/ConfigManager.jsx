@@ -1,15 +1,48 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { Plus, Download, Upload, CheckCircle2, Activity, Pencil, Copy, Trash2, X, Search, Loader2, Server, Key, Bot, Box } from 'lucide-react';
+import { Plus, Download, Upload, CheckCircle2, Activity, Pencil, Copy, Trash2, X, Search, Loader2, Server, Key, Bot, Box, Layers, ArrowUp } from 'lucide-react';
 import { configManager } from '../lib/config-manager.js';
 import Notification from './Notification';
 import ConfirmDialog from './ConfirmDialog';
 import { cn } from '@/lib/utils';
+import { requiresApiKey, AZURE_DEFAULT_API_VERSION, ANTHROPIC_DEFAULT_THINKING_BUDGET } from '@/lib/constants';
+import { getModelPricing } from '@/lib/usage';
+import { getModelCapabilities } from '@/lib/model-capabilities';
+import { formatKeyValueLines, parseKeyValueLines } from '@/lib/custom-request';
+
+// 能力覆盖的三态选项：auto 表示使用自动检测的值
+const CAPABILITY_TOGGLE_OPTIONS = [
+  { value: 'auto', label: '自动' },
+  { value: 'yes', label: '支持' },
+  { value: 'no', label: '不支持' },
+];
+
+function toToggleValue(value) {
+  if (value === true) return 'yes';
+  if (value === false) return 'no';
+  return 'auto';
+}
+
+function fromToggleValue(value) {
+  if (value === 'yes') return true;
+  if (value === 'no') return false;
+  return undefined;
+}
+
+const BASE_URL_PLACEHOLDERS = {
+  openai: 'https://api.openai.com/v1',
+  'azure-openai': 'https://your-resource.openai.azure.com',
+  anthropic: 'https://api.anthropic.com/v1',
+  gemini: 'https://generativelanguage.googleapis.com/v1beta',
+  ollama: 'http://localhost:11434',
+  mock: 'mock://local?delay=20',
+};
 
 export default function ConfigManager({ isOpen, onClose, onConfigSelect }) {
   const [configs, setConfigs] = useState([]);
   const [activeConfigId, setActiveConfigId] = useState(null);
+  const [fallbackIds, setFallbackIds] = useState([]);
   const [editingConfig, setEditingConfig] = useState(null);
   const [isCreating, setIsCreating] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
@@ -40,6 +73,7 @@ export default function ConfigManager({ isOpen, onClose, onConfigSelect }) {
       const activeId = configManager.getActiveConfigId();
       setConfigs(allConfigs);
       setActiveConfigId(activeId);
+      setFallbackIds(configManager.getFallbackConfigIds());
     } catch (err) {
       setError('加载配置失败: ' + err.message);
     }
@@ -114,6 +148,25 @@ export default function ConfigManager({ isOpen, onClose, onConfigSelect }) {
     }
   };
 
+  // 加入 / 移出备用链：主配置请求失败（429 / 5xx）时按顺序尝试
+  const handleToggleFallback = (configId) => {
+    try {
+      setFallbackIds(configManager.toggleFallbackConfig(configId));
+      setError('');
+    } catch (err) {
+      setError('更新备用配置失败: ' + err.message);
+    }
+  };
+
+  const handleMoveFallbackUp = (configId) => {
+    try {
+      setFallbackIds(configManager.moveFallbackConfig(configId, -1));
+      setError('');
+    } catch (err) {
+      setError('调整备用顺序失败: ' + err.message);
+    }
+  };
+
   const handleTestConnection = async (config) => {
     setIsLoading(true);
     setError('');
@@ -308,6 +361,11 @@ export default function ConfigManager({ isOpen, onClose, onConfigSelect }) {
             ) : (
               configs.map((config) => {
                 const isActive = config.id === activeConfigId;
+                // 备用顺序只计算非当前配置
+                const fallbackOrder = fallbackIds
+                  .filter((id) => id !== activeConfigId)
+                  .indexOf(config.id);
+                const isFallback = !isActive && fallbackOrder !== -1;
                 return (
                   <div
                     key={config.id}
@@ -332,6 +390,11 @@ export default function ConfigManager({ isOpen, onClose, onConfigSelect }) {
                             {config.type}
                           </span>
                         )}
+                        {isFallback && (
+                          <span className="inline-flex items-center gap-1 px-2 py-0.5 text-[10px] font-medium bg-sky-50 text-sky-600 rounded-full border border-sky-100">
+                            <Layers className="w-3 h-3" /> 备用 #{fallbackOrder + 1}
+                          </span>
+                        )}
                       </div>
                       {config.description && (
                         <p className="text-sm text-zinc-500 mb-2 line-clamp-1">{config.description}</p>
@@ -359,6 +422,29 @@ export default function ConfigManager({ isOpen, onClose, onConfigSelect }) {
                           <CheckCircle2 className="w-4 h-4" />
                         </button>
                       )}
+                      {isFallback && fallbackOrder > 0 && (
+                        <button
+                          onClick={() => handleMoveFallbackUp(config.id)}
+                          title="提前备用顺序"
+                          className="p-2 rounded-lg text-zinc-400 hover:text-sky-600 hover:bg-sky-50 transition-colors"
+                        >
+                          <ArrowUp className="w-4 h-4" />
+                        </button>
+                      )}
+                      {!isActive && (
+                        <button
+                          onClick={() => handleToggleFallback(config.id)}
+                          title={isFallback ? '移出备用链' : '加入备用链'}
+                          className={cn(
+                            "p-2 rounded-lg transition-colors",
+                            isFallback
+                              ? "text-sky-600 bg-sky-50 hover:bg-sky-100"
+                              : "text-zinc-400 hover:text-sky-600 hover:bg-sky-50"
+                          )}
+                        >
+                          <Layers className="w-4 h-4" />
+                        </button>
+                      )}
                       {/* <button
                         onClick={() => handleTestConnection(config)}
                         disabled={isLoading}
@@ -432,6 +518,39 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
   const [loading, setLoading] = useState(false);
   const [useCustomModel, setUseCustomModel] = useState(true);
   const [error, setError] = useState('');
+  // 价格输入以字符串保存，保存时再转换为数字
+  const [priceInput, setPriceInput] = useState({
+    input: config.pricing?.input ?? '',
+    output: config.pricing?.output ?? '',
+  });
+  const defaultPricing = getModelPricing(formData.model);
+  // 生成参数同样以字符串编辑，stop 每行一个
+  const [paramInput, setParamInput] = useState({
+    temperature: config.params?.temperature ?? '',
+    maxTokens: config.params?.maxTokens ?? '',
+    topP: config.params?.topP ?? '',
+    stop: (config.params?.stop || []).join('\n'),
+    thinkingEnabled: !!config.thinking?.enabled,
+    thinkingBudget: config.thinking?.budgetTokens ?? '',
+  });
+  // 模型能力覆盖：布尔项为三态，数值项以字符串编辑
+  const [capabilityInput, setCapabilityInput] = useState({
+    vision: toToggleValue(config.capabilities?.vision),
+    reasoning: toToggleValue(config.capabilities?.reasoning),
+    contextWindow: config.capabilities?.contextWindow ?? '',
+    maxOutputTokens: config.capabilities?.maxOutputTokens ?? '',
+  });
+  // 自定义请求头每行 "名称: 值"，查询参数每行 "名称=值"
+  const [requestInput, setRequestInput] = useState({
+    headers: formatKeyValueLines(config.headers, ':'),
+    queryParams: formatKeyValueLines(config.queryParams, '='),
+  });
+  // 当前模型自动检测到的能力：加载过模型列表时使用服务商报告的值，否则沿用配置中缓存的值
+  const listedModel = models.find((m) => m.id === formData.model);
+  const reportedCapabilities = listedModel
+    ? listedModel.capabilities
+    : formData.model === config.model ? config.modelCapabilities : undefined;
+  const detectedCapabilities = getModelCapabilities(formData.model, { modelCapabilities: reportedCapabilities });
 
   useEffect(() => {
     if (formData.model) {
@@ -445,7 +564,7 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
   }, [models, formData.model]);
 
   const handleLoadModels = async () => {
-    if (!formData.type || !formData.baseUrl || !formData.apiKey) {
+    if (!formData.type || !formData.baseUrl || (!formData.apiKey && requiresApiKey(formData.type))) {
       setError('请先填写提供商类型、基础 URL 和 API 密钥');
       return;
     }
@@ -457,8 +576,18 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
       const params = new URLSearchParams({
         type: formData.type,
         baseUrl: formData.baseUrl,
-        apiKey: formData.apiKey,
+        apiKey: formData.apiKey || '',
       });
+      if (formData.apiVersion) {
+        params.set('apiVersion', formData.apiVersion);
+      }
+      const custom = parseCustomRequestInput();
+      if (custom.error) {
+        throw new Error(custom.error);
+      }
+      if (custom.headers) params.set('headers', JSON.stringify(custom.headers));
+      if (custom.queryParams) params.set('queryParams', JSON.stringify(custom.queryParams));
+      if (formData.allowAuthHeaderOverride) params.set('allowAuthHeaderOverride', '1');
 
       const response = await fetch(`/api/models?${params}`);
       const data = await response.json();
@@ -476,13 +605,79 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
     }
   };
 
+  const parseCustomRequestInput = () => {
+    const headers = parseKeyValueLines(requestInput.headers, ':');
+    if (headers.invalidLine) return { error: `请求头格式应为"名称: 值"：${headers.invalidLine}` };
+    const queryParams = parseKeyValueLines(requestInput.queryParams, '=');
+    if (queryParams.invalidLine) return { error: `查询参数格式应为"名称=值"：${queryParams.invalidLine}` };
+    return { headers: headers.entries, queryParams: queryParams.entries };
+  };
+
   const handleSave = () => {
-    if (!formData.name || !formData.type || !formData.baseUrl || !formData.apiKey || !formData.model) {
+    if (!formData.name || !formData.type || !formData.baseUrl || !formData.model ||
+      (!formData.apiKey && requiresApiKey(formData.type)) ||
+      (formData.type === 'azure-openai' && !formData.deployment)) {
       setError('请填写所有必填字段');
       return;
     }
 
-    onSave(formData);
+    // 数值字段的合法性统一交给 validateConfig 校验
+    const pricing = {};
+    for (const key of ['input', 'output']) {
+      const raw = String(priceInput[key]).trim();
+      if (raw) pricing[key] = Number(raw);
+    }
+
+    const params = {};
+    for (const key of ['temperature', 'maxTokens', 'topP']) {
+      const raw = String(paramInput[key]).trim();
+      if (raw) params[key] = Number(raw);
+    }
+    const stop = paramInput.stop.split('\n').filter((item) => item.trim());
+    if (stop.length > 0) params.stop = stop;
+
+    // 扩展思考仅对 Anthropic 生效
+    let thinking;
+    if (formData.type === 'anthropic' && paramInput.thinkingEnabled) {
+      const rawBudget = String(paramInput.thinkingBudget).trim();
+      thinking = rawBudget ? { enabled: true, budgetTokens: Number(rawBudget) } : { enabled: true };
+    }
+
+    const capabilities = {};
+    for (const key of ['vision', 'reasoning']) {
+      const value = fromToggleValue(capabilityInput[key]);
+      if (value !== undefined) capabilities[key] = value;
+    }
+    for (const key of ['contextWindow', 'maxOutputTokens']) {
+      const raw = String(capabilityInput[key]).trim();
+      if (raw) capabilities[key] = Number(raw);
+    }
+
+    const custom = parseCustomRequestInput();
+    if (custom.error) {
+      setError(custom.error);
+      return;
+    }
+
+    const nextConfig = {
+      ...formData,
+      headers: custom.headers,
+      queryParams: custom.queryParams,
+      pricing: Object.keys(pricing).length > 0 ? pricing : undefined,
+      params: Object.keys(params).length > 0 ? params : undefined,
+      thinking,
+      capabilities: Object.keys(capabilities).length > 0 ? capabilities : undefined,
+      // 缓存服务商报告的能力，避免每次使用前重新加载模型列表
+      modelCapabilities: reportedCapabilities,
+    };
+
+    const validation = configManager.validateConfig(nextConfig);
+    if (!validation.isValid) {
+      setError(validation.errors[0]);
+      return;
+    }
+
+    onSave(nextConfig);
   };
 
   return (
@@ -554,11 +749,21 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
                     <div className="relative">
                         <select
                         value={formData.type}
-                        onChange={(e) => setFormData({ ...formData, type: e.target.value, model: '' })}
+                        onChange={(e) => {
+                          const type = e.target.value;
+                          // Mock 无需真实地址，直接填入可用的默认值
+                          setFormData(type === 'mock'
+                            ? { ...formData, type, baseUrl: formData.baseUrl || 'mock://local', model: 'auto' }
+                            : { ...formData, type, model: '' });
+                        }}
                         className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white appearance-none"
                         >
                         <option value="openai">OpenAI (或兼容)</option>
+                        <option value="azure-openai">Azure OpenAI</option>
                         <option value="anthropic">Anthropic</option>
+                        <option value="gemini">Google Gemini</option>
+                        <option value="ollama">Ollama (本地模型)</option>
+                        <option value="mock">Mock (离线测试)</option>
                         </select>
                         <div className="absolute right-3 top-2.5 pointer-events-none text-zinc-400">
                             <Bot className="w-4 h-4" />
@@ -576,7 +781,7 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
                         type="text"
                         value={formData.baseUrl}
                         onChange={(e) => setFormData({ ...formData, baseUrl: e.target.value })}
-                        placeholder={formData.type === 'openai' ? 'https://api.openai.com/v1' : 'https://api.anthropic.com/v1'}
+                        placeholder={BASE_URL_PLACEHOLDERS[formData.type] || BASE_URL_PLACEHOLDERS.openai}
                         className="w-full pl-9 pr-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white"
                         />
                     </div>
@@ -584,7 +789,7 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
 
                 <div>
                     <label className="block text-xs font-medium text-zinc-500 mb-1.5">
-                    API 密钥 <span className="text-red-500">*</span>
+                    API 密钥 {requiresApiKey(formData.type) ? <span className="text-red-500">*</span> : <span className="text-zinc-400">（可选）</span>}
                     </label>
                     <div className="relative group">
                         <Key className="absolute left-3 top-2.5 w-4 h-4 text-zinc-400 group-focus-within:text-zinc-600 transition-colors" />
@@ -592,11 +797,40 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
                         type="password"
                         value={formData.apiKey}
                         onChange={(e) => setFormData({ ...formData, apiKey: e.target.value })}
-                        placeholder="sk-..."
+                        placeholder={requiresApiKey(formData.type) ? 'sk-...' : '本地部署无需填写'}
                         className="w-full pl-9 pr-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white font-mono"
                         />
                     </div>
                 </div>
+
+                {formData.type === 'azure-openai' && (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                        部署名称 <span className="text-red-500">*</span>
+                        </label>
+                        <input
+                        type="text"
+                        value={formData.deployment || ''}
+                        onChange={(e) => setFormData({ ...formData, deployment: e.target.value })}
+                        placeholder="例如：gpt-4o-prod"
+                        className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white font-mono"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                        API 版本
+                        </label>
+                        <input
+                        type="text"
+                        value={formData.apiVersion || ''}
+                        onChange={(e) => setFormData({ ...formData, apiVersion: e.target.value })}
+                        placeholder={AZURE_DEFAULT_API_VERSION}
+                        className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white font-mono"
+                        />
+                    </div>
+                  </div>
+                )}
             </div>
 
             {/* Model Selection */}
@@ -669,11 +903,231 @@ function ConfigEditor({ config, isCreating, onSave, onCancel }) {
                         type="text"
                         value={formData.model}
                         onChange={(e) => setFormData({ ...formData, model: e.target.value })}
-                        placeholder="例如：gpt-4、claude-3-opus-20240229"
+                        placeholder="例如：gpt-4、claude-3-opus-20240229、gemini-2.5-pro、qwen2.5:14b"
                         className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white"
                     />
                     )}
                 </div>
+
+                <div>
+                    <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                    模型价格 <span className="text-zinc-400">（美元 / 百万 tokens，用于估算费用，留空使用内置价格表）</span>
+                    </label>
+                    <div className="grid grid-cols-2 gap-3">
+                        {['input', 'output'].map((key) => (
+                          <input
+                          key={key}
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={priceInput[key]}
+                          onChange={(e) => setPriceInput({ ...priceInput, [key]: e.target.value })}
+                          placeholder={`${key === 'input' ? '输入' : '输出'}${defaultPricing ? `（默认 ${defaultPricing[key]}）` : '（未知）'}`}
+                          className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white font-mono"
+                          />
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            {/* Generation Params */}
+            <div className="space-y-4 border-t border-zinc-100 pt-4">
+                <h3 className="text-xs font-semibold text-zinc-900 uppercase tracking-wider px-1">
+                  生成参数 <span className="normal-case font-normal text-zinc-400">（可选，留空使用服务商默认值）</span>
+                </h3>
+                <div className="grid grid-cols-3 gap-3">
+                    {[
+                      { key: 'temperature', label: 'Temperature', placeholder: '0 - 2', step: '0.1' },
+                      { key: 'maxTokens', label: 'Max Tokens', placeholder: '如 8192', step: '1' },
+                      { key: 'topP', label: 'Top P', placeholder: '0 - 1', step: '0.05' },
+                    ].map((field) => (
+                      <div key={field.key}>
+                          <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                          {field.label}
+                          </label>
+                          <input
+                          type="number"
+                          min="0"
+                          step={field.step}
+                          value={paramInput[field.key]}
+                          onChange={(e) => setParamInput({ ...paramInput, [field.key]: e.target.value })}
+                          placeholder={field.placeholder}
+                          className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white font-mono"
+                          />
+                      </div>
+                    ))}
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                    停止序列 <span className="text-zinc-400">（每行一个，最多 4 个）</span>
+                    </label>
+                    <textarea
+                    value={paramInput.stop}
+                    onChange={(e) => setParamInput({ ...paramInput, stop: e.target.value })}
+                    rows={2}
+                    className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white resize-none font-mono"
+                    />
+                </div>
+
+                <div>
+                    <label className="flex items-center gap-2 text-xs font-medium text-zinc-600 py-1 cursor-pointer">
+                        <input
+                        type="checkbox"
+                        checked={formData.generationMode === 'tool'}
+                        onChange={(e) => setFormData({ ...formData, generationMode: e.target.checked ? 'tool' : undefined })}
+                        className="rounded border-zinc-300"
+                        />
+                        工具调用模式（emit_diagram）
+                    </label>
+                    <p className="text-[11px] text-zinc-400">
+                    模型通过函数调用返回结构化的节点与连线，再转换为图表代码，适合容易输出格式错误代码的模型；需要模型支持工具调用。
+                    </p>
+                </div>
+
+                <div>
+                    <label className="flex items-center gap-2 text-xs font-medium text-zinc-600 py-1 cursor-pointer">
+                        <input
+                        type="checkbox"
+                        checked={formData.promptCaching === true}
+                        onChange={(e) => setFormData({ ...formData, promptCaching: e.target.checked || undefined })}
+                        className="rounded border-zinc-300"
+                        />
+                        提示词缓存
+                    </label>
+                    <p className="text-[11px] text-zinc-400">
+                    将 system 提示词与不变的历史前缀标记为可缓存，连续修改同一图表时减少输入费用与延迟。Anthropic 使用 cache_control（写入缓存按 1.25 倍输入计费），OpenAI 附带 prompt_cache_key；命中缓存的 token 数会显示在用量中。
+                    </p>
+                </div>
+
+                {formData.type === 'anthropic' && (
+                  <div className="grid grid-cols-2 gap-3 items-end">
+                    <label className="flex items-center gap-2 text-xs font-medium text-zinc-600 py-2 cursor-pointer">
+                        <input
+                        type="checkbox"
+                        checked={paramInput.thinkingEnabled}
+                        onChange={(e) => setParamInput({ ...paramInput, thinkingEnabled: e.target.checked })}
+                        className="rounded border-zinc-300"
+                        />
+                        启用扩展思考（Extended Thinking）
+                    </label>
+                    <div>
+                        <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                        思考预算 <span className="text-zinc-400">（tokens）</span>
+                        </label>
+                        <input
+                        type="number"
+                        min="1024"
+                        step="1"
+                        value={paramInput.thinkingBudget}
+                        disabled={!paramInput.thinkingEnabled}
+                        onChange={(e) => setParamInput({ ...paramInput, thinkingBudget: e.target.value })}
+                        placeholder={String(ANTHROPIC_DEFAULT_THINKING_BUDGET)}
+                        className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white font-mono disabled:opacity-50"
+                        />
+                    </div>
+                    <p className="col-span-2 text-[11px] text-zinc-400">
+                    开启后思考过程会在对话中单独展示；Anthropic 要求此时不设置 Temperature / Top P，将自动忽略。
+                    </p>
+                  </div>
+                )}
+            </div>
+
+            {/* Model Capabilities */}
+            <div className="space-y-4 border-t border-zinc-100 pt-4">
+                <h3 className="text-xs font-semibold text-zinc-900 uppercase tracking-wider px-1">
+                  模型能力 <span className="normal-case font-normal text-zinc-400">（默认自动检测，识别有误时可手动覆盖）</span>
+                </h3>
+                <div className="grid grid-cols-2 gap-3">
+                    {[
+                      { key: 'vision', label: '图片输入' },
+                      { key: 'reasoning', label: '推理模型' },
+                    ].map((field) => (
+                      <div key={field.key}>
+                          <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                          {field.label}
+                          <span className="text-zinc-400">
+                            （检测：{detectedCapabilities[field.key] === null ? '未知' : detectedCapabilities[field.key] ? '支持' : '不支持'}）
+                          </span>
+                          </label>
+                          <select
+                          value={capabilityInput[field.key]}
+                          onChange={(e) => setCapabilityInput({ ...capabilityInput, [field.key]: e.target.value })}
+                          className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white"
+                          >
+                            {CAPABILITY_TOGGLE_OPTIONS.map((option) => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                      </div>
+                    ))}
+                    {[
+                      { key: 'contextWindow', label: '上下文窗口' },
+                      { key: 'maxOutputTokens', label: '最大输出' },
+                    ].map((field) => (
+                      <div key={field.key}>
+                          <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                          {field.label} <span className="text-zinc-400">（tokens）</span>
+                          </label>
+                          <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={capabilityInput[field.key]}
+                          onChange={(e) => setCapabilityInput({ ...capabilityInput, [field.key]: e.target.value })}
+                          placeholder={detectedCapabilities[field.key] ? `默认 ${detectedCapabilities[field.key]}` : '未知'}
+                          className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white font-mono"
+                          />
+                      </div>
+                    ))}
+                </div>
+                <p className="text-[11px] text-zinc-400 px-1">
+                不支持图片输入的模型会在发送图片前提示；Max Tokens 超过最大输出时会自动下调。
+                </p>
+            </div>
+
+            {/* Custom Request */}
+            <div className="space-y-4 border-t border-zinc-100 pt-4">
+                <h3 className="text-xs font-semibold text-zinc-900 uppercase tracking-wider px-1">
+                  自定义请求 <span className="normal-case font-normal text-zinc-400">（网关或代理需要的额外请求头与参数）</span>
+                </h3>
+                <div>
+                    <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                    请求头 <span className="text-zinc-400">（每行一个，名称: 值）</span>
+                    </label>
+                    <textarea
+                    value={requestInput.headers}
+                    onChange={(e) => setRequestInput({ ...requestInput, headers: e.target.value })}
+                    placeholder={'HTTP-Referer: https://example.com\nX-Title: Smart Diagram'}
+                    rows={2}
+                    className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white resize-none font-mono"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-zinc-500 mb-1.5">
+                    查询参数 <span className="text-zinc-400">（每行一个，名称=值）</span>
+                    </label>
+                    <textarea
+                    value={requestInput.queryParams}
+                    onChange={(e) => setRequestInput({ ...requestInput, queryParams: e.target.value })}
+                    placeholder="tenant=acme"
+                    rows={2}
+                    className="w-full px-3 py-2 text-sm border border-zinc-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-zinc-900/10 focus:border-zinc-900 transition-all bg-white resize-none font-mono"
+                    />
+                </div>
+                <div>
+                    <label className="flex items-center gap-2 text-xs font-medium text-zinc-600 py-1 cursor-pointer">
+                        <input
+                        type="checkbox"
+                        checked={formData.allowAuthHeaderOverride === true}
+                        onChange={(e) => setFormData({ ...formData, allowAuthHeaderOverride: e.target.checked || undefined })}
+                        className="rounded border-zinc-300"
+                        />
+                        允许覆盖认证请求头
+                    </label>
+                    <p className="text-[11px] text-zinc-400">
+                    默认不允许自定义 Authorization、x-api-key、api-key、x-goog-api-key 以及 key 等认证参数；代理使用自己的令牌时才需要勾选。
+                    </p>
+                </div>
             </div>
           </div>
         </div>
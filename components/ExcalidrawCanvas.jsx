@@ -17,13 +17,20 @@ const getConvertFunction = async () => {
   return excalidrawModule.convertToExcalidrawElements;
 };
 
-export default function ExcalidrawCanvas({ elements, onChange, showNotification }) {
+export default function ExcalidrawCanvas({ elements, onChange, showNotification, isStreaming = false }) {
   const [convertToExcalidrawElements, setConvertFunction] = useState(null);
   const [excalidrawAPI, setExcalidrawAPI] = useState(null);
   const lastSceneVersionRef = useRef(0);
   const skipProgrammaticChangeRef = useRef(false);
   const onChangeRef = useRef(onChange);
   const excalidrawAPIRef = useRef(null);
+  const isStreamingRef = useRef(isStreaming);
+  const mountedKeyRef = useRef(null);
+
+  // Keep streaming flag ref up to date
+  useEffect(() => {
+    isStreamingRef.current = isStreaming;
+  }, [isStreaming]);
 
   // Keep onChange ref up to date
   useEffect(() => {
@@ -77,8 +84,9 @@ export default function ExcalidrawCanvas({ elements, onChange, showNotification
   }, [elements, convertToExcalidrawElements]);
 
   // Notify user when conversion fails (side-effect after render)
+  // Partial elements while streaming are expected to fail sometimes, the final code will replace them
   useEffect(() => {
-    if (conversionError && showNotification) {
+    if (conversionError && showNotification && !isStreamingRef.current) {
       showNotification({
         title: '画布解析失败',
         message: '生成的绘图代码解析时出现问题，请在聊天消息中点击「重新生成」后重试。',
@@ -94,7 +102,7 @@ export default function ExcalidrawCanvas({ elements, onChange, showNotification
       setTimeout(() => {
         excalidrawAPI.scrollToContent(convertedElements, {
           fitToContent: true,
-          animate: true,
+          animate: !isStreamingRef.current,
           duration: 300,
         });
       }, 100);
@@ -109,11 +117,24 @@ export default function ExcalidrawCanvas({ elements, onChange, showNotification
   }, [convertedElements]);
 
   // Generate unique key when elements change to force remount
+  // While streaming the key stays fixed so that the preview updates the scene in place instead of remounting
   const canvasKey = useMemo(() => {
+    if (isStreaming) return 'streaming';
     if (convertedElements.length === 0) return 'empty';
     // Create a hash from elements to detect changes
     return JSON.stringify(convertedElements.map(el => el.id)).slice(0, 50);
-  }, [convertedElements]);
+  }, [convertedElements, isStreaming]);
+
+  // Same key but different elements (streaming preview, or ids sharing the hashed prefix): update the mounted scene
+  useEffect(() => {
+    if (!excalidrawAPI) return;
+    if (mountedKeyRef.current !== canvasKey) {
+      // Freshly mounted with these elements as initialData
+      mountedKeyRef.current = canvasKey;
+      return;
+    }
+    excalidrawAPI.updateScene({ elements: convertedElements });
+  }, [excalidrawAPI, canvasKey, convertedElements]);
 
   // Handle changes from Excalidraw - delegate to parent
   const handleChange = useCallback((nextElements, appState, files) => {
@@ -123,6 +144,12 @@ export default function ExcalidrawCanvas({ elements, onChange, showNotification
 
     const currentVersion = getSceneVersion(nextElements);
 
+    // Preview elements are not user edits, don't write them back to the code editor
+    if (isStreamingRef.current) {
+      lastSceneVersionRef.current = currentVersion;
+      return;
+    }
+
     if (skipProgrammaticChangeRef.current) {
       skipProgrammaticChangeRef.current = false;
       lastSceneVersionRef.current = currentVersion;
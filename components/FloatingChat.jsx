@@ -1,12 +1,13 @@
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
-import { WandSparkles, Send, Plus, Image as ImageIcon, Bot, MessageSquarePlus, Minimize2, Copy, Check, Code2, X as XIcon, FileText, CheckCircle2, ChevronDown, SquareMousePointer, Clock, MoveUp, RefreshCw } from 'lucide-react';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { WandSparkles, Send, Plus, Image as ImageIcon, Bot, MessageSquarePlus, Minimize2, Copy, Check, Code2, X as XIcon, FileText, CheckCircle2, ChevronDown, SquareMousePointer, Clock, MoveUp, RefreshCw, Square, Brain, ChevronRight, Route } from 'lucide-react';
 import { Button } from '@/components/ui/Button.jsx';
 import { Textarea } from '@/components/ui/textarea';
 import { ScrollArea } from '@/components/ui/scroll-area';
 import { Card } from '@/components/ui/card';
 import { cn } from '@/lib/utils';
+import { sumUsage, formatTokens, formatCost } from '@/lib/usage';
 
 // Small helper to trigger <input type="file" multiple accept="image/*">
 function ImagePicker({ onPick, children }) {
@@ -53,6 +54,53 @@ function TextFilePicker({ onPick, children }) {
   );
 }
 
+/**
+ * 实际应答的配置标签（经故障转移由备用配置应答时高亮）
+ */
+function AnsweredByBadge({ answeredBy }) {
+  const label = answeredBy?.name || answeredBy?.model;
+  if (!label) return null;
+  return (
+    <span
+      className={cn(
+        'text-[10px] px-1.5 py-0.5 rounded border truncate max-w-[160px]',
+        answeredBy.fallback
+          ? 'bg-sky-50 text-sky-600 border-sky-100'
+          : 'bg-zinc-50 text-zinc-400 border-zinc-100'
+      )}
+      title={answeredBy.model ? `模型：${answeredBy.model}` : undefined}
+    >
+      {answeredBy.fallback ? `备用 · ${label}` : label}
+    </span>
+  );
+}
+
+/**
+ * 输入中读写缓存的部分，如"（其中缓存命中 1200，写入缓存 300）"
+ */
+function formatCacheUsage(usage) {
+  const parts = [];
+  if (usage.cacheReadTokens) parts.push(`缓存命中 ${usage.cacheReadTokens}`);
+  if (usage.cacheWriteTokens) parts.push(`写入缓存 ${usage.cacheWriteTokens}`);
+  return parts.length > 0 ? `（其中${parts.join('，')}）` : '';
+}
+
+/**
+ * 单条消息的 token 用量与估算费用
+ */
+function UsageBadge({ usage }) {
+  if (!usage) return null;
+  const cost = formatCost(usage.cost);
+  return (
+    <span
+      className="text-[10px] px-1.5 py-0.5 rounded border bg-zinc-50 text-zinc-400 border-zinc-100 font-mono"
+      title={`输入 ${usage.inputTokens || 0} tokens${formatCacheUsage(usage)}，输出 ${usage.outputTokens || 0} tokens${cost ? `，约 ${cost}` : ''}`}
+    >
+      ↑{formatTokens(usage.inputTokens)}{usage.cacheReadTokens ? ` (缓存 ${formatTokens(usage.cacheReadTokens)})` : ''} ↓{formatTokens(usage.outputTokens)}{cost ? ` · ${cost}` : ''}
+    </span>
+  );
+}
+
 export default function FloatingChat({
   engineType = 'drawio', // ✨ v6.0: 当前引擎类型
   onEngineSwitch, // ✨ v6.0: 引擎切换回调
@@ -60,6 +108,7 @@ export default function FloatingChat({
   isGenerating,
   messages = [],
   streamingContent = '', // ✨ 流式生成中的内容
+  streamingReasoning = '', // 流式生成中的模型思考过程
   onFileUpload,
   onImageUpload,
   onNewChat,
@@ -68,10 +117,15 @@ export default function FloatingChat({
   conversationId,
   onOpenHistory,
   onRetryMessage,
+  onStopGenerating, // 停止当前生成
+  modelCapabilities, // 当前模型能力（vision 为 false 时禁止发送图片）
 }) {
   const [isOpen, setIsOpen] = useState(true);
   const panelRef = useRef(null);
 
+  // 当前对话累计 token 用量
+  const usageTotal = useMemo(() => sumUsage(messages), [messages]);
+
   // ✨ 收起按钮的可拖拽位置状态
   const [collapsedY, setCollapsedY] = useState(() => {
     // 从 localStorage 读取保存的位置，默认 168px (top-42 = 10.5rem = 168px)
@@ -89,6 +143,13 @@ export default function FloatingChat({
   const [images, setImages] = useState([]); // {file, url, name, type}
   const [files, setFiles] = useState([]); // {file, name, type, size}
   const [chartType, setChartType] = useState('auto');
+  // Excalidraw 箭头避障路由，按次生成生效，默认开启
+  const [routeArrows, setRouteArrows] = useState(() => {
+    if (typeof window !== 'undefined') {
+      return localStorage.getItem('smart-diagram-route-arrows') !== 'false';
+    }
+    return true;
+  });
   const [showTypeMenu, setShowTypeMenu] = useState(false);
   const [showEngineMenu, setShowEngineMenu] = useState(false); // ✨ v6.0: 引擎切换菜单
   const typeMenuRef = useRef(null);
@@ -133,8 +194,12 @@ export default function FloatingChat({
   ];
   const currentTypeLabel = chartTypeOptions.find(o => o.value === chartType)?.label || '自动识别';
 
+  // 已确认当前模型不支持图片输入时阻止发送，能力未知时仅提示
+  const visionBlocked = images.length > 0 && modelCapabilities?.vision === false;
+  const visionUnknown = images.length > 0 && modelCapabilities && modelCapabilities.vision === null;
+
   const handleSend = async () => {
-    if ((input.trim() === '' && images.length === 0 && files.length === 0) || isGenerating) return;
+    if ((input.trim() === '' && images.length === 0 && files.length === 0) || isGenerating || visionBlocked) return;
 
     // Read text files to string
     const readText = (file) => new Promise((resolve) => {
@@ -170,7 +235,7 @@ export default function FloatingChat({
       ...images.map(({ file, type, name }) => ({ file, type, name, kind: 'image', url: URL.createObjectURL(file) })),
       ...files.map(({ file, name, type, size }) => ({ file, name, type, size, kind: 'file' }))
     ];
-    onSendMessage(combinedText, attachments, chartType);
+    onSendMessage(combinedText, attachments, chartType, { routeArrows });
 
     // Clear input and caches
     setInput('');
@@ -202,7 +267,7 @@ export default function FloatingChat({
         bottomRef.current.scrollIntoView({ behavior: 'auto', block: 'end' });
       }
     } catch {}
-  }, [messages, isGenerating, isOpen, shouldStickToBottom, streamingContent]);
+  }, [messages, isGenerating, isOpen, shouldStickToBottom, streamingContent, streamingReasoning]);
 
 
   // Reset input and selected attachments when conversation changes (new chat)
@@ -471,6 +536,15 @@ export default function FloatingChat({
 
         {/* 右侧 - 操作按钮 */}
         <div className="flex items-center gap-1">
+          {usageTotal.count > 0 && (
+            <span
+              className="mr-1 text-[11px] text-zinc-400 font-mono"
+              title={`本次对话累计：输入 ${usageTotal.inputTokens} tokens${formatCacheUsage(usageTotal)}，输出 ${usageTotal.outputTokens} tokens${usageTotal.cost !== null ? `，约 ${formatCost(usageTotal.cost)}` : ''}`}
+            >
+              {formatTokens(usageTotal.inputTokens + usageTotal.outputTokens)} tokens
+              {usageTotal.cost !== null && ` · ${formatCost(usageTotal.cost)}`}
+            </span>
+          )}
           <Button
             variant="ghost"
             size="icon"
@@ -564,7 +638,7 @@ export default function FloatingChat({
                         <button
                           type="button"
                           disabled={isGenerating}
-                          onClick={() => onRetryMessage(idx)}
+                          onClick={() => onRetryMessage(idx, { routeArrows })}
                           className={cn(
                             'mt-1.5 ml-1 inline-flex items-center gap-1.5 text-[11px] text-zinc-400 hover:text-zinc-700 transition-colors px-2 py-1 rounded-md hover:bg-zinc-50',
                             isGenerating ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
@@ -594,7 +668,13 @@ export default function FloatingChat({
                              <WandSparkles className="w-3.5 h-3.5 text-white" />
                          </div>
                          <span className="text-xs font-medium text-zinc-500">AI 生成</span>
+                         {msg.stopped && (
+                           <span className="text-[10px] px-1.5 py-0.5 rounded bg-amber-50 text-amber-600 border border-amber-100">已停止</span>
+                         )}
+                         <AnsweredByBadge answeredBy={msg.answeredBy} />
+                         <UsageBadge usage={msg.usage} />
                       </div>
+                      {msg.reasoning && <ReasoningPanel text={msg.reasoning} />}
                       <CodeBubble
                         codeText={extractCode(msg.content)}
                         onApplyCode={onApplyCode}
@@ -604,7 +684,7 @@ export default function FloatingChat({
                         <button
                           type="button"
                           disabled={isGenerating}
-                          onClick={() => onRetryMessage(idx)}
+                          onClick={() => onRetryMessage(idx, { routeArrows })}
                           className={cn(
                             'ml-1 inline-flex items-center gap-1.5 text-[11px] text-zinc-400 hover:text-zinc-700 transition-colors px-2 py-1 rounded-md hover:bg-zinc-100',
                             isGenerating ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
@@ -626,6 +706,11 @@ export default function FloatingChat({
                         </div>
                       )}
 
+                      {isAssistant && msg.reasoning && (
+                        <div className="mb-2 w-full">
+                          <ReasoningPanel text={msg.reasoning} />
+                        </div>
+                      )}
                       <div className="relative group/bubble">
                         {/* Copy button for user messages */}
                         {isUser && (
@@ -698,11 +783,20 @@ export default function FloatingChat({
                           )}
                         </div>
                       </div>
+                      {isAssistant && (msg.stopped || msg.answeredBy || msg.usage) && (
+                        <div className="mt-1 ml-1 flex items-center gap-1.5">
+                          {msg.stopped && (
+                            <span className="text-[10px] px-1.5 py-0.5 rounded bg-amber-50 text-amber-600 border border-amber-100">已停止</span>
+                          )}
+                          <AnsweredByBadge answeredBy={msg.answeredBy} />
+                          <UsageBadge usage={msg.usage} />
+                        </div>
+                      )}
                       {isAssistant && onRetryMessage && (
                         <button
                           type="button"
                           disabled={isGenerating}
-                          onClick={() => onRetryMessage(idx)}
+                          onClick={() => onRetryMessage(idx, { routeArrows })}
                           className={cn(
                             'mt-1.5 ml-1 inline-flex items-center gap-1.5 text-[11px] text-zinc-400 hover:text-zinc-700 transition-colors px-2 py-1 rounded-md hover:bg-zinc-50',
                             isGenerating ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
@@ -721,6 +815,15 @@ export default function FloatingChat({
           {isGenerating && (
             <div className="flex justify-start w-full animate-in fade-in duration-300">
               <div className="w-full min-w-0">
+                {/* 模型思考过程：与代码分开展示，生成代码后自动折叠 */}
+                {streamingReasoning && (
+                  <div className="mb-2">
+                    <ReasoningPanel
+                      text={streamingReasoning}
+                      streaming={!streamingContent.trim()}
+                    />
+                  </div>
+                )}
                 {/* ✨ 实时显示生成的代码 */}
                 {streamingContent && streamingContent.trim() ? (
                    <div className="flex flex-col items-start gap-2 w-full min-w-0">
@@ -732,7 +835,7 @@ export default function FloatingChat({
                       </div>
                       <StreamingCodeBubble codeText={streamingContent} />
                    </div>
-                ) : (
+                ) : !streamingReasoning && (
                   <div className="flex items-center gap-3 px-4 py-3 bg-zinc-50/80 border border-zinc-100 rounded-2xl w-fit">
                     <div className="flex space-x-1.5 items-center">
                       <div className="w-2 h-2 bg-zinc-400 rounded-full animate-bounce" style={{ animationDelay: '0ms' }} />
@@ -806,6 +909,18 @@ export default function FloatingChat({
                     </button>
                   </div>
                 ))}
+                {(visionBlocked || visionUnknown) && (
+                  <div
+                    className={cn(
+                      "w-full text-[11px] leading-relaxed",
+                      visionBlocked ? "text-red-600" : "text-amber-600"
+                    )}
+                  >
+                    {visionBlocked
+                      ? '当前模型不支持图片输入，请移除图片或切换到支持视觉的模型'
+                      : '无法确认当前模型是否支持图片输入，若请求失败请移除图片或切换模型'}
+                  </div>
+                )}
               </div>
             )}
 
@@ -925,29 +1040,59 @@ export default function FloatingChat({
                   {currentTypeLabel}
                   <ChevronDown className="w-3 h-3 opacity-50" />
                 </button>
+
+                {engineType === 'excalidraw' && (
+                  <button
+                    onClick={() => {
+                      const next = !routeArrows;
+                      setRouteArrows(next);
+                      localStorage.setItem('smart-diagram-route-arrows', String(next));
+                    }}
+                    className={cn(
+                      "h-7 w-7 rounded-md transition-colors flex items-center justify-center",
+                      routeArrows
+                        ? "text-zinc-900 bg-zinc-200/60 hover:bg-zinc-200"
+                        : "text-zinc-400 hover:bg-zinc-200/50 hover:text-zinc-700"
+                    )}
+                    title={routeArrows ? '箭头避障路由：已开启（点击关闭）' : '箭头避障路由：已关闭（点击开启）'}
+                  >
+                    <Route className="w-3.5 h-3.5" />
+                  </button>
+                )}
               </div>
 
               <div>
-                <Button
-                  onClick={handleSend}
-                  disabled={
-                    ((!input.trim() && images.length === 0 && files.length === 0) || isGenerating)
-                  }
-                  size="icon"
-                  className={cn(
-                    "h-8 w-8 rounded-lg shadow-sm transition-all duration-200",
-                    ((!input.trim() && images.length === 0 && files.length === 0) || isGenerating)
-                      ? "bg-zinc-100 text-zinc-300"
-                      : "bg-primary text-primary-foreground hover:bg-primary/90"
-                  )}
-                  title="发送"
-                >
-                  {isGenerating ? (
-                    <div className="w-4 h-4 border-2 border-current border-t-transparent rounded-full animate-spin" />
-                  ) : (
-                    <MoveUp className="w-4 h-4" />
-                  )}
-                </Button>
+                {isGenerating && onStopGenerating ? (
+                  <Button
+                    onClick={onStopGenerating}
+                    size="icon"
+                    className="h-8 w-8 rounded-lg shadow-sm transition-all duration-200 bg-zinc-900 text-white hover:bg-zinc-700"
+                    title="停止生成"
+                  >
+                    <Square className="w-3.5 h-3.5 fill-current" />
+                  </Button>
+                ) : (
+                  <Button
+                    onClick={handleSend}
+                    disabled={
+                      ((!input.trim() && images.length === 0 && files.length === 0) || isGenerating || visionBlocked)
+                    }
+                    size="icon"
+                    className={cn(
+                      "h-8 w-8 rounded-lg shadow-sm transition-all duration-200",
+                      ((!input.trim() && images.length === 0 && files.length === 0) || isGenerating || visionBlocked)
+                        ? "bg-zinc-100 text-zinc-300"
+                        : "bg-primary text-primary-foreground hover:bg-primary/90"
+                    )}
+                    title="发送"
+                  >
+                    {isGenerating ? (
+                      <div className="w-4 h-4 border-2 border-current border-t-transparent rounded-full animate-spin" />
+                    ) : (
+                      <MoveUp className="w-4 h-4" />
+                    )}
+                  </Button>
+                )}
               </div>
             </div>
           </div>
@@ -990,6 +1135,44 @@ export default function FloatingChat({
 }
 
 // ✨ 流式生成中的代码气泡（简化版，只显示代码，不可交互）
+/**
+ * 可折叠的模型思考过程面板
+ * streaming 为 true 时展开并保持滚动到底部
+ */
+function ReasoningPanel({ text, streaming = false }) {
+  const [expanded, setExpanded] = useState(false);
+  const preRef = useRef(null);
+  const isExpanded = streaming || expanded;
+
+  useEffect(() => {
+    if (!streaming || !preRef.current) return;
+    preRef.current.scrollTop = preRef.current.scrollHeight;
+  }, [text, streaming]);
+
+  return (
+    <div className="w-[98%] min-w-0 rounded-xl border border-zinc-100 bg-zinc-50/60">
+      <button
+        type="button"
+        onClick={() => setExpanded((v) => !v)}
+        disabled={streaming}
+        className="w-full flex items-center gap-1.5 px-3 py-2 text-[11px] font-medium text-zinc-500 hover:text-zinc-700 transition-colors"
+      >
+        <Brain className={cn('w-3.5 h-3.5', streaming && 'animate-pulse')} />
+        <span>{streaming ? '思考中...' : '思考过程'}</span>
+        {!streaming && (
+          <ChevronRight className={cn('w-3 h-3 ml-auto transition-transform', isExpanded && 'rotate-90')} />
+        )}
+      </button>
+      {isExpanded && (
+        <pre
+          ref={preRef}
+          className="px-3 pb-3 text-[12px] leading-relaxed whitespace-pre-wrap break-words text-zinc-500 max-h-[24vh] overflow-auto"
+        >{text}</pre>
+      )}
+    </div>
+  );
+}
+
 function StreamingCodeBubble({ codeText }) {
   const preRef = useRef(null);
 
@@ -1,7 +1,7 @@
 'use client';
 
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { Code2, Minimize2, Play, Copy, Check, Loader2, Terminal } from 'lucide-react';
+import { Code2, Minimize2, Play, Copy, Check, Loader2, Terminal, AlertTriangle, X } from 'lucide-react';
 import { Button } from '@/components/ui/Button.jsx';
 import { Card } from '@/components/ui/card';
 import { cn } from '@/lib/utils'; // 确保引入 cn 工具
@@ -21,13 +21,15 @@ const getStorageKey = (engineType) => {
 export default function FloatingCodeEditor({
   engineType = 'drawio',
   onApplyCode,
-  processCode, // 代码处理函数，用于检测/修复代码
+  processCode, // 代码处理函数，用于检测/修复代码，返回代码字符串或 { code, issues }
   messages = [], // 消息历史，用于获取最新生成的代码
 }) {
   const [isOpen, setIsOpen] = useState(false);
   const [localCode, setLocalCode] = useState('');
   const [copied, setCopied] = useState(false);
   const [isApplying, setIsApplying] = useState(false);
+  // 最近一次应用时代码处理管道报告的问题（见 lib/code-processor.js）
+  const [issues, setIssues] = useState([]);
   const editorRef = useRef(null);
   const prevCodeRef = useRef('');
   const prevMessagesLengthRef = useRef(0);
@@ -149,7 +151,9 @@ export default function FloatingCodeEditor({
 
         // 如果提供了代码处理函数，先进行检测和修复
         if (processCode) {
-          const nextCode = await processCode(targetCode);
+          const processed = await processCode(targetCode);
+          const nextCode = typeof processed === 'string' ? processed : processed?.code;
+          setIssues(Array.isArray(processed?.issues) ? processed.issues : []);
           const hasProcessedContent = typeof nextCode === 'string' && nextCode.trim().length > 0;
 
           // 检测失败时保留原始代码，避免清空编辑器/画布
@@ -267,7 +271,8 @@ export default function FloatingCodeEditor({
     // 仅在新增的最后一条消息是 assistant 时，同步代码到编辑器并自动应用
     if (messagesIncreased && currentMessagesLength > 0) {
       const lastMessage = messages[currentMessagesLength - 1];
-      if (lastMessage && lastMessage.role === 'assistant') {
+      // 被中途停止的回复内容不完整，不自动应用，由用户手动决定
+      if (lastMessage && lastMessage.role === 'assistant' && !lastMessage.stopped) {
         const codeContent = extractCodeFromMessage(lastMessage.content);
         if (codeContent) {
           // 先填入编辑器
@@ -311,6 +316,7 @@ export default function FloatingCodeEditor({
 
     const handleReset = () => {
       setLocalCode('');
+      setIssues([]);
       prevCodeRef.current = '';
     };
 
@@ -416,6 +422,39 @@ export default function FloatingCodeEditor({
         />
       </div>
 
+      {/* 校验问题：已自动修复的为黄色，需要手动处理的为红色 */}
+      {issues.length > 0 && (
+        <div className="max-h-32 overflow-y-auto px-4 py-2 border-t border-zinc-100 bg-amber-50/40">
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-xs font-medium text-zinc-600">
+              校验发现 {issues.length} 个问题
+              {issues.some((issue) => issue.repaired) && `（已自动修复 ${issues.filter((issue) => issue.repaired).length} 个）`}
+            </span>
+            <button
+              onClick={() => setIssues([])}
+              className="p-0.5 text-zinc-400 hover:text-zinc-700 rounded transition-colors"
+              title="关闭"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </div>
+          <div className="space-y-0.5">
+            {issues.map((issue, index) => (
+              <div
+                key={index}
+                className={cn(
+                  'flex items-start gap-1.5 text-[11px] leading-relaxed',
+                  issue.severity === 'error' ? 'text-red-600' : 'text-amber-700',
+                )}
+              >
+                <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+                <span>{issue.message}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Footer - 应用按钮 */}
       <div className="flex items-center justify-between px-4 py-3 bg-zinc-50/80 border-t border-zinc-100">
          <div className="text-xs text-zinc-400">
@@ -0,0 +1,106 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { LayoutGrid, ChevronDown, ArrowDown, ArrowRight, ArrowUp, ArrowLeft } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+const STORAGE_KEY = 'smart-diagram-layout-direction';
+
+const DIRECTION_OPTIONS = [
+  { value: 'TB', label: '从上到下', icon: ArrowDown },
+  { value: 'LR', label: '从左到右', icon: ArrowRight },
+  { value: 'BT', label: '从下到上', icon: ArrowUp },
+  { value: 'RL', label: '从右到左', icon: ArrowLeft },
+];
+
+/**
+ * 画布底部的「重新布局」按钮：按连线关系自动分层排列节点，可选择布局方向
+ * 生成中或流式预览时禁用
+ */
+export default function RelayoutButton({ onRelayout, disabled = false }) {
+  const [direction, setDirection] = useState(() => {
+    if (typeof window === 'undefined') return 'TB';
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return DIRECTION_OPTIONS.some((option) => option.value === saved) ? saved : 'TB';
+  });
+  const [showMenu, setShowMenu] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close direction menu on outside click or Escape
+  useEffect(() => {
+    if (!showMenu) return;
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setShowMenu(false);
+      }
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setShowMenu(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside, true);
+      document.removeEventListener('keydown', handleKeyDown, true);
+    };
+  }, [showMenu]);
+
+  const current = DIRECTION_OPTIONS.find((option) => option.value === direction) || DIRECTION_OPTIONS[0];
+  const CurrentIcon = current.icon;
+
+  const handleSelect = (value) => {
+    setDirection(value);
+    setShowMenu(false);
+    localStorage.setItem(STORAGE_KEY, value);
+    onRelayout?.(value);
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className="fixed bottom-16 left-1/2 -translate-x-1/2 z-40 flex items-center gap-0.5 p-1 bg-white/95 supports-[backdrop-filter]:bg-white/85 backdrop-blur-xl border border-zinc-200 rounded-xl shadow-lg"
+    >
+      <button
+        onClick={() => onRelayout?.(direction)}
+        disabled={disabled}
+        className="h-7 px-2.5 text-xs font-medium rounded-md text-zinc-700 hover:bg-zinc-200/50 hover:text-zinc-900 transition-colors flex items-center gap-1.5 disabled:opacity-40 disabled:pointer-events-none"
+        title={`按连线关系重新排列节点（${current.label}）`}
+      >
+        <LayoutGrid className="w-3.5 h-3.5" />
+        重新布局
+      </button>
+      <button
+        onClick={() => setShowMenu((v) => !v)}
+        disabled={disabled}
+        className="h-7 px-1.5 rounded-md text-zinc-500 hover:bg-zinc-200/50 hover:text-zinc-900 transition-colors flex items-center gap-0.5 disabled:opacity-40 disabled:pointer-events-none"
+        title="选择布局方向"
+      >
+        <CurrentIcon className="w-3.5 h-3.5" />
+        <ChevronDown className="w-3 h-3 opacity-50" />
+      </button>
+
+      {showMenu && (
+        <div className="absolute bottom-full mb-2 right-0 w-32 bg-white border border-zinc-100 rounded-xl shadow-xl shadow-zinc-200/50 p-1 animate-in fade-in zoom-in-95 duration-100">
+          {DIRECTION_OPTIONS.map((option) => {
+            const Icon = option.icon;
+            return (
+              <button
+                key={option.value}
+                onClick={() => handleSelect(option.value)}
+                className={cn(
+                  "w-full px-2.5 py-1.5 text-xs rounded-lg flex items-center gap-2 transition-colors",
+                  option.value === direction
+                    ? "bg-zinc-100 text-zinc-900 font-medium"
+                    : "text-zinc-600 hover:bg-zinc-50 hover:text-zinc-900"
+                )}
+              >
+                <Icon className="w-3.5 h-3.5" />
+                {option.label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -20,10 +20,14 @@ export function useDrawioEngine() {
     messages,
     isGenerating,
     streamingContent,
+    streamingReasoning,
+    previewCode,
+    settlePreview,
     conversationId,
     lastError,
     handleSendMessageTemplate,
     handleRetryMessageTemplate,
+    handleStopGenerating,
     handleNewChat,
     restoreHistoryBase,
   } = shared;
@@ -46,11 +50,13 @@ export function useDrawioEngine() {
       try {
         const fixedCode = fixUnclosed(code || '', { mode: 'xml' });
         setUsedCode(fixedCode);
+        // 代码已应用，画布不再显示流式预览
+        settlePreview();
       } catch (error) {
         console.error('Apply code error:', error);
       }
     },
-    [setUsedCode],
+    [setUsedCode, settlePreview],
   );
 
   /**
@@ -145,11 +151,14 @@ export function useDrawioEngine() {
     isGenerating,
     conversationId,
     streamingContent,
+    streamingReasoning,
+    previewCode,
     lastError,
 
     // 操作
     handleSendMessage,
     handleRetryMessage,
+    handleStopGenerating,
     handleApplyCode,
     handleCanvasChange,
     handleNewChat,
@@ -29,10 +29,12 @@ export function useEngine(engineType) {
  *
  * @interface IEngine
  * @property {string} usedCode - 实际应用到画布的代码（XML或JSON）
+ * @property {string|null} previewCode - 流式生成中画布预览的代码，为 null 时画布显示 usedCode
  * @property {Array} messages - LLM原生格式的消息列表
  * @property {boolean} isGenerating - 生成中状态
  * @property {string} conversationId - 对话唯一标识
  * @property {Function} handleSendMessage - 发送消息，触发LLM生成
+ * @property {Function} handleStopGenerating - 停止当前生成，保留已输出的部分内容
  * @property {Function} handleApplyCode - 应用代码到画布
  * @property {Function} handleCanvasChange - 画布编辑回调
  * @property {Function} handleNewChat - 新建对话
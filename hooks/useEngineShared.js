@@ -1,9 +1,73 @@
 'use client';
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef } from 'react';
 import { historyManager } from '@/lib/history-manager';
-import { configService } from '@/lib/config-service';
-import { parseSSEStream, parseSSEStreamAlt } from '@/lib/sse-parser';
+import { configService, pickLLMConfigFields } from '@/lib/config-service';
+import { parseSSEStream, isAbortError } from '@/lib/sse-parser';
+import { SSE_PROTOCOL_HEADER, SSE_PROTOCOL_VERSION } from '@/lib/sse-protocol';
+import { runWithFailover } from '@/lib/llm-failover';
+import { buildUsageRecord } from '@/lib/usage';
+import { AUTH_ERROR_CODES, RATE_LIMIT_ERROR_CODES } from '@/lib/constants';
+import { getConfigCapabilities, messagesContainImages } from '@/lib/model-capabilities';
+import { convertDiagramToCode } from '@/lib/diagram-schema';
+import { buildBudgetedMessages } from '@/lib/context-budget';
+import { createStreamParser, PREVIEW_INTERVAL_MS } from '@/lib/stream-preview';
+
+/**
+ * 发送图片前检查模型是否支持图片输入：确认不支持时提示并阻止发送，能力未知时照常发送
+ * @returns {boolean} 是否可以发送
+ */
+function ensureVisionSupport(llmConfig, userMessage, showNotification) {
+  if (!messagesContainImages([userMessage])) return true;
+  if (getConfigCapabilities(llmConfig).vision !== false) return true;
+
+  showNotification?.({
+    title: '当前模型不支持图片',
+    message: `「${llmConfig.name || llmConfig.model || llmConfig.deployment}」不支持图片输入，请移除图片或切换到支持视觉的模型（可在配置的"模型能力"中修改）`,
+    type: 'error',
+  });
+  return false;
+}
+
+/**
+ * 工具调用模式下模型返回的是 emit_diagram 参数，转换为引擎代码；
+ * 模型未调用工具时服务端回退为普通文本（不是 JSON 对象），原样交给后处理
+ * @param {string} content - 流式拼接的内容
+ * @param {boolean} toolCall - 实际应答的配置是否为工具调用模式
+ * @param {'drawio'|'excalidraw'} editor
+ */
+function resolveGeneratedCode(content, toolCall, editor) {
+  if (!toolCall || !content.trim().startsWith('{')) return content;
+  return convertDiagramToCode(content, editor);
+}
+
+/**
+ * 将重试等待秒数格式化为可读文本
+ */
+function formatRetryAfter(seconds) {
+  if (seconds < 60) return `${seconds} 秒`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} 分钟`;
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.ceil((seconds % 3600) / 60);
+  return minutes > 0 ? `${hours} 小时 ${minutes} 分钟` : `${hours} 小时`;
+}
+
+/**
+ * 生成失败时的通知内容：服务端限流 / 额度用完时给出等待时间，会话过期时提示重新验证，其余按普通错误提示
+ */
+function getErrorNotification(error, errorMessage) {
+  const retryHint = error.retryAfter ? `，约 ${formatRetryAfter(error.retryAfter)}后可重试` : '';
+  if (error.code === RATE_LIMIT_ERROR_CODES.RATE_LIMITED) {
+    return { title: '请求过于频繁', message: `${errorMessage}${retryHint}`, type: 'warning' };
+  }
+  if (error.code === RATE_LIMIT_ERROR_CODES.QUOTA_EXCEEDED) {
+    return { title: '已达使用额度', message: `${errorMessage}${retryHint}`, type: 'warning' };
+  }
+  if (error.code === AUTH_ERROR_CODES.SESSION_EXPIRED) {
+    return { title: '登录已过期', message: errorMessage, type: 'warning' };
+  }
+  return { title: '生成失败', message: errorMessage, type: 'error' };
+}
 
 /**
  * 共享的引擎逻辑 Hook
@@ -19,9 +83,16 @@ export function useEngineShared() {
   const [messages, setMessages] = useState([]);
   const [isGenerating, setIsGenerating] = useState(false);
   const [streamingContent, setStreamingContent] = useState('');
+  const [streamingReasoning, setStreamingReasoning] = useState(''); // 模型思考过程（与代码分开展示）
+  const [previewCode, setPreviewCode] = useState(null); // 流式生成中画布显示的代码，null 表示显示 usedCode
   const [conversationId, setConversationId] = useState(newConversationId());
   const [lastError, setLastError] = useState(null);
 
+  // 当前生成请求的中止控制器（用于「停止生成」）
+  const abortControllerRef = useRef(null);
+  // 待执行的预览刷新
+  const previewTimerRef = useRef(null);
+
   /**
    * 将图片文件转为 base64
    */
@@ -101,24 +172,21 @@ export function useEngineShared() {
   );
 
   /**
-   * 构建完整的 messages 数组
+   * 构建完整的 messages 数组：按模型上下文窗口与设置中的历史预算选取历史（见 lib/context-budget.js）
    * @param {Object} systemMessage - 系统消息
    * @param {Object} userMessage - 用户消息
    * @param {Array} currentMessages - 当前消息历史
-   * @param {number} historyLimit - 历史消息限制条数
+   * @param {Object} llmConfig - 本次请求的配置（用于确定上下文窗口与预留输出）
    * @returns {Array} 完整的消息数组
    */
   const buildFullMessages = useCallback(
-    (systemMessage, userMessage, currentMessages, historyLimit = 3) => {
-      const history = currentMessages
-        .filter(
-          (m) =>
-            ['user', 'assistant'].includes(m.role) &&
-            typeof m.content === 'string',
-        )
-        .slice(-historyLimit);
-
-      return [systemMessage, ...history, userMessage];
+    (systemMessage, userMessage, currentMessages, llmConfig) => {
+      const { messages: fullMessages } = buildBudgetedMessages(systemMessage, userMessage, currentMessages, {
+        capabilities: getConfigCapabilities(llmConfig),
+        params: llmConfig.params,
+        settings: configService.getHistorySettings(),
+      });
+      return fullMessages;
     },
     [],
   );
@@ -127,48 +195,40 @@ export function useEngineShared() {
    * 调用 LLM 流式接口并处理响应
    * @param {Object} llmConfig - LLM 配置
    * @param {Array} fullMessages - 完整消息数组
-   * @returns {Promise<string>} 累积的生成内容
+   * @param {Object} [options] - 请求选项
+   * @param {AbortSignal} [options.signal] - 中止信号
+   * @returns {Promise<Response>} 流式响应
    */
-  const callLLMStream = useCallback(async (llmConfig, fullMessages) => {
+  const callLLMStream = useCallback(async (llmConfig, fullMessages, { signal } = {}) => {
     const headers = {
       'Content-Type': 'application/json',
+      // 声明支持的 SSE 协议版本，服务端据此输出类型化事件
+      [SSE_PROTOCOL_HEADER]: String(SSE_PROTOCOL_VERSION),
     };
 
-    // 如果启用了访问密码模式，则通过请求头传递 access-password，
-    // 由服务端根据环境变量自动注入 apiKey
-    if (typeof window !== 'undefined') {
-      try {
-        const usePassword =
-          localStorage.getItem('smart-diagram-use-password') === 'true';
-        const accessPassword =
-          localStorage.getItem('smart-diagram-access-password') || '';
-        if (usePassword && accessPassword) {
-          headers['x-access-password'] = accessPassword;
-        }
-      } catch {
-        // ignore
-      }
+    // 构建请求体：访问密码模式下不传递 config，只传递所选服务端配置的 id，
+    // 身份由登录时写入的 HttpOnly 会话 Cookie 证明，服务端据此自动注入 apiKey
+    const isPasswordMode = configService.isPasswordMode();
+    if (isPasswordMode) {
+      await configService.ensureSession();
     }
 
-    // 构建请求体：访问密码模式下不传递 config
-    const isPasswordMode =
-      typeof window !== 'undefined' &&
-      localStorage.getItem('smart-diagram-use-password') === 'true';
-
     const requestBody = isPasswordMode
-      ? { messages: fullMessages }
+      ? { messages: fullMessages, configId: llmConfig.id }
       : { config: llmConfig, messages: fullMessages };
 
     const response = await fetch('/api/llm/stream', {
       method: 'POST',
       headers,
       body: JSON.stringify(requestBody),
+      signal,
     });
 
     if (!response.ok) {
       let errorMessage = 'LLM 请求失败';
+      let errorData = null;
       try {
-        const errorData = await response.json();
+        errorData = await response.json();
         if (errorData.error) {
           errorMessage = errorData.error;
         }
@@ -178,12 +238,52 @@ export function useEngineShared() {
       }
       const error = new Error(errorMessage);
       error.status = response.status;
+      // 服务端限流 / 会话过期：携带错误码与建议等待时间（秒）
+      if (errorData?.code) {
+        error.code = errorData.code;
+      }
+      if (error.code === AUTH_ERROR_CODES.SESSION_EXPIRED) {
+        configService.clearSession();
+      }
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      if (Number.isFinite(retryAfter) && retryAfter > 0) {
+        error.retryAfter = retryAfter;
+      }
       throw error;
     }
 
     return response;
   }, []);
 
+  /**
+   * 按流式解析出的完整元素刷新画布预览（合并更新，最多每 PREVIEW_INTERVAL_MS 刷新一次）
+   * @param {Object} parser - createStreamParser() 创建的解析器
+   * @param {Function} postProcessFn - 引擎的后处理函数，预览与最终代码经过同样的处理
+   */
+  const schedulePreview = useCallback((parser, postProcessFn) => {
+    if (previewTimerRef.current) return;
+    previewTimerRef.current = setTimeout(() => {
+      previewTimerRef.current = null;
+      const code = parser.getCode();
+      if (!code) return;
+      try {
+        setPreviewCode(postProcessFn(code));
+      } catch (error) {
+        console.warn('Failed to build streaming preview:', error);
+      }
+    }, PREVIEW_INTERVAL_MS);
+  }, []);
+
+  /**
+   * 结束预览：传入代码时画布显示该代码（生成结束后的最终代码），直到被应用；否则恢复显示 usedCode
+   * @param {string} [code]
+   */
+  const settlePreview = useCallback((code) => {
+    clearTimeout(previewTimerRef.current);
+    previewTimerRef.current = null;
+    setPreviewCode(code || null);
+  }, []);
+
   /**
    * 验证 LLM 配置是否有效
    * @param {Function} showNotification - 通知函数
@@ -204,11 +304,7 @@ export function useEngineShared() {
       return null;
     }
 
-    const baseConfig = {
-      type: activeConfig.type,
-      baseUrl: activeConfig.baseUrl,
-      model: activeConfig.model,
-    };
+    const baseConfig = pickLLMConfigFields(activeConfig);
 
     // 本地配置模式下才需要在前端携带 apiKey；
     // 访问密码模式下 apiKey 仅存在于服务端环境变量中。
@@ -230,6 +326,152 @@ export function useEngineShared() {
     return baseConfig;
   }, []);
 
+  /**
+   * 带故障转移的流式生成
+   * 主配置遇到 429 / 5xx 时指数退避重试，仍失败则按顺序切换到备用配置
+   * @param {Object} llmConfig - 主配置
+   * @param {Array} fullMessages - 完整消息数组
+   * @param {Function} sseParserFn - SSE 解析函数
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - 中止信号
+   * @param {Function} options.showNotification - 通知函数（切换配置时提示）
+   * @param {string} [options.editor] - 引擎类型，传入时边生成边在画布上预览
+   * @param {Function} [options.postProcessFn] - 引擎的后处理函数（用于预览）
+   * @returns {Promise<{ content: string, reasoning: string, answeredBy: Object, usage: Object|null, toolCall: boolean }>}
+   *   生成内容、思考过程、实际应答的配置（含服务端 requestId 与结束原因）、token 用量，
+   *   以及应答配置是否为工具调用模式（此时 content 为 emit_diagram 参数）
+   */
+  const streamWithFailover = useCallback(
+    async (llmConfig, fullMessages, sseParserFn, { signal, showNotification, editor, postProcessFn } = {}) => {
+      // 请求包含图片时跳过确认不支持图片输入的备用配置
+      const hasImages = messagesContainImages(fullMessages);
+      const fallbacks = configService
+        .getFallbackConfigs()
+        .filter((config) => !hasImages || getConfigCapabilities(config).vision !== false);
+      const chain = [llmConfig, ...fallbacks];
+      let usage = null;
+      let reasoning = '';
+      let meta = null;
+      let finishReason;
+
+      const { result, config, index } = await runWithFailover(
+        chain,
+        async (config) => {
+          // 每次尝试都从头开始展示
+          setStreamingContent('');
+          setStreamingReasoning('');
+          settlePreview();
+          // 工具调用模式输出的是 emit_diagram 参数而不是引擎代码，无法预览
+          const parser = editor && postProcessFn && config.generationMode !== 'tool'
+            ? createStreamParser(editor)
+            : null;
+          usage = null;
+          reasoning = '';
+          meta = null;
+          finishReason = undefined;
+          const response = await callLLMStream(config, fullMessages, { signal });
+          try {
+            return await sseParserFn(response, {
+              onChunk: (content) => {
+                setStreamingContent(content);
+                if (parser?.push(content)) schedulePreview(parser, postProcessFn);
+              },
+              onReasoning: (text) => {
+                reasoning = text;
+                setStreamingReasoning(text);
+              },
+              onUsage: (data) => {
+                usage = data;
+              },
+              onMeta: (data) => {
+                meta = data;
+              },
+              onDone: (data) => {
+                finishReason = data.finishReason;
+              },
+              signal,
+            });
+          } catch (error) {
+            // 用户停止时标记应答配置的生成方式，供 buildStoppedMessage 判断部分内容能否保留
+            if (isAbortError(error)) error.toolCall = config.generationMode === 'tool';
+            throw error;
+          }
+        },
+        {
+          signal,
+          onFailover: ({ from, to }) => {
+            showNotification?.({
+              title: '已切换备用配置',
+              message: `「${from.name || from.model}」请求失败，正在改用「${to.name || to.model}」`,
+              type: 'warning',
+            });
+          },
+        },
+      );
+
+      return {
+        content: result,
+        reasoning,
+        answeredBy: {
+          id: config.id,
+          name: config.name,
+          type: config.type,
+          // 访问密码模式下前端不知道实际模型，以服务端 meta 事件为准
+          model: meta?.model || config.model,
+          fallback: index > 0,
+          ...(meta?.requestId ? { requestId: meta.requestId } : {}),
+          ...(finishReason ? { finishReason } : {}),
+        },
+        usage: buildUsageRecord(usage, config),
+        toolCall: config.generationMode === 'tool',
+      };
+    },
+    [callLLMStream, schedulePreview, settlePreview],
+  );
+
+  /**
+   * 开始一次新的生成请求，返回其中止控制器
+   */
+  const beginGeneration = useCallback(() => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    return controller;
+  }, []);
+
+  /**
+   * 结束生成请求（仅清理属于自己的控制器）
+   */
+  const endGeneration = useCallback((controller) => {
+    if (abortControllerRef.current === controller) {
+      abortControllerRef.current = null;
+    }
+  }, []);
+
+  /**
+   * 停止生成：中止前端请求，服务端随之取消上游调用
+   */
+  const handleStopGenerating = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * 根据中止错误构造「已停止」的 assistant 消息，保留已生成的部分内容
+   * @param {Error} error - AbortError（partial 字段携带已接收内容，toolCall 表示应答配置为工具调用模式）
+   * @returns {Object|null} 无内容或内容无法作为代码保留时返回 null
+   */
+  const buildStoppedMessage = useCallback((error) => {
+    const partial = typeof error?.partial === 'string' ? error.partial : '';
+    if (!partial.trim()) return null;
+    // 工具调用模式下已接收的是不完整的 emit_diagram 参数 JSON，不是引擎代码，无法应用到画布
+    if (error.toolCall && partial.trim().startsWith('{')) return null;
+    return {
+      role: 'assistant',
+      content: partial,
+      stopped: true,
+    };
+  }, []);
+
   /**
    * 发送消息模板方法（策略模式）
    * 统一处理两个引擎的消息发送流程，只有后处理逻辑不同
@@ -260,13 +502,17 @@ export function useEngineShared() {
       const trimmed = (input || '').trim();
       if (!trimmed && (!attachments || attachments.length === 0)) return;
 
+      const controller = beginGeneration();
+      let llmConfig = null;
+
       try {
         setIsGenerating(true);
         setStreamingContent('');
+        setStreamingReasoning('');
         setLastError(null);
 
         // 1. 验证 LLM 配置
-        const llmConfig = validateConfig(showNotification);
+        llmConfig = validateConfig(showNotification);
         if (!llmConfig) return;
 
         // 2. 构造 System Message
@@ -278,31 +524,37 @@ export function useEngineShared() {
         // 3. 构造 User Message（应用模板）
         const userContent = userPromptTemplate(trimmed, chartType);
         const userMessage = await buildUserMessage(userContent, attachments);
+        if (!ensureVisionSupport(llmConfig, userMessage, showNotification)) return;
 
         // 4. 组装完整 messages（包含历史）
-        const fullMessages = buildFullMessages(systemMessage, userMessage, messages, 3);
+        const fullMessages = buildFullMessages(systemMessage, userMessage, messages, llmConfig);
 
         // 追踪 user message
         setMessages((prev) => [...prev, userMessage]);
         await historyManager.addMessage(conversationId, userMessage, editor, llmConfig, chartType);
 
-        // 5. 调用后端流式接口
-        const response = await callLLMStream(llmConfig, fullMessages);
-
-        // 6. 处理 SSE 流
-        const accumulatedCode = await sseParserFn(response, {
-          onChunk: (content) => setStreamingContent(content),
-        });
+        // 5-6. 调用后端流式接口并处理 SSE 流（失败时重试 / 切换备用配置）
+        const { content: accumulatedCode, reasoning, answeredBy, usage, toolCall } = await streamWithFailover(
+          llmConfig,
+          fullMessages,
+          sseParserFn,
+          { signal: controller.signal, showNotification, editor, postProcessFn },
+        );
 
         // 7. 结束流式，清空 streamingContent
         setStreamingContent('');
+        setStreamingReasoning('');
 
-        // 8. 后处理代码（引擎特定逻辑）
-        const finalCode = postProcessFn(accumulatedCode);
+        // 8. 后处理代码（引擎特定逻辑），画布预览替换为最终代码
+        const finalCode = postProcessFn(resolveGeneratedCode(accumulatedCode, toolCall, editor));
+        settlePreview(finalCode);
 
         const assistantMessage = {
           role: 'assistant',
           content: finalCode,
+          answeredBy,
+          ...(reasoning ? { reasoning } : {}),
+          ...(usage ? { usage } : {}),
         };
 
         setMessages((prev) => [...prev, assistantMessage]);
@@ -311,8 +563,23 @@ export function useEngineShared() {
         // 返回最终代码（供引擎自动应用）
         return finalCode;
       } catch (error) {
-        console.error('Generate error:', error);
         setStreamingContent('');
+        setStreamingReasoning('');
+        settlePreview();
+
+        // 用户主动停止：保留部分输出，不视为错误
+        if (isAbortError(error)) {
+          // 已被新对话/新请求取代时直接丢弃
+          if (abortControllerRef.current !== controller) return;
+          const stoppedMessage = buildStoppedMessage(error);
+          if (stoppedMessage) {
+            setMessages((prev) => [...prev, stoppedMessage]);
+            await historyManager.addMessage(conversationId, stoppedMessage, editor, llmConfig, chartType);
+          }
+          return;
+        }
+
+        console.error('Generate error:', error);
 
         const errorMessage = error.message || '生成失败';
         setLastError(errorMessage);
@@ -325,15 +592,12 @@ export function useEngineShared() {
         setMessages((prev) => [...prev, errorChatMessage]);
 
         if (showNotification) {
-          showNotification({
-            title: '生成失败',
-            message: errorMessage,
-            type: 'error',
-          });
+          showNotification(getErrorNotification(error, errorMessage));
         }
 
         throw error;
       } finally {
+        endGeneration(controller);
         setIsGenerating(false);
       }
     },
@@ -342,10 +606,15 @@ export function useEngineShared() {
       messages,
       buildUserMessage,
       buildFullMessages,
-      callLLMStream,
+      streamWithFailover,
       validateConfig,
+      beginGeneration,
+      endGeneration,
+      buildStoppedMessage,
+      settlePreview,
       setIsGenerating,
       setStreamingContent,
+      setStreamingReasoning,
       setMessages,
       setLastError,
     ]
@@ -401,14 +670,19 @@ export function useEngineShared() {
       // 构造历史：仅使用 userMessage 之前的对话片段
       const historyForBuild = currentMessages.slice(0, userIndex);
 
+      const controller = beginGeneration();
+      let llmConfig = null;
+
       try {
         setIsGenerating(true);
         setStreamingContent('');
+        setStreamingReasoning('');
         setLastError(null);
 
         // 验证配置
-        const llmConfig = validateConfig(showNotification);
+        llmConfig = validateConfig(showNotification);
         if (!llmConfig) return;
+        if (!ensureVisionSupport(llmConfig, userMessage, showNotification)) return;
 
         const systemMessage = {
           role: 'system',
@@ -419,25 +693,31 @@ export function useEngineShared() {
           systemMessage,
           userMessage,
           historyForBuild,
-          3
+          llmConfig
         );
 
         // 先在前端截断消息列表，立即反映到 UI
         setMessages(truncatedMessages);
 
-        const response = await callLLMStream(llmConfig, fullMessages);
-
-        const accumulatedCode = await sseParserFn(response, {
-          onChunk: (content) => setStreamingContent(content),
-        });
+        const { content: accumulatedCode, reasoning, answeredBy, usage, toolCall } = await streamWithFailover(
+          llmConfig,
+          fullMessages,
+          sseParserFn,
+          { signal: controller.signal, showNotification, editor, postProcessFn },
+        );
 
         setStreamingContent('');
+        setStreamingReasoning('');
 
-        const finalCode = postProcessFn(accumulatedCode);
+        const finalCode = postProcessFn(resolveGeneratedCode(accumulatedCode, toolCall, editor));
+        settlePreview(finalCode);
 
         const assistantMessage = {
           role: 'assistant',
           content: finalCode,
+          answeredBy,
+          ...(reasoning ? { reasoning } : {}),
+          ...(usage ? { usage } : {}),
         };
 
         const nextMessages = [...truncatedMessages, assistantMessage];
@@ -451,8 +731,27 @@ export function useEngineShared() {
 
         return finalCode;
       } catch (error) {
-        console.error('Generate (retry) error:', error);
         setStreamingContent('');
+        setStreamingReasoning('');
+        settlePreview();
+
+        if (isAbortError(error)) {
+          if (abortControllerRef.current !== controller) return;
+          const stoppedMessage = buildStoppedMessage(error);
+          const nextMessages = stoppedMessage
+            ? [...truncatedMessages, stoppedMessage]
+            : truncatedMessages;
+          setMessages(nextMessages);
+          await historyManager.replaceConversation(
+            conversationId,
+            nextMessages,
+            editor,
+            llmConfig
+          );
+          return;
+        }
+
+        console.error('Generate (retry) error:', error);
 
         const errorMessage = error.message || '生成失败';
         setLastError(errorMessage);
@@ -464,15 +763,12 @@ export function useEngineShared() {
         setMessages((prev) => [...prev, errorChatMessage]);
 
         if (showNotification) {
-          showNotification({
-            title: '生成失败',
-            message: errorMessage,
-            type: 'error',
-          });
+          showNotification(getErrorNotification(error, errorMessage));
         }
 
         throw error;
       } finally {
+        endGeneration(controller);
         setIsGenerating(false);
       }
     },
@@ -480,10 +776,15 @@ export function useEngineShared() {
       messages,
       conversationId,
       buildFullMessages,
-      callLLMStream,
+      streamWithFailover,
       validateConfig,
+      beginGeneration,
+      endGeneration,
+      buildStoppedMessage,
+      settlePreview,
       setIsGenerating,
       setStreamingContent,
+      setStreamingReasoning,
       setMessages,
       setLastError,
     ]
@@ -493,12 +794,20 @@ export function useEngineShared() {
    * 新建对话：重置状态
    */
   const handleNewChat = useCallback(() => {
+    // 丢弃进行中的生成，避免其结果写入新对话
+    const controller = abortControllerRef.current;
+    if (controller) {
+      abortControllerRef.current = null;
+      controller.abort();
+    }
     setMessages([]);
     setUsedCode('');
     setStreamingContent('');
+    setStreamingReasoning('');
+    settlePreview();
     setLastError(null);
     setConversationId(newConversationId());
-  }, []);
+  }, [settlePreview]);
 
   /**
    * 恢复历史对话基础逻辑
@@ -538,6 +847,10 @@ export function useEngineShared() {
     setIsGenerating,
     streamingContent,
     setStreamingContent,
+    streamingReasoning,
+    setStreamingReasoning,
+    previewCode,
+    settlePreview,
     conversationId,
     setConversationId,
     lastError,
@@ -548,11 +861,13 @@ export function useEngineShared() {
     buildUserMessage,
     buildFullMessages,
     callLLMStream,
+    streamWithFailover,
     validateConfig,
 
     // 模板方法（核心）
     handleSendMessageTemplate,
     handleRetryMessageTemplate,
+    handleStopGenerating,
 
     // 操作
     handleNewChat,
@@ -560,6 +875,5 @@ export function useEngineShared() {
 
     // SSE 解析器（导出供特殊需求使用）
     parseSSEStream,
-    parseSSEStreamAlt,
   };
 }
@@ -4,7 +4,7 @@ import { useCallback } from 'react';
 import { fixJSON } from '@/lib/fixUnclosed';
 import { optimizeExcalidrawCode } from '@/lib/optimizeArrows';
 import { SYSTEM_PROMPT, USER_PROMPT_TEMPLATE } from '@/lib/prompts/excalidraw';
-import { excalidrawProcessor } from '@/lib/code-processor';
+import { excalidrawProcessor, excalidrawRoutingProcessor } from '@/lib/code-processor';
 import { useEngineShared } from './useEngineShared';
 
 /**
@@ -21,13 +21,16 @@ export function useExcalidrawEngine() {
     messages,
     isGenerating,
     streamingContent,
+    streamingReasoning,
+    previewCode,
+    settlePreview,
     conversationId,
     lastError,
     handleSendMessageTemplate,
     handleNewChat,
     restoreHistoryBase,
-    parseSSEStreamAlt,
     handleRetryMessageTemplate,
+    handleStopGenerating,
   } = shared;
 
   /**
@@ -37,6 +40,13 @@ export function useExcalidrawEngine() {
     return excalidrawProcessor.process(code);
   }, []);
 
+  /**
+   * 后处理并对箭头做避障路由（生成时开启 routeArrows 选项）
+   */
+  const postProcessRoutedCode = useCallback((code) => {
+    return excalidrawRoutingProcessor.process(code);
+  }, []);
+
   /**
    * 将 JSON 文本解析为 Excalidraw elements 数组
    */
@@ -75,20 +85,23 @@ export function useExcalidrawEngine() {
           : fixed;
 
         setUsedCode(optimized);
+        // 代码已应用，画布不再显示流式预览
+        settlePreview();
       } catch (error) {
         console.error('Apply code error:', error);
       }
     },
-    [postProcessExcalidrawCode, setUsedCode],
+    [postProcessExcalidrawCode, setUsedCode, settlePreview],
   );
 
   /**
    * 发送消息并调用 LLM：
    * 使用模板方法，只需提供 Excalidraw 特定的后处理逻辑
    * 注意：不再自动应用到画布，由用户通过编辑器点击"应用"按钮
+   * options.routeArrows 为 true 时对生成的箭头做避障路由
    */
   const handleSendMessage = useCallback(
-    async (input, attachments = [], chartType = 'auto', _unusedConfig, showNotification) => {
+    async (input, attachments = [], chartType = 'auto', _unusedConfig, showNotification, options = {}) => {
       try {
         // 调用模板方法，传入 Excalidraw 特定的配置
         // 生成的代码会通过 streamingContent 传递给编辑器
@@ -98,8 +111,7 @@ export function useExcalidrawEngine() {
           chartType,
           systemPrompt: SYSTEM_PROMPT,
           userPromptTemplate: USER_PROMPT_TEMPLATE,
-          postProcessFn: postProcessExcalidrawCode,
-          sseParserFn: parseSSEStreamAlt, // Excalidraw 使用备用解析器
+          postProcessFn: options.routeArrows ? postProcessRoutedCode : postProcessExcalidrawCode,
           editor: 'excalidraw',
           showNotification,
         });
@@ -110,7 +122,7 @@ export function useExcalidrawEngine() {
         console.error('Excalidraw message send error:', error);
       }
     },
-    [handleSendMessageTemplate, postProcessExcalidrawCode, parseSSEStreamAlt]
+    [handleSendMessageTemplate, postProcessExcalidrawCode, postProcessRoutedCode]
   );
 
   /**
@@ -119,13 +131,12 @@ export function useExcalidrawEngine() {
    * - 复用其前一条 user 消息重新调用 LLM
    */
   const handleRetryMessage = useCallback(
-    async (targetIndex, showNotification) => {
+    async (targetIndex, showNotification, options = {}) => {
       try {
         await handleRetryMessageTemplate({
           targetIndex,
           systemPrompt: SYSTEM_PROMPT,
-          postProcessFn: postProcessExcalidrawCode,
-          sseParserFn: parseSSEStreamAlt,
+          postProcessFn: options.routeArrows ? postProcessRoutedCode : postProcessExcalidrawCode,
           editor: 'excalidraw',
           showNotification,
         });
@@ -133,7 +144,7 @@ export function useExcalidrawEngine() {
         console.error('Excalidraw message retry error:', error);
       }
     },
-    [handleRetryMessageTemplate, postProcessExcalidrawCode, parseSSEStreamAlt]
+    [handleRetryMessageTemplate, postProcessExcalidrawCode, postProcessRoutedCode]
   );
 
   /**
@@ -175,6 +186,8 @@ export function useExcalidrawEngine() {
     isGenerating,
     conversationId,
     streamingContent,
+    streamingReasoning,
+    previewCode,
     lastError,
 
     // 工具（给外部使用）
@@ -183,6 +196,7 @@ export function useExcalidrawEngine() {
     // 操作
     handleSendMessage,
     handleRetryMessage,
+    handleStopGenerating,
     handleApplyCode,
     handleCanvasChange,
     handleNewChat,
@@ -0,0 +1,168 @@
+/**
+ * 访问凭证校验（仅服务端使用）
+ *
+ * 支持两种凭证，均通过请求头 x-access-password 传递：
+ * 1. 个人访问令牌：登记在 ACCESS_TOKENS_FILE 指向的 JSON 文件中，只保存 SHA-256 哈希
+ *    { "tokens": [{ "id": "alice", "name": "Alice", "hash": "sha256:<hex>",
+ *                   "expiresAt": "2026-12-31T00:00:00Z", "models": ["fast"], "disabled": false }] }
+ *    models 为可选的白名单，可填写服务端配置 id 或模型名；expiresAt / disabled 用于过期与吊销。
+ *    文件在每次校验时重新读取，修改后立即生效。可用 scripts/create-access-token.mjs 生成令牌。
+ * 2. 共享访问密码 ACCESS_PASSWORD（兼容旧版，未配置令牌文件或令牌不匹配时使用）
+ */
+
+const HASH_PREFIX = 'sha256:';
+
+/**
+ * 计算令牌哈希（令牌为高熵随机串，无需加盐）
+ * @returns {Promise<string>} sha256:<hex>
+ */
+export async function hashAccessToken(token) {
+  const bytes = new TextEncoder().encode(token);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+  return `${HASH_PREFIX}${hex}`;
+}
+
+/**
+ * 常量时间字符串比较，避免通过响应时间猜测密码
+ */
+export function safeEqual(a, b) {
+  const left = String(a);
+  const right = String(b);
+  let diff = left.length ^ right.length;
+  const length = Math.max(left.length, right.length);
+  for (let i = 0; i < length; i += 1) {
+    diff |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * 读取令牌登记表（未配置时返回空数组）
+ */
+export async function readAccessTokens() {
+  const filePath = process.env.ACCESS_TOKENS_FILE;
+  if (!filePath) return [];
+
+  const fs = await import('node:fs/promises');
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const tokens = Array.isArray(parsed) ? parsed : parsed?.tokens;
+    return Array.isArray(tokens) ? tokens.filter((entry) => entry && entry.hash) : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Failed to read ACCESS_TOKENS_FILE:', error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * 令牌对应的身份 id：token:<id>，登记项没有 id 时取哈希前 12 位
+ * 登录与会话校验必须使用同一推导方式
+ */
+function getTokenPrincipalId(entry) {
+  const hash = String(entry.hash);
+  const digest = hash.startsWith(HASH_PREFIX) ? hash.slice(HASH_PREFIX.length) : hash;
+  return `token:${entry.id || digest.slice(0, 12)}`;
+}
+
+/**
+ * 由登记项构造身份；登录与会话校验共用，保证 models / expiresAt 始终以登记表为准
+ */
+function toTokenPrincipal(entry) {
+  const expiresAt = entry.expiresAt ? Date.parse(entry.expiresAt) : NaN;
+  return {
+    id: getTokenPrincipalId(entry),
+    name: entry.name || entry.id || '个人令牌',
+    kind: 'token',
+    models: Array.isArray(entry.models) && entry.models.length > 0 ? entry.models : null,
+    expiresAt: Number.isFinite(expiresAt) ? new Date(expiresAt).toISOString() : null,
+  };
+}
+
+/**
+ * 是否配置了任意一种访问凭证
+ */
+export function isAccessControlConfigured() {
+  return !!process.env.ACCESS_PASSWORD || !!process.env.ACCESS_TOKENS_FILE;
+}
+
+/**
+ * 校验访问凭证
+ * @param {string} credential - 访问密码或个人令牌
+ * @returns {Promise<Object>} 成功时 { ok: true, principal: { id, name, kind, models, expiresAt } }；
+ *   失败时 { ok: false, status, error }
+ */
+export async function authenticateAccess(credential) {
+  if (!isAccessControlConfigured()) {
+    return { ok: false, status: 400, error: '服务器未配置访问密码' };
+  }
+  if (!credential) {
+    return { ok: false, status: 401, error: '访问密码错误' };
+  }
+
+  const tokens = await readAccessTokens();
+  if (tokens.length > 0) {
+    const hash = await hashAccessToken(credential);
+    const entry = tokens.find((token) => safeEqual(token.hash, hash));
+    if (entry) {
+      if (entry.disabled) {
+        return { ok: false, status: 401, error: '访问令牌已被吊销' };
+      }
+      const expiresAt = entry.expiresAt ? Date.parse(entry.expiresAt) : NaN;
+      if (Number.isFinite(expiresAt) && expiresAt <= Date.now()) {
+        return { ok: false, status: 401, error: '访问令牌已过期' };
+      }
+      return { ok: true, principal: toTokenPrincipal(entry) };
+    }
+  }
+
+  const envPassword = process.env.ACCESS_PASSWORD;
+  if (envPassword && safeEqual(credential, envPassword)) {
+    return {
+      ok: true,
+      principal: { id: 'password', name: '共享访问密码', kind: 'password', models: null, expiresAt: null },
+    };
+  }
+
+  return { ok: false, status: 401, error: '访问密码或令牌错误' };
+}
+
+/**
+ * 按身份 id 重新读取个人令牌的当前身份（用于会话校验：令牌被吊销或过期后会话随之失效，白名单修改后立即生效）
+ * @param {string} principalId - authenticateAccess 返回的 principal.id（见 getTokenPrincipalId）
+ * @returns {Promise<Object|null>} 令牌仍然有效时返回最新的身份，否则 null
+ */
+export async function getActiveTokenPrincipal(principalId) {
+  const tokens = await readAccessTokens();
+  const entry = tokens.find((token) => getTokenPrincipalId(token) === principalId);
+  if (!entry || entry.disabled) return null;
+  const expiresAt = entry.expiresAt ? Date.parse(entry.expiresAt) : NaN;
+  if (Number.isFinite(expiresAt) && expiresAt <= Date.now()) return null;
+  return toTokenPrincipal(entry);
+}
+
+/**
+ * 凭证是否允许使用某个服务端配置（models 白名单匹配配置 id 或模型名）
+ */
+export function isConfigAllowed(principal, config) {
+  if (!principal?.models) return true;
+  return principal.models.includes(config.id) || principal.models.includes(config.model);
+}
+
+/**
+ * 按凭证的白名单过滤服务端配置；默认配置不在白名单内时改用第一个允许的配置
+ * @param {Object} principal - authenticateAccess 返回的身份
+ * @param {Object} serverConfigs - getServerLLMConfigs() 的返回值 { configs, defaultId }
+ * @returns {{ configs: Array<Object>, defaultId: string|null }}
+ */
+export function filterAllowedConfigs(principal, { configs, defaultId }) {
+  const allowed = configs.filter((config) => isConfigAllowed(principal, config));
+  return {
+    configs: allowed,
+    defaultId: allowed.some((config) => config.id === defaultId) ? defaultId : allowed[0]?.id || null,
+  };
+}
@@ -0,0 +1,312 @@
+/**
+ * 代理 LLM 请求的审计日志（仅服务端使用）
+ *
+ * 每次 /api/llm/stream 请求结束后写入一条 JSONL 记录：
+ *   { ts, requestId, mode, principal, ip, provider, model, configId, status, httpStatus,
+ *     finishReason, error, usage, durationMs, prompt }
+ * 记录中从不包含 apiKey、请求头等凭证，图片只记录数量；错误信息和提示词中疑似密钥的内容会被替换为 [REDACTED]。
+ *
+ * 环境变量（默认关闭）：
+ *   AUDIT_LOG                    写入目标：file（按 UTC 日期写入 audit-YYYY-MM-DD.jsonl）/ console（输出到 stdout）
+ *   AUDIT_LOG_DIR                file 目标的目录，默认 ./data/audit
+ *   AUDIT_LOG_RETENTION_DAYS     保留天数，默认 30，过期文件在写入时自动删除
+ *   AUDIT_LOG_PROMPTS            提示词记录方式：none（默认）/ hash（SHA-256）/ truncate（截断的明文）
+ *   AUDIT_LOG_PROMPT_MAX_CHARS   truncate 模式下保留的字符数，默认 200
+ *   AUDIT_LOG_LOCAL_MODE         是否同时记录本地配置模式（用户自带密钥）的请求，默认 false
+ *
+ * 可通过 registerAuditSink 注册其他写入目标（需实现 write(entry)，可选实现 query(filters)）。
+ */
+
+const DEFAULT_DIR = './data/audit';
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PROMPT_MAX_CHARS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+export const AUDIT_QUERY_MAX_LIMIT = 500;
+
+export const AUDIT_STATUS = {
+  OK: 'ok',
+  ERROR: 'error',
+  ABORTED: 'aborted',
+};
+
+/**
+ * 从环境变量读取审计配置
+ */
+export function getAuditSettings() {
+  const retentionDays = Number(process.env.AUDIT_LOG_RETENTION_DAYS);
+  const promptMaxChars = Number(process.env.AUDIT_LOG_PROMPT_MAX_CHARS);
+  const prompts = process.env.AUDIT_LOG_PROMPTS || 'none';
+  return {
+    sink: process.env.AUDIT_LOG || '',
+    dir: process.env.AUDIT_LOG_DIR || DEFAULT_DIR,
+    retentionDays: Number.isInteger(retentionDays) && retentionDays > 0 ? retentionDays : DEFAULT_RETENTION_DAYS,
+    prompts: ['none', 'hash', 'truncate'].includes(prompts) ? prompts : 'none',
+    promptMaxChars: Number.isInteger(promptMaxChars) && promptMaxChars > 0 ? promptMaxChars : DEFAULT_PROMPT_MAX_CHARS,
+    includeLocalMode: process.env.AUDIT_LOG_LOCAL_MODE === 'true',
+  };
+}
+
+// 常见的密钥形态：sk-/sk-ant- 前缀、Google API Key、Bearer 令牌、URL 中的 key= 参数、本项目的个人令牌
+const SECRET_PATTERNS = [
+  /\bsk-[A-Za-z0-9_-]{12,}/g,
+  /\bAIza[0-9A-Za-z_-]{20,}/g,
+  /\bsd_[A-Za-z0-9_-]{20,}/g,
+  /(Bearer\s+)[A-Za-z0-9._~+/=-]{8,}/gi,
+  /([?&](?:key|api_key|apikey|access_token)=)[^&\s"']+/gi,
+];
+const DATA_URL_PATTERN = /data:[a-z]+\/[a-z0-9.+-]+;base64,[A-Za-z0-9+/=]+/gi;
+
+/**
+ * 替换文本中的密钥与 base64 图片数据
+ */
+export function redactText(text) {
+  if (!text) return text;
+  let result = String(text).replace(DATA_URL_PATTERN, '[IMAGE]');
+  for (const pattern of SECRET_PATTERNS) {
+    result = result.replace(pattern, (match, prefix) =>
+      typeof prefix === 'string' ? `${prefix}[REDACTED]` : '[REDACTED]');
+  }
+  return result;
+}
+
+function getMessageText(message) {
+  const content = message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((part) => typeof part?.text === 'string')
+    .map((part) => part.text)
+    .join('\n');
+}
+
+function countImages(messages) {
+  let images = 0;
+  for (const message of messages) {
+    if (!Array.isArray(message?.content)) continue;
+    images += message.content.filter((part) => part && part.type && part.type !== 'text').length;
+  }
+  return images;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * 按配置汇总提示词：始终记录消息数与图片数，hash / truncate 模式下额外记录最后一条用户消息
+ * @param {Array} messages - 请求中的消息数组
+ * @param {Object} settings - getAuditSettings() 的返回值
+ */
+export async function summarizePrompt(messages, settings) {
+  const summary = { messages: messages.length, images: countImages(messages) };
+  if (settings.prompts === 'none') return summary;
+
+  const lastUser = [...messages].reverse().find((message) => message?.role === 'user');
+  const text = redactText(getMessageText(lastUser));
+  if (settings.prompts === 'hash') {
+    summary.sha256 = await sha256Hex(text);
+  } else {
+    summary.text = text.length > settings.promptMaxChars
+      ? `${text.slice(0, settings.promptMaxChars)}…`
+      : text;
+  }
+  return summary;
+}
+
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export class FileAuditSink {
+  /**
+   * @param {Object} options - { dir, retentionDays }
+   */
+  constructor({ dir, retentionDays }) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this.lastPrunedDay = null;
+    // 串行化写入，保证每条记录完整地占一行
+    this.queue = Promise.resolve();
+  }
+
+  async write(entry) {
+    const run = this.queue.then(() => this.append(entry));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async append(entry) {
+    const fs = await import('node:fs/promises');
+    const path = await import('node:path');
+    await fs.mkdir(this.dir, { recursive: true });
+    const day = toDay(entry.ts);
+    await fs.appendFile(path.join(this.dir, `audit-${day}.jsonl`), `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+
+    // 每天最多清理一次过期文件
+    if (this.lastPrunedDay !== day) {
+      this.lastPrunedDay = day;
+      await this.prune();
+    }
+  }
+
+  /**
+   * 删除超过保留天数的日志文件
+   */
+  async prune(now = Date.now()) {
+    const fs = await import('node:fs/promises');
+    const path = await import('node:path');
+    const cutoff = toDay(now - (this.retentionDays - 1) * DAY_MS);
+    for (const name of await this.listFiles()) {
+      if (name.match(FILE_PATTERN)[1] < cutoff) {
+        await fs.unlink(path.join(this.dir, name)).catch(() => {});
+      }
+    }
+  }
+
+  async listFiles() {
+    const fs = await import('node:fs/promises');
+    try {
+      return (await fs.readdir(this.dir)).filter((name) => FILE_PATTERN.test(name)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * 按时间倒序查询记录
+   * @param {Object} filters - { since, until, principal, model, status, limit }
+   * @returns {Promise<Array<Object>>}
+   */
+  async query({ since, until, principal, model, status, limit }) {
+    const fs = await import('node:fs/promises');
+    const path = await import('node:path');
+    const sinceDay = since ? toDay(since) : null;
+    const results = [];
+
+    for (const name of (await this.listFiles()).reverse()) {
+      if (sinceDay && name.match(FILE_PATTERN)[1] < sinceDay) break;
+
+      const lines = (await fs.readFile(path.join(this.dir, name), 'utf8')).split('\n');
+      for (let i = lines.length - 1; i >= 0; i -= 1) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          // 进程中断可能留下不完整的一行
+          continue;
+        }
+        const time = Date.parse(entry.ts);
+        if (since && time < since) continue;
+        if (until && time > until) continue;
+        if (principal && entry.principal?.id !== principal && entry.principal?.name !== principal) continue;
+        if (model && entry.model !== model) continue;
+        if (status && entry.status !== status) continue;
+
+        results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  }
+}
+
+export class ConsoleAuditSink {
+  async write(entry) {
+    console.log(`[audit] ${JSON.stringify(entry)}`);
+  }
+}
+
+const sinkFactories = {
+  file: (settings) => new FileAuditSink(settings),
+  console: () => new ConsoleAuditSink(),
+};
+
+/**
+ * 注册自定义写入目标
+ * @param {string} type - 目标类型（对应 AUDIT_LOG）
+ * @param {Function} factory - (settings) => sink，sink 需实现 write(entry)，可选实现 query(filters)
+ */
+export function registerAuditSink(type, factory) {
+  sinkFactories[type] = factory;
+}
+
+let sharedSink;
+
+/**
+ * 获取进程内共享的写入目标；未开启审计时返回 null
+ */
+export function getAuditSink() {
+  if (sharedSink === undefined) {
+    const settings = getAuditSettings();
+    const factory = sinkFactories[settings.sink];
+    if (settings.sink && !factory) {
+      console.warn(`Unknown audit log sink "${settings.sink}", audit logging disabled`);
+    }
+    sharedSink = factory ? factory(settings) : null;
+  }
+  return sharedSink;
+}
+
+/**
+ * 写入一条审计记录（失败只打印错误，不影响请求本身）
+ * @param {Object} record - 请求信息
+ * @param {string} record.requestId
+ * @param {'password'|'local'} record.mode - 访问密码模式 / 本地配置模式
+ * @param {Object} [record.principal] - 访问密码模式下的身份（只记录 id 与名称）
+ * @param {string} record.ip
+ * @param {Object} record.config - 实际使用的 LLM 配置（只记录类型、模型与配置 id）
+ * @param {Array} record.messages
+ * @param {string} record.status - AUDIT_STATUS 之一
+ * @param {number} [record.httpStatus] - 上游返回的 HTTP 状态码
+ * @param {string} [record.finishReason]
+ * @param {string} [record.error]
+ * @param {Object} record.usage - { inputTokens, outputTokens, estimated }
+ * @param {number} record.startedAt - 请求开始时间（毫秒时间戳）
+ */
+export async function recordAuditEntry(record) {
+  const sink = getAuditSink();
+  if (!sink) return;
+  const settings = getAuditSettings();
+  if (record.mode === 'local' && !settings.includeLocalMode) return;
+
+  try {
+    const now = Date.now();
+    await sink.write({
+      ts: new Date(now).toISOString(),
+      requestId: record.requestId,
+      mode: record.mode,
+      principal: record.principal ? { id: record.principal.id, name: record.principal.name } : null,
+      ip: record.ip,
+      provider: record.config?.type,
+      model: record.config?.model || record.config?.deployment,
+      configId: record.mode === 'password' ? record.config?.id : undefined,
+      status: record.status,
+      httpStatus: record.httpStatus,
+      finishReason: record.finishReason,
+      error: record.error ? redactText(record.error) : undefined,
+      usage: record.usage,
+      durationMs: now - record.startedAt,
+      prompt: await summarizePrompt(record.messages, settings),
+    });
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error);
+  }
+}
+
+/**
+ * 查询最近的审计记录
+ * @param {Object} filters - { since, until, principal, model, status, limit }（since / until 为毫秒时间戳）
+ * @returns {Promise<Array<Object>|null>} 未开启审计或写入目标不支持查询时返回 null
+ */
+export async function queryAuditEntries(filters) {
+  const sink = getAuditSink();
+  if (!sink || typeof sink.query !== 'function') return null;
+  const limit = Math.min(Math.max(1, filters.limit || 100), AUDIT_QUERY_MAX_LIMIT);
+  return sink.query({ ...filters, limit });
+}
@@ -0,0 +1,670 @@
+/**
+ * 自动分层布局（Sugiyama）：按连线关系重新排列节点，保留拓扑与样式
+ *
+ * 1. 去环：深度优先遍历，把回边反向（只影响布局，不修改连线本身）
+ * 2. 分层：最长路径分层，再把起点拉到紧挨后继的层
+ * 3. 跨越多层的连线拆成虚拟节点，使每条边只连接相邻两层
+ * 4. 排序：上下交替按重心（相邻层邻居的平均位置）排序，保留交叉最少的结果
+ * 5. 坐标：同层节点尽量对齐邻居的中心，在保持顺序与最小间距的前提下求最近位置（保序回归）
+ *
+ * 互不相连的部分分别布局后沿交叉轴依次排开。
+ * layoutExcalidrawCode / layoutMxGraphXml 把布局应用到生成的代码：只移动有连线的节点，
+ * 未连线的元素（标题、图例等）保持原位，整体位置以原来的左上角为起点。
+ */
+
+import { optimizeExcalidrawCode } from './optimizeArrows.js';
+import {
+  parseXml,
+  serializeNode,
+  getAttr,
+  setAttr,
+  childElements,
+  findElements,
+  removeChild,
+  collectCells,
+  getGeometry,
+} from './mxgraph-xml.js';
+
+// TB：从上到下，LR：从左到右，BT：从下到上，RL：从右到左
+export const LAYOUT_DIRECTIONS = ['TB', 'LR', 'BT', 'RL'];
+
+const DEFAULT_LAYER_GAP = 80;
+const DEFAULT_NODE_GAP = 50;
+// 虚拟节点（长连线经过的点）在交叉轴上占的宽度，使并行的长连线互相错开
+const DUMMY_SIZE = 20;
+const ORDER_ITERATIONS = 12;
+const COORDINATE_ITERATIONS = 4;
+
+// ==================== 分层布局 ====================
+
+/**
+ * 去环：从没有入边的节点开始深度优先遍历，指向遍历栈中节点的边反向
+ */
+function removeCycles(count, edges) {
+  const outgoing = Array.from({ length: count }, () => []);
+  const indegree = new Array(count).fill(0);
+  edges.forEach((edge, index) => {
+    outgoing[edge.source].push(index);
+    indegree[edge.target] += 1;
+  });
+
+  const state = new Array(count).fill(0); // 0 未访问，1 在栈中，2 已完成
+  const reversed = new Set();
+  const starts = [...Array(count).keys()].sort((a, b) => (indegree[a] === 0 ? 0 : 1) - (indegree[b] === 0 ? 0 : 1));
+  for (const start of starts) {
+    if (state[start] !== 0) continue;
+    state[start] = 1;
+    const stack = [[start, 0]];
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const [node, next] = top;
+      if (next < outgoing[node].length) {
+        top[1] += 1;
+        const index = outgoing[node][next];
+        const target = edges[index].target;
+        if (state[target] === 1) {
+          reversed.add(index);
+        } else if (state[target] === 0) {
+          state[target] = 1;
+          stack.push([target, 0]);
+        }
+      } else {
+        state[node] = 2;
+        stack.pop();
+      }
+    }
+  }
+  return edges.map((edge, index) => (reversed.has(index) ? { source: edge.target, target: edge.source } : edge));
+}
+
+/**
+ * 最长路径分层；起点（没有入边的节点）再下移到紧挨最近的后继，避免从顶层拉出很长的连线
+ */
+function assignRanks(count, edges) {
+  const outgoing = Array.from({ length: count }, () => []);
+  const indegree = new Array(count).fill(0);
+  for (const edge of edges) {
+    outgoing[edge.source].push(edge.target);
+    indegree[edge.target] += 1;
+  }
+
+  const rank = new Array(count).fill(0);
+  const remaining = [...indegree];
+  const queue = [...Array(count).keys()].filter((node) => remaining[node] === 0);
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const target of outgoing[node]) {
+      rank[target] = Math.max(rank[target], rank[node] + 1);
+      remaining[target] -= 1;
+      if (remaining[target] === 0) queue.push(target);
+    }
+  }
+
+  for (let node = 0; node < count; node += 1) {
+    if (indegree[node] === 0 && outgoing[node].length > 0) {
+      rank[node] = Math.min(...outgoing[node].map((target) => rank[target])) - 1;
+    }
+  }
+  const min = Math.min(...rank);
+  return rank.map((value) => value - min);
+}
+
+function countCrossings(layers, down, position) {
+  let crossings = 0;
+  for (let r = 0; r < layers.length - 1; r += 1) {
+    const segments = [];
+    for (const node of layers[r]) {
+      for (const target of down[node]) segments.push([position[node], position[target]]);
+    }
+    for (let i = 0; i < segments.length; i += 1) {
+      for (let j = i + 1; j < segments.length; j += 1) {
+        const [a1, b1] = segments[i];
+        const [a2, b2] = segments[j];
+        if ((a1 - a2) * (b1 - b2) < 0) crossings += 1;
+      }
+    }
+  }
+  return crossings;
+}
+
+/**
+ * 按重心排序，减少连线交叉
+ */
+function orderLayers(layers, up, down) {
+  const position = [];
+  const updatePositions = () => layers.forEach((layer) => layer.forEach((node, i) => {
+    position[node] = i;
+  }));
+  updatePositions();
+
+  let best = layers.map((layer) => [...layer]);
+  let bestCrossings = countCrossings(layers, down, position);
+
+  for (let iteration = 0; iteration < ORDER_ITERATIONS && bestCrossings > 0; iteration += 1) {
+    const downward = iteration % 2 === 0;
+    const neighbours = downward ? up : down;
+    const ranks = downward
+      ? [...layers.keys()].slice(1)
+      : [...layers.keys()].reverse().slice(1);
+    for (const r of ranks) {
+      const barycenter = new Map(layers[r].map((node) => {
+        const adjacent = neighbours[node];
+        const value = adjacent.length > 0
+          ? adjacent.reduce((sum, other) => sum + position[other], 0) / adjacent.length
+          : position[node];
+        return [node, value];
+      }));
+      layers[r].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+      layers[r].forEach((node, i) => {
+        position[node] = i;
+      });
+    }
+
+    const crossings = countCrossings(layers, down, position);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = layers.map((layer) => [...layer]);
+    }
+  }
+
+  best.forEach((layer, r) => {
+    layers[r] = layer;
+  });
+  updatePositions();
+}
+
+/**
+ * 保序回归：在 c[i] - c[i-1] >= gaps[i] 的约束下，求离 desired 最近（平方和最小）的位置
+ */
+function placeInOrder(desired, gaps) {
+  const offsets = [];
+  desired.forEach((_, i) => {
+    offsets[i] = i === 0 ? 0 : offsets[i - 1] + gaps[i];
+  });
+
+  // 减去累计间距后，约束变为单调不减，用相邻违例块合并（PAV）求解
+  const blocks = [];
+  desired.forEach((value, i) => {
+    blocks.push({ total: value - offsets[i], count: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.total / previous.count <= last.total / last.count) break;
+      previous.total += last.total;
+      previous.count += last.count;
+      blocks.pop();
+    }
+  });
+
+  const result = [];
+  for (const block of blocks) {
+    const value = block.total / block.count;
+    for (let k = 0; k < block.count; k += 1) result.push(value + offsets[result.length]);
+  }
+  return result;
+}
+
+/**
+ * 布局一个连通部分，返回各顶点在交叉轴上的中心与所在层
+ */
+function layoutComponent(vertices, edges, nodeGap) {
+  const count = vertices.length;
+  const rank = assignRanks(count, removeCycles(count, edges));
+
+  // 拆分跨层连线
+  const all = vertices.map((vertex, i) => ({ ...vertex, rank: rank[i] }));
+  const up = all.map(() => []);
+  const down = all.map(() => []);
+  const link = (source, target) => {
+    if (down[source].includes(target)) return;
+    down[source].push(target);
+    up[target].push(source);
+  };
+  for (const edge of edges) {
+    let [source, target] = [edge.source, edge.target];
+    if (rank[source] === rank[target]) continue;
+    if (rank[source] > rank[target]) [source, target] = [target, source];
+    let previous = source;
+    for (let r = rank[source] + 1; r < rank[target]; r += 1) {
+      all.push({ dummy: true, cross: DUMMY_SIZE, main: 0, rank: r });
+      up.push([]);
+      down.push([]);
+      link(previous, all.length - 1);
+      previous = all.length - 1;
+    }
+    link(previous, target);
+  }
+
+  const layers = [];
+  all.forEach((vertex, i) => {
+    (layers[vertex.rank] = layers[vertex.rank] || []).push(i);
+  });
+  orderLayers(layers, up, down);
+
+  const gapBefore = (layer, i) => (i === 0 ? 0 : (all[layer[i - 1]].cross + all[layer[i]].cross) / 2 + nodeGap);
+  const center = [];
+  for (const layer of layers) {
+    let cursor = 0;
+    layer.forEach((node, i) => {
+      cursor += gapBefore(layer, i);
+      center[node] = cursor;
+    });
+  }
+
+  // 同层节点对齐相邻层邻居的平均位置：先自上而下、再自下而上，最后同时考虑两侧
+  const align = (layer, neighbourLists) => {
+    const desired = layer.map((node) => {
+      const adjacent = neighbourLists.flatMap((lists) => lists[node]);
+      return adjacent.length > 0
+        ? adjacent.reduce((sum, other) => sum + center[other], 0) / adjacent.length
+        : center[node];
+    });
+    const placed = placeInOrder(desired, layer.map((_, i) => gapBefore(layer, i)));
+    layer.forEach((node, i) => {
+      center[node] = placed[i];
+    });
+  };
+  for (let iteration = 0; iteration < COORDINATE_ITERATIONS; iteration += 1) {
+    layers.forEach((layer) => align(layer, [up]));
+    [...layers].reverse().forEach((layer) => align(layer, [down]));
+  }
+  layers.forEach((layer) => align(layer, [up, down]));
+
+  return { center, layers: layers.map((layer) => layer.filter((node) => !all[node].dummy)) };
+}
+
+/**
+ * 计算分层布局
+ * @param {Array<{ id: string, width: number, height: number }>} nodes
+ * @param {Array<{ source: string, target: string }>} edges - 引用不存在节点的连线与自环会被忽略
+ * @param {Object} [options]
+ * @param {'TB'|'LR'|'BT'|'RL'} [options.direction='TB']
+ * @param {number} [options.layerGap] - 相邻两层之间的距离
+ * @param {number} [options.nodeGap] - 同层相邻节点之间的距离
+ * @returns {Map<string, { x: number, y: number }>} 每个节点左上角的坐标，整体从 (0, 0) 开始
+ */
+export function computeLayeredLayout(nodes, edges, options = {}) {
+  const direction = LAYOUT_DIRECTIONS.includes(options.direction) ? options.direction : 'TB';
+  const layerGap = options.layerGap ?? DEFAULT_LAYER_GAP;
+  const nodeGap = options.nodeGap ?? DEFAULT_NODE_GAP;
+  const horizontal = direction === 'LR' || direction === 'RL';
+  const reversed = direction === 'BT' || direction === 'RL';
+
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const pairs = new Set();
+  const links = [];
+  for (const edge of edges) {
+    const source = index.get(edge.source);
+    const target = index.get(edge.target);
+    if (source === undefined || target === undefined || source === target) continue;
+    const key = `${source}->${target}`;
+    if (pairs.has(key)) continue;
+    pairs.add(key);
+    links.push({ source, target });
+  }
+
+  // 按出现顺序划分连通部分
+  const component = nodes.map((_, i) => i);
+  const find = (i) => {
+    while (component[i] !== i) {
+      component[i] = component[component[i]];
+      i = component[i];
+    }
+    return i;
+  };
+  links.forEach(({ source, target }) => {
+    component[find(source)] = find(target);
+  });
+  const groups = new Map();
+  nodes.forEach((_, i) => {
+    const key = find(i);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+
+  const positions = new Map();
+  let crossStart = 0;
+  for (const members of groups.values()) {
+    const local = new Map(members.map((node, i) => [node, i]));
+    const vertices = members.map((node) => ({
+      cross: horizontal ? nodes[node].height : nodes[node].width,
+      main: horizontal ? nodes[node].width : nodes[node].height,
+    }));
+    const { center, layers } = layoutComponent(
+      vertices,
+      links
+        .filter(({ source }) => local.has(source))
+        .map(({ source, target }) => ({ source: local.get(source), target: local.get(target) })),
+      nodeGap,
+    );
+
+    const crossMin = Math.min(...vertices.map((vertex, i) => center[i] - vertex.cross / 2));
+    const crossMax = Math.max(...vertices.map((vertex, i) => center[i] + vertex.cross / 2));
+    const thickness = layers.map((layer) => Math.max(0, ...layer.map((node) => vertices[node].main)));
+    const mainExtent = thickness.reduce((sum, value) => sum + value, 0) + layerGap * (layers.length - 1);
+
+    let layerStart = 0;
+    layers.forEach((layer, r) => {
+      for (const node of layer) {
+        const vertex = vertices[node];
+        let main = layerStart + (thickness[r] - vertex.main) / 2;
+        if (reversed) main = mainExtent - main - vertex.main;
+        const cross = crossStart + center[node] - vertex.cross / 2 - crossMin;
+        positions.set(nodes[members[node]].id, horizontal ? { x: main, y: cross } : { x: cross, y: main });
+      }
+      layerStart += thickness[r] + layerGap;
+    });
+    crossStart += crossMax - crossMin + nodeGap;
+  }
+  return positions;
+}
+
+// ==================== 容器 ====================
+
+function getBounds(box) {
+  return { left: box.x, top: box.y, right: box.x + box.width, bottom: box.y + box.height };
+}
+
+function unionBounds(boxes) {
+  return {
+    left: Math.min(...boxes.map((box) => box.x)),
+    top: Math.min(...boxes.map((box) => box.y)),
+    right: Math.max(...boxes.map((box) => box.x + box.width)),
+    bottom: Math.max(...boxes.map((box) => box.y + box.height)),
+  };
+}
+
+function containsBounds(outer, inner) {
+  return outer.left <= inner.left && outer.right >= inner.right
+    && outer.top <= inner.top && outer.bottom >= inner.bottom;
+}
+
+function area(box) {
+  return box.width * box.height;
+}
+
+/**
+ * outer 包住 inner 且至少一边更大；边框完全相同的形状（如堆叠在同一位置的节点）互不算容器
+ */
+function encloses(outer, inner) {
+  return containsBounds(getBounds(outer), getBounds(inner))
+    && (outer.width > inner.width || outer.height > inner.height);
+}
+
+/**
+ * 找出包住其他形状的容器（分组边框、背景框等）：容器不参与布局，而是按成员的新位置重新计算边框
+ */
+function findContainers(boxes) {
+  return new Set(boxes.filter((box) =>
+    boxes.some((other) => other !== box && encloses(box, other))));
+}
+
+/**
+ * 容器从内到外依次包住成员的新位置，保持原有的内边距
+ * @param {Array<{ x: number, y: number, width: number, height: number }>} boxes - 全部形状（原位置）
+ * @param {Set<Object>} containers - findContainers() 的返回值
+ * @param {Map<Object, Object>} placed - 已移动形状的新位置与尺寸，容器的新边框同样写入
+ */
+function fitContainers(boxes, containers, placed) {
+  [...containers]
+    .sort((a, b) => area(a) - area(b))
+    .forEach((container) => {
+      const box = getBounds(container);
+      const members = boxes.filter((other) => other !== container && encloses(container, other));
+      if (!members.some((member) => placed.has(member))) return;
+      const before = unionBounds(members);
+      const after = unionBounds(members.map((member) => placed.get(member) || member));
+      const padding = {
+        left: before.left - box.left,
+        top: before.top - box.top,
+        right: box.right - before.right,
+        bottom: box.bottom - before.bottom,
+      };
+      placed.set(container, {
+        x: after.left - padding.left,
+        y: after.top - padding.top,
+        width: after.right - after.left + padding.left + padding.right,
+        height: after.bottom - after.top + padding.top + padding.bottom,
+      });
+    });
+}
+
+/**
+ * 计算节点在原左上角处的布局位置，返回位置有变化的节点
+ * @returns {Map<Object, { x: number, y: number, width: number, height: number }>}
+ */
+function placeNodes(nodes, edges, direction) {
+  const positions = computeLayeredLayout(nodes, edges, { direction });
+  const originX = Math.min(...nodes.map((node) => node.x));
+  const originY = Math.min(...nodes.map((node) => node.y));
+  const placed = new Map();
+  for (const node of nodes) {
+    const position = positions.get(node.id);
+    const x = Math.round(originX + position.x);
+    const y = Math.round(originY + position.y);
+    if (Math.abs(x - node.x) > 0.5 || Math.abs(y - node.y) > 0.5) {
+      placed.set(node, { x, y, width: node.width, height: node.height });
+    }
+  }
+  return placed;
+}
+
+// ==================== Excalidraw ====================
+
+// 可作为布局节点的形状
+const EXCALIDRAW_NODE_TYPES = ['rectangle', 'ellipse', 'diamond', 'image'];
+
+function getBindingIds(element) {
+  return {
+    startId: element.start?.id || element.startBinding?.elementId || null,
+    endId: element.end?.id || element.endBinding?.elementId || null,
+  };
+}
+
+function isFiniteBox(element) {
+  return [element.x, element.y, element.width, element.height].every(Number.isFinite)
+    && element.width > 0 && element.height > 0;
+}
+
+/**
+ * 折线长度一半处的点（用于放置箭头上的绑定文字）
+ */
+function getPolylineMidpoint(arrow) {
+  const points = (Array.isArray(arrow.points) && arrow.points.length >= 2 ? arrow.points : [[0, 0], [arrow.width || 0, arrow.height || 0]])
+    .map(([px, py]) => ({ x: arrow.x + px, y: arrow.y + py }));
+  const lengths = points.slice(1).map((p, i) => Math.hypot(p.x - points[i].x, p.y - points[i].y));
+  let remaining = lengths.reduce((sum, value) => sum + value, 0) / 2;
+  for (let i = 0; i < lengths.length; i += 1) {
+    if (remaining <= lengths[i] && lengths[i] > 0) {
+      const t = remaining / lengths[i];
+      return {
+        x: points[i].x + (points[i + 1].x - points[i].x) * t,
+        y: points[i].y + (points[i + 1].y - points[i].y) * t,
+      };
+    }
+    remaining -= lengths[i];
+  }
+  return points[0];
+}
+
+/**
+ * 重新布局 Excalidraw 元素
+ * - 节点：有箭头连接的形状（包住其他形状的容器除外，容器按成员的新位置重新计算边框）
+ * - 文字跟随所在的形状移动（containerId 绑定或位于形状内部），箭头上的绑定文字放到箭头中点
+ * - 箭头重新连接到两端形状最近的边，routeArrows 为 true 时绕开其他形状走直角路线
+ * @param {string} code - Excalidraw JSON 数组
+ * @param {Object} [options]
+ * @param {'TB'|'LR'|'BT'|'RL'} [options.direction='TB']
+ * @param {boolean} [options.routeArrows=false]
+ * @returns {{ code: string, changed: boolean }} 无法解析或没有需要移动的节点时返回原代码
+ */
+export function layoutExcalidrawCode(code, options = {}) {
+  const unchanged = { code, changed: false };
+  let elements;
+  try {
+    elements = JSON.parse(code);
+  } catch {
+    return unchanged;
+  }
+  if (!Array.isArray(elements)) return unchanged;
+
+  const shapes = elements.filter((el) => el && EXCALIDRAW_NODE_TYPES.includes(el.type) && !el.isDeleted && isFiniteBox(el));
+  const containers = findContainers(shapes);
+
+  const edges = [];
+  for (const element of elements) {
+    if (element?.type !== 'arrow' && element?.type !== 'line') continue;
+    const { startId, endId } = getBindingIds(element);
+    if (startId && endId) edges.push({ source: startId, target: endId });
+  }
+  const connected = new Set(edges.flatMap((edge) => [edge.source, edge.target]));
+  const nodes = shapes.filter((el) => el.id && connected.has(el.id) && !containers.has(el));
+  if (nodes.length === 0) return unchanged;
+
+  const placed = placeNodes(nodes, edges, options.direction);
+  if (placed.size === 0) return unchanged;
+  fitContainers(shapes, containers, placed);
+
+  // 文字跟随绑定的形状，或跟随包含它的最小形状
+  const findOwner = (text) => {
+    if (text.containerId) return shapes.find((el) => el.id === text.containerId) || null;
+    if (![text.x, text.y].every(Number.isFinite)) return null;
+    const cx = text.x + (text.width || 0) / 2;
+    const cy = text.y + (text.height || 0) / 2;
+    return shapes
+      .filter((el) => el.x <= cx && cx <= el.x + el.width && el.y <= cy && cy <= el.y + el.height)
+      .sort((a, b) => area(a) - area(b))[0] || null;
+  };
+
+  const laidOut = elements.map((el) => {
+    if (placed.has(el)) return { ...el, ...placed.get(el) };
+    if (el?.type !== 'text') return el;
+    const owner = findOwner(el);
+    const next = owner && placed.get(owner);
+    if (!next) return el;
+    return { ...el, x: el.x + next.x - owner.x, y: el.y + next.y - owner.y };
+  });
+
+  const connectedCode = optimizeExcalidrawCode(
+    JSON.stringify(laidOut, null, 2),
+    options.routeArrows ? { routeArrows: true } : { attachArrows: true },
+  );
+
+  let result;
+  try {
+    result = JSON.parse(connectedCode);
+  } catch {
+    return { code: connectedCode, changed: true };
+  }
+  const arrows = new Map(result.filter((el) => el?.type === 'arrow' && el.id).map((el) => [el.id, el]));
+  result = result.map((el) => {
+    const arrow = el?.type === 'text' && el.containerId ? arrows.get(el.containerId) : null;
+    if (!arrow || !Number.isFinite(arrow.x) || !Number.isFinite(arrow.y)) return el;
+    const middle = getPolylineMidpoint(arrow);
+    return {
+      ...el,
+      x: Math.round(middle.x - (el.width || 0) / 2),
+      y: Math.round(middle.y - (el.height || 0) / 2),
+    };
+  });
+
+  return { code: JSON.stringify(result, null, 2), changed: true };
+}
+
+// ==================== mxGraph XML ====================
+
+function toNumber(value) {
+  const number = Number.parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * 重新布局 mxGraph XML 中图层下的顶层节点
+ * - 泳道等父节点连同子节点整体移动，连到子节点的连线按其所在的顶层节点计算
+ * - 包住其他顶层节点的分组边框不参与布局，按成员的新位置重新计算边框
+ * - 移动了端点的连线删除原有的折点，由 draw.io 重新走线
+ * @param {string} xml
+ * @param {Object} [options]
+ * @param {'TB'|'LR'|'BT'|'RL'} [options.direction='TB']
+ * @returns {{ code: string, changed: boolean }} 无法解析或没有需要移动的节点时返回原代码
+ */
+export function layoutMxGraphXml(xml, options = {}) {
+  const unchanged = { code: xml, changed: false };
+  let document;
+  try {
+    document = parseXml(xml);
+  } catch {
+    return unchanged;
+  }
+
+  let changed = false;
+  for (const model of findElements(document, 'mxGraphModel')) {
+    const root = childElements(model, 'root')[0];
+    if (!root) continue;
+    const cells = collectCells(root);
+    const parentOf = new Map(cells.map(({ holder, cell }) => [getAttr(holder, 'id'), getAttr(cell, 'parent')]));
+    const rootIds = new Set(cells.filter(({ cell }) => !getAttr(cell, 'parent')).map(({ holder }) => getAttr(holder, 'id')));
+
+    const vertices = [];
+    for (const { holder, cell } of cells) {
+      const geometry = getGeometry(cell);
+      if (getAttr(cell, 'vertex') !== '1' || !geometry || getAttr(geometry, 'relative') === '1') continue;
+      // 只布局图层（根节点的子节点）下的节点
+      if (!rootIds.has(parentOf.get(getAttr(cell, 'parent')))) continue;
+      const vertex = {
+        id: getAttr(holder, 'id'),
+        geometry,
+        x: toNumber(getAttr(geometry, 'x')),
+        y: toNumber(getAttr(geometry, 'y')),
+        width: toNumber(getAttr(geometry, 'width')),
+        height: toNumber(getAttr(geometry, 'height')),
+      };
+      if (vertex.width > 0 && vertex.height > 0) vertices.push(vertex);
+    }
+    const byId = new Map(vertices.map((vertex) => [vertex.id, vertex]));
+    const containers = findContainers(vertices);
+
+    // 连线端点映射到所在的顶层节点
+    const topLevel = (id) => {
+      const seen = new Set();
+      let current = id;
+      while (current && !byId.has(current) && !seen.has(current)) {
+        seen.add(current);
+        current = parentOf.get(current);
+      }
+      return byId.has(current) ? current : null;
+    };
+    const edgeCells = cells
+      .filter(({ cell }) => getAttr(cell, 'edge') === '1')
+      .map(({ cell }) => ({ cell, source: topLevel(getAttr(cell, 'source')), target: topLevel(getAttr(cell, 'target')) }));
+    const edges = edgeCells.filter((edge) => edge.source && edge.target && edge.source !== edge.target);
+
+    const connected = new Set(edges.flatMap((edge) => [edge.source, edge.target]));
+    const nodes = vertices.filter((vertex) => connected.has(vertex.id) && !containers.has(vertex));
+    if (nodes.length === 0) continue;
+
+    const placed = placeNodes(nodes, edges, options.direction);
+    if (placed.size === 0) continue;
+    fitContainers(vertices, containers, placed);
+    changed = true;
+
+    const moved = new Set();
+    for (const [vertex, box] of placed) {
+      for (const name of ['x', 'y', 'width', 'height']) {
+        if (box[name] !== vertex[name]) setAttr(vertex.geometry, name, box[name]);
+      }
+      moved.add(vertex.id);
+    }
+
+    for (const { cell, source, target } of edgeCells) {
+      const geometry = getGeometry(cell);
+      if (!geometry || (!moved.has(source) && !moved.has(target))) continue;
+      childElements(geometry, 'Array')
+        .filter((array) => getAttr(array, 'as') === 'points')
+        .forEach((array) => removeChild(geometry, array));
+      if (geometry.children.length === 0) geometry.selfClosing = true;
+    }
+  }
+
+  return changed ? { code: serializeNode(document), changed } : unchanged;
+}
@@ -12,11 +12,18 @@
  * 2. extractCodeFence - 提取代码块
  * 3. 格式特定处理（XML: unescapeHTML, extractXML, normalizeMxTags）
  * 4. 结构修复（调用 fixUnclosed.js）
- * 5. 后处理（如 Excalidraw 箭头优化）
+ * 5. 语义校验（XML: validateMxGraph，见 mxgraph-validator.js；JSON: validateExcalidraw，见 excalidraw-validator.js）
+ * 6. 后处理（如 Excalidraw 箭头优化；生成时可选的箭头避障路由 routeArrows；可选的自动分层布局，见 auto-layout.js）
+ *
+ * 步骤签名为 (code, context) => code，可通过 context.report(issue) 报告问题，
+ * processWithIssues() 返回处理结果及所有步骤报告的问题。
  */
 
 import fixUnclosed, { fixJSON } from './fixUnclosed.js';
 import { optimizeExcalidrawCode } from './optimizeArrows.js';
+import { validateMxGraphXml } from './mxgraph-validator.js';
+import { validateExcalidrawCode } from './excalidraw-validator.js';
+import { layoutExcalidrawCode, layoutMxGraphXml } from './auto-layout.js';
 
 /**
  * 代码处理器类 - 管道模式实现
@@ -30,14 +37,25 @@ export class CodeProcessor {
    * 执行处理管道
    */
   process(code) {
-    return this.steps.reduce((result, step) => {
+    return this.processWithIssues(code).code;
+  }
+
+  /**
+   * 执行处理管道，并收集各步骤报告的问题
+   * @returns {{ code: string, issues: Array<Object> }}
+   */
+  processWithIssues(code) {
+    const issues = [];
+    const context = { report: (issue) => issues.push(issue) };
+    const result = this.steps.reduce((current, step) => {
       try {
-        return step(result);
+        return step(current, context);
       } catch (error) {
         console.error('Code processor step error:', error);
-        return result; // 返回上一步的结果，继续执行
+        return current; // 返回上一步的结果，继续执行
       }
     }, code);
+    return { code: result, issues };
   }
 
   /**
@@ -170,6 +188,30 @@ export const repairJSON = (code) => {
   return fixJSON(code);
 };
 
+// ==================== 第五步：语义校验 ====================
+
+/**
+ * 校验 mxGraph 语义（id、根节点、parent、连线端点、几何信息），能安全修复的直接修复
+ * 发现的问题通过 context.report 报告
+ */
+export const validateMxGraph = (code, context) => {
+  if (!code || typeof code !== 'string') return code;
+  const result = validateMxGraphXml(code);
+  result.issues.forEach((issue) => context?.report(issue));
+  return result.code;
+};
+
+/**
+ * 校验 Excalidraw 元素（类型、坐标、尺寸、颜色、引用），修复或删除不合法的元素
+ * 需在 ensureExcalidrawArray 之后执行；发现的问题通过 context.report 报告
+ */
+export const validateExcalidraw = (code, context) => {
+  if (!code || typeof code !== 'string') return code;
+  const result = validateExcalidrawCode(code);
+  result.issues.forEach((issue) => context?.report(issue));
+  return result.code;
+};
+
 // ==================== JSON 专用步骤 ====================
 
 /**
@@ -254,7 +296,7 @@ export const extractJSONArrayStrict = (code) => {
   return extractJSON(code);
 };
 
-// ==================== 第五步：后处理 ====================
+// ==================== 第六步：后处理 ====================
 
 /**
  * 优化 Excalidraw 箭头坐标
@@ -269,6 +311,36 @@ export const optimizeArrows = (code) => {
   return code;
 };
 
+/**
+ * Excalidraw 箭头避障路由（可选）
+ * 箭头连到两端形状最近的边，绕开其他形状走直角路线，同一条边上的多条箭头均匀分开
+ * 只用于新生成的代码：应用手动编辑的代码时不重新路由，保留用户写的坐标
+ */
+export const routeArrows = (code) => {
+  if (!code || typeof code !== 'string') return code;
+  return optimizeExcalidrawCode(code, { routeArrows: true });
+};
+
+/**
+ * 创建 Excalidraw 自动分层布局步骤（可选）
+ * 按箭头连接关系重新排列形状，箭头重新连接到两端最近的边；需在 validateExcalidraw 之后执行
+ * @param {'TB'|'LR'|'BT'|'RL'} [direction='TB'] - 布局方向
+ */
+export const layoutExcalidraw = (direction = 'TB') => (code) => {
+  if (!code || typeof code !== 'string') return code;
+  return layoutExcalidrawCode(code, { direction }).code;
+};
+
+/**
+ * 创建 mxGraph 自动分层布局步骤（可选）
+ * 按连线关系重新排列图层下的顶层节点，样式保持不变；需在 validateMxGraph 之后执行
+ * @param {'TB'|'LR'|'BT'|'RL'} [direction='TB'] - 布局方向
+ */
+export const layoutMxGraph = (direction = 'TB') => (code) => {
+  if (!code || typeof code !== 'string') return code;
+  return layoutMxGraphXml(code, { direction }).code;
+};
+
 /**
  * 确保 Excalidraw 代码最终为 JSON 数组字符串
  * - 支持直接数组: [ ... ]
@@ -355,6 +427,7 @@ export const drawioProcessor = new CodeProcessor([
   extractXML,
   normalizeMxTags,
   fixXML,
+  validateMxGraph,
 ]);
 
 /**
@@ -367,8 +440,15 @@ export const excalidrawProcessor = new CodeProcessor([
   repairJSON,
   optimizeArrows,
   ensureExcalidrawArray,
+  validateExcalidraw,
 ]);
 
+/**
+ * Excalidraw JSON 处理器（带箭头避障路由）
+ * 路由放在校验之后，此时元素坐标、尺寸与绑定关系都已规范化
+ */
+export const excalidrawRoutingProcessor = createExcalidrawProcessor({ routeArrows: true });
+
 // ==================== 工厂函数 ====================
 
 /**
@@ -392,6 +472,7 @@ export function createXMLProcessor(customSteps = []) {
     normalizeMxTags,
     ...customSteps,
     fixXML,
+    validateMxGraph,
   ]);
 }
 
@@ -407,3 +488,29 @@ export function createJSONProcessor(customSteps = []) {
     repairJSON,
   ]);
 }
+
+/**
+ * 创建 Draw.io 处理器，可在校验之后追加自动布局
+ * @param {Object} [options]
+ * @param {'TB'|'LR'|'BT'|'RL'|null} [options.layout=null] - 布局方向，为空时不重新布局
+ */
+export function createDrawioProcessor(options = {}) {
+  return new CodeProcessor([
+    ...drawioProcessor.steps,
+    ...(options.layout ? [layoutMxGraph(options.layout)] : []),
+  ]);
+}
+
+/**
+ * 创建 Excalidraw 处理器，可在校验之后追加自动布局与箭头避障路由（先布局再路由）
+ * @param {Object} [options]
+ * @param {'TB'|'LR'|'BT'|'RL'|null} [options.layout=null] - 布局方向，为空时不重新布局
+ * @param {boolean} [options.routeArrows=false]
+ */
+export function createExcalidrawProcessor(options = {}) {
+  return new CodeProcessor([
+    ...excalidrawProcessor.steps,
+    ...(options.layout ? [layoutExcalidraw(options.layout)] : []),
+    ...(options.routeArrows ? [routeArrows] : []),
+  ]);
+}
@@ -4,17 +4,28 @@
  * 本地存储约定（仅本文件负责本地配置维度）：
  * - smart-diagram-local-configs      本地配置列表（数组）
  * - smart-diagram-active-local-config 当前选中的本地配置 ID
+ * - smart-diagram-fallback-configs   备用配置 ID 列表（有序，主配置失败时依次尝试）
  *
  * 兼容历史版本：
  * - smart-diagram-configs            旧版本地配置列表
  * - smart-diagram-active-config      旧版激活配置 ID（现在仅用于迁移）
  */
 
+import {
+  LLM_PROVIDER_TYPES,
+  ANTHROPIC_MIN_THINKING_BUDGET,
+  GENERATION_MODES,
+  requiresApiKey,
+  validateGenerationParams,
+} from './constants.js';
+import { validateCustomRequest } from './custom-request.js';
+
 class ConfigManager {
   constructor() {
     // 新版 key
     this.LOCAL_CONFIGS_KEY = 'smart-diagram-local-configs';
     this.ACTIVE_LOCAL_CONFIG_KEY = 'smart-diagram-active-local-config';
+    this.FALLBACK_CONFIGS_KEY = 'smart-diagram-fallback-configs';
 
     // 旧版 key（仅在首次 load 时尝试迁移）
     this.LEGACY_CONFIGS_KEY = 'smart-diagram-configs';
@@ -22,6 +33,7 @@ class ConfigManager {
 
     this.configs = [];
     this.activeConfigId = null;
+    this.fallbackConfigIds = [];
     this.isLoaded = false;
   }
 
@@ -76,6 +88,14 @@ class ConfigManager {
       }
 
       this.activeConfigId = activeId || null;
+
+      // 读取备用配置链，过滤掉已不存在的配置
+      const storedFallback = localStorage.getItem(this.FALLBACK_CONFIGS_KEY);
+      const fallbackIds = storedFallback ? JSON.parse(storedFallback) : [];
+      this.fallbackConfigIds = Array.isArray(fallbackIds)
+        ? fallbackIds.filter((id) => this.configs.some((cfg) => cfg.id === id))
+        : [];
+
       this.isLoaded = true;
 
       // 3) 如果还没有激活配置但列表非空，则默认第一个为激活配置
@@ -99,6 +119,7 @@ class ConfigManager {
       console.error('Failed to load configs:', error);
       this.configs = [];
       this.activeConfigId = null;
+      this.fallbackConfigIds = [];
       this.isLoaded = true;
     }
   }
@@ -133,6 +154,19 @@ class ConfigManager {
     }
   }
 
+  /**
+   * 将备用配置链写入 localStorage
+   */
+  saveFallbackConfigIds() {
+    if (typeof window === 'undefined') return;
+
+    try {
+      localStorage.setItem(this.FALLBACK_CONFIGS_KEY, JSON.stringify(this.fallbackConfigIds));
+    } catch (error) {
+      console.error('Failed to save fallback config IDs:', error);
+    }
+  }
+
   /**
    * 获取当前激活的本地配置 ID
    */
@@ -181,6 +215,70 @@ class ConfigManager {
     return cfg;
   }
 
+  /**
+   * 获取备用配置 ID 列表（按尝试顺序）
+   */
+  getFallbackConfigIds() {
+    this.ensureLoaded();
+    return [...this.fallbackConfigIds];
+  }
+
+  /**
+   * 设置备用配置 ID 列表（自动去重并忽略不存在的配置）
+   */
+  setFallbackConfigIds(ids) {
+    this.ensureLoaded();
+    const unique = [...new Set(Array.isArray(ids) ? ids : [])];
+    this.fallbackConfigIds = unique.filter((id) => !!this.getConfig(id));
+    this.saveFallbackConfigIds();
+    return this.getFallbackConfigIds();
+  }
+
+  /**
+   * 将配置加入或移出备用链（加入时追加到末尾）
+   */
+  toggleFallbackConfig(id) {
+    this.ensureLoaded();
+    const ids = this.fallbackConfigIds.includes(id)
+      ? this.fallbackConfigIds.filter((item) => item !== id)
+      : [...this.fallbackConfigIds, id];
+    return this.setFallbackConfigIds(ids);
+  }
+
+  /**
+   * 调整备用配置的尝试顺序（当前激活配置不参与排序）
+   * @param {string} id - 配置 ID
+   * @param {number} offset - 移动步数，负数表示提前
+   */
+  moveFallbackConfig(id, offset) {
+    this.ensureLoaded();
+    const ids = this.fallbackConfigIds.filter((item) => item !== this.activeConfigId);
+    const index = ids.indexOf(id);
+    if (index === -1) return this.getFallbackConfigIds();
+
+    const target = Math.max(0, Math.min(ids.length - 1, index + offset));
+    ids.splice(index, 1);
+    ids.splice(target, 0, id);
+
+    // 激活配置若也在备用链中，保留在末尾，切换回其他主配置时仍可作为备用
+    if (this.fallbackConfigIds.includes(this.activeConfigId)) {
+      ids.push(this.activeConfigId);
+    }
+    return this.setFallbackConfigIds(ids);
+  }
+
+  /**
+   * 获取备用配置链（排除指定的主配置）
+   * @param {string} [excludeId] - 主配置 ID，默认为当前激活配置
+   */
+  getFallbackConfigs(excludeId = this.getActiveConfigId()) {
+    this.ensureLoaded();
+    return this.fallbackConfigIds
+      .filter((id) => id !== excludeId)
+      .map((id) => this.getConfig(id))
+      .filter(Boolean);
+  }
+
   /**
    * 创建配置
    */
@@ -253,6 +351,11 @@ class ConfigManager {
       this.saveActiveConfigId();
     }
 
+    if (this.fallbackConfigIds.includes(id)) {
+      this.fallbackConfigIds = this.fallbackConfigIds.filter((item) => item !== id);
+      this.saveFallbackConfigIds();
+    }
+
     this.saveConfigs();
   }
 
@@ -265,8 +368,8 @@ class ConfigManager {
       errors.push('配置名称不能为空');
     }
 
-    if (!config.type || !['openai', 'anthropic'].includes(config.type)) {
-      errors.push('配置类型必须是 openai 或 anthropic');
+    if (!config.type || !LLM_PROVIDER_TYPES.includes(config.type)) {
+      errors.push(`配置类型必须是 ${LLM_PROVIDER_TYPES.join('、')} 之一`);
     }
 
     if (!config.baseUrl || !config.baseUrl.trim()) {
@@ -281,7 +384,7 @@ class ConfigManager {
       }
     }
 
-    if (!config.apiKey || !config.apiKey.trim()) {
+    if (requiresApiKey(config.type) && (!config.apiKey || !config.apiKey.trim())) {
       errors.push('API Key 不能为空');
     }
 
@@ -289,6 +392,55 @@ class ConfigManager {
       errors.push('模型名称不能为空');
     }
 
+    if (config.type === 'azure-openai' && (!config.deployment || !config.deployment.trim())) {
+      errors.push('Azure OpenAI 部署名称不能为空');
+    }
+
+    // 生成参数均为可选，填写时校验取值范围
+    errors.push(...validateGenerationParams(config.params));
+
+    // Anthropic extended thinking：预算不少于 1024 且需小于 max_tokens
+    if (config.thinking?.enabled && config.thinking.budgetTokens !== undefined) {
+      const budget = config.thinking.budgetTokens;
+      if (!Number.isInteger(budget) || budget < ANTHROPIC_MIN_THINKING_BUDGET) {
+        errors.push(`思考预算必须为不小于 ${ANTHROPIC_MIN_THINKING_BUDGET} 的整数`);
+      } else if (config.params?.maxTokens !== undefined && budget >= config.params.maxTokens) {
+        errors.push('思考预算必须小于 max_tokens');
+      }
+    }
+
+    if (config.pricing) {
+      const invalidPrice = ['input', 'output', 'cacheRead', 'cacheWrite'].some((key) => {
+        const value = config.pricing[key];
+        return value !== undefined && !(typeof value === 'number' && value >= 0);
+      });
+      if (invalidPrice) {
+        errors.push('模型价格必须为非负数字');
+      }
+    }
+
+    // 模型能力覆盖：上下文窗口与最大输出须为正整数
+    if (config.capabilities) {
+      const invalidLimit = ['contextWindow', 'maxOutputTokens'].some((key) => {
+        const value = config.capabilities[key];
+        return value !== undefined && !(Number.isInteger(value) && value > 0);
+      });
+      if (invalidLimit) {
+        errors.push('上下文窗口与最大输出必须为正整数');
+      }
+    }
+
+    if (config.generationMode !== undefined && !GENERATION_MODES.includes(config.generationMode)) {
+      errors.push(`生成方式必须是 ${GENERATION_MODES.join('、')} 之一`);
+    }
+
+    if (config.promptCaching !== undefined && typeof config.promptCaching !== 'boolean') {
+      errors.push('提示词缓存开关必须为布尔值');
+    }
+
+    // 自定义请求头与查询参数：认证相关的项需显式允许
+    errors.push(...validateCustomRequest(config));
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -343,7 +495,8 @@ class ConfigManager {
         delete configData.updatedAt;
 
         // 验证必要字段
-        if (configData.name && configData.type && configData.baseUrl && configData.apiKey && configData.model) {
+        if (configData.name && configData.type && configData.baseUrl && configData.model &&
+          (configData.apiKey || !requiresApiKey(configData.type))) {
           this.createConfig(configData);
           count++;
         }
@@ -360,22 +513,28 @@ class ConfigManager {
    */
   async testConnection(config) {
     try {
-      const response = await fetch('/api/llm/test', {
+      const response = await fetch('/api/configs', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          type: config.type,
-          baseUrl: config.baseUrl,
-          apiKey: config.apiKey,
-          model: config.model,
+          config: {
+            type: config.type,
+            baseUrl: config.baseUrl,
+            apiKey: config.apiKey,
+            model: config.model,
+            apiVersion: config.apiVersion,
+            headers: config.headers,
+            queryParams: config.queryParams,
+            allowAuthHeaderOverride: config.allowAuthHeaderOverride,
+          },
         }),
       });
 
       const data = await response.json();
-      if (response.ok) {
+      if (response.ok && data.success) {
         return { success: true, message: data.message || '连接成功' };
       } else {
-        return { success: false, message: data.error || '连接失败' };
+        return { success: false, message: data.message || data.error || '连接失败' };
       }
     } catch (error) {
       return { success: false, message: error.message };
@@ -4,19 +4,81 @@
  * 职责:
  * - 配置 CRUD (本地配置列表管理)
  * - 模式管理 (本地配置 vs 访问密码模式)
+ * - 远程配置列表与选择 (访问密码模式下由服务端提供的多个具名配置)
+ * - 登录会话 (访问密码只在登录时发送一次，之后使用 HttpOnly Cookie 中的签名会话)
+ * - 对话历史预算设置 (见 lib/context-budget.js)
  * - 配置验证
  * - 统一事件通知
  * - 旧版本兼容迁移
  */
 
 import { configManager } from './config-manager.js';
+import { requiresApiKey } from './constants.js';
 
 // Storage Keys
 const REMOTE_CONFIG_KEY = 'smart-diagram-remote-config';
+const REMOTE_CONFIG_ID_KEY = 'smart-diagram-remote-config-id';
 const USE_PASSWORD_KEY = 'smart-diagram-use-password';
+// 旧版明文保存的访问密码，仅用于自动迁移到会话
 const ACCESS_PASSWORD_KEY = 'smart-diagram-access-password';
+const SESSION_KEY = 'smart-diagram-session';
+const HISTORY_SETTINGS_KEY = 'smart-diagram-history-settings';
 const LEGACY_CONFIG_KEY = 'smart-excalidraw-config';
 
+/**
+ * 服务端配置的脱敏字段（确保 apiKey 不会写入本地存储）
+ */
+function sanitizeRemoteConfig(config) {
+  return {
+    id: config.id,
+    name: config.name || '远程配置',
+    description: config.description,
+    type: config.type,
+    baseUrl: config.baseUrl,
+    model: config.model,
+    deployment: config.deployment,
+    apiVersion: config.apiVersion,
+    pricing: config.pricing,
+    capabilities: config.capabilities,
+    generationMode: config.generationMode,
+  };
+}
+
+/**
+ * 请求时随配置传递的字段（不含 apiKey，由调用方按模式决定是否携带）
+ * 新增配置字段时只需在这里添加，当前配置、备用配置与引擎请求共用同一份列表
+ */
+export function pickLLMConfigFields(config) {
+  return {
+    id: config.id,
+    name: config.name,
+    type: config.type,
+    baseUrl: config.baseUrl,
+    model: config.model,
+    deployment: config.deployment,
+    apiVersion: config.apiVersion,
+    pricing: config.pricing,
+    params: config.params,
+    thinking: config.thinking,
+    capabilities: config.capabilities,
+    modelCapabilities: config.modelCapabilities,
+    generationMode: config.generationMode,
+    promptCaching: config.promptCaching,
+    headers: config.headers,
+    queryParams: config.queryParams,
+    allowAuthHeaderOverride: config.allowAuthHeaderOverride,
+  };
+}
+
+function pickHistorySettings(settings) {
+  const picked = {};
+  for (const key of ['budgetTokens', 'reserveOutputTokens']) {
+    const value = settings?.[key];
+    if (Number.isInteger(value) && value > 0) picked[key] = value;
+  }
+  return picked;
+}
+
 class ConfigService {
   constructor() {
     this.#migrateLegacyConfig();
@@ -49,30 +111,54 @@ class ConfigService {
   }
 
   /**
-   * 从 localStorage 读取远程配置
+   * 从 localStorage 读取远程配置列表
+   * 旧版存储的是单个配置对象，读取时按只有一个配置的列表处理
    */
-  #getRemoteConfig() {
-    if (typeof window === 'undefined') return null;
+  #getRemoteConfigState() {
+    const empty = { configs: [], defaultId: null };
+    if (typeof window === 'undefined') return empty;
 
     try {
       const raw = localStorage.getItem(REMOTE_CONFIG_KEY);
-      if (!raw) return null;
+      if (!raw) return empty;
 
       const parsed = JSON.parse(raw);
+      if (!parsed) return empty;
 
       // 安全清理: 移除可能误存的 apiKey
-      if (parsed && Object.prototype.hasOwnProperty.call(parsed, 'apiKey')) {
+      if (Object.prototype.hasOwnProperty.call(parsed, 'apiKey')) {
         delete parsed.apiKey;
         localStorage.setItem(REMOTE_CONFIG_KEY, JSON.stringify(parsed));
       }
 
-      return parsed;
+      if (!Array.isArray(parsed.configs)) {
+        return { configs: [sanitizeRemoteConfig(parsed)], defaultId: parsed.id || null };
+      }
+      return {
+        configs: parsed.configs.map(sanitizeRemoteConfig),
+        defaultId: parsed.defaultId || null,
+      };
     } catch (error) {
       console.error('Failed to parse remote config:', error);
-      return null;
+      return empty;
     }
   }
 
+  /**
+   * 获取当前选中的远程配置（未选择或已失效时回退到服务端默认配置）
+   */
+  #getRemoteConfig() {
+    const { configs, defaultId } = this.#getRemoteConfigState();
+    if (configs.length === 0) return null;
+
+    const selectedId = localStorage.getItem(REMOTE_CONFIG_ID_KEY);
+    return (
+      configs.find((config) => config.id && config.id === selectedId) ||
+      configs.find((config) => config.id && config.id === defaultId) ||
+      configs[0]
+    );
+  }
+
   /**
    * 派发配置变更事件
    */
@@ -104,22 +190,149 @@ class ConfigService {
     this.#notifyChange();
   }
 
+  // ==================== 对话历史预算 ====================
+
   /**
-   * 获取访问密码
+   * 获取对话历史设置 { budgetTokens, reserveOutputTokens }，未设置的字段为 undefined（自动）
    */
-  getAccessPassword() {
-    if (typeof window === 'undefined') return '';
-    return localStorage.getItem(ACCESS_PASSWORD_KEY) || '';
+  getHistorySettings() {
+    if (typeof window === 'undefined') return {};
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(HISTORY_SETTINGS_KEY) || '{}');
+      return pickHistorySettings(stored);
+    } catch {
+      return {};
+    }
   }
 
   /**
-   * 设置访问密码
+   * 保存对话历史设置（非正整数的字段视为自动）
+   * @param {Object} settings - { budgetTokens, reserveOutputTokens }
    */
-  setAccessPassword(password) {
+  setHistorySettings(settings) {
     if (typeof window === 'undefined') return;
 
-    localStorage.setItem(ACCESS_PASSWORD_KEY, password || '');
-    this.#notifyChange();
+    localStorage.setItem(HISTORY_SETTINGS_KEY, JSON.stringify(pickHistorySettings(settings)));
+  }
+
+  // ==================== 登录会话（访问密码模式）====================
+
+  /**
+   * 获取本地记录的会话信息 { issuedAt, expiresAt, principal }
+   * 会话令牌本身保存在 HttpOnly Cookie 中，前端只记录有效期用于提示与刷新
+   */
+  getSession() {
+    if (typeof window === 'undefined') return null;
+
+    try {
+      const session = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+      if (!session?.expiresAt || Date.parse(session.expiresAt) <= Date.now()) return null;
+      return session;
+    } catch {
+      return null;
+    }
+  }
+
+  #setSession(data) {
+    localStorage.setItem(
+      SESSION_KEY,
+      JSON.stringify({
+        issuedAt: new Date().toISOString(),
+        expiresAt: data.session?.expiresAt,
+        principal: data.principal || null,
+      })
+    );
+  }
+
+  /**
+   * 清除本地会话记录（服务端返回会话过期时调用）
+   */
+  clearSession() {
+    if (typeof window === 'undefined') return;
+    localStorage.removeItem(SESSION_KEY);
+  }
+
+  /**
+   * 调用 /api/llm/config 登录或刷新会话，成功后更新远程配置列表
+   * @param {string} [credential] - 访问密码或个人令牌；省略时使用现有会话刷新
+   * @returns {Promise<Object>} 服务端响应数据
+   */
+  async #exchangeSession(credential) {
+    const response = await fetch('/api/llm/config', {
+      method: 'POST',
+      headers: credential ? { 'x-access-password': credential } : {},
+    });
+    const data = await response.json().catch(() => ({}));
+
+    // 旧版服务端只返回单个 config
+    const configs = data.configs || (data.config ? [data.config] : []);
+    if (!response.ok || !data.success || configs.length === 0) {
+      const error = new Error(data.error || '远程配置验证失败');
+      error.status = response.status;
+      error.code = data.code;
+      throw error;
+    }
+
+    this.#setSession(data);
+    this.setRemoteConfigs(configs, data.defaultId);
+    return { ...data, configs };
+  }
+
+  /**
+   * 使用访问密码或个人令牌登录
+   */
+  async login(credential) {
+    const data = await this.#exchangeSession(credential);
+    // 登录成功后不再保留旧版明文密码
+    localStorage.removeItem(ACCESS_PASSWORD_KEY);
+    return data;
+  }
+
+  /**
+   * 登出：吊销服务端会话并清除本地记录
+   */
+  async logout() {
+    try {
+      await fetch('/api/llm/config', { method: 'DELETE' });
+    } finally {
+      this.clearSession();
+      this.#notifyChange();
+    }
+  }
+
+  /**
+   * 请求前确保会话可用：超过有效期一半时自动刷新；
+   * 没有会话但存在旧版明文密码时自动登录一次完成迁移
+   */
+  async ensureSession() {
+    if (typeof window === 'undefined' || !this.isPasswordMode()) return;
+
+    const session = this.getSession();
+    if (!session) {
+      const legacyPassword = localStorage.getItem(ACCESS_PASSWORD_KEY);
+      if (legacyPassword) {
+        try {
+          await this.login(legacyPassword);
+        } catch (error) {
+          // 密码已失效时不再反复尝试，避免触发登录节流
+          if (error.status === 401) localStorage.removeItem(ACCESS_PASSWORD_KEY);
+          throw error;
+        }
+      }
+      return;
+    }
+
+    const issuedAt = Date.parse(session.issuedAt);
+    const expiresAt = Date.parse(session.expiresAt);
+    if (Date.now() - issuedAt < (expiresAt - issuedAt) / 2) return;
+
+    try {
+      await this.#exchangeSession();
+    } catch (error) {
+      // 刷新失败时沿用现有会话，真正过期后由请求返回的 401 提示重新登录
+      console.warn('Failed to refresh session:', error);
+    }
   }
 
   /**
@@ -142,13 +355,13 @@ class ConfigService {
       return { isValid: false, errors };
     }
 
-    // 在访问密码模式下，apiKey 由服务端提供，前端配置无需包含
-    if (this.isPasswordMode() && this.getAccessPassword()) {
+    // 在访问密码模式下，apiKey 由服务端提供，前端配置无需包含（会话是否有效由服务端校验）
+    if (this.isPasswordMode()) {
       return { isValid: true, errors: [] };
     }
 
-    // 本地配置模式：必须有 apiKey
-    if (!config.apiKey) {
+    // 本地配置模式：必须有 apiKey（Ollama 等本地模型除外）
+    if (!config.apiKey && requiresApiKey(config.type)) {
       errors.push('缺少 API Key');
     }
 
@@ -178,54 +391,93 @@ class ConfigService {
       // 访问密码模式：使用远程配置
       const remoteConfig = this.#getRemoteConfig();
       if (this.isConfigValid(remoteConfig)) {
-        return {
-          name: remoteConfig.name || '远程配置',
-          type: remoteConfig.type,
-          baseUrl: remoteConfig.baseUrl,
-          model: remoteConfig.model,
-          // 访问密码模式下不返回 apiKey
-        };
+        // 访问密码模式下不返回 apiKey，请求时通过 id 选择服务端配置
+        return sanitizeRemoteConfig(remoteConfig);
       }
       return null;
     } else {
       // 本地配置模式：使用当前激活的本地配置
       const activeLocalConfig = configManager.getActiveConfig();
       if (this.isConfigValid(activeLocalConfig)) {
-        return {
-          name: activeLocalConfig.name,
-          type: activeLocalConfig.type,
-          baseUrl: activeLocalConfig.baseUrl,
-          apiKey: activeLocalConfig.apiKey,
-          model: activeLocalConfig.model,
-        };
+        return { ...pickLLMConfigFields(activeLocalConfig), apiKey: activeLocalConfig.apiKey };
       }
       return null;
     }
   }
 
   /**
-   * 设置远程配置（来自 API 验证）
+   * 获取备用配置链（仅本地配置模式）
+   * 主配置请求失败时按顺序尝试，访问密码模式下只有服务端配置，返回空数组
    */
-  setRemoteConfig(config) {
+  getFallbackConfigs() {
+    if (typeof window === 'undefined') return [];
+    if (this.isPasswordMode()) return [];
+
+    return configManager
+      .getFallbackConfigs()
+      .filter((config) => this.isConfigValid(config))
+      .map((config) => ({ ...pickLLMConfigFields(config), apiKey: config.apiKey }));
+  }
+
+  /**
+   * 设置远程配置列表（来自 /api/llm/config 验证）
+   * @param {Array<Object>} configs - 服务端返回的脱敏配置
+   * @param {string} [defaultId] - 服务端默认配置 id
+   */
+  setRemoteConfigs(configs, defaultId) {
     if (typeof window === 'undefined') return;
 
     try {
       // 确保不保存 apiKey 到本地存储
-      const sanitized = {
-        name: config.name || '远程配置',
-        type: config.type,
-        baseUrl: config.baseUrl,
-        model: config.model,
+      const state = {
+        configs: (configs || []).filter(Boolean).map(sanitizeRemoteConfig),
+        defaultId: defaultId || null,
       };
 
-      localStorage.setItem(REMOTE_CONFIG_KEY, JSON.stringify(sanitized));
+      localStorage.setItem(REMOTE_CONFIG_KEY, JSON.stringify(state));
       this.#notifyChange();
     } catch (error) {
-      console.error('Failed to set remote config:', error);
+      console.error('Failed to set remote configs:', error);
       throw error;
     }
   }
 
+  /**
+   * 设置单个远程配置（兼容旧版 API）
+   */
+  setRemoteConfig(config) {
+    this.setRemoteConfigs([config], config?.id);
+  }
+
+  /**
+   * 获取远程配置列表
+   */
+  listRemoteConfigs() {
+    return this.#getRemoteConfigState().configs;
+  }
+
+  /**
+   * 获取当前选中的远程配置 ID
+   */
+  getSelectedRemoteConfigId() {
+    if (typeof window === 'undefined') return null;
+    return this.#getRemoteConfig()?.id || null;
+  }
+
+  /**
+   * 选择远程配置
+   */
+  setSelectedRemoteConfig(id) {
+    if (typeof window === 'undefined') return;
+
+    if (id) {
+      localStorage.setItem(REMOTE_CONFIG_ID_KEY, id);
+    } else {
+      localStorage.removeItem(REMOTE_CONFIG_ID_KEY);
+    }
+    this.#notifyChange();
+  }
+
   /**
    * 清除远程配置
    */
@@ -233,6 +485,7 @@ class ConfigService {
     if (typeof window === 'undefined') return;
 
     localStorage.removeItem(REMOTE_CONFIG_KEY);
+    localStorage.removeItem(REMOTE_CONFIG_ID_KEY);
     this.#notifyChange();
   }
 
@@ -1,5 +1,84 @@
 // 统一的常量定义
 
+// LLM provider types supported by lib/llm-client.js (mock streams offline fixtures, see lib/mock-provider.js)
+export const LLM_PROVIDER_TYPES = ['openai', 'azure-openai', 'anthropic', 'gemini', 'ollama', 'mock'];
+
+// Provider types that can run without an API key (e.g. self-hosted Ollama, the offline mock)
+export const KEYLESS_PROVIDER_TYPES = ['ollama', 'mock'];
+
+// Azure OpenAI data-plane API version used when a config does not specify one
+export const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * 判断某个提供商类型是否必须配置 API Key
+ */
+export function requiresApiKey(type) {
+  return !KEYLESS_PROVIDER_TYPES.includes(type);
+}
+
+// Generation parameter ranges (config.params)
+export const GENERATION_PARAM_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  maxTokens: { min: 1, max: 1000000 },
+  maxStopSequences: 4,
+};
+
+// Generation modes (config.generationMode): text = the model writes diagram code directly,
+// tool = the model calls the emit_diagram tool and the client converts its arguments (lib/diagram-schema.js)
+export const GENERATION_MODES = ['text', 'tool'];
+
+// Anthropic requires max_tokens; used when a config does not set one (capped by the model's max output when known)
+export const ANTHROPIC_DEFAULT_MAX_TOKENS = 64000;
+
+// Anthropic extended thinking budget (budget_tokens must be >= 1024 and below max_tokens)
+export const ANTHROPIC_MIN_THINKING_BUDGET = 1024;
+export const ANTHROPIC_DEFAULT_THINKING_BUDGET = 4096;
+
+/**
+ * 校验生成参数 { temperature, maxTokens, topP, stop }，所有字段均可选
+ * @returns {string[]} 错误信息列表
+ */
+export function validateGenerationParams(params) {
+  const errors = [];
+  if (!params) return errors;
+
+  const { temperature, topP, maxTokens, maxStopSequences } = GENERATION_PARAM_LIMITS;
+  const inRange = (value, range) =>
+    typeof value === 'number' && Number.isFinite(value) && value >= range.min && value <= range.max;
+
+  if (params.temperature !== undefined && !inRange(params.temperature, temperature)) {
+    errors.push(`temperature 必须在 ${temperature.min} 到 ${temperature.max} 之间`);
+  }
+  if (params.topP !== undefined && !inRange(params.topP, topP)) {
+    errors.push(`top_p 必须在 ${topP.min} 到 ${topP.max} 之间`);
+  }
+  if (params.maxTokens !== undefined &&
+    (!Number.isInteger(params.maxTokens) || !inRange(params.maxTokens, maxTokens))) {
+    errors.push('max_tokens 必须为正整数');
+  }
+  if (params.stop !== undefined) {
+    if (!Array.isArray(params.stop) || params.stop.some((item) => typeof item !== 'string' || !item)) {
+      errors.push('stop 必须为非空字符串数组');
+    } else if (params.stop.length > maxStopSequences) {
+      errors.push(`stop 最多 ${maxStopSequences} 个`);
+    }
+  }
+
+  return errors;
+}
+
+// 访问密码模式下 /api/llm/stream 返回 429 时的错误码（服务端限流，而非上游服务商限流）
+export const RATE_LIMIT_ERROR_CODES = {
+  RATE_LIMITED: 'rate_limited',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+};
+
+// 访问密码模式下会话缺失或过期时返回 401 的错误码，前端据此提示重新验证
+export const AUTH_ERROR_CODES = {
+  SESSION_EXPIRED: 'session_expired',
+};
+
 // Chart type options
 // Must match CHART_TYPE_NAMES in lib/prompts.js
 export const CHART_TYPES = {
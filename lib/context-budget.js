@@ -0,0 +1,187 @@
+/**
+ * 按 token 预算组装对话历史，替代固定条数的历史窗口
+ *
+ * - 历史预算 = 模型上下文窗口 − 预留输出 − system 消息与本轮用户消息，再受设置中的历史预算上限约束
+ * - 每条 assistant 回复都是完整的图表代码：最近一次的代码总是原样保留（即使超出预算），
+ *   更早的代码已被后续版本取代，替换为简短占位
+ * - 从最近的消息往前选取，放不下的较早轮次压缩为需求摘要，作为历史开头的一条单独的用户消息；
+ *   system 消息保持不变，不破坏提示词缓存依赖的稳定前缀
+ *
+ * token 数按字符粗略估算（中日韩字符约 1 token / 字，其余约 4 字符 / token），图片按固定值计算。
+ */
+
+// 模型能力未知时假定的上下文窗口
+export const DEFAULT_CONTEXT_WINDOW = 32000;
+// 未设置 max_tokens 且模型最大输出未知时预留的输出 token
+export const DEFAULT_OUTPUT_RESERVE = 8192;
+// 历史预算上限的默认值（设置中可修改，实际预算不超过上下文允许的范围）
+export const DEFAULT_HISTORY_BUDGET = 16000;
+
+const IMAGE_TOKENS = 1000;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const SUMMARY_MAX_TOKENS = 600;
+const SUMMARY_ITEM_MAX_CHARS = 120;
+const OMITTED_CODE_NOTE = '（较早版本的图表代码，已被之后的版本取代，此处省略）';
+const SUMMARY_ACK = '好的，我会在包含这些修改的当前图表基础上继续。';
+const CJK_PATTERN = /[\u3000-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g;
+
+/**
+ * 估算文本的 token 数
+ */
+export function estimateTextTokens(text) {
+  if (!text) return 0;
+  const value = String(text);
+  const cjk = value.match(CJK_PATTERN)?.length || 0;
+  return cjk + Math.ceil((value.length - cjk) / 4);
+}
+
+function getTextContent(message) {
+  const content = message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((part) => part?.type === 'text' && typeof part.text === 'string')
+    .map((part) => part.text)
+    .join('\n');
+}
+
+/**
+ * 估算单条消息的 token 数（含图片与消息格式开销）
+ */
+export function estimateMessageTokens(message) {
+  const images = Array.isArray(message?.content)
+    ? message.content.filter((part) => part?.type === 'image_url').length
+    : 0;
+  return MESSAGE_OVERHEAD_TOKENS + estimateTextTokens(getTextContent(message)) + images * IMAGE_TOKENS;
+}
+
+/**
+ * 计算本次请求可用于历史消息的 token 预算
+ * @param {Object} options
+ * @param {Object} options.capabilities - getModelCapabilities() 的返回值
+ * @param {Object} [options.params] - 配置的生成参数（maxTokens 作为预留输出）
+ * @param {Object} [options.settings] - 历史设置 { budgetTokens, reserveOutputTokens }
+ * @param {number} [options.fixedTokens=0] - system 消息与本轮用户消息已占用的 token
+ * @returns {number}
+ */
+export function getHistoryBudget({ capabilities, params, settings, fixedTokens = 0 }) {
+  const contextWindow = capabilities?.contextWindow || DEFAULT_CONTEXT_WINDOW;
+  const reserve = settings?.reserveOutputTokens
+    || params?.maxTokens
+    || Math.min(capabilities?.maxOutputTokens || DEFAULT_OUTPUT_RESERVE, DEFAULT_OUTPUT_RESERVE);
+  const available = contextWindow - reserve - fixedTokens;
+  return Math.max(0, Math.min(available, settings?.budgetTokens || DEFAULT_HISTORY_BUDGET));
+}
+
+/**
+ * 从用户消息中取出原始需求（USER_PROMPT_TEMPLATE 把需求放在第一对 """ 之间）
+ */
+function extractRequest(message) {
+  const text = getTextContent(message);
+  const match = text.match(/"""([\s\S]*?)"""/);
+  const request = (match ? match[1] : text).replace(/\s+/g, ' ').trim();
+  return request.length > SUMMARY_ITEM_MAX_CHARS ? `${request.slice(0, SUMMARY_ITEM_MAX_CHARS)}…` : request;
+}
+
+/**
+ * 把放不下的较早用户需求压缩为摘要，优先保留较新的需求
+ * @returns {string} 没有可摘要的内容时返回空字符串
+ */
+function summarizeDropped(dropped) {
+  const items = dropped
+    .filter((message) => message.role === 'user')
+    .map(extractRequest)
+    .filter(Boolean);
+
+  const kept = [];
+  let tokens = 0;
+  for (let i = items.length - 1; i >= 0; i -= 1) {
+    const cost = estimateTextTokens(items[i]) + 2;
+    if (tokens + cost > SUMMARY_MAX_TOKENS) break;
+    kept.unshift(items[i]);
+    tokens += cost;
+  }
+  if (kept.length === 0) return '';
+
+  const omitted = items.length - kept.length;
+  return [
+    '# 较早的对话摘要',
+    `以下是本次对话中较早的用户需求（按时间顺序${omitted > 0 ? `，另有 ${omitted} 条更早的需求已省略` : ''}），当前图表已包含这些修改：`,
+    ...kept.map((item) => `- ${item}`),
+  ].join('\n');
+}
+
+/**
+ * 按 token 预算组装完整 messages
+ * @param {Object} systemMessage - system 消息
+ * @param {Object} userMessage - 本轮用户消息
+ * @param {Array} history - 之前的对话消息（会话中的原始消息，包含错误提示、被停止的回复等）
+ * @param {Object} options - 同 getHistoryBudget（无需 fixedTokens）
+ * @returns {{ messages: Array, stats: { budget: number, used: number, included: number, dropped: number, summarized: boolean } }}
+ */
+export function buildBudgetedMessages(systemMessage, userMessage, history, options = {}) {
+  // 被中途停止的回复不完整，不作为上下文；图片不重复发送，只保留文字；只保留 LLM 原生字段
+  const candidates = history
+    .filter((m) => ['user', 'assistant'].includes(m.role) && !m.stopped)
+    .map((m) => ({ role: m.role, content: getTextContent(m) }))
+    .filter((m) => m.content);
+
+  // 只有最近一次的图表代码需要原样保留
+  let latestCodeIndex = -1;
+  for (let i = candidates.length - 1; i >= 0; i -= 1) {
+    if (candidates[i].role === 'assistant') {
+      latestCodeIndex = i;
+      break;
+    }
+  }
+  const compacted = candidates.map((m, i) =>
+    (m.role === 'assistant' && i !== latestCodeIndex ? { ...m, content: OMITTED_CODE_NOTE } : m));
+
+  const budget = getHistoryBudget({
+    ...options,
+    fixedTokens: estimateMessageTokens(systemMessage) + estimateMessageTokens(userMessage),
+  });
+
+  let used = 0;
+  let firstIncluded = compacted.length;
+  if (latestCodeIndex !== -1) {
+    // 最近一次代码及其之后的消息（如回复失败的需求）必须保留
+    for (let i = latestCodeIndex; i < compacted.length; i += 1) {
+      used += estimateMessageTokens(compacted[i]);
+    }
+    firstIncluded = latestCodeIndex;
+  }
+  for (let i = firstIncluded - 1; i >= 0; i -= 1) {
+    const cost = estimateMessageTokens(compacted[i]);
+    if (used + cost > budget) break;
+    used += cost;
+    firstIncluded = i;
+  }
+
+  // 历史尽量以用户消息开头，不完整的一轮并入摘要
+  if (compacted[firstIncluded]?.role === 'assistant' && firstIncluded !== latestCodeIndex) {
+    used -= estimateMessageTokens(compacted[firstIncluded]);
+    firstIncluded += 1;
+  }
+
+  const included = compacted.slice(firstIncluded);
+  const dropped = compacted.slice(0, firstIncluded);
+  const summary = summarizeDropped(dropped);
+  const summaryMessages = [];
+  if (summary) {
+    summaryMessages.push({ role: 'user', content: summary });
+    // 保持用户 / 助手交替：保留的历史以助手回复开头时由它直接承接摘要
+    if (included[0]?.role !== 'assistant') summaryMessages.push({ role: 'assistant', content: SUMMARY_ACK });
+  }
+
+  return {
+    messages: [systemMessage, ...summaryMessages, ...included, userMessage],
+    stats: {
+      budget,
+      used,
+      included: included.length,
+      dropped: dropped.length,
+      summarized: !!summary,
+    },
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * 每个 LLM 配置的自定义请求头与查询参数
+ *
+ * OpenRouter、LiteLLM 或企业代理等网关需要额外的请求头（如 HTTP-Referer、X-Title、租户 id）或查询参数。
+ * 配置字段：
+ *   headers                   { [name]: value }，合并到对话、模型列表与连接测试请求中
+ *   queryParams               { [name]: value }，追加到请求地址
+ *   allowAuthHeaderOverride   为 true 时才允许覆盖认证相关的请求头与查询参数（默认只保留内置的认证方式）
+ */
+
+// 认证相关：默认不允许覆盖，避免配置中的请求头意外替换或泄露 API 密钥
+export const AUTH_HEADERS = ['authorization', 'x-api-key', 'api-key', 'x-goog-api-key'];
+export const AUTH_QUERY_PARAMS = ['key', 'api_key', 'api-key', 'access_token'];
+// 由 fetch 与请求体决定，始终不允许覆盖
+const RESERVED_HEADERS = ['host', 'content-length', 'content-type', 'connection', 'transfer-encoding'];
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const MAX_ENTRIES = 20;
+
+function isAllowed(name, protectedNames, allowAuthOverride) {
+  const lower = name.toLowerCase();
+  if (RESERVED_HEADERS.includes(lower)) return false;
+  return allowAuthOverride || !protectedNames.includes(lower);
+}
+
+/**
+ * 从配置中取出自定义请求字段（未设置时返回 undefined，便于在各处显式挑选字段）
+ */
+export function pickCustomRequest(config) {
+  if (!config?.headers && !config?.queryParams) return undefined;
+  return {
+    headers: config.headers,
+    queryParams: config.queryParams,
+    allowAuthHeaderOverride: config.allowAuthHeaderOverride === true,
+  };
+}
+
+/**
+ * 把自定义请求头合并到内置请求头上（名称不区分大小写，自定义值覆盖同名的内置值）
+ * 认证请求头只有在 allowAuthHeaderOverride 为 true 时才会被覆盖，其余情况忽略并输出警告
+ * @param {Object} headers - 内置请求头
+ * @param {Object} [custom] - pickCustomRequest() 的返回值
+ * @returns {Object}
+ */
+export function mergeCustomHeaders(headers, custom) {
+  if (!custom?.headers) return headers;
+  const merged = { ...headers };
+  for (const [name, value] of Object.entries(custom.headers)) {
+    if (!isAllowed(name, AUTH_HEADERS, custom.allowAuthHeaderOverride)) {
+      console.warn(`Ignoring custom header ${name}: overriding it is not allowed`);
+      continue;
+    }
+    for (const key of Object.keys(merged)) {
+      if (key.toLowerCase() === name.toLowerCase()) delete merged[key];
+    }
+    merged[name] = String(value);
+  }
+  return merged;
+}
+
+/**
+ * 把自定义查询参数追加到请求地址（同名参数覆盖地址中已有的值）
+ * @param {string} url
+ * @param {Object} [custom] - pickCustomRequest() 的返回值
+ * @returns {string}
+ */
+export function appendCustomQueryParams(url, custom) {
+  if (!custom?.queryParams || Object.keys(custom.queryParams).length === 0) return url;
+  const parsed = new URL(url);
+  for (const [name, value] of Object.entries(custom.queryParams)) {
+    if (!custom.allowAuthHeaderOverride && AUTH_QUERY_PARAMS.includes(name.toLowerCase())) {
+      console.warn(`Ignoring custom query param ${name}: overriding it is not allowed`);
+      continue;
+    }
+    parsed.searchParams.set(name, String(value));
+  }
+  return parsed.toString();
+}
+
+/**
+ * 校验自定义请求字段
+ * @returns {Array<string>} 错误信息，合法时为空数组
+ */
+export function validateCustomRequest(config) {
+  const errors = [];
+  const allowAuthOverride = config?.allowAuthHeaderOverride === true;
+
+  for (const [field, label, protectedNames] of [
+    ['headers', '请求头', AUTH_HEADERS],
+    ['queryParams', '查询参数', AUTH_QUERY_PARAMS],
+  ]) {
+    const entries = config?.[field];
+    if (entries === undefined) continue;
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push(`自定义${label}格式不正确`);
+      continue;
+    }
+    const names = Object.keys(entries);
+    if (names.length > MAX_ENTRIES) {
+      errors.push(`自定义${label}最多 ${MAX_ENTRIES} 项`);
+    }
+    for (const name of names) {
+      const value = entries[name];
+      if (field === 'headers' && !HEADER_NAME_PATTERN.test(name)) {
+        errors.push(`请求头名称不合法：${name}`);
+      } else if (!name.trim()) {
+        errors.push('查询参数名称不能为空');
+      } else if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+        errors.push(`自定义${label} ${name} 的值必须是单行文本`);
+      } else if (field === 'headers' && RESERVED_HEADERS.includes(name.toLowerCase())) {
+        errors.push(`请求头 ${name} 不允许自定义`);
+      } else if (!allowAuthOverride && protectedNames.includes(name.toLowerCase())) {
+        errors.push(`${name} 用于认证，需勾选"允许覆盖认证请求头"后才能自定义`);
+      }
+    }
+  }
+
+  if (config?.allowAuthHeaderOverride !== undefined && typeof config.allowAuthHeaderOverride !== 'boolean') {
+    errors.push('允许覆盖认证请求头的开关必须为布尔值');
+  }
+  return errors;
+}
+
+/**
+ * 解析编辑框中的键值对，每行一项，如 "X-Title: Smart Diagram" / "tenant=acme"
+ * @param {string} text
+ * @param {string} separator - ':' 或 '='
+ * @returns {{ entries: Object|undefined, invalidLine: string|null }}
+ */
+export function parseKeyValueLines(text, separator) {
+  const entries = {};
+  for (const line of String(text || '').split('\n')) {
+    if (!line.trim()) continue;
+    const index = line.indexOf(separator);
+    if (index <= 0) return { entries: undefined, invalidLine: line.trim() };
+    entries[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  }
+  return { entries: Object.keys(entries).length > 0 ? entries : undefined, invalidLine: null };
+}
+
+/**
+ * parseKeyValueLines 的逆操作
+ */
+export function formatKeyValueLines(entries, separator) {
+  return Object.entries(entries || {})
+    .map(([name, value]) => `${name}${separator === ':' ? ': ' : separator}${value}`)
+    .join('\n');
+}
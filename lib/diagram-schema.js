@@ -0,0 +1,511 @@
+/**
+ * 工具调用生成模式（generationMode: 'tool'）使用的结构化图表描述
+ *
+ * 模型不直接输出 XML / JSON 代码，而是调用 emit_diagram 工具，参数为与引擎无关的图表结构：
+ *   { direction?, nodes: [{ id, label, shape?, x?, y?, width?, height?, group?, style? }],
+ *     edges: [{ source, target, label?, style? }], groups?: [{ id, label?, style? }] }
+ * 前端收到完整参数后用 convertDiagramToCode 转换为 mxGraph XML 或 Excalidraw 元素数组，
+ * 之后照常进入 lib/code-processor.js 的处理管道。节点缺少坐标时按连线关系自动分层布局。
+ */
+
+import { computeLayeredLayout } from './auto-layout.js';
+import { fixJSON } from './fixUnclosed.js';
+
+export const EMIT_DIAGRAM_TOOL_NAME = 'emit_diagram';
+
+export const DIAGRAM_NODE_SHAPES = [
+  'rectangle',
+  'rounded',
+  'ellipse',
+  'diamond',
+  'cylinder',
+  'hexagon',
+  'parallelogram',
+  'document',
+  'actor',
+  'cloud',
+  'text',
+];
+
+export const DIAGRAM_DIRECTIONS = ['TB', 'LR'];
+
+const COLOR_PROPERTY = { type: 'string', description: '十六进制颜色，如 #1976d2' };
+
+const NODE_STYLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    fillColor: COLOR_PROPERTY,
+    strokeColor: COLOR_PROPERTY,
+    fontColor: COLOR_PROPERTY,
+    fontSize: { type: 'number' },
+    dashed: { type: 'boolean' },
+  },
+};
+
+/**
+ * emit_diagram 工具参数的 JSON Schema（只使用 OpenAI / Anthropic / Gemini 均支持的子集）
+ */
+export const DIAGRAM_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    direction: {
+      type: 'string',
+      enum: DIAGRAM_DIRECTIONS,
+      description: '自动布局方向：TB 自上而下，LR 自左向右',
+    },
+    nodes: {
+      type: 'array',
+      description: '图中的节点',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: '节点唯一标识，连线通过它引用节点' },
+          label: { type: 'string', description: '节点文字，可用 \\n 换行' },
+          shape: { type: 'string', enum: DIAGRAM_NODE_SHAPES },
+          x: { type: 'number' },
+          y: { type: 'number' },
+          width: { type: 'number' },
+          height: { type: 'number' },
+          group: { type: 'string', description: '所属分组的 id' },
+          style: NODE_STYLE_SCHEMA,
+        },
+        required: ['id', 'label'],
+      },
+    },
+    edges: {
+      type: 'array',
+      description: '节点之间的连线',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string', description: '起点节点 id' },
+          target: { type: 'string', description: '终点节点 id' },
+          label: { type: 'string' },
+          style: {
+            type: 'object',
+            properties: {
+              strokeColor: COLOR_PROPERTY,
+              dashed: { type: 'boolean' },
+              startArrow: { type: 'boolean', description: '起点是否带箭头，默认 false' },
+              endArrow: { type: 'boolean', description: '终点是否带箭头，默认 true' },
+            },
+          },
+        },
+        required: ['source', 'target'],
+      },
+    },
+    groups: {
+      type: 'array',
+      description: '分组（如架构图的分层），按成员节点自动计算边框',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          label: { type: 'string' },
+          style: NODE_STYLE_SCHEMA,
+        },
+        required: ['id'],
+      },
+    },
+  },
+  required: ['nodes', 'edges'],
+};
+
+export const EMIT_DIAGRAM_TOOL = {
+  name: EMIT_DIAGRAM_TOOL_NAME,
+  description: '输出完整的图表结构（节点、连线、分组与样式），前端会将其渲染到画布上',
+  parameters: DIAGRAM_JSON_SCHEMA,
+};
+
+// 追加到系统提示词末尾，覆盖其中「直接输出代码」的要求
+export const TOOL_MODE_INSTRUCTION = `# 输出方式
+本次请调用 ${EMIT_DIAGRAM_TOOL_NAME} 工具提交图表，不要在回复中直接输出 XML 或 JSON 代码。
+节点坐标可以省略，省略时会按连线关系自动布局；需要精确排版时请同时给出 x、y、width、height。`;
+
+const DEFAULT_SIZES = {
+  diamond: { width: 160, height: 100 },
+  ellipse: { width: 140, height: 70 },
+  actor: { width: 40, height: 80 },
+  text: { width: 120, height: 40 },
+};
+const DEFAULT_SIZE = { width: 160, height: 70 };
+const LAYER_GAP = 100;
+const NODE_GAP = 60;
+const LAYOUT_ORIGIN = 40;
+const GROUP_PADDING = 30;
+const GROUP_LABEL_HEIGHT = 30;
+
+function toNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+const COLOR_KEYS = ['fillColor', 'strokeColor', 'fontColor'];
+
+/**
+ * 复制样式并丢弃不是十六进制颜色的颜色值：颜色会原样写入 mxGraph 的 style 属性，
+ * 含有 " ; = 的值会破坏 XML 或注入额外的样式键
+ */
+function normalizeStyle(style) {
+  if (!style || typeof style !== 'object') return {};
+  const result = { ...style };
+  for (const key of COLOR_KEYS) {
+    if (result[key] !== undefined && !(typeof result[key] === 'string' && HEX_COLOR.test(result[key]))) {
+      delete result[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * 校验并规范化模型返回的图表结构：丢弃缺少 id 的节点、引用不存在节点的连线与不合法的颜色，补齐默认尺寸
+ * @param {Object} diagram - emit_diagram 的参数
+ * @returns {{ direction: string, nodes: Array, edges: Array, groups: Array }}
+ */
+export function normalizeDiagram(diagram) {
+  if (!diagram || typeof diagram !== 'object' || !Array.isArray(diagram.nodes)) {
+    throw new Error(`${EMIT_DIAGRAM_TOOL_NAME} 参数缺少 nodes 数组`);
+  }
+
+  const seen = new Set();
+  const nodes = [];
+  for (const raw of diagram.nodes) {
+    const id = raw?.id === undefined || raw.id === null ? '' : String(raw.id);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+
+    const shape = DIAGRAM_NODE_SHAPES.includes(raw.shape) ? raw.shape : 'rounded';
+    const size = DEFAULT_SIZES[shape] || DEFAULT_SIZE;
+    nodes.push({
+      id,
+      label: raw.label === undefined || raw.label === null ? '' : String(raw.label),
+      shape,
+      x: toNumber(raw.x),
+      y: toNumber(raw.y),
+      width: toNumber(raw.width) > 0 ? raw.width : size.width,
+      height: toNumber(raw.height) > 0 ? raw.height : size.height,
+      group: raw.group === undefined || raw.group === null ? undefined : String(raw.group),
+      style: normalizeStyle(raw.style),
+    });
+  }
+
+  const edges = (Array.isArray(diagram.edges) ? diagram.edges : [])
+    .filter((edge) => edge && seen.has(String(edge.source)) && seen.has(String(edge.target)))
+    .map((edge) => ({
+      source: String(edge.source),
+      target: String(edge.target),
+      label: edge.label === undefined || edge.label === null ? '' : String(edge.label),
+      style: normalizeStyle(edge.style),
+    }));
+
+  const groups = (Array.isArray(diagram.groups) ? diagram.groups : [])
+    .filter((group) => group && group.id !== undefined && group.id !== null)
+    .map((group) => ({
+      id: String(group.id),
+      label: group.label === undefined || group.label === null ? '' : String(group.label),
+      style: normalizeStyle(group.style),
+    }));
+
+  return {
+    direction: DIAGRAM_DIRECTIONS.includes(diagram.direction) ? diagram.direction : 'TB',
+    nodes,
+    edges,
+    groups,
+  };
+}
+
+/**
+ * 为缺少坐标的图表计算布局：按连线做分层布局（见 auto-layout.js），减少连线交叉
+ * 所有节点都已给出坐标时保持不变
+ */
+export function layoutDiagram(diagram) {
+  const { nodes, edges, direction } = diagram;
+  if (nodes.every((node) => node.x !== undefined && node.y !== undefined)) return diagram;
+
+  const positions = computeLayeredLayout(nodes, edges, { direction, layerGap: LAYER_GAP, nodeGap: NODE_GAP });
+
+  // 有分组时为分组边框与标题留出空间，避免出现负坐标
+  const origin = LAYOUT_ORIGIN + (diagram.groups.length > 0 ? GROUP_PADDING + GROUP_LABEL_HEIGHT : 0);
+  return {
+    ...diagram,
+    nodes: nodes.map((node) => {
+      const { x, y } = positions.get(node.id);
+      return { ...node, x: Math.round(origin + x), y: Math.round(origin + y) };
+    }),
+  };
+}
+
+/**
+ * 按成员节点计算分组边框（顶部留出标题高度），没有成员的分组不输出
+ */
+function computeGroupBounds(diagram) {
+  return diagram.groups
+    .map((group) => {
+      const members = diagram.nodes.filter((node) => node.group === group.id);
+      if (members.length === 0) return null;
+      const minX = Math.min(...members.map((node) => node.x)) - GROUP_PADDING;
+      const minY = Math.min(...members.map((node) => node.y)) - GROUP_PADDING - GROUP_LABEL_HEIGHT;
+      const maxX = Math.max(...members.map((node) => node.x + node.width)) + GROUP_PADDING;
+      const maxY = Math.max(...members.map((node) => node.y + node.height)) + GROUP_PADDING;
+      return { ...group, x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    })
+    .filter(Boolean);
+}
+
+function prepareDiagram(diagram) {
+  return layoutDiagram(normalizeDiagram(diagram));
+}
+
+// ==================== mxGraph XML ====================
+
+const MX_SHAPE_STYLES = {
+  rectangle: 'rounded=0;whiteSpace=wrap;html=1;',
+  rounded: 'rounded=1;whiteSpace=wrap;html=1;',
+  ellipse: 'ellipse;whiteSpace=wrap;html=1;',
+  diamond: 'rhombus;whiteSpace=wrap;html=1;',
+  cylinder: 'shape=cylinder3;whiteSpace=wrap;html=1;boundedLbl=1;backgroundOutline=1;size=15;',
+  hexagon: 'shape=hexagon;perimeter=hexagonPerimeter2;whiteSpace=wrap;html=1;fixedSize=1;',
+  parallelogram: 'shape=parallelogram;perimeter=parallelogramPerimeter;whiteSpace=wrap;html=1;fixedSize=1;',
+  document: 'shape=document;whiteSpace=wrap;html=1;boundedLbl=1;',
+  actor: 'shape=umlActor;verticalLabelPosition=bottom;verticalAlign=top;html=1;outlineConnect=0;',
+  cloud: 'ellipse;shape=cloud;whiteSpace=wrap;html=1;',
+  text: 'text;html=1;align=center;verticalAlign=middle;',
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// html=1 的标签用 <br> 换行
+function toMxValue(label) {
+  return escapeXml(escapeXml(label).replace(/\n/g, '<br>'));
+}
+
+function appendMxStyle(base, style) {
+  let result = base;
+  if (style.fillColor) result += `fillColor=${style.fillColor};`;
+  if (style.strokeColor) result += `strokeColor=${style.strokeColor};`;
+  if (style.fontColor) result += `fontColor=${style.fontColor};`;
+  if (toNumber(style.fontSize)) result += `fontSize=${style.fontSize};`;
+  if (style.dashed) result += 'dashed=1;';
+  return result;
+}
+
+function mxGeometry({ x, y, width, height }) {
+  return `<mxGeometry x="${Math.round(x)}" y="${Math.round(y)}" width="${Math.round(width)}" height="${Math.round(height)}" as="geometry" />`;
+}
+
+/**
+ * 转换为 mxGraph XML（<mxGraphModel>），分组输出为位于节点下方的虚线容器
+ * @param {Object} diagram - emit_diagram 的参数
+ * @returns {string}
+ */
+export function diagramToMxGraphXml(diagram) {
+  const prepared = prepareDiagram(diagram);
+  const cells = ['<mxCell id="0" />', '<mxCell id="1" parent="0" />'];
+  let nextId = 2;
+
+  for (const group of computeGroupBounds(prepared)) {
+    const style = appendMxStyle(
+      'rounded=1;whiteSpace=wrap;html=1;verticalAlign=top;align=left;spacingLeft=10;arcSize=4;',
+      { dashed: true, fillColor: 'none', ...group.style },
+    );
+    cells.push(
+      `<mxCell id="${nextId}" value="${toMxValue(group.label)}" style="${style}" vertex="1" parent="1">${mxGeometry(group)}</mxCell>`,
+    );
+    nextId += 1;
+  }
+
+  const cellIds = new Map();
+  for (const node of prepared.nodes) {
+    cellIds.set(node.id, String(nextId));
+    const style = appendMxStyle(MX_SHAPE_STYLES[node.shape], node.style);
+    cells.push(
+      `<mxCell id="${nextId}" value="${toMxValue(node.label)}" style="${style}" vertex="1" parent="1">${mxGeometry(node)}</mxCell>`,
+    );
+    nextId += 1;
+  }
+
+  for (const edge of prepared.edges) {
+    const { style = {} } = edge;
+    let edgeStyle = 'edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;';
+    edgeStyle += style.endArrow === false ? 'endArrow=none;' : 'endArrow=block;';
+    if (style.startArrow) edgeStyle += 'startArrow=block;';
+    edgeStyle = appendMxStyle(edgeStyle, { strokeColor: style.strokeColor, dashed: style.dashed });
+    cells.push(
+      `<mxCell id="${nextId}" value="${toMxValue(edge.label)}" style="${edgeStyle}" edge="1" parent="1" source="${cellIds.get(edge.source)}" target="${cellIds.get(edge.target)}"><mxGeometry relative="1" as="geometry" /></mxCell>`,
+    );
+    nextId += 1;
+  }
+
+  return [
+    '<mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="827" pageHeight="1169">',
+    '  <root>',
+    ...cells.map((cell) => `    ${cell}`),
+    '  </root>',
+    '</mxGraphModel>',
+  ].join('\n');
+}
+
+// ==================== Excalidraw ====================
+
+const EXCALIDRAW_SHAPE_TYPES = {
+  rectangle: 'rectangle',
+  rounded: 'rectangle',
+  ellipse: 'ellipse',
+  diamond: 'diamond',
+  cylinder: 'rectangle',
+  hexagon: 'diamond',
+  parallelogram: 'rectangle',
+  document: 'rectangle',
+  actor: 'ellipse',
+  cloud: 'ellipse',
+};
+const EXCALIDRAW_STROKE = '#1e1e1e';
+
+/**
+ * 连线端点：取节点中心连线方向上主要的一侧边的中点
+ */
+function getAnchor(node, toward) {
+  const cx = node.x + node.width / 2;
+  const cy = node.y + node.height / 2;
+  const dx = toward.x + toward.width / 2 - cx;
+  const dy = toward.y + toward.height / 2 - cy;
+  if (Math.abs(dy) >= Math.abs(dx)) {
+    return { x: cx, y: dy >= 0 ? node.y + node.height : node.y };
+  }
+  return { x: dx >= 0 ? node.x + node.width : node.x, y: cy };
+}
+
+/**
+ * 转换为 Excalidraw 元素骨架（与 convertToExcalidrawElements 的输入格式一致）
+ * @param {Object} diagram - emit_diagram 的参数
+ * @returns {Array<Object>}
+ */
+export function diagramToExcalidrawElements(diagram) {
+  const prepared = prepareDiagram(diagram);
+  const elements = [];
+
+  for (const group of computeGroupBounds(prepared)) {
+    const { style } = group;
+    elements.push({
+      type: 'rectangle',
+      x: group.x,
+      y: group.y,
+      width: group.width,
+      height: group.height,
+      strokeColor: style.strokeColor || EXCALIDRAW_STROKE,
+      backgroundColor: style.fillColor || 'transparent',
+      fillStyle: 'solid',
+      strokeStyle: style.dashed === false ? 'solid' : 'dashed',
+    });
+    if (group.label) {
+      elements.push({
+        type: 'text',
+        x: group.x + 12,
+        y: group.y + 8,
+        text: group.label,
+        fontSize: toNumber(style.fontSize) || 18,
+        strokeColor: style.fontColor || style.strokeColor || EXCALIDRAW_STROKE,
+      });
+    }
+  }
+
+  const nodesById = new Map(prepared.nodes.map((node) => [node.id, node]));
+  for (const node of prepared.nodes) {
+    const { style } = node;
+    if (node.shape === 'text') {
+      elements.push({
+        id: node.id,
+        type: 'text',
+        x: node.x,
+        y: node.y,
+        text: node.label,
+        fontSize: toNumber(style.fontSize) || 20,
+        strokeColor: style.fontColor || style.strokeColor || EXCALIDRAW_STROKE,
+      });
+      continue;
+    }
+
+    const element = {
+      id: node.id,
+      type: EXCALIDRAW_SHAPE_TYPES[node.shape],
+      x: node.x,
+      y: node.y,
+      width: node.width,
+      height: node.height,
+      strokeColor: style.strokeColor || EXCALIDRAW_STROKE,
+      backgroundColor: style.fillColor || 'transparent',
+      fillStyle: 'solid',
+      strokeStyle: style.dashed ? 'dashed' : 'solid',
+    };
+    if (node.shape === 'rounded') element.roundness = { type: 3 };
+    if (node.label) {
+      element.label = {
+        text: node.label,
+        ...(toNumber(style.fontSize) ? { fontSize: style.fontSize } : {}),
+        ...(style.fontColor ? { strokeColor: style.fontColor } : {}),
+      };
+    }
+    elements.push(element);
+  }
+
+  for (const edge of prepared.edges) {
+    const { style } = edge;
+    const source = nodesById.get(edge.source);
+    const target = nodesById.get(edge.target);
+    const start = getAnchor(source, target);
+    const end = getAnchor(target, source);
+    elements.push({
+      type: 'arrow',
+      x: start.x,
+      y: start.y,
+      width: end.x - start.x,
+      height: end.y - start.y,
+      strokeColor: style.strokeColor || EXCALIDRAW_STROKE,
+      strokeStyle: style.dashed ? 'dashed' : 'solid',
+      startArrowhead: style.startArrow ? 'arrow' : null,
+      endArrowhead: style.endArrow === false ? null : 'arrow',
+      start: { id: source.id },
+      end: { id: target.id },
+      ...(edge.label ? { label: { text: edge.label } } : {}),
+    });
+  }
+
+  return elements;
+}
+
+/**
+ * 将 emit_diagram 的参数（JSON 文本）转换为目标引擎的代码
+ * 参数无法解析时先补全未闭合的括号与引号再试一次
+ * @param {string} argumentsText - 流式拼接得到的工具参数
+ * @param {'drawio'|'excalidraw'} editor - 目标引擎
+ * @returns {string} mxGraph XML 或 Excalidraw 元素数组的 JSON 文本
+ */
+export function convertDiagramToCode(argumentsText, editor) {
+  let diagram;
+  try {
+    diagram = JSON.parse(argumentsText);
+  } catch {
+    diagram = tryParseRepaired(argumentsText);
+  }
+  if (!diagram) {
+    throw new Error(`${EMIT_DIAGRAM_TOOL_NAME} 参数不是完整的 JSON，可能因输出长度限制被截断`);
+  }
+  if (editor === 'excalidraw') {
+    return JSON.stringify(diagramToExcalidrawElements(diagram), null, 2);
+  }
+  return diagramToMxGraphXml(diagram);
+}
+
+function tryParseRepaired(text) {
+  try {
+    return JSON.parse(fixJSON(text));
+  } catch {
+    return null;
+  }
+}
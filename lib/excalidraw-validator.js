@@ -0,0 +1,414 @@
+/**
+ * Excalidraw 元素校验与规范化
+ *
+ * ensureExcalidrawArray / repairJSON 只保证结果能解析为数组，这里按元素类型检查字段，
+ * 避免不合法的元素传给 convertToExcalidrawElements 后报错或渲染异常：
+ * - type 未知（常见别名如 rect / circle 自动纠正，其余删除）
+ * - x / y 缺失或不是数字（数字字符串转换，其余放到现有内容右侧）
+ * - 尺寸为 NaN、负数或缺失（形状使用默认尺寸，文本交给 Excalidraw 计算）
+ * - 颜色、线型、箭头样式等取值不合法（删除该字段，使用默认值）
+ * - id 重复，箭头 start / end 或 containerId 等引用不存在的元素（断开引用）
+ *
+ * 同时兼容骨架格式（LLM 输出）与完整格式（画布导出，带 version）。
+ * 问题格式与 mxgraph-validator.js 一致：{ code, severity, message, elementId?, repaired }。
+ * 没有任何修改时原样返回输入。
+ */
+
+export const EXCALIDRAW_ISSUE_CODES = {
+  PARSE_ERROR: 'parse-error',
+  INVALID_ELEMENT: 'invalid-element',
+  UNKNOWN_TYPE: 'unknown-type',
+  INVALID_POSITION: 'invalid-position',
+  INVALID_SIZE: 'invalid-size',
+  INVALID_POINTS: 'invalid-points',
+  INVALID_STYLE: 'invalid-style',
+  INVALID_TEXT: 'invalid-text',
+  DUPLICATE_ID: 'duplicate-id',
+  DANGLING_BINDING: 'dangling-binding',
+  EMPTY_DIAGRAM: 'empty-diagram',
+};
+
+const SHAPE_TYPES = ['rectangle', 'ellipse', 'diamond'];
+const LINEAR_TYPES = ['arrow', 'line'];
+// 只在完整格式中出现的类型，字段由 Excalidraw 自己保证，只检查位置
+const PASSTHROUGH_TYPES = ['freedraw', 'image', 'frame', 'magicframe', 'embeddable', 'iframe'];
+const KNOWN_TYPES = [...SHAPE_TYPES, ...LINEAR_TYPES, 'text', ...PASSTHROUGH_TYPES];
+
+const TYPE_ALIASES = {
+  rect: 'rectangle',
+  square: 'rectangle',
+  box: 'rectangle',
+  circle: 'ellipse',
+  oval: 'ellipse',
+  rhombus: 'diamond',
+  label: 'text',
+  connector: 'arrow',
+  edge: 'arrow',
+};
+
+const DEFAULT_WIDTH = 160;
+const DEFAULT_HEIGHT = 80;
+const PLACEMENT_GAP = 60;
+
+const ENUM_FIELDS = {
+  fillStyle: ['hachure', 'cross-hatch', 'solid', 'zigzag'],
+  strokeStyle: ['solid', 'dashed', 'dotted'],
+  startArrowhead: ['arrow', 'bar', 'dot', 'circle', 'circle_outline', 'triangle', 'triangle_outline', 'diamond', 'diamond_outline', null],
+  endArrowhead: ['arrow', 'bar', 'dot', 'circle', 'circle_outline', 'triangle', 'triangle_outline', 'diamond', 'diamond_outline', null],
+  textAlign: ['left', 'center', 'right'],
+  verticalAlign: ['top', 'middle', 'bottom'],
+};
+const NUMBER_FIELDS = ['strokeWidth', 'roughness', 'opacity', 'fontSize', 'fontFamily', 'angle'];
+const COLOR_FIELDS = ['strokeColor', 'backgroundColor'];
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const BARE_HEX_COLOR = /^(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const FUNCTION_COLOR = /^(?:rgba?|hsla?)\(\s*[\d.%\s,/+-]+\)$/i;
+const NAMED_COLORS = [
+  'transparent', 'black', 'white', 'red', 'green', 'blue', 'yellow', 'orange', 'purple', 'pink', 'gray', 'grey',
+  'brown', 'cyan', 'magenta', 'navy', 'teal', 'olive', 'maroon', 'lime', 'silver', 'gold', 'indigo', 'violet',
+];
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * 数字或数字字符串转换为数字，其余返回 null
+ */
+function toNumber(value) {
+  if (isFiniteNumber(value)) return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+function normalizeColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim();
+  if (HEX_COLOR.test(color) || FUNCTION_COLOR.test(color) || NAMED_COLORS.includes(color.toLowerCase())) return color;
+  if (BARE_HEX_COLOR.test(color)) return `#${color}`;
+  return null;
+}
+
+/**
+ * 把字符串之外的 NaN / Infinity / undefined 替换为 null（JSON 不支持这些字面量，模型偶尔会输出）
+ * @returns {string|null} 没有可替换的内容时返回 null
+ */
+function replaceInvalidLiterals(text) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+  let replaced = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (inString) {
+      result += ch;
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    const literal = text.slice(i).match(/^-?(?:NaN|Infinity)\b|^undefined\b/)?.[0];
+    if (literal && !/[\w$]/.test(text[i - 1] || '')) {
+      result += 'null';
+      i += literal.length - 1;
+      replaced = true;
+      continue;
+    }
+    result += ch;
+  }
+  return replaced ? result : null;
+}
+
+function describe(element, index) {
+  return element && typeof element.id === 'string' && element.id ? element.id : `#${index + 1}`;
+}
+
+/**
+ * 校验单个元素的类型与字段（不含引用关系）
+ * @returns {Object|null} 规范化后的元素，应删除时返回 null
+ */
+function normalizeElement(source, index, report) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_ELEMENT, message: `第 ${index + 1} 项不是对象，已删除` });
+    return null;
+  }
+
+  const element = { ...source };
+  const name = describe(element, index);
+
+  // 类型
+  const rawType = typeof element.type === 'string' ? element.type.trim() : '';
+  const lowerType = rawType.toLowerCase();
+  const type = KNOWN_TYPES.includes(rawType)
+    ? rawType
+    : KNOWN_TYPES.find((known) => known.toLowerCase() === lowerType) || TYPE_ALIASES[lowerType];
+  if (!type) {
+    report({
+      code: EXCALIDRAW_ISSUE_CODES.UNKNOWN_TYPE,
+      elementId: element.id,
+      message: `元素 ${name} 的类型 "${rawType || '（空）'}" 无法识别，已删除`,
+    });
+    return null;
+  }
+  if (type !== element.type) {
+    report({
+      code: EXCALIDRAW_ISSUE_CODES.UNKNOWN_TYPE,
+      elementId: element.id,
+      message: `元素 ${name} 的类型 "${rawType}" 已更正为 ${type}`,
+    });
+    element.type = type;
+  }
+
+  if (element.id !== undefined && typeof element.id !== 'string') {
+    element.id = String(element.id);
+  }
+
+  // 位置：数字字符串直接转换，缺失的留给调用方统一摆放
+  for (const key of ['x', 'y']) {
+    if (isFiniteNumber(element[key])) continue;
+    const value = toNumber(element[key]);
+    if (value !== null) {
+      element[key] = value;
+      report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_POSITION, elementId: element.id, message: `元素 ${name} 的 ${key} 不是数字，已转换` });
+    } else {
+      delete element[key];
+      element.needsPlacement = true;
+    }
+  }
+
+  // 尺寸
+  if (SHAPE_TYPES.includes(type) || (PASSTHROUGH_TYPES.includes(type) && element.width !== undefined)) {
+    for (const [key, fallback] of [['width', DEFAULT_WIDTH], ['height', DEFAULT_HEIGHT]]) {
+      const value = toNumber(element[key]);
+      if (value !== null && value > 0) {
+        element[key] = value;
+        continue;
+      }
+      element[key] = value !== null && value < 0 ? Math.abs(value) : fallback;
+      report({
+        code: EXCALIDRAW_ISSUE_CODES.INVALID_SIZE,
+        elementId: element.id,
+        message: `元素 ${name} 的 ${key} 不合法，已设置为 ${element[key]}`,
+      });
+    }
+  } else if (type === 'text') {
+    // 文本尺寸由 Excalidraw 按内容计算，不合法的值直接删除
+    for (const key of ['width', 'height']) {
+      if (element[key] !== undefined && !(toNumber(element[key]) > 0)) {
+        delete element[key];
+        report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_SIZE, elementId: element.id, message: `文本 ${name} 的 ${key} 不合法，已删除` });
+      }
+    }
+  } else if (LINEAR_TYPES.includes(type)) {
+    // 线条的宽高是终点相对起点的偏移，可以为负
+    for (const key of ['width', 'height']) {
+      if (element[key] === undefined || isFiniteNumber(element[key])) continue;
+      element[key] = toNumber(element[key]) ?? 0;
+      report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_SIZE, elementId: element.id, message: `线条 ${name} 的 ${key} 不合法，已设置为 ${element[key]}` });
+    }
+    if (element.points !== undefined) {
+      const valid = Array.isArray(element.points) && element.points.length >= 2
+        && element.points.every((point) => Array.isArray(point) && point.length >= 2 && isFiniteNumber(point[0]) && isFiniteNumber(point[1]));
+      if (!valid) {
+        delete element.points;
+        report({
+          code: EXCALIDRAW_ISSUE_CODES.INVALID_POINTS,
+          elementId: element.id,
+          message: `线条 ${name} 的 points 不合法，已改为按宽高绘制`,
+        });
+      }
+    }
+  }
+
+  // 文本内容
+  if (type === 'text' && typeof element.text !== 'string') {
+    const text = typeof element.text === 'number' ? String(element.text)
+      : typeof element.label?.text === 'string' ? element.label.text : null;
+    if (text === null) {
+      report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_TEXT, elementId: element.id, message: `文本 ${name} 没有内容，已删除` });
+      return null;
+    }
+    element.text = text;
+    delete element.label;
+    report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_TEXT, elementId: element.id, message: `文本 ${name} 的内容已规范化` });
+  }
+  if (element.label !== undefined && type !== 'text') {
+    if (typeof element.label === 'string' || typeof element.label === 'number') {
+      element.label = { text: String(element.label) };
+      report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_TEXT, elementId: element.id, message: `元素 ${name} 的 label 已改为 { text } 格式` });
+    } else if (!element.label || typeof element.label.text !== 'string') {
+      delete element.label;
+      report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_TEXT, elementId: element.id, message: `元素 ${name} 的 label 不合法，已删除` });
+    }
+  }
+
+  // 样式
+  for (const key of COLOR_FIELDS) {
+    if (element[key] === undefined) continue;
+    const color = normalizeColor(element[key]);
+    if (color === element[key]) continue;
+    if (color) {
+      element[key] = color;
+    } else {
+      delete element[key];
+    }
+    report({
+      code: EXCALIDRAW_ISSUE_CODES.INVALID_STYLE,
+      elementId: element.id,
+      message: color
+        ? `元素 ${name} 的 ${key} 已更正为 ${color}`
+        : `元素 ${name} 的 ${key} "${source[key]}" 不是有效颜色，已使用默认颜色`,
+    });
+  }
+  for (const [key, values] of Object.entries(ENUM_FIELDS)) {
+    if (element[key] === undefined || values.includes(element[key])) continue;
+    report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_STYLE, elementId: element.id, message: `元素 ${name} 的 ${key} "${element[key]}" 不合法，已使用默认值` });
+    delete element[key];
+  }
+  for (const key of NUMBER_FIELDS) {
+    if (element[key] === undefined || isFiniteNumber(element[key])) continue;
+    const value = toNumber(element[key]);
+    if (value !== null) {
+      element[key] = value;
+    } else {
+      delete element[key];
+    }
+    report({ code: EXCALIDRAW_ISSUE_CODES.INVALID_STYLE, elementId: element.id, message: `元素 ${name} 的 ${key} 不是数字，已${value !== null ? '转换' : '使用默认值'}` });
+  }
+
+  return element;
+}
+
+/**
+ * 检查元素之间的引用：骨架格式的 start / end，完整格式的 startBinding / endBinding / containerId / boundElements
+ */
+function normalizeReferences(element, ids, name, report) {
+  const dangling = (field, ref) => report({
+    code: EXCALIDRAW_ISSUE_CODES.DANGLING_BINDING,
+    elementId: element.id,
+    message: `元素 ${name} 的 ${field} 指向不存在的元素 "${ref}"，已断开`,
+  });
+
+  if (LINEAR_TYPES.includes(element.type)) {
+    for (const end of ['start', 'end']) {
+      let binding = element[end];
+      if (binding === undefined || binding === null) continue;
+      if (typeof binding === 'string') {
+        binding = { id: binding };
+        element[end] = binding;
+      }
+      // { type: ... } 表示让 Excalidraw 在端点新建元素，保持原样
+      if (typeof binding !== 'object' || (binding.id === undefined && !binding.type)) {
+        delete element[end];
+        report({ code: EXCALIDRAW_ISSUE_CODES.DANGLING_BINDING, elementId: element.id, message: `元素 ${name} 的 ${end} 格式不合法，已删除` });
+      } else if (binding.id !== undefined && !ids.has(String(binding.id))) {
+        delete element[end];
+        dangling(end, binding.id);
+      }
+    }
+    for (const key of ['startBinding', 'endBinding']) {
+      const ref = element[key]?.elementId;
+      if (ref !== undefined && !ids.has(ref)) {
+        element[key] = null;
+        dangling(key, ref);
+      }
+    }
+  }
+
+  if (typeof element.containerId === 'string' && !ids.has(element.containerId)) {
+    dangling('containerId', element.containerId);
+    element.containerId = null;
+  }
+  if (Array.isArray(element.boundElements)) {
+    const kept = element.boundElements.filter((bound) => bound && ids.has(bound.id));
+    if (kept.length !== element.boundElements.length) {
+      element.boundElements = kept;
+      report({ code: EXCALIDRAW_ISSUE_CODES.DANGLING_BINDING, elementId: element.id, message: `元素 ${name} 的 boundElements 中有不存在的元素，已移除` });
+    }
+  }
+}
+
+/**
+ * 校验并规范化 Excalidraw 元素数组（JSON 字符串）
+ * @param {string} code
+ * @returns {{ code: string, issues: Array<{ code: string, severity: 'error'|'warning', message: string, elementId?: string, repaired: boolean }> }}
+ */
+export function validateExcalidrawCode(code) {
+  if (!code || typeof code !== 'string') return { code, issues: [] };
+
+  const issues = [];
+  const report = (issue) => issues.push({ severity: 'warning', repaired: true, ...issue });
+
+  let data;
+  try {
+    data = JSON.parse(code);
+  } catch (error) {
+    const replaced = replaceInvalidLiterals(code);
+    try {
+      if (replaced === null) throw error;
+      data = JSON.parse(replaced);
+      report({ code: EXCALIDRAW_ISSUE_CODES.PARSE_ERROR, message: '代码中的 NaN / Infinity / undefined 已替换为 null' });
+    } catch {
+      return {
+        code,
+        issues: [{ code: EXCALIDRAW_ISSUE_CODES.PARSE_ERROR, severity: 'error', message: `JSON 无法解析：${error.message}`, repaired: false }],
+      };
+    }
+  }
+  if (!Array.isArray(data)) {
+    return {
+      code,
+      issues: [{ code: EXCALIDRAW_ISSUE_CODES.PARSE_ERROR, severity: 'error', message: '代码不是元素数组', repaired: false }],
+    };
+  }
+
+  const elements = data
+    .map((element, index) => normalizeElement(element, index, report))
+    .filter(Boolean);
+
+  // id 重复时重命名后出现的元素，引用仍指向第一个
+  const ids = new Set();
+  for (const element of elements) {
+    if (element.id === undefined || element.id === '') continue;
+    if (ids.has(element.id)) {
+      let index = 2;
+      while (ids.has(`${element.id}-${index}`)) index += 1;
+      const nextId = `${element.id}-${index}`;
+      report({ code: EXCALIDRAW_ISSUE_CODES.DUPLICATE_ID, elementId: element.id, message: `id "${element.id}" 重复，后出现的元素已重命名为 ${nextId}` });
+      element.id = nextId;
+    }
+    ids.add(element.id);
+  }
+
+  elements.forEach((element, index) => normalizeReferences(element, ids, describe(element, index), report));
+
+  // 缺少坐标的元素依次放在现有内容右侧
+  let right = 0;
+  let top = null;
+  for (const element of elements) {
+    if (element.needsPlacement) continue;
+    right = Math.max(right, element.x + (isFiniteNumber(element.width) ? Math.max(element.width, 0) : 0));
+    top = top === null ? element.y : Math.min(top, element.y);
+  }
+  let nextY = top ?? 0;
+  for (const element of elements) {
+    if (!element.needsPlacement) continue;
+    delete element.needsPlacement;
+    element.x = isFiniteNumber(element.x) ? element.x : right + PLACEMENT_GAP;
+    element.y = isFiniteNumber(element.y) ? element.y : nextY;
+    nextY += (isFiniteNumber(element.height) ? Math.abs(element.height) : DEFAULT_HEIGHT) + PLACEMENT_GAP;
+    report({
+      code: EXCALIDRAW_ISSUE_CODES.INVALID_POSITION,
+      elementId: element.id,
+      message: `元素 ${element.id || element.type} 缺少坐标，已放到 (${element.x}, ${element.y})`,
+    });
+  }
+
+  if (elements.length === 0 && data.length > 0) {
+    issues.push({ code: EXCALIDRAW_ISSUE_CODES.EMPTY_DIAGRAM, severity: 'error', message: '没有可以绘制的元素', repaired: false });
+  }
+
+  return { code: issues.some((issue) => issue.repaired) ? JSON.stringify(elements, null, 2) : code, issues };
+}
@@ -199,6 +199,8 @@ class HistoryManager {
   /**
    * Add a single message to a conversation (v6.0 refactor)
    * message should be in LLM native format: { role, content }
+   * assistant messages may also carry metadata that is stored as-is, e.g.
+   *   usage: { inputTokens, outputTokens, cost }, answeredBy: { id, name, model, fallback, requestId, finishReason }
    * editor: 'drawio' | 'excalidraw' (optional, used for conversation initialization)
    * config: LLM config object (optional, saved to conversation)
    * chartType: diagram type (optional, saved to conversation)
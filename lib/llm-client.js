@@ -1,65 +1,304 @@
 /**
- * LLM Client for calling OpenAI and Anthropic APIs
+ * LLM Client for calling OpenAI, Azure OpenAI, Anthropic, Google Gemini and Ollama APIs
+ * (plus the offline mock provider in lib/mock-provider.js)
  */
 
+import {
+  AZURE_DEFAULT_API_VERSION,
+  ANTHROPIC_DEFAULT_MAX_TOKENS,
+  ANTHROPIC_DEFAULT_THINKING_BUDGET,
+} from './constants.js';
+import {
+  capMaxTokens,
+  extractReportedCapabilities,
+  getModelCapabilities,
+  mergeCapabilities,
+} from './model-capabilities.js';
+import { callMock, listMockModels } from './mock-provider.js';
+import { EMIT_DIAGRAM_TOOL, TOOL_MODE_INSTRUCTION } from './diagram-schema.js';
+import { appendCustomQueryParams, mergeCustomHeaders, pickCustomRequest } from './custom-request.js';
+
+// Anthropic 提示词缓存断点（默认 5 分钟有效）
+const ANTHROPIC_CACHE_CONTROL = { type: 'ephemeral' };
+
 /**
  * Call LLM API with streaming support
  * @param {Object} config - Provider configuration
+ *   config.params holds optional generation params { temperature, maxTokens, topP, stop }
+ *   config.thinking ({ enabled, budgetTokens }) turns on Anthropic extended thinking
+ *   maxTokens is capped to the model's max output from lib/model-capabilities.js
+ *   config.generationMode 'tool' makes the model call emit_diagram (lib/diagram-schema.js); onChunk then
+ *   receives the streamed tool arguments (JSON) and any prose the model adds goes to onReasoning
+ *   config.promptCaching marks the system prompt and stable history prefix as cacheable (Anthropic cache_control,
+ *   OpenAI prompt_cache_key); cached token counts are reported whenever the provider returns them
+ *   config.headers / config.queryParams are merged into every request (lib/custom-request.js)
  * @param {Array} messages - Chat messages array
  * @param {Function} onChunk - Callback for each chunk
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request when triggered
+ * @param {Function} [options.onUsage] - Called once with { inputTokens, outputTokens, cacheReadTokens?, cacheWriteTokens? }
+ *   when the provider reports usage; inputTokens includes the cached tokens
+ * @param {Function} [options.onReasoning] - Called with each reasoning/thinking delta, kept apart from onChunk
+ * @param {Function} [options.onFinish] - Called once with the provider's stop reason (e.g. stop / length / end_turn)
  * @returns {Promise<string>} Complete response
  */
-export async function callLLM(config, messages, onChunk) {
+export async function callLLM(config, messages, onChunk, options = {}) {
   const { type, baseUrl, apiKey, model } = config;
+  const capabilities = getModelCapabilities(model || config.deployment, config);
+  const params = { ...config.params };
+  if (params.maxTokens !== undefined) {
+    params.maxTokens = capMaxTokens(params.maxTokens, capabilities);
+  }
+  const toolMode = config.generationMode === 'tool';
+  const requestOptions = {
+    ...options,
+    params,
+    thinking: config.thinking,
+    maxOutputTokens: capabilities.maxOutputTokens,
+    tool: toolMode ? EMIT_DIAGRAM_TOOL : undefined,
+    promptCaching: config.promptCaching === true,
+    request: pickCustomRequest(config),
+  };
+  if (toolMode) {
+    messages = appendToolInstruction(messages);
+  }
 
   if (type === 'openai') {
-    return callOpenAI(baseUrl, apiKey, model, messages, onChunk);
+    return callOpenAI(baseUrl, apiKey, model, messages, onChunk, requestOptions);
+  } else if (type === 'azure-openai') {
+    return callAzureOpenAI(baseUrl, apiKey, config.deployment || model, config.apiVersion, messages, onChunk, requestOptions);
   } else if (type === 'anthropic') {
-    return callAnthropic(baseUrl, apiKey, model, messages, onChunk);
+    return callAnthropic(baseUrl, apiKey, model, messages, onChunk, requestOptions);
+  } else if (type === 'gemini') {
+    return callGemini(baseUrl, apiKey, model, messages, onChunk, requestOptions);
+  } else if (type === 'ollama') {
+    return callOllama(baseUrl, apiKey, model, messages, onChunk, requestOptions);
+  } else if (type === 'mock') {
+    return callMock(config, messages, onChunk, requestOptions);
   } else {
     throw new Error(`Unsupported provider type: ${type}`);
   }
 }
 
+/**
+ * Build an error for a non-2xx provider response.
+ * The upstream HTTP status is kept on `error.status` so callers can decide whether to retry.
+ */
+async function createAPIError(provider, response) {
+  const body = await response.text().catch(() => '');
+  const error = new Error(`${provider} API error: ${response.status} ${body}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Report normalized token usage to options.onUsage (skipped when the provider sent none)
+ */
+function reportUsage(options, usage) {
+  if (!usage || typeof options.onUsage !== 'function') return;
+  options.onUsage({
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    ...(usage.cacheReadTokens ? { cacheReadTokens: usage.cacheReadTokens } : {}),
+    ...(usage.cacheWriteTokens ? { cacheWriteTokens: usage.cacheWriteTokens } : {}),
+  });
+}
+
+/**
+ * Report the provider's stop reason to options.onFinish (skipped when the provider sent none)
+ */
+function reportFinish(options, reason) {
+  if (!reason || typeof options.onFinish !== 'function') return;
+  options.onFinish(reason);
+}
+
+/**
+ * Forward a reasoning delta to options.onReasoning
+ */
+function emitReasoning(options, text) {
+  if (text && typeof options.onReasoning === 'function') {
+    options.onReasoning(text);
+  }
+}
+
+/**
+ * Append the tool-mode instruction to the system prompt (or add one when the request has none)
+ */
+function appendToolInstruction(messages) {
+  const index = messages.findIndex((m) => m.role === 'system' && typeof m.content === 'string');
+  if (index === -1) {
+    return [{ role: 'system', content: TOOL_MODE_INSTRUCTION }, ...messages];
+  }
+  return messages.map((m, i) => (i === index ? { ...m, content: `${m.content}\n\n${TOOL_MODE_INSTRUCTION}` } : m));
+}
+
+/**
+ * Collect streamed output. In text mode text deltas go straight to onChunk.
+ * In tool mode the tool arguments are the answer: they go to onChunk, while prose the model writes
+ * alongside the call goes to the reasoning channel; if the model never calls the tool, that prose
+ * is replayed through onChunk at the end so the request degrades to plain text mode.
+ */
+function createOutputCollector(onChunk, options = {}) {
+  const emit = (content) => {
+    if (onChunk) onChunk(content);
+  };
+  let text = '';
+  let toolArguments = '';
+
+  return {
+    text(content) {
+      if (!content) return;
+      text += content;
+      if (options.tool) {
+        emitReasoning(options, content);
+      } else {
+        emit(content);
+      }
+    },
+    toolArguments(content) {
+      if (!content) return;
+      toolArguments += content;
+      emit(content);
+    },
+    finish() {
+      if (!options.tool) return text;
+      if (!toolArguments && text) {
+        emit(text);
+        return text;
+      }
+      return toolArguments;
+    },
+  };
+}
+
+/**
+ * Map generation params to OpenAI-compatible request fields (unset fields are omitted by JSON.stringify)
+ */
+function buildOpenAIParams(params = {}) {
+  return {
+    temperature: params.temperature,
+    max_tokens: params.maxTokens,
+    top_p: params.topP,
+    stop: params.stop?.length ? params.stop : undefined,
+  };
+}
+
+/**
+ * OpenAI-compatible function tool fields, forcing the call to emit_diagram
+ */
+function buildOpenAITools(tool) {
+  if (!tool) return {};
+  return {
+    tools: [{
+      type: 'function',
+      function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+    }],
+    tool_choice: { type: 'function', function: { name: tool.name } },
+  };
+}
+
 /**
  * Call OpenAI-compatible API
  */
-async function callOpenAI(baseUrl, apiKey, model, messages, onChunk) {
+async function callOpenAI(baseUrl, apiKey, model, messages, onChunk, options = {}) {
   const url = `${baseUrl}/chat/completions`;
 
   // Process messages to support multimodal content (text + images)
   const processedMessages = messages.map(processMessageForOpenAI);
 
-  const response = await fetch(url, {
+  const response = await fetch(appendCustomQueryParams(url, options.request), {
     method: 'POST',
-    headers: {
+    signal: options.signal,
+    headers: mergeCustomHeaders({
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${apiKey}`,
-    },
+    }, options.request),
     body: JSON.stringify({
       model,
       messages: processedMessages,
       stream: true,
-      // max_tokens: 64000,
+      // 最后一个 chunk 携带 usage
+      stream_options: { include_usage: true },
+      ...buildOpenAIParams(options.params),
+      ...buildOpenAITools(options.tool),
+      // OpenAI 自动缓存较长的相同前缀，prompt_cache_key 让相同 system 提示词的请求落到同一缓存
+      prompt_cache_key: options.promptCaching ? buildPromptCacheKey(messages) : undefined,
+    }),
+  });
+
+  if (!response.ok) {
+    throw await createAPIError('OpenAI', response);
+  }
+
+  return processOpenAIStream(response.body, onChunk, options);
+}
+
+/**
+ * 由 system 提示词生成稳定的缓存键（FNV-1a 哈希）
+ */
+function buildPromptCacheKey(messages) {
+  const system = messages.find((m) => m.role === 'system');
+  const text = typeof system?.content === 'string' ? system.content : JSON.stringify(system?.content || '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `smart-diagram-${hash.toString(36)}`;
+}
+
+/**
+ * Call Azure OpenAI API (deployment-based URL + api-key header)
+ */
+async function callAzureOpenAI(baseUrl, apiKey, deployment, apiVersion, messages, onChunk, options = {}) {
+  const url = buildAzureUrl(baseUrl, `/deployments/${encodeURIComponent(deployment)}/chat/completions`, apiVersion);
+
+  const processedMessages = messages.map(processMessageForOpenAI);
+
+  const response = await fetch(appendCustomQueryParams(url, options.request), {
+    method: 'POST',
+    signal: options.signal,
+    headers: mergeCustomHeaders({
+      'Content-Type': 'application/json',
+      'api-key': apiKey,
+    }, options.request),
+    body: JSON.stringify({
+      messages: processedMessages,
+      stream: true,
+      stream_options: { include_usage: true },
+      ...buildOpenAIParams(options.params),
+      ...buildOpenAITools(options.tool),
     }),
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} ${error}`);
+    throw await createAPIError('Azure OpenAI', response);
   }
 
-  return processOpenAIStream(response.body, onChunk);
+  // Azure 的流式响应格式与 OpenAI 一致
+  return processOpenAIStream(response.body, onChunk, options);
+}
+
+/**
+ * 构造 Azure OpenAI 请求地址
+ * baseUrl 为资源端点（如 https://my-resource.openai.azure.com），也兼容已带 /openai 后缀的写法
+ */
+function buildAzureUrl(baseUrl, path, apiVersion) {
+  const endpoint = trimTrailingSlash(baseUrl).replace(/\/openai$/i, '');
+  const version = encodeURIComponent(apiVersion || AZURE_DEFAULT_API_VERSION);
+  return `${endpoint}/openai${path}?api-version=${version}`;
 }
 
 /**
  * Process OpenAI streaming response
  */
-async function processOpenAIStream(body, onChunk) {
+async function processOpenAIStream(body, onChunk, options = {}) {
   const reader = body.getReader();
   const decoder = new TextDecoder();
-  let fullText = '';
+  const output = createOutputCollector(onChunk, options);
   let buffer = '';
+  let usage = null;
+  let finishReason = null;
 
   try {
     while (true) {
@@ -77,10 +316,25 @@ async function processOpenAIStream(body, onChunk) {
         if (trimmed.startsWith('data: ')) {
           try {
             const json = JSON.parse(trimmed.slice(6));
-            const content = json.choices?.[0]?.delta?.content;
-            if (content) {
-              fullText += content;
-              if (onChunk) onChunk(content);
+            const delta = json.choices?.[0]?.delta;
+            output.text(delta?.content);
+            // 工具调用参数分多个 chunk 返回，只取第一个调用
+            for (const call of delta?.tool_calls || []) {
+              if ((call.index ?? 0) === 0) output.toolArguments(call.function?.arguments);
+            }
+            // 推理模型的思考内容（DeepSeek 为 reasoning_content，部分兼容服务为 reasoning）
+            emitReasoning(options, delta?.reasoning_content || delta?.reasoning);
+            if (json.choices?.[0]?.finish_reason) {
+              finishReason = json.choices[0].finish_reason;
+            }
+            if (json.usage) {
+              usage = {
+                inputTokens: json.usage.prompt_tokens,
+                outputTokens: json.usage.completion_tokens,
+                // 命中缓存的输入 token（已包含在 prompt_tokens 中）；DeepSeek 为 prompt_cache_hit_tokens
+                cacheReadTokens: json.usage.prompt_tokens_details?.cached_tokens
+                  ?? json.usage.prompt_cache_hit_tokens,
+              };
             }
           } catch (e) {
             console.error('Failed to parse SSE:', e);
@@ -92,53 +346,119 @@ async function processOpenAIStream(body, onChunk) {
     reader.releaseLock();
   }
 
+  const fullText = output.finish();
+  reportUsage(options, usage);
+  reportFinish(options, finishReason);
   return fullText;
 }
 
 /**
  * Call Anthropic API
  */
-async function callAnthropic(baseUrl, apiKey, model, messages, onChunk) {
+async function callAnthropic(baseUrl, apiKey, model, messages, onChunk, options = {}) {
   const url = `${baseUrl}/messages`;
 
   // Convert messages format for Anthropic with multimodal support
   const systemMessage = messages.find(m => m.role === 'system');
   const chatMessages = messages.filter(m => m.role !== 'system');
   const processedMessages = chatMessages.map(processMessageForAnthropic);
+  if (options.promptCaching) {
+    markAnthropicCacheBreakpoint(processedMessages);
+  }
+
+  const params = options.params || {};
+  const thinkingEnabled = !!options.thinking?.enabled;
+  let budgetTokens = options.thinking?.budgetTokens || ANTHROPIC_DEFAULT_THINKING_BUDGET;
+  // Anthropic 要求必须指定 max_tokens；启用思考时 max_tokens 需大于思考预算
+  let maxTokens = params.maxTokens || ANTHROPIC_DEFAULT_MAX_TOKENS;
+  if (thinkingEnabled && maxTokens <= budgetTokens) {
+    maxTokens = budgetTokens + ANTHROPIC_DEFAULT_MAX_TOKENS;
+  }
+  // 不超过模型支持的最大输出，必要时同步压缩思考预算
+  if (options.maxOutputTokens && maxTokens > options.maxOutputTokens) {
+    maxTokens = options.maxOutputTokens;
+    if (thinkingEnabled && budgetTokens >= maxTokens) {
+      budgetTokens = Math.floor(maxTokens / 2);
+    }
+  }
 
-  const response = await fetch(url, {
+  const response = await fetch(appendCustomQueryParams(url, options.request), {
     method: 'POST',
-    headers: {
+    signal: options.signal,
+    headers: mergeCustomHeaders({
       'Content-Type': 'application/json',
       'x-api-key': apiKey,
       "anthropic-version": "2023-06-01",
-    },
+    }, options.request),
     body: JSON.stringify({
       model,
       messages: processedMessages,
-      system: systemMessage ? [{ type: 'text', text: systemMessage.content }] : undefined,
-      max_tokens: 64000,
+      system: systemMessage
+        ? [{
+          type: 'text',
+          text: systemMessage.content,
+          cache_control: options.promptCaching ? ANTHROPIC_CACHE_CONTROL : undefined,
+        }]
+        : undefined,
+      max_tokens: maxTokens,
       stream: true,
-      temperature: 1,
+      thinking: thinkingEnabled ? { type: 'enabled', budget_tokens: budgetTokens } : undefined,
+      // 启用思考时 Anthropic 不允许调整 temperature / top_p
+      temperature: thinkingEnabled ? undefined : params.temperature,
+      top_p: thinkingEnabled ? undefined : params.topP,
+      stop_sequences: params.stop?.length ? params.stop : undefined,
+      ...buildAnthropicTools(options.tool, thinkingEnabled),
     }),
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Anthropic API error: ${response.status} ${error}`);
+    throw await createAPIError('Anthropic', response);
   }
 
-  return processAnthropicStream(response.body, onChunk);
+  return processAnthropicStream(response.body, onChunk, options);
+}
+
+/**
+ * 在稳定的历史前缀末尾加缓存断点（system 提示词另有一个断点）
+ * 更早的图表代码已替换为占位（见 lib/context-budget.js），只有最近一条 assistant 回复在下一轮会变化，
+ * 因此断点放在它之前的消息上；没有历史时不加
+ */
+function markAnthropicCacheBreakpoint(processedMessages) {
+  let lastAssistant = -1;
+  for (let i = processedMessages.length - 1; i >= 0; i -= 1) {
+    if (processedMessages[i].role === 'assistant') {
+      lastAssistant = i;
+      break;
+    }
+  }
+  if (lastAssistant < 1) return;
+
+  const content = processedMessages[lastAssistant - 1].content;
+  const last = content[content.length - 1];
+  content[content.length - 1] = { ...last, cache_control: ANTHROPIC_CACHE_CONTROL };
+}
+
+/**
+ * Anthropic tool fields. Extended thinking only allows tool_choice auto, so the call is forced only without it.
+ */
+function buildAnthropicTools(tool, thinkingEnabled) {
+  if (!tool) return {};
+  return {
+    tools: [{ name: tool.name, description: tool.description, input_schema: tool.parameters }],
+    tool_choice: thinkingEnabled ? { type: 'auto' } : { type: 'tool', name: tool.name },
+  };
 }
 
 /**
  * Process Anthropic streaming response
  */
-async function processAnthropicStream(body, onChunk) {
+async function processAnthropicStream(body, onChunk, options = {}) {
   const reader = body.getReader();
   const decoder = new TextDecoder();
-  let fullText = '';
+  const output = createOutputCollector(onChunk, options);
   let buffer = '';
+  let usage = null;
+  let finishReason = null;
 
   try {
     while (true) {
@@ -157,11 +477,32 @@ async function processAnthropicStream(body, onChunk) {
           const json = JSON.parse(trimmed.slice(6));
           
           if (json.type === 'content_block_delta') {
-            const content = json.delta?.text;
-            if (content) {
-              fullText += content;
-              if (onChunk) onChunk(content);
+            if (json.delta?.type === 'thinking_delta') {
+              // extended thinking 的思考内容单独输出
+              emitReasoning(options, json.delta.thinking);
+              continue;
+            }
+            if (json.delta?.type === 'input_json_delta') {
+              output.toolArguments(json.delta.partial_json);
+              continue;
             }
+            output.text(json.delta?.text);
+          } else if (json.type === 'message_start' && json.message?.usage) {
+            // 输入 token 在 message_start 中给出；input_tokens 不含读写缓存的部分，这里合并为总输入
+            const cacheReadTokens = json.message.usage.cache_read_input_tokens || 0;
+            const cacheWriteTokens = json.message.usage.cache_creation_input_tokens || 0;
+            usage = {
+              ...usage,
+              inputTokens: (json.message.usage.input_tokens || 0) + cacheReadTokens + cacheWriteTokens,
+              cacheReadTokens,
+              cacheWriteTokens,
+            };
+          } else if (json.type === 'message_delta' && json.usage) {
+            // 输出 token 在 message_delta 中给出（累计值）
+            usage = { ...usage, outputTokens: json.usage.output_tokens };
+          }
+          if (json.type === 'message_delta' && json.delta?.stop_reason) {
+            finishReason = json.delta.stop_reason;
           }
         } catch (e) {
           console.error('Failed to parse SSE:', e);
@@ -172,9 +513,278 @@ async function processAnthropicStream(body, onChunk) {
     reader.releaseLock();
   }
 
+  const fullText = output.finish();
+  reportUsage(options, usage);
+  reportFinish(options, finishReason);
+  return fullText;
+}
+
+/**
+ * Call Google Gemini API (native streamGenerateContent endpoint)
+ */
+async function callGemini(baseUrl, apiKey, model, messages, onChunk, options = {}) {
+  const modelPath = model.startsWith('models/') ? model : `models/${model}`;
+  const url = `${baseUrl}/${modelPath}:streamGenerateContent?alt=sse`;
+
+  // Gemini keeps the system prompt outside of contents
+  const systemMessages = messages.filter(m => m.role === 'system');
+  const chatMessages = messages.filter(m => m.role !== 'system');
+  const contents = chatMessages.map(processMessageForGemini);
+  const systemText = systemMessages
+    .map(m => extractTextPartsForAnthropic(m).map(part => part.text).join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+
+  const response = await fetch(appendCustomQueryParams(url, options.request), {
+    method: 'POST',
+    signal: options.signal,
+    headers: mergeCustomHeaders({
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiKey,
+    }, options.request),
+    body: JSON.stringify({
+      contents,
+      systemInstruction: systemText ? { parts: [{ text: systemText }] } : undefined,
+      generationConfig: buildGeminiGenerationConfig(options.params),
+      ...buildGeminiTools(options.tool),
+    }),
+  });
+
+  if (!response.ok) {
+    throw await createAPIError('Gemini', response);
+  }
+
+  return processGeminiStream(response.body, onChunk, options);
+}
+
+/**
+ * Gemini function declaration fields; mode ANY restricted to emit_diagram forces the call
+ */
+function buildGeminiTools(tool) {
+  if (!tool) return {};
+  return {
+    tools: [{
+      functionDeclarations: [{ name: tool.name, description: tool.description, parameters: tool.parameters }],
+    }],
+    toolConfig: {
+      functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [tool.name] },
+    },
+  };
+}
+
+/**
+ * Map generation params to Gemini generationConfig (undefined when nothing is set)
+ */
+function buildGeminiGenerationConfig(params = {}) {
+  const generationConfig = {
+    temperature: params.temperature,
+    maxOutputTokens: params.maxTokens,
+    topP: params.topP,
+    stopSequences: params.stop?.length ? params.stop : undefined,
+  };
+  const hasValue = Object.values(generationConfig).some((value) => value !== undefined);
+  return hasValue ? generationConfig : undefined;
+}
+
+/**
+ * Process Gemini streaming response
+ */
+async function processGeminiStream(body, onChunk, options = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const output = createOutputCollector(onChunk, options);
+  let buffer = '';
+  let usage = null;
+  let finishReason = null;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed || !trimmed.startsWith('data: ')) continue;
+
+        try {
+          const json = JSON.parse(trimmed.slice(6));
+
+          if (json.error) {
+            throw new Error(json.error.message || 'Gemini stream error');
+          }
+
+          const parts = json.candidates?.[0]?.content?.parts || [];
+          for (const part of parts) {
+            // Gemini 不流式输出函数参数，functionCall 一次给出完整的 args 对象
+            if (part.functionCall?.args) {
+              output.toolArguments(JSON.stringify(part.functionCall.args));
+              continue;
+            }
+            if (typeof part.text !== 'string' || !part.text) continue;
+            // thought 部分为模型的思考过程，走单独的 reasoning 通道
+            if (part.thought) {
+              emitReasoning(options, part.text);
+            } else {
+              output.text(part.text);
+            }
+          }
+
+          if (json.candidates?.[0]?.finishReason) {
+            finishReason = json.candidates[0].finishReason;
+          }
+
+          // usageMetadata 为累计值，以最后一次为准；思考 token 按输出计费
+          if (json.usageMetadata) {
+            usage = {
+              inputTokens: json.usageMetadata.promptTokenCount,
+              outputTokens: (json.usageMetadata.candidatesTokenCount || 0) +
+                (json.usageMetadata.thoughtsTokenCount || 0),
+              // 隐式缓存命中的 token（已包含在 promptTokenCount 中）
+              cacheReadTokens: json.usageMetadata.cachedContentTokenCount,
+            };
+          }
+        } catch (e) {
+          if (e instanceof SyntaxError) {
+            console.error('Failed to parse SSE:', e);
+          } else {
+            throw e;
+          }
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  const fullText = output.finish();
+  reportUsage(options, usage);
+  reportFinish(options, finishReason);
+  return fullText;
+}
+
+/**
+ * Call Ollama native chat API (newline-delimited JSON streaming)
+ */
+async function callOllama(baseUrl, apiKey, model, messages, onChunk, options = {}) {
+  const url = `${trimTrailingSlash(baseUrl)}/api/chat`;
+
+  const processedMessages = messages.map(processMessageForOllama);
+
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+  // 本地部署通常无需鉴权；经反向代理暴露时可能需要 Bearer Token
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(appendCustomQueryParams(url, options.request), {
+    method: 'POST',
+    signal: options.signal,
+    headers: mergeCustomHeaders(headers, options.request),
+    body: JSON.stringify({
+      model,
+      messages: processedMessages,
+      stream: true,
+      // Ollama 的采样参数放在 options 中，max_tokens 对应 num_predict
+      options: {
+        temperature: options.params?.temperature,
+        num_predict: options.params?.maxTokens,
+        top_p: options.params?.topP,
+        stop: options.params?.stop?.length ? options.params.stop : undefined,
+      },
+      // Ollama 不支持 tool_choice，只能通过系统提示词要求模型调用
+      tools: buildOpenAITools(options.tool).tools,
+    }),
+  });
+
+  if (!response.ok) {
+    throw await createAPIError('Ollama', response);
+  }
+
+  return processOllamaStream(response.body, onChunk, options);
+}
+
+/**
+ * Process Ollama streaming response (one JSON object per line)
+ */
+async function processOllamaStream(body, onChunk, options = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const output = createOutputCollector(onChunk, options);
+  let buffer = '';
+  let usage = null;
+  let finishReason = null;
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (e) {
+      console.error('Failed to parse NDJSON:', e);
+      return;
+    }
+
+    if (json.error) {
+      throw new Error(`Ollama API error: ${json.error}`);
+    }
+
+    output.text(json.message?.content);
+    // 工具调用不流式输出，arguments 为完整的对象；只取第一个调用
+    const toolCall = json.message?.tool_calls?.[0]?.function;
+    if (toolCall?.arguments) {
+      output.toolArguments(typeof toolCall.arguments === 'string'
+        ? toolCall.arguments
+        : JSON.stringify(toolCall.arguments));
+    }
+    // 支持思考的模型在 message.thinking 中输出思考过程
+    emitReasoning(options, json.message?.thinking);
+
+    // 最后一行（done: true）携带统计信息
+    if (json.done) {
+      usage = {
+        inputTokens: json.prompt_eval_count,
+        outputTokens: json.eval_count,
+      };
+      finishReason = json.done_reason || 'stop';
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      lines.forEach(handleLine);
+    }
+
+    // 最后一行可能没有换行符
+    handleLine(buffer + decoder.decode());
+  } finally {
+    reader.releaseLock();
+  }
+
+  const fullText = output.finish();
+  reportUsage(options, usage);
+  reportFinish(options, finishReason);
   return fullText;
 }
 
+function trimTrailingSlash(url) {
+  return (url || '').replace(/\/+$/, '');
+}
+
 /**
  * Process message for OpenAI API with multimodal support
  * @param {Object} message - Message object
@@ -230,6 +840,50 @@ function processMessageForAnthropic(message) {
   };
 }
 
+/**
+ * Process message for Gemini API with multimodal support
+ * @param {Object} message - Message object
+ * @returns {Object} Gemini content object ({ role, parts })
+ */
+function processMessageForGemini(message) {
+  const role = message.role === 'assistant' ? 'model' : 'user';
+  const textParts = extractTextPartsForAnthropic(message).map((part) => ({ text: part.text }));
+  const imageParts = extractImagePayloads(message).map((img) => ({
+    inlineData: {
+      mimeType: img.mimeType || 'image/png',
+      data: img.data,
+    },
+  }));
+
+  const parts = [...textParts, ...imageParts];
+
+  if (parts.length === 0) {
+    parts.push({ text: '' });
+  }
+
+  return {
+    role,
+    parts,
+  };
+}
+
+/**
+ * Process message for Ollama API with multimodal support
+ * @param {Object} message - Message object
+ * @returns {Object} Ollama message ({ role, content, images? })
+ */
+function processMessageForOllama(message) {
+  const role = ['system', 'assistant'].includes(message.role) ? message.role : 'user';
+  const content = extractTextPartsForAnthropic(message).map((part) => part.text).join('\n');
+  const images = extractImagePayloads(message).map((img) => img.data);
+
+  const result = { role, content };
+  if (images.length > 0) {
+    result.images = images;
+  }
+  return result;
+}
+
 function extractTextPartsForAnthropic(message) {
   if (Array.isArray(message.content)) {
     const parts = message.content
@@ -246,9 +900,12 @@ function extractTextPartsForAnthropic(message) {
 
 function extractImagePayloads(message) {
   const payloads = [];
+  // 同一张图片可能同时出现在 imagePayloads 与 content 中，按 data 去重
+  const seen = new Set();
   const pushPayload = (candidate) => {
     const normalized = normalizeImagePayload(candidate);
-    if (normalized) {
+    if (normalized && !seen.has(normalized.data)) {
+      seen.add(normalized.data);
       payloads.push(normalized);
     }
   };
@@ -268,10 +925,7 @@ function extractImagePayloads(message) {
   if (Array.isArray(message.content)) {
     message.content.forEach((part) => {
       if (part?.type === 'image_url' && part.image_url?.url) {
-        const parsed = parseDataUrl(part.image_url.url);
-        if (parsed) {
-          payloads.push(parsed);
-        }
+        pushPayload(parseDataUrl(part.image_url.url));
       } else if (part?.type === 'image' && part.source?.type === 'base64') {
         pushPayload({
           data: part.source.data,
@@ -360,7 +1014,10 @@ export async function testConnection(config) {
 
   try {
     // Try to fetch models as a simple connection test
-    const models = await fetchModels(type, baseUrl, apiKey);
+    const models = await fetchModels(type, baseUrl, apiKey, {
+      apiVersion: config.apiVersion,
+      request: pickCustomRequest(config),
+    });
 
     if (models && models.length > 0) {
       return {
@@ -387,15 +1044,36 @@ export async function testConnection(config) {
  * @param {string} type - Provider type
  * @param {string} baseUrl - API base URL
  * @param {string} apiKey - API key
- * @returns {Promise<Array>} List of available models
+ * @param {Object} [options] - Provider specific options
+ * @param {string} [options.apiVersion] - Azure OpenAI API version
+ * @param {Object} [options.request] - Custom headers / query params (pickCustomRequest() of the config)
+ * @returns {Promise<Array>} List of available models { id, name, capabilities }
+ */
+export async function fetchModels(type, baseUrl, apiKey, options = {}) {
+  const models = await fetchProviderModels(type, baseUrl, apiKey, options);
+  return models.map(({ raw, ...model }) => ({
+    ...model,
+    // 默认能力表与服务商报告的能力合并，报告的值优先
+    capabilities: mergeCapabilities(
+      getModelCapabilities(model.id),
+      extractReportedCapabilities(raw),
+    ),
+  }));
+}
+
+/**
+ * Fetch the raw model list of a provider; each item keeps the provider's model object on `raw`
  */
-export async function fetchModels(type, baseUrl, apiKey) {
+async function fetchProviderModels(type, baseUrl, apiKey, options = {}) {
+  if (type === 'mock') {
+    return listMockModels();
+  }
   if (type === 'openai') {
     const url = `${baseUrl}/models`;
-    const response = await fetch(url, {
-      headers: {
+    const response = await fetch(appendCustomQueryParams(url, options.request), {
+      headers: mergeCustomHeaders({
         'Authorization': `Bearer ${apiKey}`,
-      },
+      }, options.request),
     });
 
     if (!response.ok) {
@@ -407,16 +1085,38 @@ export async function fetchModels(type, baseUrl, apiKey) {
       .map(model => ({
         id: typeof model === 'string' ? model : (model.id || model.name || model.model || model.slug),
         name: typeof model === 'string' ? model : (model.name || model.id || model.model || model.slug),
+        raw: model,
+      }))
+      .filter(m => m.id);
+  } else if (type === 'azure-openai') {
+    // 列出资源下可用的模型（部署名称需在配置中单独填写）
+    const url = buildAzureUrl(baseUrl, '/models', options.apiVersion);
+    const response = await fetch(appendCustomQueryParams(url, options.request), {
+      headers: mergeCustomHeaders({
+        'api-key': apiKey,
+      }, options.request),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch models: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (Array.isArray(data?.data) ? data.data : [])
+      .map(model => ({
+        id: model.id,
+        name: model.id,
+        raw: model,
       }))
       .filter(m => m.id);
   } else if (type === 'anthropic') {
     // Request actual models from provider like OpenAI, but with Anthropic headers
     const url = `${baseUrl}/models`;
-    const response = await fetch(url, {
-      headers: {
+    const response = await fetch(appendCustomQueryParams(url, options.request), {
+      headers: mergeCustomHeaders({
         'x-api-key': apiKey,
         'anthropic-version': '2023-06-01',
-      },
+      }, options.request),
     });
 
     if (!response.ok) {
@@ -428,6 +1128,50 @@ export async function fetchModels(type, baseUrl, apiKey) {
       .map(model => ({
         id: typeof model === 'string' ? model : (model.id || model.name || model.model || model.slug),
         name: typeof model === 'string' ? model : (model.name || model.id || model.model || model.slug),
+        raw: model,
+      }))
+      .filter(m => m.id);
+  } else if (type === 'gemini') {
+    const url = `${baseUrl}/models?pageSize=1000`;
+    const response = await fetch(appendCustomQueryParams(url, options.request), {
+      headers: mergeCustomHeaders({
+        'x-goog-api-key': apiKey,
+      }, options.request),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch models: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (Array.isArray(data?.models) ? data.models : [])
+      // 只保留支持内容生成的模型（排除 embedding 等）
+      .filter(model => !Array.isArray(model.supportedGenerationMethods) || model.supportedGenerationMethods.includes('generateContent'))
+      .map(model => {
+        const id = (model.name || '').replace(/^models\//, '');
+        return {
+          id,
+          name: model.displayName || id,
+          raw: model,
+        };
+      })
+      .filter(m => m.id);
+  } else if (type === 'ollama') {
+    const url = `${trimTrailingSlash(baseUrl)}/api/tags`;
+    const response = await fetch(appendCustomQueryParams(url, options.request), {
+      headers: mergeCustomHeaders(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}, options.request),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch models: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (Array.isArray(data?.models) ? data.models : [])
+      .map(model => ({
+        id: model.model || model.name,
+        name: model.name || model.model,
+        raw: model,
       }))
       .filter(m => m.id);
   } else {
@@ -0,0 +1,106 @@
+/**
+ * LLM 请求故障转移
+ * 按顺序尝试配置链：同一配置遇到 429 / 5xx 时按指数退避重试，重试耗尽后切换到下一个配置
+ */
+
+import { createAbortError, isAbortError } from './sse-parser.js';
+import { RATE_LIMIT_ERROR_CODES } from './constants.js';
+
+export const DEFAULT_FAILOVER_OPTIONS = {
+  maxRetries: 2, // 每个配置的额外重试次数
+  baseDelay: 1000, // 首次重试等待时间（毫秒）
+  maxDelay: 8000, // 单次等待上限（毫秒）
+};
+
+/**
+ * 判断错误是否值得重试 / 切换配置
+ * - 429 限流、5xx 服务端错误
+ * - 无状态码的网络错误（fetch 抛出的 TypeError）
+ * 已经输出过内容的错误不重试，避免覆盖用户已看到的结果
+ * 本服务的限流 / 额度错误不重试：短时间退避无法解除限制
+ */
+export function isRetryableError(error) {
+  if (!error || isAbortError(error)) return false;
+  if (typeof error.partial === 'string' && error.partial.length > 0) return false;
+  if (Object.values(RATE_LIMIT_ERROR_CODES).includes(error.code)) return false;
+
+  if (typeof error.status === 'number') {
+    return error.status === 429 || error.status >= 500;
+  }
+  return error instanceof TypeError;
+}
+
+/**
+ * 计算第 attempt 次重试的退避时间（指数增长 + 随机抖动）
+ * @param {number} attempt - 从 0 开始的重试序号
+ */
+export function getBackoffDelay(attempt, { baseDelay, maxDelay } = DEFAULT_FAILOVER_OPTIONS) {
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  const jitter = Math.random() * exponential * 0.2;
+  return Math.round(Math.min(maxDelay, exponential + jitter));
+}
+
+/**
+ * 可中止的等待
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 按配置链执行请求
+ * @param {Array<Object>} configs - 有序配置链，第一个为主配置
+ * @param {Function} attemptFn - (config) => Promise<any>，执行一次完整请求
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 中止信号
+ * @param {Function} [options.onRetry] - ({ config, attempt, delay, error }) => void
+ * @param {Function} [options.onFailover] - ({ from, to, error }) => void
+ * @returns {Promise<{ result: any, config: Object, index: number }>} 成功的结果及实际应答的配置
+ */
+export async function runWithFailover(configs, attemptFn, options = {}) {
+  const { signal, onRetry, onFailover, ...rest } = options;
+  const { maxRetries, baseDelay, maxDelay } = { ...DEFAULT_FAILOVER_OPTIONS, ...rest };
+
+  let lastError = null;
+
+  for (let index = 0; index < configs.length; index += 1) {
+    const config = configs[index];
+
+    if (index > 0) {
+      onFailover?.({ from: configs[index - 1], to: config, error: lastError });
+    }
+
+    for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+      try {
+        const result = await attemptFn(config);
+        return { result, config, index };
+      } catch (error) {
+        if (signal?.aborted || isAbortError(error)) throw error;
+        if (!isRetryableError(error)) throw error;
+
+        lastError = error;
+        if (attempt < maxRetries) {
+          const delay = getBackoffDelay(attempt, { baseDelay, maxDelay });
+          onRetry?.({ config, attempt: attempt + 1, delay, error });
+          await sleep(delay, signal);
+        }
+      }
+    }
+  }
+
+  throw lastError;
+}
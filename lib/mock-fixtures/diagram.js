@@ -0,0 +1,48 @@
+/**
+ * Mock provider 在工具调用模式下的固定响应（emit_diagram 参数，见 lib/diagram-schema.js），
+ * 与引擎无关；未收录的图表类型使用 flowchart。节点不带坐标，用于覆盖自动布局。
+ */
+
+export const FIXTURES = {
+  flowchart: {
+    direction: 'TB',
+    nodes: [
+      { id: 'start', label: '开始', shape: 'ellipse', style: { fillColor: '#e3f2fd', strokeColor: '#1976d2' } },
+      { id: 'submit', label: '提交申请', shape: 'rounded', style: { fillColor: '#e3f2fd', strokeColor: '#1976d2' } },
+      { id: 'check', label: '资料是否完整？', shape: 'diamond', style: { fillColor: '#fff3e0', strokeColor: '#f57c00' } },
+      { id: 'fix', label: '补充资料', shape: 'rounded', style: { fillColor: '#fce4ec', strokeColor: '#c2185b' } },
+      { id: 'approve', label: '审批通过', shape: 'rounded', style: { fillColor: '#e8f5e9', strokeColor: '#388e3c' } },
+      { id: 'end', label: '结束', shape: 'ellipse', style: { fillColor: '#e3f2fd', strokeColor: '#1976d2' } },
+    ],
+    edges: [
+      { source: 'start', target: 'submit' },
+      { source: 'submit', target: 'check' },
+      { source: 'check', target: 'fix', label: '否' },
+      { source: 'fix', target: 'submit', style: { dashed: true } },
+      { source: 'check', target: 'approve', label: '是' },
+      { source: 'approve', target: 'end' },
+    ],
+  },
+
+  architecture: {
+    direction: 'TB',
+    nodes: [
+      { id: 'web', label: 'Web 应用', group: 'client' },
+      { id: 'mobile', label: '移动端', group: 'client' },
+      { id: 'gateway', label: 'API 网关', group: 'service' },
+      { id: 'db', label: 'PostgreSQL', shape: 'cylinder', group: 'data' },
+      { id: 'cache', label: 'Redis', shape: 'cylinder', group: 'data' },
+    ],
+    edges: [
+      { source: 'web', target: 'gateway' },
+      { source: 'mobile', target: 'gateway' },
+      { source: 'gateway', target: 'db' },
+      { source: 'gateway', target: 'cache' },
+    ],
+    groups: [
+      { id: 'client', label: '客户端', style: { strokeColor: '#1976d2', fillColor: '#e3f2fd' } },
+      { id: 'service', label: '服务层', style: { strokeColor: '#388e3c', fillColor: '#e8f5e9' } },
+      { id: 'data', label: '数据层', style: { strokeColor: '#f57c00', fillColor: '#fff3e0' } },
+    ],
+  },
+};
@@ -0,0 +1,169 @@
+/**
+ * Mock provider 的 Draw.io 固定响应（mxGraph XML），按图表类型索引，未收录的类型使用 flowchart
+ */
+
+export const FIXTURES = {
+  flowchart: `<mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="827" pageHeight="1169">
+  <root>
+    <mxCell id="0" />
+    <mxCell id="1" parent="0" />
+    <mxCell id="2" value="开始" style="ellipse;whiteSpace=wrap;html=1;fillColor=#e3f2fd;strokeColor=#1976d2;" vertex="1" parent="1">
+      <mxGeometry x="340" y="40" width="120" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="3" value="提交申请" style="rounded=1;whiteSpace=wrap;html=1;fillColor=#e3f2fd;strokeColor=#1976d2;" vertex="1" parent="1">
+      <mxGeometry x="320" y="160" width="160" height="80" as="geometry" />
+    </mxCell>
+    <mxCell id="4" value="资料是否完整？" style="rhombus;whiteSpace=wrap;html=1;fillColor=#fff3e0;strokeColor=#f57c00;" vertex="1" parent="1">
+      <mxGeometry x="320" y="300" width="160" height="100" as="geometry" />
+    </mxCell>
+    <mxCell id="5" value="补充资料" style="rounded=1;whiteSpace=wrap;html=1;fillColor=#fce4ec;strokeColor=#c2185b;" vertex="1" parent="1">
+      <mxGeometry x="560" y="310" width="160" height="80" as="geometry" />
+    </mxCell>
+    <mxCell id="6" value="审批通过" style="rounded=1;whiteSpace=wrap;html=1;fillColor=#e8f5e9;strokeColor=#388e3c;" vertex="1" parent="1">
+      <mxGeometry x="320" y="460" width="160" height="80" as="geometry" />
+    </mxCell>
+    <mxCell id="7" value="结束" style="ellipse;whiteSpace=wrap;html=1;fillColor=#e3f2fd;strokeColor=#1976d2;" vertex="1" parent="1">
+      <mxGeometry x="340" y="600" width="120" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="8" value="" style="edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;endArrow=block;" edge="1" parent="1" source="2" target="3">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="9" value="" style="edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;endArrow=block;" edge="1" parent="1" source="3" target="4">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="10" value="否" style="edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;endArrow=block;" edge="1" parent="1" source="4" target="5">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="11" value="" style="edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;endArrow=block;" edge="1" parent="1" source="5" target="3">
+      <mxGeometry relative="1" as="geometry">
+        <Array as="points">
+          <mxPoint x="640" y="200" />
+        </Array>
+      </mxGeometry>
+    </mxCell>
+    <mxCell id="12" value="是" style="edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;endArrow=block;" edge="1" parent="1" source="4" target="6">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="13" value="" style="edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;endArrow=block;" edge="1" parent="1" source="6" target="7">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+  </root>
+</mxGraphModel>`,
+
+  sequence: `<mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="827" pageHeight="1169">
+  <root>
+    <mxCell id="0" />
+    <mxCell id="1" parent="0" />
+    <mxCell id="2" value="用户" style="shape=umlLifeline;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;collapsible=0;recursiveResize=0;outlineConnect=0;fillColor=#e3f2fd;strokeColor=#1976d2;" vertex="1" parent="1">
+      <mxGeometry x="80" y="40" width="120" height="400" as="geometry" />
+    </mxCell>
+    <mxCell id="3" value="前端" style="shape=umlLifeline;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;collapsible=0;recursiveResize=0;outlineConnect=0;fillColor=#e8f5e9;strokeColor=#388e3c;" vertex="1" parent="1">
+      <mxGeometry x="300" y="40" width="120" height="400" as="geometry" />
+    </mxCell>
+    <mxCell id="4" value="服务端" style="shape=umlLifeline;perimeter=lifelinePerimeter;whiteSpace=wrap;html=1;container=1;collapsible=0;recursiveResize=0;outlineConnect=0;fillColor=#fff3e0;strokeColor=#f57c00;" vertex="1" parent="1">
+      <mxGeometry x="520" y="40" width="120" height="400" as="geometry" />
+    </mxCell>
+    <mxCell id="5" value="输入需求" style="html=1;verticalAlign=bottom;endArrow=block;" edge="1" parent="1">
+      <mxGeometry relative="1" as="geometry">
+        <mxPoint x="140" y="140" as="sourcePoint" />
+        <mxPoint x="360" y="140" as="targetPoint" />
+      </mxGeometry>
+    </mxCell>
+    <mxCell id="6" value="POST /api/llm/stream" style="html=1;verticalAlign=bottom;endArrow=block;" edge="1" parent="1">
+      <mxGeometry relative="1" as="geometry">
+        <mxPoint x="360" y="200" as="sourcePoint" />
+        <mxPoint x="580" y="200" as="targetPoint" />
+      </mxGeometry>
+    </mxCell>
+    <mxCell id="7" value="SSE 流式返回" style="html=1;verticalAlign=bottom;endArrow=open;dashed=1;" edge="1" parent="1">
+      <mxGeometry relative="1" as="geometry">
+        <mxPoint x="580" y="280" as="sourcePoint" />
+        <mxPoint x="360" y="280" as="targetPoint" />
+      </mxGeometry>
+    </mxCell>
+    <mxCell id="8" value="渲染图表" style="html=1;verticalAlign=bottom;endArrow=open;dashed=1;" edge="1" parent="1">
+      <mxGeometry relative="1" as="geometry">
+        <mxPoint x="360" y="360" as="sourcePoint" />
+        <mxPoint x="140" y="360" as="targetPoint" />
+      </mxGeometry>
+    </mxCell>
+  </root>
+</mxGraphModel>`,
+
+  mindmap: `<mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="1169" pageHeight="827">
+  <root>
+    <mxCell id="0" />
+    <mxCell id="1" parent="0" />
+    <mxCell id="2" value="项目规划" style="ellipse;whiteSpace=wrap;html=1;fillColor=#1976d2;strokeColor=#0d47a1;fontColor=#ffffff;fontSize=16;" vertex="1" parent="1">
+      <mxGeometry x="480" y="320" width="160" height="80" as="geometry" />
+    </mxCell>
+    <mxCell id="3" value="目标" style="rounded=1;whiteSpace=wrap;html=1;fillColor=#e3f2fd;strokeColor=#1976d2;" vertex="1" parent="1">
+      <mxGeometry x="200" y="160" width="120" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="4" value="资源" style="rounded=1;whiteSpace=wrap;html=1;fillColor=#e8f5e9;strokeColor=#388e3c;" vertex="1" parent="1">
+      <mxGeometry x="800" y="160" width="120" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="5" value="进度" style="rounded=1;whiteSpace=wrap;html=1;fillColor=#fff3e0;strokeColor=#f57c00;" vertex="1" parent="1">
+      <mxGeometry x="200" y="500" width="120" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="6" value="风险" style="rounded=1;whiteSpace=wrap;html=1;fillColor=#fce4ec;strokeColor=#c2185b;" vertex="1" parent="1">
+      <mxGeometry x="800" y="500" width="120" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="7" style="endArrow=none;html=1;curved=1;strokeColor=#1976d2;" edge="1" parent="1" source="2" target="3">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="8" style="endArrow=none;html=1;curved=1;strokeColor=#388e3c;" edge="1" parent="1" source="2" target="4">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="9" style="endArrow=none;html=1;curved=1;strokeColor=#f57c00;" edge="1" parent="1" source="2" target="5">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="10" style="endArrow=none;html=1;curved=1;strokeColor=#c2185b;" edge="1" parent="1" source="2" target="6">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+  </root>
+</mxGraphModel>`,
+
+  architecture: `<mxGraphModel dx="1200" dy="800" grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="1169" pageHeight="827">
+  <root>
+    <mxCell id="0" />
+    <mxCell id="1" parent="0" />
+    <mxCell id="2" value="客户端" style="swimlane;whiteSpace=wrap;html=1;fillColor=#e3f2fd;strokeColor=#1976d2;" vertex="1" parent="1">
+      <mxGeometry x="40" y="40" width="800" height="140" as="geometry" />
+    </mxCell>
+    <mxCell id="3" value="Web 应用" style="rounded=1;whiteSpace=wrap;html=1;" vertex="1" parent="2">
+      <mxGeometry x="120" y="50" width="160" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="4" value="移动端" style="rounded=1;whiteSpace=wrap;html=1;" vertex="1" parent="2">
+      <mxGeometry x="520" y="50" width="160" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="5" value="服务层" style="swimlane;whiteSpace=wrap;html=1;fillColor=#e8f5e9;strokeColor=#388e3c;" vertex="1" parent="1">
+      <mxGeometry x="40" y="240" width="800" height="140" as="geometry" />
+    </mxCell>
+    <mxCell id="6" value="API 网关" style="rounded=1;whiteSpace=wrap;html=1;" vertex="1" parent="5">
+      <mxGeometry x="320" y="50" width="160" height="60" as="geometry" />
+    </mxCell>
+    <mxCell id="7" value="数据层" style="swimlane;whiteSpace=wrap;html=1;fillColor=#fff3e0;strokeColor=#f57c00;" vertex="1" parent="1">
+      <mxGeometry x="40" y="440" width="800" height="140" as="geometry" />
+    </mxCell>
+    <mxCell id="8" value="PostgreSQL" style="shape=cylinder3;whiteSpace=wrap;html=1;boundedLbl=1;size=12;" vertex="1" parent="7">
+      <mxGeometry x="160" y="40" width="120" height="80" as="geometry" />
+    </mxCell>
+    <mxCell id="9" value="Redis" style="shape=cylinder3;whiteSpace=wrap;html=1;boundedLbl=1;size=12;" vertex="1" parent="7">
+      <mxGeometry x="520" y="40" width="120" height="80" as="geometry" />
+    </mxCell>
+    <mxCell id="10" style="edgeStyle=orthogonalEdgeStyle;html=1;endArrow=block;" edge="1" parent="1" source="3" target="6">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="11" style="edgeStyle=orthogonalEdgeStyle;html=1;endArrow=block;" edge="1" parent="1" source="4" target="6">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="12" style="edgeStyle=orthogonalEdgeStyle;html=1;endArrow=block;" edge="1" parent="1" source="6" target="8">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+    <mxCell id="13" style="edgeStyle=orthogonalEdgeStyle;html=1;endArrow=block;" edge="1" parent="1" source="6" target="9">
+      <mxGeometry relative="1" as="geometry" />
+    </mxCell>
+  </root>
+</mxGraphModel>`,
+};
@@ -0,0 +1,63 @@
+/**
+ * Mock provider 的 Excalidraw 固定响应（ExcalidrawElements JSON 数组），按图表类型索引，未收录的类型使用 flowchart
+ */
+
+export const FIXTURES = {
+  flowchart: `[
+  { "id": "start", "type": "ellipse", "x": 340, "y": 40, "width": 140, "height": 70, "strokeColor": "#1976d2", "backgroundColor": "#e3f2fd", "fillStyle": "solid", "label": { "text": "开始" } },
+  { "id": "submit", "type": "rectangle", "x": 330, "y": 170, "width": 160, "height": 80, "strokeColor": "#1976d2", "backgroundColor": "#e3f2fd", "fillStyle": "solid", "label": { "text": "提交申请" } },
+  { "id": "check", "type": "diamond", "x": 320, "y": 310, "width": 180, "height": 110, "strokeColor": "#f57c00", "backgroundColor": "#fff3e0", "fillStyle": "solid", "label": { "text": "资料是否完整？" } },
+  { "id": "fix", "type": "rectangle", "x": 600, "y": 325, "width": 160, "height": 80, "strokeColor": "#c2185b", "backgroundColor": "#fce4ec", "fillStyle": "solid", "label": { "text": "补充资料" } },
+  { "id": "approve", "type": "rectangle", "x": 330, "y": 480, "width": 160, "height": 80, "strokeColor": "#388e3c", "backgroundColor": "#e8f5e9", "fillStyle": "solid", "label": { "text": "审批通过" } },
+  { "id": "end", "type": "ellipse", "x": 340, "y": 620, "width": 140, "height": 70, "strokeColor": "#1976d2", "backgroundColor": "#e3f2fd", "fillStyle": "solid", "label": { "text": "结束" } },
+  { "type": "arrow", "x": 410, "y": 110, "width": 0, "height": 60, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "start" }, "end": { "id": "submit" } },
+  { "type": "arrow", "x": 410, "y": 250, "width": 0, "height": 60, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "submit" }, "end": { "id": "check" } },
+  { "type": "arrow", "x": 500, "y": 365, "width": 100, "height": 0, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "check" }, "end": { "id": "fix" }, "label": { "text": "否" } },
+  { "type": "arrow", "x": 680, "y": 325, "width": -190, "height": -115, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "fix" }, "end": { "id": "submit" } },
+  { "type": "arrow", "x": 410, "y": 420, "width": 0, "height": 60, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "check" }, "end": { "id": "approve" }, "label": { "text": "是" } },
+  { "type": "arrow", "x": 410, "y": 560, "width": 0, "height": 60, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "approve" }, "end": { "id": "end" } }
+]`,
+
+  sequence: `[
+  { "id": "user", "type": "rectangle", "x": 80, "y": 40, "width": 140, "height": 60, "strokeColor": "#1976d2", "backgroundColor": "#e3f2fd", "fillStyle": "solid", "label": { "text": "用户" } },
+  { "id": "web", "type": "rectangle", "x": 320, "y": 40, "width": 140, "height": 60, "strokeColor": "#388e3c", "backgroundColor": "#e8f5e9", "fillStyle": "solid", "label": { "text": "前端" } },
+  { "id": "api", "type": "rectangle", "x": 560, "y": 40, "width": 140, "height": 60, "strokeColor": "#f57c00", "backgroundColor": "#fff3e0", "fillStyle": "solid", "label": { "text": "服务端" } },
+  { "type": "line", "x": 150, "y": 100, "width": 0, "height": 320, "strokeColor": "#999999", "strokeStyle": "dashed" },
+  { "type": "line", "x": 390, "y": 100, "width": 0, "height": 320, "strokeColor": "#999999", "strokeStyle": "dashed" },
+  { "type": "line", "x": 630, "y": 100, "width": 0, "height": 320, "strokeColor": "#999999", "strokeStyle": "dashed" },
+  { "type": "arrow", "x": 150, "y": 160, "width": 240, "height": 0, "strokeColor": "#333333", "endArrowhead": "arrow", "label": { "text": "输入需求" } },
+  { "type": "arrow", "x": 390, "y": 220, "width": 240, "height": 0, "strokeColor": "#333333", "endArrowhead": "arrow", "label": { "text": "POST /api/llm/stream" } },
+  { "type": "arrow", "x": 630, "y": 300, "width": -240, "height": 0, "strokeColor": "#333333", "strokeStyle": "dashed", "endArrowhead": "arrow", "label": { "text": "SSE 流式返回" } },
+  { "type": "arrow", "x": 390, "y": 380, "width": -240, "height": 0, "strokeColor": "#333333", "strokeStyle": "dashed", "endArrowhead": "arrow", "label": { "text": "渲染图表" } }
+]`,
+
+  mindmap: `[
+  { "id": "center", "type": "ellipse", "x": 480, "y": 320, "width": 180, "height": 90, "strokeColor": "#0d47a1", "backgroundColor": "#1976d2", "fillStyle": "solid", "label": { "text": "项目规划", "fontSize": 20, "strokeColor": "#ffffff" } },
+  { "id": "goal", "type": "rectangle", "x": 180, "y": 160, "width": 140, "height": 60, "strokeColor": "#1976d2", "backgroundColor": "#e3f2fd", "fillStyle": "solid", "label": { "text": "目标" } },
+  { "id": "resource", "type": "rectangle", "x": 820, "y": 160, "width": 140, "height": 60, "strokeColor": "#388e3c", "backgroundColor": "#e8f5e9", "fillStyle": "solid", "label": { "text": "资源" } },
+  { "id": "progress", "type": "rectangle", "x": 180, "y": 520, "width": 140, "height": 60, "strokeColor": "#f57c00", "backgroundColor": "#fff3e0", "fillStyle": "solid", "label": { "text": "进度" } },
+  { "id": "risk", "type": "rectangle", "x": 820, "y": 520, "width": 140, "height": 60, "strokeColor": "#c2185b", "backgroundColor": "#fce4ec", "fillStyle": "solid", "label": { "text": "风险" } },
+  { "type": "arrow", "x": 500, "y": 330, "width": -180, "height": -110, "strokeColor": "#1976d2", "endArrowhead": null, "start": { "id": "center" }, "end": { "id": "goal" } },
+  { "type": "arrow", "x": 640, "y": 330, "width": 180, "height": -110, "strokeColor": "#388e3c", "endArrowhead": null, "start": { "id": "center" }, "end": { "id": "resource" } },
+  { "type": "arrow", "x": 500, "y": 400, "width": -180, "height": 120, "strokeColor": "#f57c00", "endArrowhead": null, "start": { "id": "center" }, "end": { "id": "progress" } },
+  { "type": "arrow", "x": 640, "y": 400, "width": 180, "height": 120, "strokeColor": "#c2185b", "endArrowhead": null, "start": { "id": "center" }, "end": { "id": "risk" } }
+]`,
+
+  architecture: `[
+  { "type": "rectangle", "x": 40, "y": 40, "width": 800, "height": 140, "strokeColor": "#1976d2", "backgroundColor": "#e3f2fd", "fillStyle": "solid", "strokeStyle": "dashed" },
+  { "type": "text", "x": 60, "y": 50, "text": "客户端", "fontSize": 18, "strokeColor": "#1976d2" },
+  { "id": "web", "type": "rectangle", "x": 160, "y": 90, "width": 160, "height": 60, "strokeColor": "#1976d2", "backgroundColor": "#ffffff", "fillStyle": "solid", "label": { "text": "Web 应用" } },
+  { "id": "mobile", "type": "rectangle", "x": 560, "y": 90, "width": 160, "height": 60, "strokeColor": "#1976d2", "backgroundColor": "#ffffff", "fillStyle": "solid", "label": { "text": "移动端" } },
+  { "type": "rectangle", "x": 40, "y": 240, "width": 800, "height": 140, "strokeColor": "#388e3c", "backgroundColor": "#e8f5e9", "fillStyle": "solid", "strokeStyle": "dashed" },
+  { "type": "text", "x": 60, "y": 250, "text": "服务层", "fontSize": 18, "strokeColor": "#388e3c" },
+  { "id": "gateway", "type": "rectangle", "x": 360, "y": 290, "width": 160, "height": 60, "strokeColor": "#388e3c", "backgroundColor": "#ffffff", "fillStyle": "solid", "label": { "text": "API 网关" } },
+  { "type": "rectangle", "x": 40, "y": 440, "width": 800, "height": 140, "strokeColor": "#f57c00", "backgroundColor": "#fff3e0", "fillStyle": "solid", "strokeStyle": "dashed" },
+  { "type": "text", "x": 60, "y": 450, "text": "数据层", "fontSize": 18, "strokeColor": "#f57c00" },
+  { "id": "db", "type": "rectangle", "x": 200, "y": 490, "width": 140, "height": 60, "strokeColor": "#f57c00", "backgroundColor": "#ffffff", "fillStyle": "solid", "label": { "text": "PostgreSQL" } },
+  { "id": "cache", "type": "rectangle", "x": 560, "y": 490, "width": 140, "height": 60, "strokeColor": "#f57c00", "backgroundColor": "#ffffff", "fillStyle": "solid", "label": { "text": "Redis" } },
+  { "type": "arrow", "x": 240, "y": 150, "width": 200, "height": 140, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "web" }, "end": { "id": "gateway" } },
+  { "type": "arrow", "x": 640, "y": 150, "width": -200, "height": 140, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "mobile" }, "end": { "id": "gateway" } },
+  { "type": "arrow", "x": 440, "y": 350, "width": -170, "height": 140, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "gateway" }, "end": { "id": "db" } },
+  { "type": "arrow", "x": 440, "y": 350, "width": 190, "height": 140, "strokeColor": "#333333", "endArrowhead": "arrow", "start": { "id": "gateway" }, "end": { "id": "cache" } }
+]`,
+};
@@ -0,0 +1,248 @@
+/**
+ * 离线 Mock provider：不访问网络，按图表类型与引擎流式返回固定响应，用于本地开发与复现修复管道问题
+ *
+ * 配置方式（type 为 mock，无需 API Key）：
+ *   model    <fixture>[:<mode>]
+ *            fixture：auto（按请求中的图表类型选择）或 MOCK_FIXTURE_NAMES 中的名称
+ *            mode：normal（默认）/ malformed（注入格式错误）/ truncate（中途截断）/ error（中途报错）
+ *   baseUrl  mock://local?delay=20&seed=1
+ *            delay 为每个 chunk 的平均间隔毫秒数（默认 20，0 表示不等待）；
+ *            seed 固定 chunk 切分（默认取用户消息的哈希，同一输入总是得到相同的切分）
+ *
+ * 引擎由 system prompt 判断（mxGraph → drawio，否则 excalidraw），图表类型从用户消息的"图表类型"中解析。
+ * 工具调用模式（options.tool）下改为流式返回 emit_diagram 的参数（lib/mock-fixtures/diagram.js）。
+ */
+
+import { CHART_TYPE_LABELS } from './prompts/drawio.js';
+import { FIXTURES as DRAWIO_FIXTURES } from './mock-fixtures/drawio.js';
+import { FIXTURES as EXCALIDRAW_FIXTURES } from './mock-fixtures/excalidraw.js';
+import { FIXTURES as DIAGRAM_FIXTURES } from './mock-fixtures/diagram.js';
+
+export const MOCK_MODES = ['normal', 'malformed', 'truncate', 'error'];
+export const MOCK_FIXTURE_NAMES = Object.keys(DRAWIO_FIXTURES);
+
+const DEFAULT_FIXTURE = 'flowchart';
+const DEFAULT_DELAY_MS = 20;
+// 截断与报错发生在响应的这个比例处
+const TRUNCATE_RATIO = 0.6;
+const ERROR_RATIO = 0.4;
+
+/**
+ * 解析 model 字段：<fixture>[:<mode>]
+ * @returns {{ fixture: string, mode: string }}
+ */
+export function parseMockModel(model) {
+  const [fixture = 'auto', mode = 'normal'] = String(model || 'auto').split(':');
+  return {
+    fixture: fixture || 'auto',
+    mode: MOCK_MODES.includes(mode) ? mode : 'normal',
+  };
+}
+
+/**
+ * 解析 baseUrl 中的选项（mock://local?delay=20&seed=1）
+ */
+function parseMockOptions(baseUrl) {
+  let params;
+  try {
+    params = new URL(baseUrl || 'mock://local').searchParams;
+  } catch {
+    params = new URLSearchParams();
+  }
+  const delay = Number(params.get('delay'));
+  const seed = Number(params.get('seed'));
+  return {
+    delayMs: params.has('delay') && Number.isFinite(delay) && delay >= 0 ? delay : DEFAULT_DELAY_MS,
+    seed: params.has('seed') && Number.isFinite(seed) ? seed : null,
+  };
+}
+
+function getMessageText(message) {
+  const content = message?.content;
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((part) => typeof part?.text === 'string')
+    .map((part) => part.text)
+    .join('\n');
+}
+
+/**
+ * 根据 system prompt 判断引擎
+ */
+export function detectMockEngine(messages) {
+  const system = messages.find((message) => message.role === 'system');
+  return /mxGraph|mxCell/i.test(getMessageText(system)) ? 'drawio' : 'excalidraw';
+}
+
+/**
+ * 从最后一条用户消息的"图表类型"中解析图表类型 key（见 USER_PROMPT_TEMPLATE）
+ */
+export function detectMockChartType(messages) {
+  const lastUser = [...messages].reverse().find((message) => message.role === 'user');
+  const match = getMessageText(lastUser).match(/图表类型："""(.+?)"""/);
+  if (!match) return 'auto';
+  const entry = Object.entries(CHART_TYPE_LABELS).find(([, label]) => label === match[1]);
+  return entry ? entry[0] : 'auto';
+}
+
+/**
+ * 选择固定响应：显式 fixture 优先，其次按图表类型，未收录时使用 flowchart
+ * @param {Array} messages
+ * @param {string} [fixtureName='auto']
+ * @param {Object} [options]
+ * @param {boolean} [options.tool=false] - 工具调用模式，返回 emit_diagram 参数的 JSON 文本（engine 为 diagram）
+ * @returns {{ engine: string, fixture: string, text: string }}
+ */
+export function selectMockFixture(messages, fixtureName = 'auto', { tool = false } = {}) {
+  const requested = fixtureName === 'auto' ? detectMockChartType(messages) : fixtureName;
+  if (tool) {
+    const fixture = DIAGRAM_FIXTURES[requested] ? requested : DEFAULT_FIXTURE;
+    return { engine: 'diagram', fixture, text: JSON.stringify(DIAGRAM_FIXTURES[fixture]) };
+  }
+
+  const engine = detectMockEngine(messages);
+  const fixtures = engine === 'drawio' ? DRAWIO_FIXTURES : EXCALIDRAW_FIXTURES;
+  const fixture = fixtures[requested] ? requested : DEFAULT_FIXTURE;
+  return { engine, fixture, text: fixtures[fixture] };
+}
+
+/**
+ * 注入典型的格式错误，覆盖修复管道需要处理的情况：
+ * - 两种引擎：前置说明文字 + Markdown 代码块
+ * - XML：未转义的 &、缺少闭合的 mxCell、结尾标签缺失
+ * - JSON：最后一个元素后的尾随逗号、结尾 ] 缺失
+ * - 工具调用参数（engine 为 diagram）：结尾 } 缺失；工具参数不会带说明文字，因此不加前置文字与代码块
+ */
+export function injectMalformed(text, engine) {
+  if (engine === 'diagram') {
+    return text.replace(/\}\s*$/, '');
+  }
+  if (engine === 'drawio') {
+    const broken = text
+      .replace(/value="([^"]*?)"/, 'value="$1 & 备注"')
+      .replace('</mxCell>', '')
+      .replace(/\s*<\/root>\s*<\/mxGraphModel>\s*$/, '');
+    return `好的，下面是生成的图表：\n\n\`\`\`xml\n${broken}\n\`\`\``;
+  }
+  // 最后一个元素后留下逗号并删除结尾的 ]（流式输出被截断时的典型形态）
+  const broken = text.replace(/\}\s*\]\s*$/, '},');
+  return `好的，下面是生成的图表：\n\n\`\`\`json\n${broken}\n\`\`\``;
+}
+
+/**
+ * 可复现的伪随机数（mulberry32）
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 按真实模型的输出节奏切分文本：多数 chunk 为几个字符，偶尔较长
+ */
+export function splitIntoChunks(text, random) {
+  const chunks = [];
+  let index = 0;
+  while (index < text.length) {
+    const size = random() < 0.85 ? 2 + Math.floor(random() * 10) : 12 + Math.floor(random() * 28);
+    chunks.push(text.slice(index, index + size));
+    index += size;
+  }
+  return chunks;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 流式返回固定响应，回调约定与其他 provider 一致（onChunk / onUsage / onFinish）
+ * 工具调用模式下 onChunk 收到的是 emit_diagram 的参数片段
+ */
+export async function callMock(config, messages, onChunk, options = {}) {
+  const { fixture: fixtureName, mode } = parseMockModel(config.model);
+  const { delayMs, seed } = parseMockOptions(config.baseUrl);
+  const lastUserText = getMessageText([...messages].reverse().find((message) => message.role === 'user'));
+  const random = createRandom(seed ?? hashString(lastUserText));
+
+  const { engine, text: fixtureText } = selectMockFixture(messages, fixtureName, { tool: !!options.tool });
+  const text = mode === 'malformed' ? injectMalformed(fixtureText, engine) : fixtureText;
+  const chunks = splitIntoChunks(text, random);
+
+  let stopAt = chunks.length;
+  if (mode === 'truncate') stopAt = Math.ceil(chunks.length * TRUNCATE_RATIO);
+  if (mode === 'error') stopAt = Math.ceil(chunks.length * ERROR_RATIO);
+
+  let fullText = '';
+  for (let i = 0; i < stopAt; i += 1) {
+    if (delayMs > 0) {
+      // 间隔在平均值的 0.5 ~ 1.5 倍之间浮动
+      await sleep(delayMs * (0.5 + random()), options.signal);
+    } else if (options.signal?.aborted) {
+      throw options.signal.reason || new DOMException('The operation was aborted.', 'AbortError');
+    }
+    fullText += chunks[i];
+    onChunk(chunks[i]);
+  }
+
+  if (mode === 'error') {
+    const error = new Error('Mock API error: 502 simulated upstream failure mid-stream');
+    error.status = 502;
+    throw error;
+  }
+
+  if (typeof options.onUsage === 'function') {
+    const inputChars = messages.reduce((total, message) => total + getMessageText(message).length, 0);
+    options.onUsage({
+      inputTokens: Math.ceil(inputChars / 4),
+      outputTokens: Math.ceil(fullText.length / 4),
+    });
+  }
+  options.onFinish?.(mode === 'truncate' ? 'length' : 'stop');
+
+  return fullText;
+}
+
+/**
+ * Mock provider 的"模型列表"：auto 与每个固定响应，各自带上全部模式
+ */
+export function listMockModels() {
+  const models = [];
+  for (const fixture of ['auto', ...MOCK_FIXTURE_NAMES]) {
+    for (const mode of MOCK_MODES) {
+      const id = mode === 'normal' ? fixture : `${fixture}:${mode}`;
+      models.push({ id, name: id });
+    }
+  }
+  return models;
+}
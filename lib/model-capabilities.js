@@ -0,0 +1,190 @@
+/**
+ * 模型能力注册表：是否支持图片输入（vision）、上下文窗口、最大输出 token、是否为推理模型
+ *
+ * 能力按以下顺序合并，后者覆盖前者中已知的字段：
+ * 1. 默认能力表（按模型名前缀匹配，取最长匹配项）
+ * 2. 服务商 /models 接口报告的能力（/api/models 返回，保存在配置的 modelCapabilities 中）
+ * 3. 配置中的 capabilities 手动覆盖
+ * 未知的字段为 null，调用方应按"不确定"处理。
+ */
+
+/**
+ * 默认能力表，数值以各服务商文档为准，仅用于提示与限制 max_tokens
+ */
+export const MODEL_CAPABILITIES = {
+  // Anthropic
+  'claude-opus-4-5': { vision: true, contextWindow: 200000, maxOutputTokens: 64000, reasoning: true },
+  'claude-opus-4': { vision: true, contextWindow: 200000, maxOutputTokens: 32000, reasoning: true },
+  'claude-sonnet-4': { vision: true, contextWindow: 200000, maxOutputTokens: 64000, reasoning: true },
+  'claude-haiku-4-5': { vision: true, contextWindow: 200000, maxOutputTokens: 64000, reasoning: true },
+  'claude-3-7-sonnet': { vision: true, contextWindow: 200000, maxOutputTokens: 64000, reasoning: true },
+  'claude-3-5-sonnet': { vision: true, contextWindow: 200000, maxOutputTokens: 8192, reasoning: false },
+  'claude-3-5-haiku': { vision: true, contextWindow: 200000, maxOutputTokens: 8192, reasoning: false },
+  'claude-3-opus': { vision: true, contextWindow: 200000, maxOutputTokens: 4096, reasoning: false },
+  'claude-3-haiku': { vision: true, contextWindow: 200000, maxOutputTokens: 4096, reasoning: false },
+  // OpenAI
+  'gpt-5': { vision: true, contextWindow: 400000, maxOutputTokens: 128000, reasoning: true },
+  'gpt-4.1': { vision: true, contextWindow: 1047576, maxOutputTokens: 32768, reasoning: false },
+  'gpt-4.5': { vision: true, contextWindow: 128000, maxOutputTokens: 16384, reasoning: false },
+  'gpt-4o': { vision: true, contextWindow: 128000, maxOutputTokens: 16384, reasoning: false },
+  'gpt-4-turbo': { vision: true, contextWindow: 128000, maxOutputTokens: 4096, reasoning: false },
+  'gpt-4-vision': { vision: true, contextWindow: 128000, maxOutputTokens: 4096, reasoning: false },
+  'gpt-4-1106-vision': { vision: true, contextWindow: 128000, maxOutputTokens: 4096, reasoning: false },
+  'gpt-4': { vision: false, contextWindow: 8192, maxOutputTokens: 8192, reasoning: false },
+  'gpt-3.5-turbo': { vision: false, contextWindow: 16385, maxOutputTokens: 4096, reasoning: false },
+  'o1-preview': { vision: false, contextWindow: 128000, maxOutputTokens: 32768, reasoning: true },
+  'o1-mini': { vision: false, contextWindow: 128000, maxOutputTokens: 65536, reasoning: true },
+  'o1': { vision: true, contextWindow: 200000, maxOutputTokens: 100000, reasoning: true },
+  'o3-mini': { vision: false, contextWindow: 200000, maxOutputTokens: 100000, reasoning: true },
+  'o3': { vision: true, contextWindow: 200000, maxOutputTokens: 100000, reasoning: true },
+  'o4-mini': { vision: true, contextWindow: 200000, maxOutputTokens: 100000, reasoning: true },
+  // Google Gemini
+  'gemini-2.5-pro': { vision: true, contextWindow: 1048576, maxOutputTokens: 65536, reasoning: true },
+  'gemini-2.5-flash': { vision: true, contextWindow: 1048576, maxOutputTokens: 65536, reasoning: true },
+  'gemini-2.0-flash': { vision: true, contextWindow: 1048576, maxOutputTokens: 8192, reasoning: false },
+  'gemini-1.5-pro': { vision: true, contextWindow: 2097152, maxOutputTokens: 8192, reasoning: false },
+  'gemini-1.5-flash': { vision: true, contextWindow: 1048576, maxOutputTokens: 8192, reasoning: false },
+  // DeepSeek
+  'deepseek-chat': { vision: false, contextWindow: 128000, maxOutputTokens: 8192, reasoning: false },
+  'deepseek-reasoner': { vision: false, contextWindow: 128000, maxOutputTokens: 64000, reasoning: true },
+  'deepseek-r1': { vision: false, reasoning: true },
+  // Ollama 等本地模型（上下文取决于运行参数，只记录是否支持图片）
+  'llava': { vision: true },
+  'bakllava': { vision: true },
+  'llama3.2-vision': { vision: true },
+  'qwen2.5vl': { vision: true },
+  'qwen2.5-vl': { vision: true },
+  'qwen-vl': { vision: true },
+  'minicpm-v': { vision: true },
+  'gemma3': { vision: true },
+};
+
+export const CAPABILITY_FIELDS = ['vision', 'contextWindow', 'maxOutputTokens', 'reasoning'];
+
+const UNKNOWN_CAPABILITIES = {
+  vision: null,
+  contextWindow: null,
+  maxOutputTokens: null,
+  reasoning: null,
+};
+
+function isKnown(field, value) {
+  if (field === 'vision' || field === 'reasoning') return typeof value === 'boolean';
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * 合并多个能力来源，后面来源中已知的字段覆盖前面的值
+ * @param {...Object} sources
+ * @returns {{ vision: boolean|null, contextWindow: number|null, maxOutputTokens: number|null, reasoning: boolean|null }}
+ */
+export function mergeCapabilities(...sources) {
+  const merged = { ...UNKNOWN_CAPABILITIES };
+  for (const source of sources) {
+    if (!source) continue;
+    for (const field of CAPABILITY_FIELDS) {
+      if (isKnown(field, source[field])) merged[field] = source[field];
+    }
+  }
+  return merged;
+}
+
+/**
+ * 从默认能力表查找模型能力
+ * @param {string} model - 模型名称（兼容 models/xxx、vendor/xxx 形式）
+ * @returns {Object|null}
+ */
+export function lookupModelCapabilities(model) {
+  if (!model) return null;
+  const name = String(model).toLowerCase().split('/').pop();
+
+  let matched = null;
+  for (const prefix of Object.keys(MODEL_CAPABILITIES)) {
+    if (name.startsWith(prefix) && (!matched || prefix.length > matched.length)) {
+      matched = prefix;
+    }
+  }
+  return matched ? MODEL_CAPABILITIES[matched] : null;
+}
+
+/**
+ * 获取配置实际生效的模型能力
+ * @param {string} model - 模型名称
+ * @param {Object} [config] - LLM 配置（modelCapabilities 为 /api/models 报告的能力，capabilities 为手动覆盖）
+ */
+export function getModelCapabilities(model, config) {
+  return mergeCapabilities(
+    lookupModelCapabilities(model),
+    config?.modelCapabilities,
+    config?.capabilities,
+  );
+}
+
+/**
+ * 获取 LLM 配置的模型能力：模型名缺失时（如 Azure 只填写了部署名）按部署名查找
+ * 所有按配置判断能力的地方都应使用它，避免不同位置的判断结果不一致
+ * @param {Object} config - LLM 配置
+ */
+export function getConfigCapabilities(config) {
+  return getModelCapabilities(config?.model || config?.deployment, config);
+}
+
+/**
+ * 从服务商 /models 接口返回的单个模型中提取能力字段（各服务商字段名不同，缺失的字段不返回）
+ * - OpenRouter 等 OpenAI 兼容服务：context_length、top_provider.max_completion_tokens、architecture.input_modalities
+ * - vLLM：max_model_len
+ * - Gemini：inputTokenLimit、outputTokenLimit、thinking
+ * - Anthropic：max_input_tokens、max_tokens
+ * - Ollama：details.families 中包含 clip / mllama 表示支持图片
+ * @param {Object} rawModel
+ * @returns {Object}
+ */
+export function extractReportedCapabilities(rawModel) {
+  if (!rawModel || typeof rawModel !== 'object') return {};
+  const reported = {};
+
+  const contextWindow = rawModel.context_length ?? rawModel.context_window ?? rawModel.max_model_len
+    ?? rawModel.inputTokenLimit ?? rawModel.max_input_tokens;
+  if (isKnown('contextWindow', contextWindow)) reported.contextWindow = contextWindow;
+
+  const maxOutputTokens = rawModel.top_provider?.max_completion_tokens ?? rawModel.max_completion_tokens
+    ?? rawModel.outputTokenLimit ?? rawModel.max_tokens;
+  if (isKnown('maxOutputTokens', maxOutputTokens)) reported.maxOutputTokens = maxOutputTokens;
+
+  const inputModalities = rawModel.architecture?.input_modalities;
+  if (Array.isArray(inputModalities)) {
+    reported.vision = inputModalities.includes('image');
+  } else if (typeof rawModel.architecture?.modality === 'string') {
+    reported.vision = rawModel.architecture.modality.split('->')[0].includes('image');
+  }
+
+  const families = rawModel.details?.families;
+  if (Array.isArray(families) && families.some((family) => family === 'clip' || family === 'mllama')) {
+    reported.vision = true;
+  }
+
+  if (typeof rawModel.thinking === 'boolean') {
+    reported.reasoning = rawModel.thinking;
+  } else if (Array.isArray(rawModel.supported_parameters)) {
+    reported.reasoning = rawModel.supported_parameters.includes('reasoning');
+  }
+
+  return reported;
+}
+
+/**
+ * 将 max_tokens 限制在模型支持的最大输出以内（未设置或能力未知时原样返回）
+ */
+export function capMaxTokens(maxTokens, capabilities) {
+  const limit = capabilities?.maxOutputTokens;
+  if (!limit || maxTokens === undefined || maxTokens === null) return maxTokens;
+  return Math.min(maxTokens, limit);
+}
+
+/**
+ * 消息中是否包含图片
+ */
+export function messagesContainImages(messages = []) {
+  return messages.some((message) =>
+    Array.isArray(message?.content) && message.content.some((part) => part?.type === 'image_url'));
+}
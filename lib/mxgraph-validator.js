@@ -0,0 +1,328 @@
+/**
+ * mxGraph XML 语义校验与自动修复
+ *
+ * fixUnclosed.js 只修复语法结构，这里检查图表本身是否完整：
+ * - 缺少 id / id 重复
+ * - 缺少根节点 0（根）与 1（默认图层）
+ * - parent 缺失、指向不存在的节点或形成循环
+ * - 连线的 source / target 指向不存在的节点
+ * - 图形或连线缺少 mxGeometry，图形缺少宽高
+ *
+ * 能安全修复的问题直接修复（severity 为 warning，repaired 为 true），其余问题只报告（severity 为 error）。
+ * XML 的解析与序列化见 mxgraph-xml.js。
+ * 没有任何修复时原样返回输入，不改变格式。
+ */
+
+import {
+  parseXml,
+  serializeNode,
+  getAttr,
+  setAttr,
+  removeAttr,
+  childElements,
+  findElements,
+  appendChild,
+  removeChild,
+  createElement,
+  collectCells,
+  getGeometry,
+} from './mxgraph-xml.js';
+
+export const MX_ISSUE_CODES = {
+  PARSE_ERROR: 'parse-error',
+  MISSING_ROOT: 'missing-root',
+  MISSING_ROOT_CELL: 'missing-root-cell',
+  MISSING_ID: 'missing-id',
+  DUPLICATE_ID: 'duplicate-id',
+  INVALID_PARENT: 'invalid-parent',
+  DANGLING_SOURCE: 'dangling-source',
+  DANGLING_TARGET: 'dangling-target',
+  DANGLING_EDGE: 'dangling-edge',
+  MISSING_GEOMETRY: 'missing-geometry',
+  EMPTY_DIAGRAM: 'empty-diagram',
+};
+
+const ROOT_ID = '0';
+const LAYER_ID = '1';
+const DEFAULT_WIDTH = 120;
+const DEFAULT_HEIGHT = 60;
+const PLACEMENT_GAP = 40;
+
+// ==================== 校验 ====================
+
+function toNumber(value) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * 校验单个 mxGraphModel 的 root
+ * @returns {boolean} 是否做过修复
+ */
+function validateRoot(root, issues, repair) {
+  let changed = false;
+  const report = (issue) => {
+    issues.push({ severity: issue.repaired ? 'warning' : 'error', ...issue });
+    if (issue.repaired) changed = true;
+  };
+
+  let cells = collectCells(root);
+
+  // 1. id：缺失的补上，重复的重命名（引用仍指向第一个同名节点）
+  const usedIds = new Set(cells.map(({ holder }) => getAttr(holder, 'id')).filter(Boolean));
+  const uniqueId = (base) => {
+    let index = 1;
+    while (usedIds.has(`${base}-${index}`)) index += 1;
+    const id = `${base}-${index}`;
+    usedIds.add(id);
+    return id;
+  };
+  const seenIds = new Set();
+  for (const entry of cells) {
+    const id = getAttr(entry.holder, 'id');
+    if (!id) {
+      const nextId = repair ? uniqueId('cell') : undefined;
+      if (repair) setAttr(entry.holder, 'id', nextId);
+      report({
+        code: MX_ISSUE_CODES.MISSING_ID,
+        cellId: nextId,
+        message: repair ? `节点缺少 id，已设置为 ${nextId}` : '节点缺少 id',
+        repaired: repair,
+      });
+    } else if (seenIds.has(id)) {
+      const nextId = repair ? uniqueId(id) : undefined;
+      if (repair) setAttr(entry.holder, 'id', nextId);
+      report({
+        code: MX_ISSUE_CODES.DUPLICATE_ID,
+        cellId: id,
+        message: repair ? `id "${id}" 重复，后出现的节点已重命名为 ${nextId}` : `id "${id}" 重复`,
+        repaired: repair,
+      });
+    }
+    seenIds.add(getAttr(entry.holder, 'id'));
+  }
+
+  const byId = new Map();
+  for (const entry of cells) {
+    const id = getAttr(entry.holder, 'id');
+    if (id && !byId.has(id)) byId.set(id, entry);
+  }
+
+  // 2. 根节点 0 与默认图层 1
+  const rootCell = byId.get(ROOT_ID);
+  if (!rootCell) {
+    if (repair) {
+      const created = createElement('mxCell', { id: ROOT_ID });
+      root.children.unshift(created);
+      byId.set(ROOT_ID, { node: created, holder: created, cell: created });
+    }
+    report({ code: MX_ISSUE_CODES.MISSING_ROOT_CELL, cellId: ROOT_ID, message: '缺少根节点 id="0"', repaired: repair });
+  } else if (getAttr(rootCell.cell, 'parent') !== undefined) {
+    if (repair) removeAttr(rootCell.cell, 'parent');
+    report({ code: MX_ISSUE_CODES.INVALID_PARENT, cellId: ROOT_ID, message: '根节点 id="0" 不应有 parent', repaired: repair });
+  }
+
+  const layers = cells.filter(({ holder, cell }) =>
+    getAttr(holder, 'id') !== ROOT_ID && getAttr(cell, 'parent') === ROOT_ID);
+  let defaultLayerId = layers.length > 0 ? getAttr(layers[0].holder, 'id') : LAYER_ID;
+  if (!byId.has(LAYER_ID) && layers.length === 0) {
+    if (repair) {
+      const created = createElement('mxCell', { id: LAYER_ID, parent: ROOT_ID });
+      const rootIndex = root.children.indexOf(byId.get(ROOT_ID)?.node);
+      root.children.splice(rootIndex + 1, 0, created);
+      byId.set(LAYER_ID, { node: created, holder: created, cell: created });
+    }
+    defaultLayerId = LAYER_ID;
+    report({ code: MX_ISSUE_CODES.MISSING_ROOT_CELL, cellId: LAYER_ID, message: '缺少默认图层 id="1"', repaired: repair });
+  }
+
+  // 3. 连线端点：指向不存在的节点时去掉该端点，两端都失效且没有坐标点的连线直接删除
+  for (const entry of cells) {
+    const { holder, cell } = entry;
+    if (getAttr(cell, 'edge') !== '1') continue;
+    const id = getAttr(holder, 'id');
+    for (const [end, code] of [['source', MX_ISSUE_CODES.DANGLING_SOURCE], ['target', MX_ISSUE_CODES.DANGLING_TARGET]]) {
+      const ref = getAttr(cell, end);
+      if (ref === undefined || byId.has(ref)) continue;
+      if (repair) removeAttr(cell, end);
+      report({
+        code,
+        cellId: id,
+        message: `连线 ${id} 的 ${end} 指向不存在的节点 "${ref}"${repair ? '，已断开该端点' : ''}`,
+        repaired: repair,
+      });
+    }
+
+    const geometry = getGeometry(cell);
+    const hasPoints = !!geometry && findElements(geometry, 'mxPoint')
+      .some((point) => ['sourcePoint', 'targetPoint'].includes(getAttr(point, 'as')));
+    if (repair && getAttr(cell, 'source') === undefined && getAttr(cell, 'target') === undefined && !hasPoints) {
+      removeChild(root, entry.node);
+      byId.delete(id);
+      entry.removed = true;
+      report({
+        code: MX_ISSUE_CODES.DANGLING_EDGE,
+        cellId: id,
+        message: `连线 ${id} 没有有效的端点和坐标，已删除`,
+        repaired: true,
+      });
+    }
+  }
+  cells = cells.filter((entry) => !entry.removed);
+
+  // 4. parent：缺失、指向不存在的节点或形成循环时挂到默认图层
+  const parentOf = (entry) => getAttr(entry.cell, 'parent');
+  for (const entry of cells) {
+    const id = getAttr(entry.holder, 'id');
+    if (id === ROOT_ID) continue;
+    const parent = parentOf(entry);
+
+    let problem = null;
+    if (!parent) {
+      problem = '缺少 parent';
+    } else if (!byId.has(parent)) {
+      problem = `parent 指向不存在的节点 "${parent}"`;
+    } else {
+      // 沿 parent 链向上，必须能到达根节点
+      const visited = new Set([id]);
+      let current = parent;
+      while (current && current !== ROOT_ID) {
+        if (visited.has(current)) {
+          problem = 'parent 形成循环';
+          break;
+        }
+        visited.add(current);
+        current = byId.has(current) ? parentOf(byId.get(current)) : undefined;
+      }
+    }
+    if (!problem) continue;
+
+    const fallback = id === defaultLayerId ? ROOT_ID : defaultLayerId;
+    if (repair) setAttr(entry.cell, 'parent', fallback);
+    report({
+      code: MX_ISSUE_CODES.INVALID_PARENT,
+      cellId: id,
+      message: `节点 ${id} ${problem}${repair ? `，已挂到${fallback === ROOT_ID ? '根节点' : `图层 ${fallback}`}` : ''}`,
+      repaired: repair,
+    });
+  }
+
+  // 5. 几何信息：图形缺少 mxGeometry 时放在现有内容右侧，连线补上相对几何
+  let right = 0;
+  let top = null;
+  for (const { cell } of cells) {
+    const geometry = getGeometry(cell);
+    if (getAttr(cell, 'vertex') !== '1' || !geometry || getAttr(geometry, 'relative') === '1') continue;
+    const x = toNumber(getAttr(geometry, 'x')) || 0;
+    const y = toNumber(getAttr(geometry, 'y')) || 0;
+    right = Math.max(right, x + (toNumber(getAttr(geometry, 'width')) || DEFAULT_WIDTH));
+    top = top === null ? y : Math.min(top, y);
+  }
+  let nextY = top ?? 0;
+
+  let vertexCount = 0;
+  let edgeCount = 0;
+  for (const { holder, cell } of cells) {
+    const id = getAttr(holder, 'id');
+    const isVertex = getAttr(cell, 'vertex') === '1';
+    const isEdge = getAttr(cell, 'edge') === '1';
+    if (isVertex) vertexCount += 1;
+    if (isEdge) edgeCount += 1;
+    if (!isVertex && !isEdge) continue;
+
+    const geometry = getGeometry(cell);
+    const parentEntry = byId.get(getAttr(cell, 'parent'));
+    const isEdgeLabel = isVertex && parentEntry && getAttr(parentEntry.cell, 'edge') === '1';
+
+    if (!geometry) {
+      if (repair) {
+        let attrs;
+        if (isEdge || isEdgeLabel) {
+          attrs = { relative: 1, as: 'geometry' };
+        } else {
+          attrs = { x: right + PLACEMENT_GAP, y: nextY, width: DEFAULT_WIDTH, height: DEFAULT_HEIGHT, as: 'geometry' };
+          nextY += DEFAULT_HEIGHT + PLACEMENT_GAP;
+        }
+        appendChild(cell, createElement('mxGeometry', attrs));
+      }
+      report({
+        code: MX_ISSUE_CODES.MISSING_GEOMETRY,
+        cellId: id,
+        message: `${isEdge ? '连线' : '图形'} ${id} 缺少 mxGeometry${repair ? '，已补充默认几何信息' : ''}`,
+        repaired: repair,
+      });
+    } else if (isVertex && !isEdgeLabel && getAttr(geometry, 'relative') !== '1') {
+      const missing = ['width', 'height'].filter((key) => !(toNumber(getAttr(geometry, key)) > 0));
+      if (missing.length === 0) continue;
+      if (repair) {
+        for (const key of missing) setAttr(geometry, key, key === 'width' ? DEFAULT_WIDTH : DEFAULT_HEIGHT);
+      }
+      report({
+        code: MX_ISSUE_CODES.MISSING_GEOMETRY,
+        cellId: id,
+        message: `图形 ${id} 缺少 ${missing.join(' / ')}${repair ? '，已使用默认尺寸' : ''}`,
+        repaired: repair,
+      });
+    }
+  }
+
+  if (vertexCount === 0 && edgeCount === 0) {
+    report({ code: MX_ISSUE_CODES.EMPTY_DIAGRAM, message: '图表中没有任何图形或连线', repaired: false });
+  }
+
+  return changed;
+}
+
+/**
+ * 校验并修复 mxGraph XML
+ * @param {string} xml
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=true] - 为 false 时只报告不修复
+ * @returns {{ code: string, issues: Array<{ code: string, severity: 'error'|'warning', message: string, cellId?: string, repaired: boolean }> }}
+ */
+export function validateMxGraphXml(xml, { repair = true } = {}) {
+  if (!xml || typeof xml !== 'string') return { code: xml, issues: [] };
+
+  let document;
+  try {
+    document = parseXml(xml);
+  } catch (error) {
+    return {
+      code: xml,
+      issues: [{ code: MX_ISSUE_CODES.PARSE_ERROR, severity: 'error', message: `XML 无法解析：${error.message}`, repaired: false }],
+    };
+  }
+
+  const models = findElements(document, 'mxGraphModel');
+  // 压缩存储的 diagram（内容为 base64 文本）不含 mxGraphModel，无法校验
+  if (models.length === 0) {
+    const compressed = findElements(document, 'diagram').some((diagram) => childElements(diagram).length === 0);
+    return {
+      code: xml,
+      issues: compressed
+        ? []
+        : [{ code: MX_ISSUE_CODES.MISSING_ROOT, severity: 'error', message: '缺少 <mxGraphModel>', repaired: false }],
+    };
+  }
+
+  const issues = [];
+  let changed = false;
+  for (const model of models) {
+    let root = childElements(model, 'root')[0];
+    if (!root) {
+      if (!repair) {
+        issues.push({ code: MX_ISSUE_CODES.MISSING_ROOT, severity: 'error', message: '<mxGraphModel> 中缺少 <root>', repaired: false });
+        continue;
+      }
+      // 模型直接包含 mxCell 时补上 root 包裹
+      root = createElement('root', {}, model.children);
+      model.children = [root];
+      model.selfClosing = false;
+      changed = true;
+      issues.push({ code: MX_ISSUE_CODES.MISSING_ROOT, severity: 'warning', message: '<mxGraphModel> 中缺少 <root>，已补充', repaired: true });
+    }
+    if (validateRoot(root, issues, repair)) changed = true;
+  }
+
+  return { code: changed ? serializeNode(document) : xml, issues };
+}
@@ -0,0 +1,217 @@
+/**
+ * mxGraph XML 的解析、序列化与节点操作（供校验、布局等模块共用）
+ *
+ * 解析器只覆盖 mxGraph 需要的 XML 子集（元素、属性、文本、注释、CDATA），不依赖 DOMParser，服务端同样可用。
+ * 序列化时文本、注释等原样输出，未修改的部分保持原有格式。
+ */
+
+// draw.io 用 object / UserObject 包裹带自定义属性的 mxCell，此时 id 在外层元素上
+export const CELL_WRAPPERS = ['object', 'UserObject'];
+
+// ==================== XML 解析与序列化 ====================
+
+const ENTITY_MAP = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITY_MAP[entity.toLowerCase()] ?? match;
+  });
+}
+
+function encodeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/"/g, '&quot;');
+}
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parseAttributes(source) {
+  const attrs = [];
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    attrs.push({ name: match[1], value: decodeEntities(match[2] ?? match[3] ?? match[4] ?? '') });
+  }
+  return attrs;
+}
+
+/**
+ * 找到标签结束的 `>`（跳过属性值中的 `>`）
+ */
+function findTagEnd(xml, start) {
+  let quote = null;
+  for (let i = start; i < xml.length; i += 1) {
+    const ch = xml[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 解析为节点树；结构不完整时抛出错误
+ * 节点：{ type: 'element', name, attrs, children, selfClosing } 或 { type: 'raw', text }（文本、注释等原样保留）
+ */
+export function parseXml(xml) {
+  const document = { type: 'element', name: '#document', attrs: [], children: [] };
+  const stack = [document];
+  let i = 0;
+
+  const pushRaw = (text) => {
+    if (text) stack[stack.length - 1].children.push({ type: 'raw', text });
+  };
+
+  while (i < xml.length) {
+    const lt = xml.indexOf('<', i);
+    if (lt === -1) {
+      pushRaw(xml.slice(i));
+      break;
+    }
+    pushRaw(xml.slice(i, lt));
+
+    let end;
+    if (xml.startsWith('<!--', lt)) {
+      end = xml.indexOf('-->', lt + 4);
+      if (end === -1) throw new Error('注释未闭合');
+      end += 3;
+      pushRaw(xml.slice(lt, end));
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      end = xml.indexOf(']]>', lt + 9);
+      if (end === -1) throw new Error('CDATA 未闭合');
+      end += 3;
+      pushRaw(xml.slice(lt, end));
+    } else if (xml[lt + 1] === '?' || xml[lt + 1] === '!') {
+      end = findTagEnd(xml, lt + 1);
+      if (end === -1) throw new Error('声明未闭合');
+      end += 1;
+      pushRaw(xml.slice(lt, end));
+    } else if (xml[lt + 1] === '/') {
+      end = xml.indexOf('>', lt);
+      if (end === -1) throw new Error('结束标签未闭合');
+      const name = xml.slice(lt + 2, end).trim();
+      const open = stack.pop();
+      if (stack.length === 0 || open.name !== name) {
+        throw new Error(`结束标签 </${name}> 与开始标签不匹配`);
+      }
+      end += 1;
+    } else {
+      end = findTagEnd(xml, lt + 1);
+      if (end === -1) throw new Error('标签未闭合');
+      let body = xml.slice(lt + 1, end);
+      const selfClosing = body.trimEnd().endsWith('/');
+      if (selfClosing) body = body.trimEnd().slice(0, -1);
+      const name = body.match(/^[^\s/>]+/)?.[0];
+      if (!name) throw new Error('标签名为空');
+      const element = {
+        type: 'element',
+        name,
+        attrs: parseAttributes(body.slice(name.length)),
+        children: [],
+        selfClosing,
+      };
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) stack.push(element);
+      end += 1;
+    }
+    i = end;
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`标签 <${stack[stack.length - 1].name}> 未闭合`);
+  }
+  return document;
+}
+
+export function serializeNode(node) {
+  if (node.type === 'raw') return node.text;
+  const inner = node.children.map(serializeNode).join('');
+  if (node.name === '#document') return inner;
+  const attrs = node.attrs.map((attr) => ` ${attr.name}="${encodeAttribute(attr.value)}"`).join('');
+  if (node.children.length === 0 && node.selfClosing) return `<${node.name}${attrs}/>`;
+  return `<${node.name}${attrs}>${inner}</${node.name}>`;
+}
+
+export function getAttr(element, name) {
+  return element.attrs.find((attr) => attr.name === name)?.value;
+}
+
+export function setAttr(element, name, value) {
+  const existing = element.attrs.find((attr) => attr.name === name);
+  if (existing) {
+    existing.value = String(value);
+  } else {
+    element.attrs.push({ name, value: String(value) });
+  }
+}
+
+export function removeAttr(element, name) {
+  element.attrs = element.attrs.filter((attr) => attr.name !== name);
+}
+
+export function childElements(element, name) {
+  return element.children.filter((child) => child.type === 'element' && (!name || child.name === name));
+}
+
+export function findElements(element, name, result = []) {
+  for (const child of childElements(element)) {
+    if (child.name === name) result.push(child);
+    findElements(child, name, result);
+  }
+  return result;
+}
+
+export function appendChild(parent, child) {
+  parent.children.push(child);
+  parent.selfClosing = false;
+}
+
+/**
+ * 删除子元素，连同它前面的缩进一起删除
+ */
+export function removeChild(parent, child) {
+  const index = parent.children.indexOf(child);
+  const previous = parent.children[index - 1];
+  const start = previous?.type === 'raw' && !previous.text.trim() ? index - 1 : index;
+  parent.children.splice(start, index - start + 1);
+}
+
+export function createElement(name, attrs, children = []) {
+  return {
+    type: 'element',
+    name,
+    attrs: Object.entries(attrs).map(([key, value]) => ({ name: key, value: String(value) })),
+    children,
+    selfClosing: children.length === 0,
+  };
+}
+
+// ==================== mxCell ====================
+
+/**
+ * 收集 root 下的所有节点：{ node: root 的直接子元素, holder: 带 id 的元素, cell: mxCell 元素 }
+ */
+export function collectCells(root) {
+  const cells = [];
+  for (const node of childElements(root)) {
+    if (node.name === 'mxCell') {
+      cells.push({ node, holder: node, cell: node });
+    } else if (CELL_WRAPPERS.includes(node.name)) {
+      const cell = childElements(node, 'mxCell')[0];
+      if (cell) cells.push({ node, holder: node, cell });
+    }
+  }
+  return cells;
+}
+
+export function getGeometry(cell) {
+  return childElements(cell, 'mxGeometry').find((geometry) => (getAttr(geometry, 'as') || 'geometry') === 'geometry');
+}
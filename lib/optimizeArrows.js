@@ -3,6 +3,10 @@
  * Strategy: Shape-Aware Orthogonal Projection.
  * 1. Calculate ideal orthogonal points based on bounding box overlaps.
  * 2. Ray-cast/Project these points onto the ACTUAL shape boundaries (Diamond/Ellipse).
+ *
+ * Optional routing pass (options.routeArrows), used for freshly generated diagrams:
+ * 3. Spread arrows sharing the same side of a shape (parallel edges) along that side.
+ * 4. Find an orthogonal route between the two ports on a sparse grid that avoids other shapes.
  */
 
 /**
@@ -170,69 +174,493 @@ function getDistance(p1, p2) {
 function getBestConnectionPoints(startEle, endEle) {
   const b1 = getElementGeometry(startEle);
   const b2 = getElementGeometry(endEle);
-  
+
   // Check Overlaps
   const overlapX = getOverlapCenter(b1.left, b1.right, b2.left, b2.right);
   const overlapY = getOverlapCenter(b1.top, b1.bottom, b2.top, b2.bottom);
 
   // Strategy A: Vertical Alignment (Stacked)
   if (overlapX !== null) {
-    if (b1.centerY < b2.centerY) {
-      return {
-        start: getPointOnEdge(b1, 'bottom', b2, overlapX),
-        end: getPointOnEdge(b2, 'top', b1, overlapX)
-      };
-    } else {
-      return {
-        start: getPointOnEdge(b1, 'top', b2, overlapX),
-        end: getPointOnEdge(b2, 'bottom', b1, overlapX)
-      };
-    }
+    const [startEdge, endEdge] = b1.centerY < b2.centerY ? ['bottom', 'top'] : ['top', 'bottom'];
+    return {
+      start: getPointOnEdge(b1, startEdge, b2, overlapX),
+      end: getPointOnEdge(b2, endEdge, b1, overlapX),
+      startEdge,
+      endEdge,
+    };
   }
 
   // Strategy B: Horizontal Alignment (Side by side)
   if (overlapY !== null) {
-    if (b1.centerX < b2.centerX) {
-      return {
-        start: getPointOnEdge(b1, 'right', b2, overlapY),
-        end: getPointOnEdge(b2, 'left', b1, overlapY)
-      };
-    } else {
-      return {
-        start: getPointOnEdge(b1, 'left', b2, overlapY),
-        end: getPointOnEdge(b2, 'right', b1, overlapY)
-      };
-    }
+    const [startEdge, endEdge] = b1.centerX < b2.centerX ? ['right', 'left'] : ['left', 'right'];
+    return {
+      start: getPointOnEdge(b1, startEdge, b2, overlapY),
+      end: getPointOnEdge(b2, endEdge, b1, overlapY),
+      startEdge,
+      endEdge,
+    };
   }
 
   // Strategy C: Diagonal / No Overlap
   const edges = ['top', 'bottom', 'left', 'right'];
   let minDistance = Infinity;
-  let bestStart = { x: 0, y: 0 };
-  let bestEnd = { x: 0, y: 0 };
+  let best = null;
 
   for (const startEdge of edges) {
     for (const endEdge of edges) {
       const p1 = getPointOnEdge(b1, startEdge, b2, null);
       const p2 = getPointOnEdge(b2, endEdge, b1, null);
-      
+
       const dist = getDistance(p1, p2);
 
       if (dist < minDistance) {
         minDistance = dist;
-        bestStart = p1;
-        bestEnd = p2;
+        best = { start: p1, end: p2, startEdge, endEdge };
       }
     }
   }
 
-  return { start: bestStart, end: bestEnd };
+  return best;
+}
+
+// ==================== Routing ====================
+
+// Shapes arrows can attach to and that routes avoid
+const ROUTABLE_TYPES = ['rectangle', 'ellipse', 'diamond'];
+const OBSTACLE_TYPES = [...ROUTABLE_TYPES, 'image'];
+// Clearance kept between a route and the shapes it passes
+const ROUTE_MARGIN = 16;
+// Extra cost per bend, so routes prefer fewer corners over slightly shorter paths
+const BEND_PENALTY = 40;
+// Extra cost (relative to length) for reusing a grid segment already taken by another route
+const CROWDING_PENALTY = 0.5;
+
+// Directions: right, down, left, up
+const DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+const EDGE_DIRECTION = { right: 0, bottom: 1, left: 2, top: 3 };
+
+/**
+ * Get the ids of the elements an arrow is bound to (skeleton or full format)
+ */
+function getBindingIds(element) {
+  return {
+    startId: element.start?.id || element.startBinding?.elementId || null,
+    endId: element.end?.id || element.endBinding?.elementId || null,
+  };
+}
+
+function isBox(element) {
+  return [element.x, element.y, element.width, element.height].every(Number.isFinite)
+    && element.width > 0 && element.height > 0;
+}
+
+function contains(outer, inner) {
+  return outer.left <= inner.left && outer.right >= inner.right
+    && outer.top <= inner.top && outer.bottom >= inner.bottom;
+}
+
+/**
+ * Binary min-heap keyed by cost
+ */
+class MinHeap {
+  constructor() {
+    this.costs = [];
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(cost, item) {
+    const { costs, items } = this;
+    let i = items.length;
+    costs.push(cost);
+    items.push(item);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (costs[parent] <= cost) break;
+      costs[i] = costs[parent];
+      items[i] = items[parent];
+      i = parent;
+    }
+    costs[i] = cost;
+    items[i] = item;
+  }
+
+  pop() {
+    const { costs, items } = this;
+    const top = { cost: costs[0], item: items[0] };
+    const lastCost = costs.pop();
+    const lastItem = items.pop();
+    if (items.length > 0) {
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        if (left >= items.length) break;
+        const child = left + 1 < items.length && costs[left + 1] < costs[left] ? left + 1 : left;
+        if (costs[child] >= lastCost) break;
+        costs[i] = costs[child];
+        items[i] = items[child];
+        i = child;
+      }
+      costs[i] = lastCost;
+      items[i] = lastItem;
+    }
+    return top;
+  }
+}
+
+/**
+ * Sorted unique coordinates
+ */
+function uniqueSorted(values) {
+  return [...new Set(values.map((v) => Math.round(v * 100) / 100))].sort((a, b) => a - b);
+}
+
+/**
+ * Index of value in a sorted array (values are always grid coordinates)
+ */
+function indexOf(sorted, value) {
+  const rounded = Math.round(value * 100) / 100;
+  let lo = 0;
+  let hi = sorted.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] === rounded) return mid;
+    if (sorted[mid] < rounded) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  return -1;
+}
+
+/**
+ * Range of indices whose coordinate lies strictly between min and max
+ */
+function innerRange(sorted, min, max) {
+  let from = 0;
+  while (from < sorted.length && sorted[from] <= min) from += 1;
+  let to = sorted.length - 1;
+  while (to >= 0 && sorted[to] >= max) to -= 1;
+  return [from, to];
+}
+
+/**
+ * Sparse orthogonal grid: lines through every inflated obstacle boundary and every port
+ */
+function createGrid(boxes, ports) {
+  const xs = uniqueSorted([
+    ...boxes.flatMap((b) => [b.left - ROUTE_MARGIN, b.right + ROUTE_MARGIN]),
+    ...ports.map((p) => p.x),
+  ]);
+  const ys = uniqueSorted([
+    ...boxes.flatMap((b) => [b.top - ROUTE_MARGIN, b.bottom + ROUTE_MARGIN]),
+    ...ports.map((p) => p.y),
+  ]);
+  const size = xs.length * ys.length;
+  return {
+    xs,
+    ys,
+    // Number of routes already using the segment from a node to its right / lower neighbour
+    usedH: new Uint16Array(size),
+    usedV: new Uint16Array(size),
+  };
+}
+
+/**
+ * Mark grid segments that pass through the (inflated) obstacles
+ * Obstacle boundaries are grid lines, so a segment is either fully inside, on the boundary, or outside.
+ */
+function getBlockedSegments(grid, obstacles) {
+  const { xs, ys } = grid;
+  const width = xs.length;
+  const blockedH = new Uint8Array(xs.length * ys.length);
+  const blockedV = new Uint8Array(xs.length * ys.length);
+
+  for (const box of obstacles) {
+    const left = box.left - ROUTE_MARGIN;
+    const right = box.right + ROUTE_MARGIN;
+    const top = box.top - ROUTE_MARGIN;
+    const bottom = box.bottom + ROUTE_MARGIN;
+    const [ix0, ix1] = innerRange(xs, left, right);
+    const [iy0, iy1] = innerRange(ys, top, bottom);
+    const minX = indexOf(xs, left);
+    const maxX = indexOf(xs, right);
+    const minY = indexOf(ys, top);
+    const maxY = indexOf(ys, bottom);
+
+    // Horizontal segments on rows strictly inside the box
+    for (let j = iy0; j <= iy1; j += 1) {
+      for (let i = minX; i < maxX; i += 1) blockedH[j * width + i] = 1;
+    }
+    // Vertical segments on columns strictly inside the box
+    for (let i = ix0; i <= ix1; i += 1) {
+      for (let j = minY; j < maxY; j += 1) blockedV[j * width + i] = 1;
+    }
+  }
+  return { blockedH, blockedV };
+}
+
+/**
+ * Orthogonal shortest path with bend penalty (Dijkstra over node + incoming direction)
+ * @returns {Array<{x:number,y:number}>|null} Grid points from exit to entry
+ */
+function findRoute(grid, blocked, from, to) {
+  const { xs, ys, usedH, usedV } = grid;
+  const width = xs.length;
+  const startNode = indexOf(ys, from.y) * width + indexOf(xs, from.x);
+  const endNode = indexOf(ys, to.y) * width + indexOf(xs, to.x);
+  if (startNode < 0 || endNode < 0) return null;
+
+  const stateCount = xs.length * ys.length * 4;
+  const best = new Float64Array(stateCount).fill(Infinity);
+  const prev = new Int32Array(stateCount).fill(-1);
+  const heap = new MinHeap();
+
+  const startState = startNode * 4 + from.direction;
+  best[startState] = 0;
+  heap.push(0, startState);
+
+  let bestFinal = Infinity;
+  let finalState = -1;
+
+  while (heap.size > 0) {
+    const { cost, item: state } = heap.pop();
+    if (cost > best[state] || cost >= bestFinal) continue;
+    const node = state >> 2;
+    const direction = state & 3;
+
+    if (node === endNode) {
+      // The last segment enters the target shape; arriving from another direction costs a bend
+      const total = cost + (direction === to.direction ? 0 : BEND_PENALTY);
+      if (total < bestFinal) {
+        bestFinal = total;
+        finalState = state;
+      }
+      continue;
+    }
+
+    const i = node % width;
+    const j = (node - i) / width;
+    for (let d = 0; d < 4; d += 1) {
+      // No U-turns
+      if (d === ((direction + 2) & 3)) continue;
+      const ni = i + DIRECTIONS[d][0];
+      const nj = j + DIRECTIONS[d][1];
+      if (ni < 0 || nj < 0 || ni >= width || nj >= ys.length) continue;
+
+      // Segments are stored on their left / upper node
+      const segment = d === 0 || d === 1 ? node : nj * width + ni;
+      const horizontal = d === 0 || d === 2;
+      if ((horizontal ? blocked.blockedH : blocked.blockedV)[segment]) continue;
+
+      const length = horizontal ? Math.abs(xs[ni] - xs[i]) : Math.abs(ys[nj] - ys[j]);
+      const used = (horizontal ? usedH : usedV)[segment];
+      const next = cost + length * (1 + CROWDING_PENALTY * used) + (d === direction ? 0 : BEND_PENALTY);
+      const nextState = (nj * width + ni) * 4 + d;
+      if (next < best[nextState]) {
+        best[nextState] = next;
+        prev[nextState] = state;
+        heap.push(next, nextState);
+      }
+    }
+  }
+
+  if (finalState === -1) return null;
+
+  const nodes = [];
+  for (let state = finalState; state !== -1; state = prev[state]) {
+    nodes.push(state >> 2);
+  }
+  nodes.reverse();
+
+  // Remember used segments so later routes spread out
+  for (let k = 1; k < nodes.length; k += 1) {
+    const a = Math.min(nodes[k - 1], nodes[k]);
+    if (Math.abs(nodes[k] - nodes[k - 1]) === 1) usedH[a] += 1;
+    else usedV[a] += 1;
+  }
+
+  return nodes.map((node) => ({ x: xs[node % width], y: ys[Math.floor(node / width)] }));
+}
+
+/**
+ * Drop duplicate and collinear points
+ */
+function simplifyPath(points) {
+  const result = [];
+  for (const point of points) {
+    const last = result[result.length - 1];
+    if (last && Math.abs(last.x - point.x) < 0.01 && Math.abs(last.y - point.y) < 0.01) continue;
+    const beforeLast = result[result.length - 2];
+    if (beforeLast && last) {
+      const sameX = Math.abs(beforeLast.x - last.x) < 0.01 && Math.abs(last.x - point.x) < 0.01;
+      const sameY = Math.abs(beforeLast.y - last.y) < 0.01 && Math.abs(last.y - point.y) < 0.01;
+      if (sameX || sameY) result.pop();
+    }
+    result.push(point);
+  }
+  return result;
+}
+
+/**
+ * Point just outside a shape side, where the route leaves / enters the shape
+ */
+function getExitPoint(geom, edge, port) {
+  switch (edge) {
+    case 'top': return { x: port.x, y: geom.top - ROUTE_MARGIN };
+    case 'bottom': return { x: port.x, y: geom.bottom + ROUTE_MARGIN };
+    case 'left': return { x: geom.left - ROUTE_MARGIN, y: port.y };
+    default: return { x: geom.right + ROUTE_MARGIN, y: port.y };
+  }
+}
+
+/**
+ * Spread ports of arrows that share the same side of a shape evenly along that side,
+ * ordered by the position of the shape at the other end so that the arrows don't cross
+ */
+function spreadPorts(connections, geometries) {
+  const groups = new Map();
+  for (const connection of connections) {
+    for (const end of ['start', 'end']) {
+      const shapeId = connection[`${end}Id`];
+      const edge = connection[`${end}Edge`];
+      const key = `${shapeId}:${edge}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ connection, end, other: geometries.get(connection[end === 'start' ? 'endId' : 'startId']) });
+    }
+  }
+
+  for (const [key, members] of groups) {
+    if (members.length < 2) continue;
+    const separator = key.lastIndexOf(':');
+    const geom = geometries.get(key.slice(0, separator));
+    const edge = key.slice(separator + 1);
+    const vertical = edge === 'left' || edge === 'right';
+    members.sort((a, b) => (vertical ? a.other.centerY - b.other.centerY : a.other.centerX - b.other.centerX)
+      || a.connection.index - b.connection.index);
+    members.forEach((member, k) => {
+      const offset = ((k + 1) / (members.length + 1)) * (vertical ? geom.h : geom.w);
+      member.connection[member.end] = vertical
+        ? getPointOnEdge(geom, edge, null, geom.top + offset)
+        : getPointOnEdge(geom, edge, null, geom.left + offset);
+    });
+  }
+}
+
+/**
+ * Convert absolute points to arrow position, relative points and size
+ */
+function toArrowGeometry(points) {
+  const origin = points[0];
+  const relative = points.map((p) => [p.x - origin.x, p.y - origin.y]);
+  const xsRel = relative.map((p) => p[0]);
+  const ysRel = relative.map((p) => p[1]);
+  return {
+    x: origin.x,
+    y: origin.y,
+    points: relative,
+    width: Math.max(1, Math.max(...xsRel) - Math.min(...xsRel)),
+    height: Math.max(1, Math.max(...ysRel) - Math.min(...ysRel)),
+  };
+}
+
+/**
+ * Route every arrow bound to two shapes: pick sides, spread shared sides, then find orthogonal routes
+ * @param {Array} elements
+ * @returns {Array} Elements with routed arrows
+ */
+function routeArrows(elements) {
+  const shapes = elements.filter((el) => el?.id && OBSTACLE_TYPES.includes(el.type) && isBox(el));
+  const geometries = new Map(shapes.map((el) => [el.id, getElementGeometry(el)]));
+
+  const connections = [];
+  elements.forEach((element, index) => {
+    if (element?.type !== 'arrow' && element?.type !== 'line') return;
+    const { startId, endId } = getBindingIds(element);
+    if (!startId || !endId || startId === endId) return;
+    const startEle = shapes.find((el) => el.id === startId);
+    const endEle = shapes.find((el) => el.id === endId);
+    if (!startEle || !endEle || !ROUTABLE_TYPES.includes(startEle.type) || !ROUTABLE_TYPES.includes(endEle.type)) return;
+    connections.push({ index, startId, endId, ...getBestConnectionPoints(startEle, endEle) });
+  });
+  if (connections.length === 0) return elements;
+
+  spreadPorts(connections, geometries);
+
+  for (const connection of connections) {
+    const startGeom = geometries.get(connection.startId);
+    const endGeom = geometries.get(connection.endId);
+    connection.exit = {
+      ...getExitPoint(startGeom, connection.startEdge, connection.start),
+      direction: EDGE_DIRECTION[connection.startEdge],
+    };
+    // Entering the target moves against the side's outward direction
+    connection.entry = {
+      ...getExitPoint(endGeom, connection.endEdge, connection.end),
+      direction: (EDGE_DIRECTION[connection.endEdge] + 2) & 3,
+    };
+  }
+
+  const boxes = [...geometries.values()];
+  const grid = createGrid(boxes, connections.flatMap((c) => [c.exit, c.entry]));
+  const routed = [...elements];
+
+  for (const connection of connections) {
+    const startGeom = geometries.get(connection.startId);
+    const endGeom = geometries.get(connection.endId);
+    // Containers (swimlanes, groups) around either end are not obstacles for this arrow
+    const obstacles = boxes.filter((box) => box === startGeom || box === endGeom
+      || (!contains(box, startGeom) && !contains(box, endGeom)));
+    const path = findRoute(grid, getBlockedSegments(grid, obstacles), connection.exit, connection.entry);
+    const points = simplifyPath(path
+      ? [connection.start, ...path, connection.end]
+      : [connection.start, connection.end]);
+
+    routed[connection.index] = {
+      ...elements[connection.index],
+      ...toArrowGeometry(points),
+      // Sharp corners for orthogonal routes
+      ...(points.length > 2 ? { roundness: null } : {}),
+    };
+  }
+
+  return routed;
+}
+
+/**
+ * Attach every arrow bound to two shapes to their nearest sides with a straight segment
+ * (used after shapes have been moved, e.g. by auto layout)
+ * @param {Array} elements
+ * @returns {Array} Elements with re-attached arrows
+ */
+function attachArrows(elements) {
+  const shapes = new Map(elements
+    .filter((el) => el?.id && ROUTABLE_TYPES.includes(el.type) && isBox(el))
+    .map((el) => [el.id, el]));
+
+  return elements.map((element) => {
+    if (element?.type !== 'arrow' && element?.type !== 'line') return element;
+    const { startId, endId } = getBindingIds(element);
+    const startEle = shapes.get(startId);
+    const endEle = shapes.get(endId);
+    if (!startEle || !endEle || startId === endId) return element;
+    const { start, end } = getBestConnectionPoints(startEle, endEle);
+    return { ...element, ...toArrowGeometry([start, end]) };
+  });
 }
 
 /**
  * Exporter
+ * @param {string} codeString - Excalidraw JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.routeArrows=false] - Re-route arrows bound to two shapes (attach to the nearest sides,
+ *   orthogonal routes around other shapes, spread parallel edges). Off by default so that applying edited code keeps
+ *   the arrows as written.
+ * @param {boolean} [options.attachArrows=false] - Re-attach arrows bound to two shapes to their nearest sides with
+ *   straight segments (ignored when routeArrows is set).
  */
-export function optimizeExcalidrawCode(codeString) {
+export function optimizeExcalidrawCode(codeString, options = {}) {
   if (!codeString || typeof codeString !== 'string') return codeString;
 
   try {
@@ -243,34 +671,13 @@ export function optimizeExcalidrawCode(codeString) {
     const elements = JSON.parse(arrayMatch[0]);
     if (!Array.isArray(elements)) return codeString;
 
-    const elementMap = new Map();
-    elements.forEach(el => {
-      if (el.id) elementMap.set(el.id, el);
-    });
+    let source = elements;
+    if (options.routeArrows) source = routeArrows(elements);
+    else if (options.attachArrows) source = attachArrows(elements);
 
-    const optimizedElements = elements.map(element => {
+    const optimizedElements = source.map(element => {
       if (element.type !== 'arrow' && element.type !== 'line') return element;
 
-      // const startEle = element.start && element.start.id ? elementMap.get(element.start.id) : null;
-      // const endEle = element.end && element.end.id ? elementMap.get(element.end.id) : null;
-
-      // if (startEle && endEle) {
-      //   const optimized = { ...element };
-      //   const { start, end } = getBestConnectionPoints(startEle, endEle);
-
-      //   optimized.x = start.x;
-      //   optimized.y = start.y;
-
-      //   const dx = end.x - start.x;
-      //   const dy = end.y - start.y;
-
-      //   optimized.points = [[0, 0], [dx, dy]];
-      //   optimized.width = Math.abs(dx);
-      //   optimized.height = Math.abs(dy);
-        
-        
-      //   return optimized;
-      // }
       if (element.width === 0) element.width = 1;
       if (element.height === 0) element.height = 1;
       return element;
@@ -126,7 +126,7 @@ export const SYSTEM_PROMPT = `
 - 动画连线添加 \`flowAnimation=1\` 样式
 `;
 
-const CHART_TYPE_LABELS = {
+export const CHART_TYPE_LABELS = {
   auto: '自动',
   flowchart: '流程图',
   mindmap: '思维导图',
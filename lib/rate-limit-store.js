@@ -0,0 +1,144 @@
+/**
+ * 限流计数存储（仅服务端使用）
+ *
+ * 存储只负责带过期时间的计数器：
+ *   get(key)                          => { count, resetAt } | null
+ *   increment(key, amount, resetAt)   => { count, resetAt }
+ * 计数器过期（now >= resetAt）后视为不存在，下一次 increment 以新的 resetAt 重新计数。
+ * amount 可以为负数（限流器回滚被拒绝请求的计数），计数不会低于 0。
+ *
+ * 内置两种实现，可通过 registerRateLimitStore 注册其他实现（如 SQLite / Redis）：
+ * - memory：进程内 Map，重启后清零，多实例部署时各实例独立计数
+ * - file：JSON 文件，适合单机自托管部署，重启后保留计数
+ */
+
+// 内存存储超过该条目数时清理过期计数器
+const MEMORY_PRUNE_THRESHOLD = 10000;
+
+function isExpired(entry, now) {
+  return !entry || entry.resetAt <= now;
+}
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (isExpired(entry, Date.now())) return null;
+    return { ...entry };
+  }
+
+  async increment(key, amount, resetAt) {
+    const now = Date.now();
+    const current = this.entries.get(key);
+    const entry = isExpired(current, now)
+      ? { count: Math.max(0, amount), resetAt }
+      : { count: Math.max(0, current.count + amount), resetAt: current.resetAt };
+    this.entries.set(key, entry);
+
+    if (this.entries.size > MEMORY_PRUNE_THRESHOLD) {
+      this.prune(now);
+    }
+    return { ...entry };
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (isExpired(entry, now)) this.entries.delete(key);
+    }
+  }
+}
+
+export class FileRateLimitStore {
+  /**
+   * @param {string} filePath - 计数文件路径（目录不存在时自动创建）
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // 串行化读写，避免同一进程内的并发请求互相覆盖
+    this.queue = Promise.resolve();
+  }
+
+  async get(key) {
+    return this.enqueue(async () => {
+      const entries = await this.read();
+      const entry = entries[key];
+      return isExpired(entry, Date.now()) ? null : { ...entry };
+    });
+  }
+
+  async increment(key, amount, resetAt) {
+    return this.enqueue(async () => {
+      const now = Date.now();
+      const entries = await this.read();
+      const current = entries[key];
+      const entry = isExpired(current, now)
+        ? { count: Math.max(0, amount), resetAt }
+        : { count: Math.max(0, current.count + amount), resetAt: current.resetAt };
+      entries[key] = entry;
+
+      for (const [k, value] of Object.entries(entries)) {
+        if (isExpired(value, now)) delete entries[k];
+      }
+      await this.write(entries);
+      return { ...entry };
+    });
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async read() {
+    const fs = await import('node:fs/promises');
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to read rate limit store, starting empty:', error.message);
+      }
+      return {};
+    }
+  }
+
+  async write(entries) {
+    const fs = await import('node:fs/promises');
+    const path = await import('node:path');
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // 先写临时文件再重命名，避免进程中断时留下半个 JSON
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entries));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+const storeFactories = {
+  memory: () => new MemoryRateLimitStore(),
+  file: (options) => new FileRateLimitStore(options.filePath),
+};
+
+/**
+ * 注册自定义存储实现
+ * @param {string} type - 存储类型（对应 RATE_LIMIT_STORE）
+ * @param {Function} factory - (options) => store，store 需实现 get / increment
+ */
+export function registerRateLimitStore(type, factory) {
+  storeFactories[type] = factory;
+}
+
+/**
+ * 按类型创建存储，未知类型回退到内存存储
+ */
+export function createRateLimitStore(type = 'memory', options = {}) {
+  const factory = storeFactories[type];
+  if (!factory) {
+    console.warn(`Unknown rate limit store "${type}", falling back to memory`);
+    return storeFactories.memory(options);
+  }
+  return factory(options);
+}
@@ -0,0 +1,344 @@
+/**
+ * 访问密码模式的限流与每日额度（仅服务端使用）
+ *
+ * 所有限制默认关闭，通过环境变量逐项开启：
+ *   RATE_LIMIT_WINDOW_SECONDS          频率限制的时间窗口（秒），默认 60
+ *   RATE_LIMIT_IP_REQUESTS             每个 IP 在窗口内的最大请求数
+ *   RATE_LIMIT_CREDENTIAL_REQUESTS     每个访问凭证（个人令牌或共享密码）在窗口内的最大请求数
+ *   QUOTA_IP_DAILY_REQUESTS            每个 IP 每日最大请求数
+ *   QUOTA_IP_DAILY_TOKENS              每个 IP 每日最大 token 数（输入 + 输出）
+ *   QUOTA_CREDENTIAL_DAILY_REQUESTS    每个访问凭证每日最大请求数
+ *   QUOTA_CREDENTIAL_DAILY_TOKENS      每个访问凭证每日最大 token 数
+ *   RATE_LIMIT_STORE                   计数存储：memory（默认）/ file
+ *   RATE_LIMIT_FILE                    file 存储的文件路径，默认 ./data/rate-limit.json
+ *   LOGIN_MAX_ATTEMPTS                 每个 IP 在登录窗口内允许的失败次数，默认 5（始终开启）
+ *   LOGIN_GLOBAL_SLOWDOWN_ATTEMPTS     所有客户端在登录窗口内合计失败超过该次数后，每次登录先等待再校验，默认 50（始终开启）
+ *   LOGIN_GLOBAL_DELAY_SECONDS         上述等待时间（秒），默认 2
+ *   LOGIN_WINDOW_SECONDS               登录失败计数窗口（秒），默认 900
+ *   TRUST_PROXY                        客户端 IP 的来源：未设置时不信任 X-Forwarded-For / X-Real-IP，
+ *                                      true 或数字 n 表示前面有 1 / n 层可信的反向代理
+ *
+ * 每日额度按 UTC 自然日重置。
+ */
+
+import { RATE_LIMIT_ERROR_CODES } from './constants.js';
+import { createRateLimitStore } from './rate-limit-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_STORE_FILE = './data/rate-limit.json';
+const DEFAULT_LOGIN_MAX_ATTEMPTS = 5;
+const DEFAULT_LOGIN_GLOBAL_SLOWDOWN_ATTEMPTS = 50;
+const DEFAULT_LOGIN_GLOBAL_DELAY_SECONDS = 2;
+const LOGIN_GLOBAL_KEY = 'login:*:failures';
+const DEFAULT_LOGIN_WINDOW_SECONDS = 15 * 60;
+
+const SCOPE_LABELS = {
+  ip: 'IP',
+  credential: '访问凭证',
+};
+
+/**
+ * 从环境变量读取限流配置
+ */
+export function getRateLimitSettings() {
+  return {
+    windowSeconds: parseLimit(process.env.RATE_LIMIT_WINDOW_SECONDS) || DEFAULT_WINDOW_SECONDS,
+    ip: {
+      requests: parseLimit(process.env.RATE_LIMIT_IP_REQUESTS),
+      dailyRequests: parseLimit(process.env.QUOTA_IP_DAILY_REQUESTS),
+      dailyTokens: parseLimit(process.env.QUOTA_IP_DAILY_TOKENS),
+    },
+    credential: {
+      requests: parseLimit(process.env.RATE_LIMIT_CREDENTIAL_REQUESTS),
+      dailyRequests: parseLimit(process.env.QUOTA_CREDENTIAL_DAILY_REQUESTS),
+      dailyTokens: parseLimit(process.env.QUOTA_CREDENTIAL_DAILY_TOKENS),
+    },
+    login: {
+      maxAttempts: parseLimit(process.env.LOGIN_MAX_ATTEMPTS) || DEFAULT_LOGIN_MAX_ATTEMPTS,
+      globalSlowdownAttempts: parseLimit(process.env.LOGIN_GLOBAL_SLOWDOWN_ATTEMPTS) || DEFAULT_LOGIN_GLOBAL_SLOWDOWN_ATTEMPTS,
+      globalDelaySeconds: parseLimit(process.env.LOGIN_GLOBAL_DELAY_SECONDS) || DEFAULT_LOGIN_GLOBAL_DELAY_SECONDS,
+      windowSeconds: parseLimit(process.env.LOGIN_WINDOW_SECONDS) || DEFAULT_LOGIN_WINDOW_SECONDS,
+    },
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    filePath: process.env.RATE_LIMIT_FILE || DEFAULT_STORE_FILE,
+  };
+}
+
+function parseLimit(raw) {
+  if (raw === undefined || raw.trim() === '') return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    console.warn(`Ignoring invalid rate limit value: ${raw}`);
+    return undefined;
+  }
+  return value;
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} settings - getRateLimitSettings() 的返回值
+   * @param {Object} store - 计数存储，见 lib/rate-limit-store.js
+   */
+  constructor(settings, store) {
+    this.settings = settings;
+    this.store = store;
+  }
+
+  get enabled() {
+    return this.buildRules({ ip: 'any', credential: 'any' }).length > 0;
+  }
+
+  /**
+   * 按身份展开生效的规则（未配置的限制不生成规则）
+   * 无法识别客户端 IP（'unknown'）时不生成 IP 规则，避免所有客户端共用同一个 IP 额度
+   * @param {Object} identity - { ip, credential }
+   */
+  buildRules(identity, now = Date.now()) {
+    const windowMs = this.settings.windowSeconds * 1000;
+    const windowReset = Math.floor(now / windowMs) * windowMs + windowMs;
+    const dailyReset = Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+
+    const rules = [];
+    for (const scope of ['ip', 'credential']) {
+      const id = identity[scope];
+      const limits = this.settings[scope];
+      if (!id || !limits) continue;
+      if (scope === 'ip' && id === 'unknown') continue;
+
+      if (limits.requests) {
+        rules.push({ scope, kind: 'requests', key: `${scope}:${id}:window`, limit: limits.requests, resetAt: windowReset });
+      }
+      if (limits.dailyRequests) {
+        rules.push({ scope, kind: 'dailyRequests', key: `${scope}:${id}:daily-requests`, limit: limits.dailyRequests, resetAt: dailyReset });
+      }
+      if (limits.dailyTokens) {
+        rules.push({ scope, kind: 'dailyTokens', key: `${scope}:${id}:daily-tokens`, limit: limits.dailyTokens, resetAt: dailyReset });
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * 检查并占用一次请求额度
+   * 先累加计数再与上限比较，并发请求不会同时通过检查；被拒绝时回滚本次已累加的计数
+   * @param {Object} identity - { ip, credential }
+   * @returns {Promise<Object>} 允许时 { allowed: true }；
+   *   拒绝时 { allowed: false, code, message, retryAfter, scope, limit }，retryAfter 单位为秒
+   */
+  async consume(identity) {
+    const now = Date.now();
+    const rules = this.buildRules(identity, now);
+    if (rules.length === 0) return { allowed: true };
+
+    let rejected = null;
+    const incremented = [];
+    for (const rule of rules) {
+      let entry;
+      let exceeded;
+      if (rule.kind === 'dailyTokens') {
+        // token 额度在请求结束后才累加，因此只要已用完就拒绝
+        entry = await this.store.get(rule.key);
+        exceeded = (entry?.count || 0) >= rule.limit;
+      } else {
+        entry = await this.store.increment(rule.key, 1, rule.resetAt);
+        incremented.push(rule);
+        exceeded = entry.count > rule.limit;
+      }
+      if (!exceeded) continue;
+
+      const retryAfter = Math.max(1, Math.ceil(((entry?.resetAt || rule.resetAt) - now) / 1000));
+      if (!rejected || retryAfter > rejected.retryAfter) {
+        rejected = { rule, retryAfter };
+      }
+    }
+
+    if (rejected) {
+      for (const rule of incremented) {
+        await this.store.increment(rule.key, -1, rule.resetAt);
+      }
+      const { rule, retryAfter } = rejected;
+      return {
+        allowed: false,
+        code: rule.kind === 'requests'
+          ? RATE_LIMIT_ERROR_CODES.RATE_LIMITED
+          : RATE_LIMIT_ERROR_CODES.QUOTA_EXCEEDED,
+        message: describeRejection(rule),
+        retryAfter,
+        scope: rule.scope,
+        limit: rule.limit,
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * 请求结束后累加 token 用量
+   * @param {Object} identity - { ip, credential }
+   * @param {number} tokens - 本次消耗的 token 数（输入 + 输出）
+   */
+  async recordTokens(identity, tokens) {
+    if (!tokens || tokens <= 0) return;
+    const rules = this.buildRules(identity).filter((rule) => rule.kind === 'dailyTokens');
+    for (const rule of rules) {
+      await this.store.increment(rule.key, Math.ceil(tokens), rule.resetAt);
+    }
+  }
+}
+
+function describeRejection(rule) {
+  const label = SCOPE_LABELS[rule.scope];
+  if (rule.kind === 'requests') {
+    return `请求过于频繁（每个${label}限 ${rule.limit} 次/窗口），请稍后再试`;
+  }
+  if (rule.kind === 'dailyRequests') {
+    return `今日请求次数已达上限（每个${label} ${rule.limit} 次）`;
+  }
+  return `今日 token 额度已用完（每个${label} ${rule.limit} tokens）`;
+}
+
+/**
+ * 登录失败节流：按 IP 统计窗口内的失败次数，超过上限后拒绝继续尝试，防止暴力破解访问密码
+ * 所有客户端合计的失败次数只用于减速与告警，不会拒绝登录，避免匿名客户端把所有用户锁在门外
+ */
+export class LoginThrottle {
+  /**
+   * @param {Object} settings - { maxAttempts, globalSlowdownAttempts, globalDelaySeconds, windowSeconds }
+   * @param {Object} store - 计数存储
+   */
+  constructor(settings, store) {
+    this.settings = settings;
+    this.store = store;
+  }
+
+  /**
+   * 检查是否允许继续尝试；合计失败次数超过阈值时先等待 globalDelaySeconds 再返回
+   * @returns {Promise<Object>} 允许时 { allowed: true }；拒绝时 { allowed: false, code, message, retryAfter }
+   */
+  async check(ip) {
+    const global = await this.store.get(LOGIN_GLOBAL_KEY);
+    if (global && global.count >= this.settings.globalSlowdownAttempts) {
+      await new Promise((resolve) => setTimeout(resolve, this.settings.globalDelaySeconds * 1000));
+    }
+
+    // 无法识别客户端 IP（未设置 TRUST_PROXY）时不按 IP 拒绝，避免所有用户共用一个很小的单 IP 上限
+    if (!ip || ip === 'unknown') return { allowed: true };
+    const entry = await this.store.get(ipKey(ip));
+    if (!entry || entry.count < this.settings.maxAttempts) return { allowed: true };
+    return {
+      allowed: false,
+      code: RATE_LIMIT_ERROR_CODES.RATE_LIMITED,
+      message: '密码错误次数过多，请稍后再试',
+      retryAfter: Math.max(1, Math.ceil((entry.resetAt - Date.now()) / 1000)),
+    };
+  }
+
+  /**
+   * 记录一次失败；合计失败次数达到阈值时输出告警
+   */
+  async recordFailure(ip) {
+    const resetAt = Date.now() + this.settings.windowSeconds * 1000;
+    const global = await this.store.increment(LOGIN_GLOBAL_KEY, 1, resetAt);
+    if (global.count === this.settings.globalSlowdownAttempts) {
+      console.warn(
+        `Login failures from all clients reached ${global.count} within the window; `
+        + `delaying login attempts by ${this.settings.globalDelaySeconds}s until ${new Date(global.resetAt).toISOString()}`,
+      );
+    }
+    if (ip && ip !== 'unknown') await this.store.increment(ipKey(ip), 1, resetAt);
+  }
+}
+
+function ipKey(ip) {
+  return `login:${ip}:failures`;
+}
+
+let sharedStore = null;
+let sharedLimiter = null;
+let sharedLoginThrottle = null;
+
+/**
+ * 获取进程内共享的计数存储（限流、登录节流与会话登出记录共用）
+ */
+export function getRateLimitStore() {
+  if (!sharedStore) {
+    const settings = getRateLimitSettings();
+    sharedStore = createRateLimitStore(settings.store, { filePath: settings.filePath });
+  }
+  return sharedStore;
+}
+
+/**
+ * 获取进程内共享的限流器（首次调用时按环境变量创建）
+ */
+export function getRateLimiter() {
+  if (!sharedLimiter) {
+    sharedLimiter = new RateLimiter(getRateLimitSettings(), getRateLimitStore());
+  }
+  return sharedLimiter;
+}
+
+/**
+ * 获取进程内共享的登录节流器
+ */
+export function getLoginThrottle() {
+  if (!sharedLoginThrottle) {
+    sharedLoginThrottle = new LoginThrottle(getRateLimitSettings().login, getRateLimitStore());
+  }
+  return sharedLoginThrottle;
+}
+
+/**
+ * 可信反向代理的层数：未设置、false 或无法识别时为 0
+ */
+function getTrustedProxyHops() {
+  const value = String(process.env.TRUST_PROXY || '').trim().toLowerCase();
+  if (value === 'true') return 1;
+  const hops = Number(value);
+  return Number.isInteger(hops) && hops > 0 ? hops : 0;
+}
+
+/**
+ * 读取客户端 IP
+ * X-Forwarded-For / X-Real-IP 可由客户端任意伪造，只有设置了 TRUST_PROXY 时才使用：
+ * 每层代理都会在 X-Forwarded-For 末尾追加它看到的来源地址，因此取从右数第 n 个（n 为可信代理层数）。
+ * 未设置时无法区分客户端，返回 'unknown'，此时不按 IP 限流与计算额度。
+ */
+export function getClientIp(request) {
+  const hops = getTrustedProxyHops();
+  if (hops === 0) return 'unknown';
+
+  const forwarded = (request.headers.get('x-forwarded-for') || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (forwarded.length > 0) return forwarded[Math.max(0, forwarded.length - hops)];
+  return request.headers.get('x-real-ip')?.trim() || 'unknown';
+}
+
+/**
+ * 上游未返回用量时按字符数粗略估算 token（约 4 字符 / token），保证 token 额度不被绕过
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * 估算消息数组的输入 token（仅统计文本部分，图片不计）
+ */
+export function estimateMessageTokens(messages = []) {
+  let total = 0;
+  for (const message of messages) {
+    const content = message?.content;
+    if (typeof content === 'string') {
+      total += estimateTokens(content);
+    } else if (Array.isArray(content)) {
+      for (const part of content) {
+        if (typeof part?.text === 'string') total += estimateTokens(part.text);
+      }
+    }
+  }
+  return total;
+}
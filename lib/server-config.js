@@ -0,0 +1,260 @@
+/**
+ * 服务端 LLM 配置（访问密码模式）
+ * 从环境变量或配置文件读取，仅在服务端路由中使用，包含 apiKey 等敏感字段
+ *
+ * 支持多个具名配置，按以下优先级读取：
+ * 1. SERVER_LLM_CONFIGS：JSON 数组
+ * 2. SERVER_LLM_CONFIG_FILE：JSON 文件路径（内容为数组，或 { configs: [...], defaultId }）
+ * 3. 单一配置 SERVER_LLM_TYPE / BASE_URL / API_KEY / MODEL 等（id 为 default）
+ *
+ * 每个配置：{ id, name, description?, type, baseUrl, apiKey | apiKeyEnv, model, deployment?, apiVersion?,
+ *            params?, thinking?, pricing?, capabilities?, generationMode?, promptCaching?,
+ *            headers?, queryParams?, allowAuthHeaderOverride? }
+ * apiKeyEnv 指定从哪个环境变量读取密钥，避免把密钥写进 JSON；
+ * params 未设置的字段使用 SERVER_LLM_TEMPERATURE 等全局默认值。
+ * capabilities 可覆盖模型能力（vision / contextWindow / maxOutputTokens / reasoning，见 lib/model-capabilities.js）。
+ * generationMode 为 tool 时模型通过 emit_diagram 工具输出图表（见 lib/diagram-schema.js），默认 text。
+ * promptCaching 为 true 时启用提示词缓存（Anthropic cache_control / OpenAI prompt_cache_key），默认关闭。
+ * headers / queryParams 为附加到上游请求的自定义请求头与查询参数（见 lib/custom-request.js），不会返回给前端。
+ * 默认配置由 SERVER_LLM_DEFAULT_ID 指定，未指定时为第一个。
+ */
+
+import { GENERATION_MODES, requiresApiKey, validateGenerationParams } from './constants.js';
+import { validateCustomRequest } from './custom-request.js';
+
+const DEFAULT_CONFIG_ID = 'default';
+
+/**
+ * 读取全部有效的服务端配置（不完整或 id 重复的配置会被忽略并输出警告）
+ * @returns {Promise<{ configs: Array<Object>, defaultId: string|null }>}
+ */
+export async function getServerLLMConfigs() {
+  const source = await readConfigSource();
+  const defaults = getServerGenerationParams();
+
+  const configs = [];
+  const seen = new Set();
+  source.entries.forEach((entry, index) => {
+    const config = normalizeConfigEntry(entry, index, defaults);
+    if (!config) return;
+    if (seen.has(config.id)) {
+      console.warn(`Ignoring server LLM config with duplicate id: ${config.id}`);
+      return;
+    }
+    if (!isServerConfigComplete(config)) {
+      console.warn(`Ignoring incomplete server LLM config: ${config.id}`);
+      return;
+    }
+    seen.add(config.id);
+    configs.push(config);
+  });
+
+  const preferredId = process.env.SERVER_LLM_DEFAULT_ID || source.defaultId;
+  const defaultId = configs.some((config) => config.id === preferredId)
+    ? preferredId
+    : configs[0]?.id || null;
+
+  return { configs, defaultId };
+}
+
+/**
+ * 按 id 读取服务端配置，未指定 id 时返回默认配置；找不到时返回 null
+ */
+export async function getServerLLMConfig(id) {
+  const { configs, defaultId } = await getServerLLMConfigs();
+  const targetId = id || defaultId;
+  return configs.find((config) => config.id === targetId) || null;
+}
+
+/**
+ * 返回给前端的脱敏配置（不包含 apiKey 与生成参数等服务端细节）
+ */
+export function toPublicServerConfig(config) {
+  return {
+    id: config.id,
+    name: config.name,
+    description: config.description,
+    type: config.type,
+    baseUrl: config.baseUrl,
+    model: config.model,
+    deployment: config.deployment,
+    apiVersion: config.apiVersion,
+    pricing: config.pricing,
+    capabilities: config.capabilities,
+    generationMode: config.generationMode,
+  };
+}
+
+async function readConfigSource() {
+  if (process.env.SERVER_LLM_CONFIGS) {
+    return parseConfigList(process.env.SERVER_LLM_CONFIGS, 'SERVER_LLM_CONFIGS');
+  }
+
+  if (process.env.SERVER_LLM_CONFIG_FILE) {
+    const fs = await import('node:fs/promises');
+    try {
+      const raw = await fs.readFile(process.env.SERVER_LLM_CONFIG_FILE, 'utf8');
+      return parseConfigList(raw, process.env.SERVER_LLM_CONFIG_FILE);
+    } catch (error) {
+      console.warn('Failed to read SERVER_LLM_CONFIG_FILE:', error.message);
+      return { entries: [] };
+    }
+  }
+
+  if (!process.env.SERVER_LLM_TYPE) {
+    return { entries: [] };
+  }
+  return { entries: [getLegacyServerConfig()] };
+}
+
+function parseConfigList(raw, sourceName) {
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) return { entries: parsed };
+    if (parsed && Array.isArray(parsed.configs)) {
+      return { entries: parsed.configs, defaultId: parsed.defaultId };
+    }
+    console.warn(`${sourceName} must be a JSON array or { configs: [...] }`);
+  } catch (error) {
+    console.warn(`Failed to parse ${sourceName}:`, error.message);
+  }
+  return { entries: [] };
+}
+
+function normalizeConfigEntry(entry, index, defaultParams) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const params = { ...defaultParams };
+  for (const [key, value] of Object.entries(entry.params || {})) {
+    const errors = validateGenerationParams({ [key]: value });
+    if (errors.length > 0) {
+      console.warn(`Ignoring invalid param ${key} in server LLM config ${entry.id || index}:`, errors.join('; '));
+      continue;
+    }
+    params[key] = value;
+  }
+
+  return {
+    id: String(entry.id || `config-${index + 1}`),
+    name: entry.name || entry.model || `配置 ${index + 1}`,
+    description: entry.description,
+    type: entry.type,
+    baseUrl: entry.baseUrl,
+    apiKey: entry.apiKey || (entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : undefined),
+    model: entry.model,
+    deployment: entry.deployment,
+    apiVersion: entry.apiVersion,
+    params,
+    thinking: entry.thinking,
+    pricing: entry.pricing,
+    capabilities: entry.capabilities,
+    generationMode: normalizeGenerationMode(entry.generationMode, entry.id || index),
+    promptCaching: entry.promptCaching === true,
+    ...normalizeCustomRequest(entry, entry.id || index),
+  };
+}
+
+/**
+ * 单一配置的旧版环境变量（生成参数由 normalizeConfigEntry 统一合并）
+ */
+function getLegacyServerConfig() {
+  return {
+    id: DEFAULT_CONFIG_ID,
+    name: process.env.SERVER_LLM_NAME || '服务器配置',
+    type: process.env.SERVER_LLM_TYPE,
+    baseUrl: process.env.SERVER_LLM_BASE_URL,
+    apiKey: process.env.SERVER_LLM_API_KEY,
+    model: process.env.SERVER_LLM_MODEL,
+    // Azure OpenAI 专用
+    deployment: process.env.SERVER_LLM_DEPLOYMENT,
+    apiVersion: process.env.SERVER_LLM_API_VERSION,
+    thinking: getServerThinking(),
+    generationMode: process.env.SERVER_LLM_GENERATION_MODE,
+    promptCaching: process.env.SERVER_LLM_PROMPT_CACHING === 'true',
+  };
+}
+
+/**
+ * 服务端配置是否完整（至少保证类型与密钥存在，Ollama 等本地模型可不配置密钥）
+ */
+export function isServerConfigComplete(config) {
+  return !!config?.type && (!!config.apiKey || !requiresApiKey(config.type));
+}
+
+/**
+ * 读取生成参数默认值：
+ * SERVER_LLM_TEMPERATURE / SERVER_LLM_MAX_TOKENS / SERVER_LLM_TOP_P / SERVER_LLM_STOP
+ * SERVER_LLM_STOP 可以是 JSON 数组（如 ["</diagram>"]），也可以是单个字符串。
+ * 不合法的字段会被忽略并输出警告。
+ */
+function getServerGenerationParams() {
+  const candidates = {
+    temperature: parseNumber(process.env.SERVER_LLM_TEMPERATURE),
+    maxTokens: parseNumber(process.env.SERVER_LLM_MAX_TOKENS),
+    topP: parseNumber(process.env.SERVER_LLM_TOP_P),
+    stop: parseStop(process.env.SERVER_LLM_STOP),
+  };
+
+  const params = {};
+  for (const [key, value] of Object.entries(candidates)) {
+    if (value === undefined) continue;
+    const errors = validateGenerationParams({ [key]: value });
+    if (errors.length > 0) {
+      console.warn(`Ignoring invalid server generation param ${key}:`, errors.join('; '));
+      continue;
+    }
+    params[key] = value;
+  }
+  return params;
+}
+
+/**
+ * Anthropic extended thinking：SERVER_LLM_THINKING=true 开启，SERVER_LLM_THINKING_BUDGET 指定预算
+ */
+function getServerThinking() {
+  if (process.env.SERVER_LLM_THINKING !== 'true') return undefined;
+  const budgetTokens = parseNumber(process.env.SERVER_LLM_THINKING_BUDGET);
+  return Number.isInteger(budgetTokens) ? { enabled: true, budgetTokens } : { enabled: true };
+}
+
+/**
+ * 自定义请求头与查询参数不合法时整体忽略，避免只生效一部分
+ */
+function normalizeCustomRequest(entry, configId) {
+  const custom = {
+    headers: entry.headers,
+    queryParams: entry.queryParams,
+    allowAuthHeaderOverride: entry.allowAuthHeaderOverride === true,
+  };
+  const errors = validateCustomRequest(custom);
+  if (errors.length > 0) {
+    console.warn(`Ignoring custom headers/queryParams in server LLM config ${configId}:`, errors.join('; '));
+    return {};
+  }
+  return custom;
+}
+
+function normalizeGenerationMode(mode, configId) {
+  if (mode === undefined || mode === '') return undefined;
+  if (!GENERATION_MODES.includes(mode)) {
+    console.warn(`Ignoring invalid generationMode in server LLM config ${configId}: ${mode}`);
+    return undefined;
+  }
+  return mode;
+}
+
+function parseNumber(raw) {
+  if (raw === undefined || raw.trim() === '') return undefined;
+  return Number(raw);
+}
+
+function parseStop(raw) {
+  if (raw === undefined || raw === '') return undefined;
+  try {
+    const parsed = JSON.parse(raw);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // 非 JSON，按单个停止序列处理
+  }
+  return [raw];
+}
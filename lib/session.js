@@ -0,0 +1,285 @@
+/**
+ * 访问密码模式的登录会话（仅服务端使用）
+ *
+ * 通过 /api/llm/config 用访问密码或个人令牌登录后签发会话令牌，之后的请求只携带会话，不再发送原始密码：
+ * - 浏览器：HttpOnly Cookie（sd_session，仅发送到 /api/llm）
+ * - 其他客户端：Authorization: Bearer <token>
+ *
+ * 令牌格式：base64url(JSON 载荷).base64url(HMAC-SHA256 签名)
+ *   载荷 { v, jti, sub, name, kind, models, texp, pfp, ait, iat, exp }
+ *   texp 为个人令牌自身的到期时间，ait 为最初登录的时间（刷新会话时保持不变），
+ *   pfp 为签发时访问密码的指纹（HMAC，不可逆推密码），访问密码修改或移除后共享密码会话随之失效
+ *
+ * 会话每次使用时都会重新核对凭证：个人令牌的吊销、到期与模型白名单以登记表为准，
+ * 共享密码会话需要访问密码未变；刷新只能延长到最初登录后的 SESSION_MAX_AGE_SECONDS 为止。
+ *
+ * 环境变量：
+ *   SESSION_SECRET            签名密钥；未设置时每次启动随机生成（重启后会话失效，多实例部署请务必设置）
+ *   SESSION_TTL_SECONDS       会话有效期（秒），默认 43200（12 小时）
+ *   SESSION_MAX_AGE_SECONDS   从最初登录起的最长有效期（秒），刷新也不能超过，默认 604800（7 天）
+ */
+
+import { AUTH_ERROR_CODES } from './constants.js';
+import { getClientIp, getLoginThrottle, getRateLimitStore } from './rate-limit.js';
+import { authenticateAccess, getActiveTokenPrincipal, isAccessControlConfigured } from './access-tokens.js';
+
+export const SESSION_COOKIE_NAME = 'sd_session';
+export const SESSION_COOKIE_PATH = '/api/llm';
+
+const SESSION_VERSION = 2;
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60;
+const DEFAULT_MAX_AGE_SECONDS = 7 * 24 * 60 * 60;
+
+let signingKeyPromise = null;
+
+function getSessionTtlSeconds() {
+  const ttl = Number(process.env.SESSION_TTL_SECONDS);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+function getSessionMaxAgeSeconds() {
+  const maxAge = Number(process.env.SESSION_MAX_AGE_SECONDS);
+  return Number.isInteger(maxAge) && maxAge > 0 ? maxAge : DEFAULT_MAX_AGE_SECONDS;
+}
+
+function getSigningKey() {
+  if (!signingKeyPromise) {
+    let secret = process.env.SESSION_SECRET;
+    if (!secret) {
+      console.warn('SESSION_SECRET is not set; using a random secret, sessions will not survive restarts');
+      secret = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+    }
+    signingKeyPromise = crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify'],
+    );
+  }
+  return signingKeyPromise;
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * 当前访问密码的指纹：用会话签名密钥做 HMAC，载荷可被读取也无法据此猜测密码
+ * @returns {Promise<string|null>} 未配置访问密码时为 null
+ */
+async function getPasswordFingerprint() {
+  const password = process.env.ACCESS_PASSWORD;
+  if (!password) return null;
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    await getSigningKey(),
+    new TextEncoder().encode(`access-password:${password}`),
+  );
+  return base64UrlEncode(new Uint8Array(signature)).slice(0, 22);
+}
+
+/**
+ * 为已认证的身份签发会话
+ * @param {Object} principal - authenticateAccess 或 authenticateSession 返回的身份
+ *   { id, name, kind, models, expiresAt, authTime? }，authTime 为刷新会话时沿用的最初登录时间（秒）
+ * @returns {Promise<{ token: string, expiresAt: string, maxAge: number }>}
+ */
+export async function createSession(principal) {
+  const now = Math.floor(Date.now() / 1000);
+  const authTime = principal.authTime || now;
+  // 刷新不能超过从最初登录起的最长有效期
+  let exp = Math.min(now + getSessionTtlSeconds(), authTime + getSessionMaxAgeSeconds());
+  // 会话不能比个人令牌本身活得更久
+  if (principal.expiresAt) {
+    exp = Math.min(exp, Math.floor(Date.parse(principal.expiresAt) / 1000));
+  }
+
+  const payload = {
+    v: SESSION_VERSION,
+    jti: crypto.randomUUID(),
+    sub: principal.id,
+    name: principal.name,
+    kind: principal.kind,
+    models: principal.models || null,
+    texp: principal.expiresAt || null,
+    pfp: principal.kind === 'password' ? await getPasswordFingerprint() : null,
+    ait: authTime,
+    iat: now,
+    exp,
+  };
+
+  const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(), new TextEncoder().encode(body));
+  return {
+    token: `${body}.${base64UrlEncode(new Uint8Array(signature))}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+    maxAge: Math.max(0, exp - now),
+  };
+}
+
+/**
+ * 校验会话令牌：签名、版本、有效期、最长有效期与登出记录
+ * @returns {Promise<Object|null>} 有效时返回载荷，否则 null
+ */
+export async function verifySession(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  let payload;
+  try {
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getSigningKey(),
+      base64UrlDecode(signature),
+      new TextEncoder().encode(body),
+    );
+    if (!valid) return null;
+    payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+  } catch {
+    return null;
+  }
+
+  if (payload?.v !== SESSION_VERSION || !payload.sub) return null;
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(payload.exp) || payload.exp <= now) return null;
+  if (!Number.isFinite(payload.ait) || payload.ait + getSessionMaxAgeSeconds() <= now) return null;
+  if (await getRateLimitStore().get(revokedKey(payload.jti))) return null;
+  return payload;
+}
+
+/**
+ * 登出：在会话剩余有效期内记录为已吊销
+ */
+export async function revokeSession(payload) {
+  if (!payload?.jti) return;
+  await getRateLimitStore().increment(revokedKey(payload.jti), 1, payload.exp * 1000);
+}
+
+function revokedKey(jti) {
+  return `session-revoked:${jti}`;
+}
+
+/**
+ * 从会话载荷还原身份（与 authenticateAccess 的 principal 结构一致）
+ */
+export function sessionToPrincipal(payload) {
+  return {
+    id: payload.sub,
+    name: payload.name,
+    kind: payload.kind,
+    models: payload.models || null,
+    expiresAt: payload.texp || null,
+    authTime: payload.ait,
+    sessionId: payload.jti,
+  };
+}
+
+/**
+ * 读取请求携带的会话令牌：优先 Bearer，其次 Cookie
+ * @param {Request} request
+ * @param {Object} [options]
+ * @param {boolean} [options.allowCookie=true] - 是否读取 Cookie（本地配置模式的请求不应被残留 Cookie 影响）
+ */
+export function getSessionToken(request, { allowCookie = true } = {}) {
+  const authorization = request.headers.get('authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim() || null;
+  }
+  if (!allowCookie) return null;
+
+  const cookieHeader = request.headers.get('cookie') || '';
+  for (const part of cookieHeader.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE_NAME) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * 会话 Cookie 选项（配合 NextResponse.cookies.set 使用）
+ * 仅在 HTTPS 访问时设置 Secure，避免内网 HTTP 部署下浏览器拒收 Cookie
+ */
+export function getSessionCookieOptions(request, maxAge) {
+  const forwardedProto = request.headers.get('x-forwarded-proto');
+  const protocol = forwardedProto ? `${forwardedProto.split(',')[0].trim()}:` : new URL(request.url).protocol;
+  return {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: protocol === 'https:',
+    path: SESSION_COOKIE_PATH,
+    maxAge,
+  };
+}
+
+/**
+ * 校验请求携带的会话并还原身份，同时重新核对签发会话的凭证：
+ * - 个人令牌被吊销或过期后会话随之失效，模型白名单与到期时间以登记表中的最新值为准
+ * - 共享密码会话要求访问密码仍为签发时的值
+ * - 服务器不再配置任何访问凭证时所有会话失效
+ * @returns {Promise<{ principal: Object, payload: Object }|null>}
+ */
+export async function authenticateSession(request, options) {
+  const payload = await verifySession(getSessionToken(request, options));
+  if (!payload || !isAccessControlConfigured()) return null;
+
+  const principal = sessionToPrincipal(payload);
+  if (payload.kind === 'token') {
+    const current = await getActiveTokenPrincipal(payload.sub);
+    if (!current) return null;
+    return { principal: { ...principal, models: current.models, expiresAt: current.expiresAt }, payload };
+  }
+  if (payload.kind !== 'password') return null;
+  const fingerprint = await getPasswordFingerprint();
+  if (!fingerprint || payload.pfp !== fingerprint) return null;
+  return { principal, payload };
+}
+
+/**
+ * 访问密码模式的统一认证：
+ * - 携带 x-access-password（访问密码或个人令牌）时按登录处理，失败次数受 LoginThrottle 限制
+ * - 否则校验会话（Bearer 或 Cookie）
+ * @param {Request} request
+ * @param {Object} [options] - 同 getSessionToken
+ * @returns {Promise<Object>} 成功时 { ok: true, principal, session }（session 为会话载荷，登录时为 null）；
+ *   失败时 { ok: false, status, error, code?, retryAfter? }
+ */
+export async function authenticateRequest(request, options) {
+  const credential = request.headers.get('x-access-password');
+
+  if (credential) {
+    const ip = getClientIp(request);
+    const throttle = getLoginThrottle();
+    const decision = await throttle.check(ip);
+    if (!decision.allowed) {
+      return { ok: false, status: 429, error: decision.message, code: decision.code, retryAfter: decision.retryAfter };
+    }
+
+    const auth = await authenticateAccess(credential);
+    if (!auth.ok) {
+      if (auth.status === 401) await throttle.recordFailure(ip);
+      return auth;
+    }
+    return { ok: true, principal: auth.principal, session: null };
+  }
+
+  const session = await authenticateSession(request, options);
+  if (session) {
+    return { ok: true, principal: session.principal, session: session.payload };
+  }
+  return {
+    ok: false,
+    status: 401,
+    error: '登录已过期或未登录，请在设置中重新验证访问密码',
+    code: AUTH_ERROR_CODES.SESSION_EXPIRED,
+  };
+}
@@ -1,74 +1,172 @@
 /**
  * SSE (Server-Sent Events) 流式响应解析器
- * 统一处理不同分隔符的 SSE 流
+ * 基于 lib/sse-protocol.js 的规范解析器，同时兼容类型化事件（v1）与旧版 data-only 格式
  */
 
+import { SSE_EVENTS, createSSEParser } from './sse-protocol.js';
+
+/**
+ * 创建「用户主动停止」错误，partial 中携带已接收的内容
+ * @param {string} partial - 中止前累积的内容
+ * @returns {Error}
+ */
+export function createAbortError(partial = '') {
+  const error = new Error('生成已停止');
+  error.name = 'AbortError';
+  error.partial = partial;
+  return error;
+}
+
+/**
+ * 根据流中的 error 事件构造错误，保留上游状态码与已接收的内容
+ * @param {Object} data - error 事件数据 { error, status }
+ * @param {string} partial - 出错前累积的内容
+ * @returns {Error}
+ */
+export function createStreamError(data, partial = '') {
+  const error = new Error(data.error);
+  if (typeof data.status === 'number') {
+    error.status = data.status;
+  }
+  error.partial = partial;
+  return error;
+}
+
+/**
+ * 判断错误是否由主动中止引起（兼容 fetch 抛出的 DOMException）
+ */
+export function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
 /**
  * 解析 SSE 流式响应
  * @param {Response} response - Fetch 响应对象
  * @param {Object} options - 配置选项
  * @param {Function} options.onChunk - 每次接收到内容时的回调 (content) => void
- * @param {string} options.delimiter - 事件分隔符,默认 '\n\n' (标准 SSE)
+ * @param {AbortSignal} [options.signal] - 中止信号，触发后停止读取并抛出带 partial 的 AbortError
+ * @param {Function} [options.onUsage] - 收到 token 用量事件时的回调 ({ inputTokens, outputTokens }) => void
+ * @param {Function} [options.onReasoning] - 收到思考内容时的回调 (accumulatedReasoning) => void，不计入返回的代码内容
+ * @param {Function} [options.onMeta] - 收到 meta 事件时的回调 ({ version, requestId, provider, model }) => void
+ * @param {Function} [options.onDone] - 收到 done 事件时的回调 ({ finishReason }) => void
  * @returns {Promise<string>} 完整累积的内容
  */
-export async function parseSSEStream(response, { onChunk, delimiter = '\n\n' } = {}) {
+export async function parseSSEStream(response, { onChunk, signal, onUsage, onReasoning, onMeta, onDone } = {}) {
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
   let accumulated = '';
-  let buffer = '';
+  let reasoning = '';
+
+  const appendContent = (content) => {
+    if (typeof content !== 'string') return;
+    accumulated += content;
+    if (onChunk) {
+      onChunk(accumulated);
+    }
+  };
+
+  const appendReasoning = (content) => {
+    if (typeof content !== 'string') return;
+    reasoning += content;
+    if (onReasoning) {
+      onReasoning(reasoning);
+    }
+  };
+
+  const parseData = (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.error('SSE 解析错误:', e, 'Data:', raw);
+      throw new Error(`流式响应解析失败: ${e.message}`);
+    }
+  };
+
+  // 旧版格式：事件类型由 data 中的字段区分
+  const handleLegacyMessage = (raw) => {
+    if (raw.trim() === '[DONE]') return;
+    const data = parseData(raw);
+    if (data.error) {
+      throw createStreamError(data, accumulated);
+    }
+    if (data.usage) {
+      if (onUsage) onUsage(data.usage);
+      return;
+    }
+    if (typeof data.reasoning === 'string') {
+      appendReasoning(data.reasoning);
+      return;
+    }
+    appendContent(data.content);
+  };
+
+  const handleEvent = ({ event, data: raw }) => {
+    if (event === 'message') {
+      handleLegacyMessage(raw);
+      return;
+    }
+
+    const data = parseData(raw);
+    switch (event) {
+      case SSE_EVENTS.DELTA:
+        appendContent(data.content);
+        break;
+      case SSE_EVENTS.REASONING:
+        appendReasoning(data.content);
+        break;
+      case SSE_EVENTS.USAGE:
+        if (onUsage) onUsage(data);
+        break;
+      case SSE_EVENTS.META:
+        if (onMeta) onMeta(data);
+        break;
+      case SSE_EVENTS.ERROR:
+        throw createStreamError({ error: data.message, status: data.status }, accumulated);
+      case SSE_EVENTS.DONE:
+        if (onDone) onDone(data);
+        break;
+      default:
+        // 未知事件类型：为后续协议扩展预留，直接忽略
+        break;
+    }
+  };
+
+  const parser = createSSEParser(handleEvent);
+
+  // 中止时取消读取，底层连接随之关闭，服务端据此停止拉取上游
+  const handleAbort = () => {
+    reader.cancel().catch(() => {});
+  };
+  if (signal) {
+    if (signal.aborted) {
+      handleAbort();
+    } else {
+      signal.addEventListener('abort', handleAbort, { once: true });
+    }
+  }
 
   try {
     while (true) {
       const { value, done } = await reader.read();
       if (done) break;
+      parser.feed(decoder.decode(value, { stream: true }));
+    }
+    parser.feed(decoder.decode());
+    parser.end();
 
-      // 将新数据添加到缓冲区
-      buffer += decoder.decode(value, { stream: true });
-
-      // 按分隔符分割事件
-      const events = buffer.split(delimiter);
-      // 保留最后一个不完整的块
-      buffer = events.pop() || '';
-
-      // 处理每个完整的事件
-      for (const event of events) {
-        const trimmed = event.trim();
-        if (!trimmed) continue;
-
-        // 跳过 [DONE] 信号
-        if (trimmed === 'data: [DONE]') continue;
-
-        // 提取 data: 后的 JSON
-        if (trimmed.startsWith('data: ')) {
-          try {
-            const jsonStr = trimmed.slice(6);
-            const data = JSON.parse(jsonStr);
-
-            // 检查错误
-            if (data.error) {
-              throw new Error(data.error);
-            }
-
-            // 累积内容
-            if (typeof data.content === 'string') {
-              accumulated += data.content;
-              if (onChunk) {
-                onChunk(accumulated);
-              }
-            }
-          } catch (e) {
-            console.error('SSE 解析错误:', e, 'Event:', trimmed);
-            throw new Error(`流式响应解析失败: ${e.message}`);
-          }
-        }
-      }
+    if (signal?.aborted) {
+      throw createAbortError(accumulated);
     }
 
     return accumulated;
   } catch (error) {
+    if (signal?.aborted) {
+      throw isAbortError(error) ? error : createAbortError(accumulated);
+    }
     console.error('SSE stream error:', error);
     throw error;
   } finally {
+    signal?.removeEventListener('abort', handleAbort);
     try {
       reader.releaseLock();
     } catch {
@@ -78,15 +176,15 @@ export async function parseSSEStream(response, { onChunk, delimiter = '\n\n' } =
 }
 
 /**
- * 标准 SSE 解析 (分隔符 \n\n)
+ * @deprecated 规范解析器不再区分分隔符，请直接使用 parseSSEStream
  */
-export async function parseSSEStreamStandard(response, { onChunk } = {}) {
-  return parseSSEStream(response, { onChunk, delimiter: '\n\n' });
+export async function parseSSEStreamStandard(response, options = {}) {
+  return parseSSEStream(response, options);
 }
 
 /**
- * 备用 SSE 解析 (分隔符 \n,用于某些非标准实现)
+ * @deprecated 规范解析器不再区分分隔符，请直接使用 parseSSEStream
  */
-export async function parseSSEStreamAlt(response, { onChunk } = {}) {
-  return parseSSEStream(response, { onChunk, delimiter: '\n' });
+export async function parseSSEStreamAlt(response, options = {}) {
+  return parseSSEStream(response, options);
 }
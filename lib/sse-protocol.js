@@ -0,0 +1,168 @@
+/**
+ * /api/llm/stream 的 SSE 事件协议（服务端与前端共用）
+ *
+ * 版本 1：每个事件带 id 与事件类型，data 为 JSON
+ *   event: meta       { version, requestId, provider, model }
+ *   event: delta      { content }                 图表代码增量
+ *   event: reasoning  { content }                 模型思考过程增量
+ *   event: usage      { inputTokens, outputTokens, cacheReadTokens?, cacheWriteTokens? }  输入含缓存部分
+ *   event: error      { message, status? }
+ *   event: done       { finishReason? }
+ *
+ * 版本 0（旧版，未携带协议头的客户端）：仅 data 行
+ *   data: {"content"} / {"reasoning"} / {"usage"} / {"error","status"} / [DONE]
+ */
+
+export const SSE_PROTOCOL_VERSION = 1;
+
+// 客户端通过该请求头声明支持的协议版本，服务端在响应头中回写实际使用的版本
+export const SSE_PROTOCOL_HEADER = 'x-sse-protocol';
+
+export const SSE_EVENTS = {
+  META: 'meta',
+  DELTA: 'delta',
+  REASONING: 'reasoning',
+  USAGE: 'usage',
+  ERROR: 'error',
+  DONE: 'done',
+};
+
+/**
+ * 解析客户端请求的协议版本（缺省或无法识别时为 0，即旧版格式）
+ */
+export function resolveProtocolVersion(headerValue) {
+  const version = Number.parseInt(headerValue || '', 10);
+  if (!Number.isInteger(version) || version < 1) return 0;
+  return Math.min(version, SSE_PROTOCOL_VERSION);
+}
+
+/**
+ * 序列化单个 SSE 事件；多行 data 会拆成多个 data: 字段
+ * @param {Object} fields - { event?, data, id?, retry? }，data 为字符串
+ * @returns {string}
+ */
+export function formatSSEEvent({ event, data, id, retry }) {
+  let out = '';
+  if (id !== undefined) out += `id: ${id}\n`;
+  if (event) out += `event: ${event}\n`;
+  if (retry !== undefined) out += `retry: ${retry}\n`;
+  for (const line of String(data).split(/\r\n|\r|\n/)) {
+    out += `data: ${line}\n`;
+  }
+  return `${out}\n`;
+}
+
+/**
+ * 创建事件编码器：按协议版本把类型化事件编码为 SSE 文本，事件 id 自增
+ * @param {number} version - 协议版本（0 为旧版格式）
+ * @returns {(event: string, payload?: Object) => string|null} 旧版不支持的事件返回 null
+ */
+export function createSSEEncoder(version = SSE_PROTOCOL_VERSION) {
+  let nextId = 1;
+
+  if (version >= 1) {
+    return (event, payload = {}) =>
+      formatSSEEvent({ event, data: JSON.stringify(payload), id: nextId++ });
+  }
+
+  return (event, payload = {}) => {
+    switch (event) {
+      case SSE_EVENTS.DELTA:
+        return formatSSEEvent({ data: JSON.stringify({ content: payload.content }) });
+      case SSE_EVENTS.REASONING:
+        return formatSSEEvent({ data: JSON.stringify({ reasoning: payload.content }) });
+      case SSE_EVENTS.USAGE:
+        return formatSSEEvent({ data: JSON.stringify({ usage: payload }) });
+      case SSE_EVENTS.ERROR:
+        return formatSSEEvent({ data: JSON.stringify({ error: payload.message, status: payload.status }) });
+      case SSE_EVENTS.DONE:
+        return formatSSEEvent({ data: '[DONE]' });
+      default:
+        return null;
+    }
+  };
+}
+
+/**
+ * 创建符合 WHATWG 规范的 SSE 解析器
+ * - 支持 \r\n / \r / \n 换行，多行 data 以 \n 拼接
+ * - 忽略以 ":" 开头的注释行，识别 id / event / retry 字段
+ * - 空行分发事件；没有 data 字段的事件不分发
+ *
+ * @param {Function} onEvent - ({ event, data, id, retry }) => void，event 缺省为 'message'
+ * @returns {{ feed: (text: string) => void, end: () => void }}
+ */
+export function createSSEParser(onEvent) {
+  let buffer = '';
+  let pendingCR = false;
+  let dataLines = [];
+  let eventType = '';
+  let lastEventId = '';
+  let retry;
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({
+        event: eventType || 'message',
+        data: dataLines.join('\n'),
+        id: lastEventId,
+        retry,
+      });
+    }
+    dataLines = [];
+    eventType = '';
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'event':
+        eventType = value;
+        break;
+      case 'id':
+        if (!value.includes('\0')) lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) retry = Number(value);
+        break;
+      default:
+        // 未知字段按规范忽略
+        break;
+    }
+  };
+
+  return {
+    feed(text) {
+      let chunk = text;
+      // 上一块以 \r 结尾时，本块开头的 \n 属于同一个换行
+      if (pendingCR && chunk.startsWith('\n')) chunk = chunk.slice(1);
+      pendingCR = false;
+
+      buffer += chunk;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = lines.pop();
+      if (buffer === '' && chunk.endsWith('\r')) pendingCR = true;
+
+      for (const line of lines) processLine(line);
+    },
+    end() {
+      // 流结束时未以空行结尾的事件按规范丢弃
+      buffer = '';
+      dataLines = [];
+      eventType = '';
+    },
+  };
+}
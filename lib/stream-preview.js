@@ -0,0 +1,247 @@
+/**
+ * 流式生成时的画布预览：增量解析不完整的代码，取出已经完整输出的元素
+ *
+ * - Excalidraw：JSON 数组中每个闭合的顶层对象即一个元素（兼容 { "elements": [...] } 包装与代码块前缀）
+ * - Draw.io：<root> 下每个闭合的顶层节点即一个 cell（含 <object> / <UserObject> 包装）
+ *
+ * push() 接收流式拼接后的完整内容，只扫描新增部分；内容不是上次的延续（如故障转移后重新开始）时自动重置。
+ * getCode() 组装可渲染的预览代码：引用了尚未输出的元素（连线端点、父节点、容器）的元素暂不放入，
+ * 等被引用的元素出现后再显示。预览代码仍需经过引擎的后处理管道，生成结束后由最终代码替换。
+ */
+
+// 预览刷新间隔：合并这段时间内的更新，避免每个 token 都重绘画布
+export const PREVIEW_INTERVAL_MS = 300;
+
+/**
+ * Excalidraw JSON 数组的增量解析器
+ */
+export class ExcalidrawStreamParser {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.text = '';
+    this.pos = 0;
+    this.started = false;
+    this.done = false;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.itemStart = -1;
+    this.elements = [];
+  }
+
+  /**
+   * @param {string} text - 目前为止收到的全部内容
+   * @returns {boolean} 是否解析出了新的元素
+   */
+  push(text) {
+    if (!text.startsWith(this.text)) this.reset();
+    this.text = text;
+    const count = this.elements.length;
+
+    let i = this.pos;
+    for (; i < text.length && !this.done; i += 1) {
+      const ch = text[i];
+      if (!this.started) {
+        if (ch === '[') {
+          this.started = true;
+          this.depth = 1;
+        }
+        continue;
+      }
+      if (this.inString) {
+        if (this.escaped) this.escaped = false;
+        else if (ch === '\\') this.escaped = true;
+        else if (ch === '"') this.inString = false;
+        continue;
+      }
+      if (ch === '"') {
+        this.inString = true;
+      } else if (ch === '{' || ch === '[') {
+        if (this.depth === 1 && ch === '{') this.itemStart = i;
+        this.depth += 1;
+      } else if (ch === '}' || ch === ']') {
+        this.depth -= 1;
+        if (this.depth === 1 && this.itemStart !== -1) {
+          this.addElement(text.slice(this.itemStart, i + 1));
+          this.itemStart = -1;
+        } else if (this.depth === 0) {
+          this.done = true;
+        }
+      }
+    }
+    this.pos = i;
+    return this.elements.length > count;
+  }
+
+  addElement(source) {
+    try {
+      const element = JSON.parse(source);
+      if (element && typeof element === 'object') this.elements.push(element);
+    } catch {
+      // 不合法的元素留给最终的后处理管道修复
+    }
+  }
+
+  /**
+   * @returns {string} 预览代码，没有可显示的元素时返回空字符串
+   */
+  getCode() {
+    const ids = new Set(this.elements.map((element) => element.id).filter(Boolean));
+    const ready = this.elements.filter((element) => [
+      element.start?.id,
+      element.end?.id,
+      element.startBinding?.elementId,
+      element.endBinding?.elementId,
+      element.containerId,
+    ].every((ref) => !ref || ids.has(ref)));
+    return ready.length > 0 ? JSON.stringify(ready, null, 2) : '';
+  }
+}
+
+const ROOT_TAG = /<root(?:\s[^>]*)?>/;
+const MODEL_TAG = /<mxGraphModel\b[^>]*>/;
+
+function readAttr(source, name) {
+  const match = source.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? match[1] : undefined;
+}
+
+/**
+ * 找到从 start（指向 "<"）开始的标签结束位置，属性值中的 ">" 不算结束
+ * @returns {number} ">" 的位置，标签尚未输出完整时返回 -1
+ */
+function findTagEnd(text, start) {
+  let quote = null;
+  for (let i = start + 1; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * mxGraph XML 的增量解析器
+ */
+export class MxGraphStreamParser {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.text = '';
+    this.pos = 0;
+    this.modelTag = '';
+    this.rootFound = false;
+    this.done = false;
+    this.depth = 0;
+    this.itemStart = -1;
+    this.cells = [];
+  }
+
+  /**
+   * @param {string} text - 目前为止收到的全部内容
+   * @returns {boolean} 是否解析出了新的 cell
+   */
+  push(text) {
+    if (!text.startsWith(this.text)) this.reset();
+    this.text = text;
+    const count = this.cells.length;
+
+    if (!this.rootFound) {
+      const match = ROOT_TAG.exec(text.slice(this.pos));
+      if (!match) {
+        // "<root" 可能被截断在末尾，下次从稍前的位置重新查找
+        this.pos = Math.max(this.pos, text.length - 32);
+        return false;
+      }
+      const rootEnd = this.pos + match.index + match[0].length;
+      this.modelTag = text.slice(0, rootEnd).match(MODEL_TAG)?.[0] || '<mxGraphModel>';
+      this.rootFound = true;
+      this.pos = rootEnd;
+    }
+
+    while (!this.done) {
+      const start = text.indexOf('<', this.pos);
+      if (start === -1) {
+        this.pos = text.length;
+        break;
+      }
+      if (text.startsWith('<!--', start)) {
+        const end = text.indexOf('-->', start);
+        if (end === -1) break;
+        this.pos = end + 3;
+        continue;
+      }
+      const end = findTagEnd(text, start);
+      if (end === -1) {
+        this.pos = start;
+        break;
+      }
+      this.pos = end + 1;
+
+      const tag = text.slice(start, end + 1);
+      if (tag.startsWith('<?') || tag.startsWith('<!')) continue;
+      if (tag.startsWith('</')) {
+        if (this.depth === 0) {
+          // </root>
+          this.done = true;
+          break;
+        }
+        this.depth -= 1;
+        if (this.depth === 0) this.addCell(text.slice(this.itemStart, end + 1));
+        continue;
+      }
+      const selfClosing = tag.endsWith('/>');
+      if (this.depth === 0) this.itemStart = start;
+      if (selfClosing) {
+        if (this.depth === 0) this.addCell(tag);
+      } else {
+        this.depth += 1;
+      }
+    }
+    return this.cells.length > count;
+  }
+
+  addCell(source) {
+    this.cells.push({
+      source,
+      id: readAttr(source, 'id'),
+      parent: readAttr(source, 'parent'),
+      edgeSource: readAttr(source, 'source'),
+      edgeTarget: readAttr(source, 'target'),
+    });
+  }
+
+  /**
+   * @returns {string} 预览代码，还没有可显示的 cell（只有根节点与图层）时返回空字符串
+   */
+  getCode() {
+    // 引用可以指向后输出的 cell，反复筛选直到没有 cell 被排除（被排除的 cell 不能作为父节点或端点）
+    let ready = this.cells;
+    for (;;) {
+      const ids = new Set(ready.map((cell) => cell.id).filter(Boolean));
+      const next = ready.filter((cell) =>
+        [cell.parent, cell.edgeSource, cell.edgeTarget].every((ref) => !ref || ids.has(ref)));
+      if (next.length === ready.length) break;
+      ready = next;
+    }
+    if (!ready.some((cell) => cell.parent && cell.parent !== '0')) return '';
+    return `${this.modelTag}<root>\n${ready.map((cell) => cell.source).join('\n')}\n</root></mxGraphModel>`;
+  }
+}
+
+/**
+ * @param {'drawio'|'excalidraw'} editor
+ */
+export function createStreamParser(editor) {
+  return editor === 'excalidraw' ? new ExcalidrawStreamParser() : new MxGraphStreamParser();
+}
@@ -0,0 +1,156 @@
+/**
+ * Token 用量与费用估算
+ *
+ * 价格单位：美元 / 百万 tokens。配置可通过 pricing: { input, output, cacheRead?, cacheWrite? } 覆盖默认价格表。
+ * cacheRead / cacheWrite 为命中缓存、写入缓存的输入价格，未给出时按普通输入价格计算。
+ */
+
+/**
+ * 默认价格表（按模型名前缀匹配，取最长匹配项）
+ * 价格仅用于估算，以各服务商官网为准
+ */
+export const MODEL_PRICING = {
+  // Anthropic
+  'claude-opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+  'claude-opus-4': { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+  // OpenAI
+  'gpt-5-nano': { input: 0.05, output: 0.4, cacheRead: 0.005 },
+  'gpt-5-mini': { input: 0.25, output: 2, cacheRead: 0.025 },
+  'gpt-5': { input: 1.25, output: 10, cacheRead: 0.125 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cacheRead: 0.1 },
+  'gpt-4.1': { input: 2, output: 8, cacheRead: 0.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cacheRead: 0.075 },
+  'gpt-4o': { input: 2.5, output: 10, cacheRead: 1.25 },
+  'o4-mini': { input: 1.1, output: 4.4, cacheRead: 0.275 },
+  'o3-mini': { input: 1.1, output: 4.4, cacheRead: 0.55 },
+  'o3': { input: 2, output: 8, cacheRead: 0.5 },
+  // Google Gemini
+  'gemini-2.5-pro': { input: 1.25, output: 10, cacheRead: 0.125 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4, cacheRead: 0.01 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5, cacheRead: 0.03 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4, cacheRead: 0.025 },
+  // DeepSeek
+  'deepseek-chat': { input: 0.27, output: 1.1, cacheRead: 0.07 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19, cacheRead: 0.14 },
+};
+
+/**
+ * 获取模型价格：优先使用配置中的 pricing，其次查默认价格表
+ * @param {string} model - 模型名称（兼容 models/xxx、vendor/xxx 形式）
+ * @param {Object} [config] - LLM 配置
+ * @returns {{ input: number, output: number, cacheRead?: number, cacheWrite?: number }|null}
+ */
+export function getModelPricing(model, config) {
+  const custom = config?.pricing;
+  if (custom && (isPrice(custom.input) || isPrice(custom.output))) {
+    return {
+      input: isPrice(custom.input) ? custom.input : 0,
+      output: isPrice(custom.output) ? custom.output : 0,
+      ...(isPrice(custom.cacheRead) ? { cacheRead: custom.cacheRead } : {}),
+      ...(isPrice(custom.cacheWrite) ? { cacheWrite: custom.cacheWrite } : {}),
+    };
+  }
+
+  if (!model) return null;
+  const name = String(model).toLowerCase().split('/').pop();
+
+  let matched = null;
+  for (const prefix of Object.keys(MODEL_PRICING)) {
+    if (name.startsWith(prefix) && (!matched || prefix.length > matched.length)) {
+      matched = prefix;
+    }
+  }
+  return matched ? MODEL_PRICING[matched] : null;
+}
+
+function isPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * 估算费用（美元），价格未知时返回 null
+ * inputTokens 包含读写缓存的部分，这部分按 cacheRead / cacheWrite 价格计算
+ */
+export function estimateCost(usage, pricing) {
+  if (!usage || !pricing) return null;
+  const cacheRead = usage.cacheReadTokens || 0;
+  const cacheWrite = usage.cacheWriteTokens || 0;
+  const uncached = Math.max(0, (usage.inputTokens || 0) - cacheRead - cacheWrite);
+  return (
+    (uncached * pricing.input +
+      cacheRead * (pricing.cacheRead ?? pricing.input) +
+      cacheWrite * (pricing.cacheWrite ?? pricing.input) +
+      (usage.outputTokens || 0) * pricing.output) / 1_000_000
+  );
+}
+
+/**
+ * 构造存储在消息上的用量记录
+ * @param {Object} usage - { inputTokens, outputTokens, cacheReadTokens?, cacheWriteTokens? }
+ * @param {Object} config - 实际应答的配置
+ * @returns {Object|null} { inputTokens, outputTokens, cacheReadTokens?, cacheWriteTokens?, cost? }
+ */
+export function buildUsageRecord(usage, config) {
+  if (!usage) return null;
+  const record = {
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+  };
+  if (usage.cacheReadTokens) {
+    record.cacheReadTokens = usage.cacheReadTokens;
+  }
+  if (usage.cacheWriteTokens) {
+    record.cacheWriteTokens = usage.cacheWriteTokens;
+  }
+  const cost = estimateCost(record, getModelPricing(config?.model, config));
+  if (cost !== null) {
+    record.cost = cost;
+  }
+  return record;
+}
+
+/**
+ * 汇总对话中所有消息的用量
+ * @returns {{ inputTokens: number, outputTokens: number, cacheReadTokens: number, cacheWriteTokens: number, cost: number|null, count: number }}
+ */
+export function sumUsage(messages = []) {
+  const total = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: null, count: 0 };
+  for (const msg of messages) {
+    const usage = msg?.usage;
+    if (!usage) continue;
+    total.inputTokens += usage.inputTokens || 0;
+    total.outputTokens += usage.outputTokens || 0;
+    total.cacheReadTokens += usage.cacheReadTokens || 0;
+    total.cacheWriteTokens += usage.cacheWriteTokens || 0;
+    if (typeof usage.cost === 'number') {
+      total.cost = (total.cost || 0) + usage.cost;
+    }
+    total.count += 1;
+  }
+  return total;
+}
+
+/**
+ * 格式化 token 数（1.2k / 3.4M）
+ */
+export function formatTokens(count) {
+  const n = count || 0;
+  if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
+  if (n >= 1000) return `${(n / 1000).toFixed(1)}k`;
+  return String(n);
+}
+
+/**
+ * 格式化费用（美元）
+ */
+export function formatCost(cost) {
+  if (typeof cost !== 'number') return '';
+  if (cost > 0 && cost < 0.0001) return '<$0.0001';
+  return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
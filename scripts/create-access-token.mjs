@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * 管理个人访问令牌（ACCESS_TOKENS_FILE）
+ *
+ * 生成令牌（明文只输出一次，文件中只保存哈希）：
+ *   node scripts/create-access-token.mjs --id alice --name "Alice" [--expires 2026-12-31] [--models fast,strong]
+ * 吊销令牌：
+ *   node scripts/create-access-token.mjs --revoke alice
+ * 列出令牌：
+ *   node scripts/create-access-token.mjs --list
+ *
+ * 文件路径依次取 --file、环境变量 ACCESS_TOKENS_FILE，默认 ./data/access-tokens.json
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+  options: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    expires: { type: 'string' },
+    models: { type: 'string' },
+    revoke: { type: 'string' },
+    list: { type: 'boolean' },
+    file: { type: 'string' },
+  },
+});
+
+const filePath = values.file || process.env.ACCESS_TOKENS_FILE || './data/access-tokens.json';
+
+async function load() {
+  try {
+    const parsed = JSON.parse(await readFile(filePath, 'utf8'));
+    return Array.isArray(parsed) ? parsed : parsed.tokens || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function save(tokens) {
+  await mkdir(dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await writeFile(tempPath, `${JSON.stringify({ tokens }, null, 2)}\n`, { mode: 0o600 });
+  await rename(tempPath, filePath);
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+const tokens = await load();
+
+if (values.list) {
+  for (const entry of tokens) {
+    const status = entry.disabled ? '已吊销' : entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now() ? '已过期' : '有效';
+    console.log(`${entry.id}\t${entry.name || ''}\t${status}\t${entry.expiresAt || '永久'}\t${(entry.models || []).join(',') || '全部模型'}`);
+  }
+} else if (values.revoke) {
+  const entry = tokens.find((item) => item.id === values.revoke);
+  if (!entry) fail(`令牌不存在：${values.revoke}`);
+  entry.disabled = true;
+  await save(tokens);
+  console.log(`已吊销令牌：${values.revoke}`);
+} else {
+  if (!values.id) fail('请通过 --id 指定令牌 id（如 --id alice）');
+  if (tokens.some((item) => item.id === values.id)) fail(`令牌 id 已存在：${values.id}`);
+
+  let expiresAt;
+  if (values.expires) {
+    const time = Date.parse(values.expires);
+    if (!Number.isFinite(time)) fail(`无法解析过期时间：${values.expires}`);
+    expiresAt = new Date(time).toISOString();
+  }
+
+  const token = `sd_${randomBytes(32).toString('base64url')}`;
+  const models = values.models ? values.models.split(',').map((item) => item.trim()).filter(Boolean) : undefined;
+
+  tokens.push({
+    id: values.id,
+    name: values.name || values.id,
+    hash: `sha256:${createHash('sha256').update(token).digest('hex')}`,
+    createdAt: new Date().toISOString(),
+    ...(expiresAt ? { expiresAt } : {}),
+    ...(models?.length ? { models } : {}),
+  });
+  await save(tokens);
+
+  console.log(`已创建令牌 ${values.id}（写入 ${filePath}），请妥善保存，明文不会再次显示：`);
+  console.log(token);
+}